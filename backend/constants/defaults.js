@@ -39,6 +39,253 @@ const CHAT_DEFAULTS = {
   MAX_CONVERSATION_HISTORY_WARN: 1000
 };
 
+// Group Dynamics
+// How a session picks its responders; group_mode on chat_sessions, with
+// user_settings_local.group_dynamics_mode as the default for new sessions
+const GROUP_DYNAMICS = {
+  MODES: ['natural', 'round_robin', 'mentioned', 'everyone'],
+  DEFAULT_MODE: 'natural',
+  MAX_RESPONDERS: 3,       // Per-session cap, used when a session sets none
+  MAX_RESPONDERS_LIMIT: 8
+};
+
+// Chat Commands
+// Slash commands typed in the chat box; see ChatCommandService
+const CHAT_COMMANDS = {
+  NAMES: ['as', 'narrate', 'ooc', 'skip', 'scene', 'summary'],
+  MAX_ARGUMENT_LENGTH: 500,
+  MAX_OOC_NOTES: 5,        // Newest notes kept in session metadata and sent with every prompt
+  MAX_SCENE_EVENTS: 10,    // Newest events kept in scene_state.recent_events
+  PROMPT_SCENE_EVENTS: 5   // Newest events shown in the scene layer
+};
+
+// Character Mood
+// Each character's mood in a session, kept in character_session_state and
+// updated from every reply; user_settings_local.mood_tracking picks how it is read
+const MOOD_TRACKING = {
+  MODES: ['heuristic', 'ai'],
+  DEFAULT_MODE: 'heuristic',
+  MOODS: ['neutral', 'happy', 'excited', 'affectionate', 'playful', 'curious', 'calm', 'sad', 'anxious', 'annoyed', 'angry'],
+  DEFAULT_MOOD: 'neutral',
+  DEFAULT_INTENSITY: 0.5,
+  CARRY_OVER: 0.5,     // Weight of the earlier intensity when a reply keeps the mood
+  BUILD: 0.1,          // Added when a reply keeps the mood
+  DECAY: 0.1,          // Lost when a reply shows no mood
+  NEUTRAL_BELOW: 0.3   // A fading mood turns neutral below this intensity
+};
+
+// Responder Selection
+// Weights of the signals ResponsePlanner scores group responders on
+const RESPONDER_SCORING = {
+  MENTION: 3,                    // Named, or called by an alias, in the user's message
+  QUESTION_TO_LAST_SPEAKER: 1.5, // An unaddressed question follows up the last reply
+  TOPIC_FIT: 1,                  // Interest in topics the message raises, capped at 1
+  RELATIONSHIP: 1,               // Familiarity and bond with the last speaker, averaged
+  TALKATIVENESS: 1,              // voice_traits.verbosity above or below 0.5
+  RECENCY_PENALTY: 1,
+  RECENT_TURNS: 3,               // Speakers within this many turns take the penalty
+  JITTER: 0.5,                   // Seeded spread between equal scores; no mentions only
+  SECOND_RESPONDER_MARGIN: 1,    // The runner-up may join if within this of the leader
+  SECOND_RESPONDER_CHANCE: 0.4
+};
+
+// Autonomous Rounds
+// Characters talking among themselves while the user watches; a round is one reply
+const AUTONOMOUS_DEFAULTS = {
+  ROUNDS: 3,
+  MAX_ROUNDS: 10,
+  RECENT_TURNS: 2,        // Speakers within this many turns are held back
+  RECENCY_PENALTY: 1,
+  MENTION_BONUS: 2,       // Named in the previous reply
+  REPEAT_WINDOW: 4        // Earlier replies checked when detecting a stalled conversation
+};
+
+// Prompt Budgeting
+const PROMPT_BUDGET = {
+  DEFAULT_CHARS_PER_TOKEN: 4,
+  MESSAGE_OVERHEAD_TOKENS: 4,   // Role markers and separators per chat message
+  SAFETY_MARGIN: 0.05,          // Share of the window held back for estimate error
+  MIN_HISTORY_MESSAGES: 4,      // Recent turns kept ahead of optional layers
+  MAX_HISTORY_MESSAGES: 40,
+  // Optional prompt layers, most important first; the last is dropped first
+  LAYER_PRIORITY: ['scene', 'mood', 'lore', 'summary', 'relationship', 'memory', 'continuity']
+};
+
+// Rolling Session Summaries
+const SUMMARY_DEFAULTS = {
+  RECENT_MESSAGES: 20,    // Newest messages left to the chat history, never summarized
+  MIN_NEW_MESSAGES: 10,   // Older messages collected before the summary is refreshed
+  MESSAGES_PER_PASS: 50,  // Messages folded into the summary per model call
+  MAX_TOKENS: 400,
+  TEMPERATURE: 0.3
+};
+
+// Lorebooks
+const LOREBOOK_LIMITS = {
+  NAME_MAX: 100,
+  CONTENT_MAX: 4000,
+  MAX_KEYS: 20,
+  KEY_MAX: 100,
+  SCAN_DEPTH_MIN: 1,
+  SCAN_DEPTH_MAX: 50,
+  RECURSION_DEPTH_MAX: 3,
+  TOKEN_CAP_MIN: 10,
+  TOKEN_CAP_MAX: 1000,
+  TARGET_TYPES: ['character', 'scenario', 'session']
+};
+
+// Memory Embeddings
+// EMBEDDING_PROVIDER picks the embedder: local (default), ollama, openai or none
+const EMBEDDING_DEFAULTS = {
+  PROVIDER: 'local',
+  MODELS: {
+    local: 'Xenova/all-MiniLM-L6-v2',  // Runs on the CPU via @xenova/transformers
+    ollama: 'nomic-embed-text',
+    openai: 'text-embedding-3-small'
+  },
+  SEMANTIC_WEIGHT: 0.6,       // Relevance added by a perfect cosine match
+  SEMANTIC_CANDIDATES: 20,    // Closest memories considered beyond the recency window
+  BACKFILL_BATCH_SIZE: 32,
+  QUERY_CACHE_SIZE: 50
+};
+
+// Provider Resilience
+const PROVIDER_RESILIENCE = {
+  REQUEST_TIMEOUT_MS: 60 * 1000,         // Until the provider starts responding
+  LOCAL_REQUEST_TIMEOUT_MS: 180 * 1000,  // Ollama / LM Studio may load the model first
+  MAX_RETRIES: 2,                        // Per model in the chain
+  BASE_RETRY_DELAY_MS: 1000,             // Doubles each retry, with jitter
+  MAX_RETRY_DELAY_MS: 10 * 1000,
+  MAX_RETRY_AFTER_MS: 30 * 1000,         // Longer Retry-After waits move on to the next model
+  MAX_CHAIN_LENGTH: 4,                   // Primary model plus up to three fallbacks
+  CIRCUIT_FAILURE_THRESHOLD: 3,          // Consecutive failures before a provider is skipped
+  CIRCUIT_COOLDOWN_MS: 60 * 1000
+};
+
+// Ollama
+// Users can override these in their Ollama settings (keepAlive, seed)
+const OLLAMA_DEFAULTS = {
+  KEEP_ALIVE: '5m'                       // How long the model stays loaded after a reply
+};
+
+// Instruct Templates
+// Built-in prompt formats for raw completion on local backends. Each turn is
+// prefix + content + suffix; merge_system folds the system prompt into the
+// first user turn for formats without a system role
+const INSTRUCT_TEMPLATES = {
+  chatml: {
+    name: 'ChatML',
+    description: 'Qwen, Yi, Hermes, Dolphin and most OpenHermes finetunes',
+    system_prefix: '<|im_start|>system\n',
+    system_suffix: '<|im_end|>\n',
+    user_prefix: '<|im_start|>user\n',
+    user_suffix: '<|im_end|>\n',
+    assistant_prefix: '<|im_start|>assistant\n',
+    assistant_suffix: '<|im_end|>\n',
+    merge_system: false,
+    stop_sequences: ['<|im_end|>', '<|im_start|>']
+  },
+  llama3: {
+    name: 'Llama 3',
+    description: 'Llama 3, 3.1, 3.2 and 3.3 instruct models',
+    system_prefix: '<|start_header_id|>system<|end_header_id|>\n\n',
+    system_suffix: '<|eot_id|>',
+    user_prefix: '<|start_header_id|>user<|end_header_id|>\n\n',
+    user_suffix: '<|eot_id|>',
+    assistant_prefix: '<|start_header_id|>assistant<|end_header_id|>\n\n',
+    assistant_suffix: '<|eot_id|>',
+    merge_system: false,
+    stop_sequences: ['<|eot_id|>', '<|end_of_text|>']
+  },
+  mistral: {
+    name: 'Mistral [INST]',
+    description: 'Mistral and Mixtral instruct models',
+    system_prefix: '',
+    system_suffix: '',
+    user_prefix: '[INST] ',
+    user_suffix: ' [/INST]',
+    assistant_prefix: ' ',
+    assistant_suffix: '</s>',
+    merge_system: true,
+    stop_sequences: ['[INST]', '</s>']
+  },
+  alpaca: {
+    name: 'Alpaca',
+    description: 'Alpaca-style instruction finetunes',
+    system_prefix: '',
+    system_suffix: '\n\n',
+    user_prefix: '### Instruction:\n',
+    user_suffix: '\n\n',
+    assistant_prefix: '### Response:\n',
+    assistant_suffix: '\n\n',
+    merge_system: false,
+    stop_sequences: ['### Instruction:', '### Response:']
+  },
+  vicuna: {
+    name: 'Vicuna',
+    description: 'Vicuna 1.1 and its derivatives',
+    system_prefix: '',
+    system_suffix: '\n\n',
+    user_prefix: 'USER: ',
+    user_suffix: '\n',
+    assistant_prefix: 'ASSISTANT: ',
+    assistant_suffix: '</s>\n',
+    merge_system: false,
+    stop_sequences: ['USER:', '</s>']
+  },
+  gemma: {
+    name: 'Gemma',
+    description: 'Gemma, Gemma 2 and Gemma 3 instruct models',
+    system_prefix: '',
+    system_suffix: '',
+    user_prefix: '<start_of_turn>user\n',
+    user_suffix: '<end_of_turn>\n',
+    assistant_prefix: '<start_of_turn>model\n',
+    assistant_suffix: '<end_of_turn>\n',
+    merge_system: true,
+    stop_sequences: ['<end_of_turn>', '<start_of_turn>']
+  }
+};
+
+// Mock Provider
+// Offline stand-in for a real model; MOCK_PROVIDER_* environment variables override these
+const MOCK_PROVIDER = {
+  LATENCY_MS: 0,                         // Before the first token
+  TOKEN_DELAY_MS: 0,                     // Between streamed words
+  FAILURE_RATE: 0,                       // 0-1, chance that a call fails
+  FAILURE_STATUS: 503,                   // HTTP status the injected failures report
+  SEED: 1,
+  TEMPLATE: '{{char}} heard you say: {{last_user}}'
+};
+
+// Token Usage & Pricing
+// Prices are USD per million tokens and only estimates; users override them per model
+const USAGE_DEFAULTS = {
+  FREE_PROVIDERS: ['ollama', 'lmstudio', 'mock'],  // Local models cost nothing unless priced
+  PRICES: {
+    openai: {
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4-turbo': { input: 10, output: 30 },
+      'gpt-4': { input: 30, output: 60 },
+      'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+    },
+    anthropic: {
+      'claude-opus-4-6': { input: 5, output: 25 },
+      'claude-sonnet-4-6': { input: 3, output: 15 },
+      'claude-haiku-4-5': { input: 1, output: 5 }
+    },
+    google: {
+      'gemini-2.5-pro': { input: 1.25, output: 10 },
+      'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+      'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+      'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 }
+    }
+  },
+  DEFAULT_RANGE_DAYS: 30,
+  MAX_RANGE_DAYS: 366
+};
+
 // Default Entities
 const DEFAULT_IDS = {
   SCENARIOS: ['coffee-shop', 'study-group', 'party'],
@@ -78,7 +325,10 @@ const MEMORY_DEFAULTS = {
   MIN_IMPORTANCE_SCORE: 0.0,
   MAX_IMPORTANCE_SCORE: 1.0,
   DEFAULT_IMPORTANCE_SCORE: 0.5,
-  MEMORY_CONTENT_MIN_LENGTH: 75
+  MEMORY_CONTENT_MIN_LENGTH: 75,
+  MEMORY_CONTENT_MAX_LENGTH: 1000,
+  TYPES: ['episodic', 'semantic', 'emotional', 'relational'],
+  TARGET_TYPES: ['user', 'character', 'general']
 };
 
 module.exports = {
@@ -87,8 +337,22 @@ module.exports = {
   UPLOAD_LIMITS,
   PAGINATION,
   CHAT_DEFAULTS,
+  GROUP_DYNAMICS,
+  CHAT_COMMANDS,
+  MOOD_TRACKING,
+  RESPONDER_SCORING,
+  AUTONOMOUS_DEFAULTS,
+  PROMPT_BUDGET,
+  SUMMARY_DEFAULTS,
+  LOREBOOK_LIMITS,
+  EMBEDDING_DEFAULTS,
   DEFAULT_IDS,
   STRING_LIMITS,
   MEMORY_DEFAULTS,
-  MODEL_PARAMS
+  MODEL_PARAMS,
+  PROVIDER_RESILIENCE,
+  OLLAMA_DEFAULTS,
+  INSTRUCT_TEMPLATES,
+  MOCK_PROVIDER,
+  USAGE_DEFAULTS
 };
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+// backend/database/migrate.js
+// Command line for the local database migrations
+//
+//   npm run migrate -- status             list migrations and whether each is applied
+//   npm run migrate -- up [--to N]        apply pending migrations (up to version N)
+//   npm run migrate -- down [--to N]      roll back the newest migration (or down to version N)
+//
+// --db <path> selects a database other than the default data/local.db
+
+const Database = require('better-sqlite3');
+const { LocalDatabaseService } = require('../services/LocalDatabaseService');
+const MigrationService = require('../services/MigrationService');
+
+function parseArgs(argv) {
+    const args = { command: 'status', to: null, db: null };
+    const rest = [...argv];
+
+    if (rest[0] && !rest[0].startsWith('--')) {
+        args.command = rest.shift();
+    }
+    while (rest.length) {
+        const flag = rest.shift();
+        if (flag === '--to') {
+            args.to = parseInt(rest.shift(), 10);
+            if (Number.isNaN(args.to)) {
+                throw new Error('--to needs a version number');
+            }
+        } else if (flag === '--db') {
+            args.db = rest.shift();
+        } else {
+            throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+    return args;
+}
+
+function printStatus(migrations) {
+    if (migrations.length === 0) {
+        console.log('No migrations found.');
+        return;
+    }
+    for (const m of migrations) {
+        const state = m.missing ? 'missing' : m.applied ? 'applied' : 'pending';
+        const details = [
+            m.appliedAt && `at ${m.appliedAt}`,
+            !m.reversible && !m.missing && 'irreversible'
+        ].filter(Boolean).join(', ');
+        console.log(`${state.padEnd(8)} ${m.name}${details ? `  (${details})` : ''}`);
+    }
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    // Open the file directly: LocalDatabaseService.initialize() would migrate
+    // to the latest version before a rollback could run
+    const dbPath = args.db || new LocalDatabaseService().dbPath;
+    const db = new Database(dbPath);
+    db.pragma('foreign_keys = ON');
+
+    try {
+        const migrations = new MigrationService(db);
+        console.log(`Database: ${dbPath}`);
+
+        switch (args.command) {
+            case 'status':
+                printStatus(migrations.status());
+                break;
+            case 'up': {
+                const applied = migrations.migrate(args.to ?? Infinity);
+                console.log(applied.length ? `Now at version ${migrations.currentVersion()}.` : 'Already up to date.');
+                break;
+            }
+            case 'down': {
+                const rolledBack = migrations.rollback(args.to);
+                console.log(rolledBack.length ? `Now at version ${migrations.currentVersion()}.` : 'Nothing to roll back.');
+                break;
+            }
+            default:
+                throw new Error(`Unknown command: ${args.command} (expected status, up or down)`);
+        }
+    } finally {
+        db.close();
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Migration failed: ${error.message}`);
+    process.exitCode = 1;
+}
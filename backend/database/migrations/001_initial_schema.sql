@@ -1,6 +1,9 @@
 -- SQLite Local Database Schema for CHAIT-World
 -- This database stores all local/offline data: characters, scenarios, chats, memories, etc.
 -- Community data remains in Supabase
+--
+-- Migration 001: the baseline schema. Later changes go in new numbered
+-- migrations; never edit this file once a release has shipped it.
 
 -- =============================================================================
 -- CHARACTERS TABLE - Local character storage
@@ -100,12 +103,17 @@ CREATE TABLE IF NOT EXISTS chat_sessions (
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     message_count INTEGER DEFAULT 0,
     metadata TEXT DEFAULT '{"tone": "neutral", "key_topics": [], "avg_message_length": 0, "significant_moments": []}', -- JSON
-    FOREIGN KEY (scenario_id) REFERENCES scenarios(id) ON DELETE SET NULL
+    parent_session_id TEXT, -- session this one was forked from
+    root_session_id TEXT, -- original session of the branch family (NULL for the original itself)
+    forked_from_message_id INTEGER, -- last message copied from the parent
+    FOREIGN KEY (scenario_id) REFERENCES scenarios(id) ON DELETE SET NULL,
+    FOREIGN KEY (parent_session_id) REFERENCES chat_sessions(id) ON DELETE SET NULL
 );
 
 CREATE INDEX idx_chat_sessions_user ON chat_sessions(user_id);
 CREATE INDEX idx_chat_sessions_last_activity ON chat_sessions(last_activity);
 CREATE INDEX idx_chat_sessions_scenario ON chat_sessions(scenario_id);
+CREATE INDEX idx_chat_sessions_root ON chat_sessions(root_session_id);
 
 -- =============================================================================
 -- MESSAGES TABLE - All chat messages
@@ -125,6 +133,8 @@ CREATE TABLE IF NOT EXISTS messages (
     mood_intensity REAL CHECK(mood_intensity >= 0 AND mood_intensity <= 1),
     is_primary_response INTEGER DEFAULT 0,
     response_metadata TEXT DEFAULT '{"model": "", "provider": "", "tokens_used": 0, "temperature_used": 0.8}', -- JSON
+    alternatives TEXT DEFAULT '[]', -- JSON array of regenerated versions; content mirrors the selected one
+    selected_alternative INTEGER DEFAULT 0,
     FOREIGN KEY (session_id) REFERENCES chat_sessions(id) ON DELETE CASCADE,
     FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE SET NULL
 );
@@ -152,6 +162,9 @@ CREATE TABLE IF NOT EXISTS character_memories (
     embedding_hash TEXT,
     tags TEXT, -- JSON array
     compiled INTEGER DEFAULT 0, -- 1 = included in a personality_growth compile, pruned from active retrieval
+    source_message_id INTEGER, -- message the memory was extracted from (re-extracted when its version changes)
+    is_pinned INTEGER DEFAULT 0, -- 1 = always sent to the character
+    is_muted INTEGER DEFAULT 0, -- 1 = never sent to the character
     FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
     FOREIGN KEY (related_session_id) REFERENCES chat_sessions(id) ON DELETE SET NULL
 );
@@ -162,6 +175,18 @@ CREATE INDEX idx_memories_type ON character_memories(memory_type);
 CREATE INDEX idx_memories_importance ON character_memories(importance_score);
 CREATE INDEX idx_memories_last_accessed ON character_memories(last_accessed);
 
+-- One vector per memory, tagged with the embedder that produced it
+CREATE TABLE IF NOT EXISTS memory_embeddings (
+    memory_id TEXT PRIMARY KEY,
+    model TEXT NOT NULL, -- provider:model, e.g. local:Xenova/all-MiniLM-L6-v2
+    dimensions INTEGER NOT NULL,
+    vector BLOB NOT NULL, -- Float32Array bytes
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (memory_id) REFERENCES character_memories(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_memory_embeddings_model ON memory_embeddings(model);
+
 -- =============================================================================
 -- CHARACTER RELATIONSHIPS TABLE - Relationship tracking
 -- =============================================================================
@@ -409,6 +434,49 @@ CREATE TABLE IF NOT EXISTS scene_notes (
 CREATE INDEX idx_scene_notes_scenario ON scene_notes(scenario_id);
 CREATE INDEX idx_scene_notes_user ON scene_notes(user_id);
 
+-- =============================================================================
+-- LOREBOOKS TABLES - Keyword-triggered world info
+-- A lorebook can be linked to any number of characters, scenarios and sessions
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS lorebooks (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL CHECK(length(name) >= 1 AND length(name) <= 100),
+    description TEXT,
+    scan_depth INTEGER DEFAULT 4 CHECK(scan_depth >= 1 AND scan_depth <= 50), -- recent messages searched for keys
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_lorebooks_user ON lorebooks(user_id);
+
+CREATE TABLE IF NOT EXISTS lorebook_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lorebook_id TEXT NOT NULL,
+    keys TEXT NOT NULL DEFAULT '[]', -- JSON array of trigger keywords
+    content TEXT NOT NULL CHECK(length(content) >= 1 AND length(content) <= 4000),
+    insertion_order INTEGER DEFAULT 100, -- lower values are inserted first
+    recursion_depth INTEGER DEFAULT 0 CHECK(recursion_depth >= 0 AND recursion_depth <= 3), -- how many entry-to-entry hops may still trigger it
+    token_cap INTEGER DEFAULT 200 CHECK(token_cap >= 10 AND token_cap <= 1000),
+    is_enabled INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lorebook_id) REFERENCES lorebooks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_lorebook_entries_book ON lorebook_entries(lorebook_id);
+
+CREATE TABLE IF NOT EXISTS lorebook_links (
+    lorebook_id TEXT NOT NULL,
+    target_type TEXT NOT NULL CHECK(target_type IN ('character', 'scenario', 'session')),
+    target_id TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (lorebook_id, target_type, target_id),
+    FOREIGN KEY (lorebook_id) REFERENCES lorebooks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_lorebook_links_target ON lorebook_links(target_type, target_id);
+
 -- =============================================================================
 -- TRIGGERS FOR UPDATED_AT COLUMNS
 -- =============================================================================
@@ -484,13 +552,3 @@ END;
 -- =============================================================================
 -- Admin/token tables have been moved to Supabase for security
 -- See: supabase/migrations/20251225_admin_token_security.sql
-
--- =============================================================================
--- DATABASE VERSION TABLE
--- =============================================================================
-CREATE TABLE IF NOT EXISTS schema_version (
-    version INTEGER PRIMARY KEY,
-    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
-);
-
-INSERT INTO schema_version (version) VALUES (1);
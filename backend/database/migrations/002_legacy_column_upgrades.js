@@ -0,0 +1,258 @@
+// Migration 002: columns and tables that used to be added at startup by
+// LocalDatabaseService.runMigrations. Databases from before versioned
+// migrations may have any subset of them, so every step checks first.
+
+module.exports = {
+    up(db) {
+        // Check if user_settings_local table has the new columns
+        const tableInfo = db.prepare("PRAGMA table_info(user_settings_local)").all();
+        const columnNames = tableInfo.map(col => col.name);
+
+        // Add missing columns if they don't exist
+        if (!columnNames.includes('group_dynamics_mode')) {
+            db.exec("ALTER TABLE user_settings_local ADD COLUMN group_dynamics_mode TEXT DEFAULT 'natural'");
+        }
+
+        if (!columnNames.includes('message_delay')) {
+            db.exec("ALTER TABLE user_settings_local ADD COLUMN message_delay INTEGER DEFAULT 1200");
+        }
+
+        if (!columnNames.includes('admin_system_prompt')) {
+            db.exec("ALTER TABLE user_settings_local ADD COLUMN admin_system_prompt TEXT");
+        }
+
+        if (!columnNames.includes('is_admin')) {
+            db.exec("ALTER TABLE user_settings_local ADD COLUMN is_admin INTEGER DEFAULT 0");
+        }
+
+        if (!columnNames.includes('auto_approve_characters')) {
+            db.exec("ALTER TABLE user_settings_local ADD COLUMN auto_approve_characters INTEGER DEFAULT 0");
+        }
+
+        if (!columnNames.includes('use_ai_memory_extraction')) {
+            db.exec("ALTER TABLE user_settings_local ADD COLUMN use_ai_memory_extraction INTEGER DEFAULT 0");
+        }
+
+        // Add target tracking columns to character_memories table
+        const memTableInfo = db.prepare("PRAGMA table_info(character_memories)").all();
+        const memColumnNames = memTableInfo.map(col => col.name);
+
+        if (!memColumnNames.includes('target_type')) {
+            db.exec(`
+                ALTER TABLE character_memories ADD COLUMN target_type TEXT DEFAULT 'user' CHECK(target_type IN ('user', 'character', 'general'));
+            `);
+        }
+
+        if (!memColumnNames.includes('target_entity')) {
+            db.exec(`
+                ALTER TABLE character_memories ADD COLUMN target_entity TEXT;
+            `);
+        }
+
+        // Create index for character-to-character memories
+        db.exec('CREATE INDEX IF NOT EXISTS idx_memories_target ON character_memories(target_type, target_entity)');
+
+        // Create memory system tables if they don't exist
+        const tables = db.prepare("SELECT name FROM sqlite_master WHERE type='table'").all();
+        const tableNames = tables.map(t => t.name);
+
+        if (!tableNames.includes('character_learning')) {
+            db.exec(`
+                CREATE TABLE character_learning (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    character_id TEXT NOT NULL,
+                    learning_type TEXT CHECK(learning_type IN ('communication_style', 'topic_preference', 'emotional_response', 'humor_style')),
+                    pattern_data TEXT NOT NULL,
+                    confidence_score REAL DEFAULT 0.5 CHECK(confidence_score >= 0 AND confidence_score <= 1),
+                    usage_count INTEGER DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
+                    UNIQUE(character_id, learning_type)
+                );
+                CREATE INDEX idx_learning_character ON character_learning(character_id);
+                CREATE INDEX idx_learning_type ON character_learning(learning_type);
+            `);
+        }
+
+        if (!tableNames.includes('character_topic_engagement')) {
+            db.exec(`
+                CREATE TABLE character_topic_engagement (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    character_id TEXT NOT NULL,
+                    topic TEXT NOT NULL,
+                    interest_level REAL DEFAULT 0.5 CHECK(interest_level >= 0 AND interest_level <= 1),
+                    times_discussed INTEGER DEFAULT 1,
+                    last_discussed DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    emotional_association REAL DEFAULT 0.0 CHECK(emotional_association >= -1 AND emotional_association <= 1),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
+                    UNIQUE(character_id, topic)
+                );
+                CREATE INDEX idx_topic_engagement_character ON character_topic_engagement(character_id);
+                CREATE INDEX idx_topic_engagement_interest ON character_topic_engagement(interest_level);
+            `);
+        }
+
+        // Add granular model parameter columns to characters table
+        const charTableInfo = db.prepare("PRAGMA table_info(characters)").all();
+        const charColumnNames = charTableInfo.map(col => col.name);
+
+        if (!charColumnNames.includes('top_p')) {
+            db.exec("ALTER TABLE characters ADD COLUMN top_p REAL DEFAULT NULL");
+        }
+        if (!charColumnNames.includes('frequency_penalty')) {
+            db.exec("ALTER TABLE characters ADD COLUMN frequency_penalty REAL DEFAULT NULL");
+        }
+        if (!charColumnNames.includes('presence_penalty')) {
+            db.exec("ALTER TABLE characters ADD COLUMN presence_penalty REAL DEFAULT NULL");
+        }
+        if (!charColumnNames.includes('repetition_penalty')) {
+            db.exec("ALTER TABLE characters ADD COLUMN repetition_penalty REAL DEFAULT NULL");
+        }
+        if (!charColumnNames.includes('stop_sequences')) {
+            db.exec("ALTER TABLE characters ADD COLUMN stop_sequences TEXT DEFAULT NULL");
+        }
+
+        // Add granular model parameter columns to custom_models table
+        const customModelTableInfo = db.prepare("PRAGMA table_info(custom_models)").all();
+        const customModelColumnNames = customModelTableInfo.map(col => col.name);
+
+        if (!customModelColumnNames.includes('display_name')) {
+            db.exec("ALTER TABLE custom_models ADD COLUMN display_name TEXT");
+            // Backfill display_name from name for existing rows
+            db.exec("UPDATE custom_models SET display_name = name WHERE display_name IS NULL");
+        }
+        if (!customModelColumnNames.includes('custom_system_prompt')) {
+            db.exec("ALTER TABLE custom_models ADD COLUMN custom_system_prompt TEXT DEFAULT NULL");
+        }
+        if (!customModelColumnNames.includes('top_p')) {
+            db.exec("ALTER TABLE custom_models ADD COLUMN top_p REAL DEFAULT NULL");
+        }
+        if (!customModelColumnNames.includes('frequency_penalty')) {
+            db.exec("ALTER TABLE custom_models ADD COLUMN frequency_penalty REAL DEFAULT NULL");
+        }
+        if (!customModelColumnNames.includes('presence_penalty')) {
+            db.exec("ALTER TABLE custom_models ADD COLUMN presence_penalty REAL DEFAULT NULL");
+        }
+        if (!customModelColumnNames.includes('repetition_penalty')) {
+            db.exec("ALTER TABLE custom_models ADD COLUMN repetition_penalty REAL DEFAULT NULL");
+        }
+        if (!customModelColumnNames.includes('stop_sequences')) {
+            db.exec("ALTER TABLE custom_models ADD COLUMN stop_sequences TEXT DEFAULT NULL");
+        }
+
+        // Personality evolution columns on characters
+        if (!charColumnNames.includes('personality_size')) {
+            db.exec("ALTER TABLE characters ADD COLUMN personality_size TEXT DEFAULT 'small'");
+        }
+        if (!charColumnNames.includes('personality_growth')) {
+            db.exec("ALTER TABLE characters ADD COLUMN personality_growth TEXT DEFAULT NULL");
+        }
+        if (!charColumnNames.includes('memory_compile_interval')) {
+            db.exec("ALTER TABLE characters ADD COLUMN memory_compile_interval INTEGER DEFAULT 20");
+        }
+        if (!charColumnNames.includes('messages_since_compile')) {
+            db.exec("ALTER TABLE characters ADD COLUMN messages_since_compile INTEGER DEFAULT 0");
+        }
+        if (!charColumnNames.includes('personality_compiled_at')) {
+            db.exec("ALTER TABLE characters ADD COLUMN personality_compiled_at DATETIME DEFAULT NULL");
+        }
+
+        // compiled flag on character_memories
+        const memTableInfo2 = db.prepare("PRAGMA table_info(character_memories)").all();
+        const memColumnNames2 = memTableInfo2.map(col => col.name);
+        if (!memColumnNames2.includes('compiled')) {
+            db.exec("ALTER TABLE character_memories ADD COLUMN compiled INTEGER DEFAULT 0");
+        }
+        if (!memColumnNames2.includes('source_message_id')) {
+            db.exec("ALTER TABLE character_memories ADD COLUMN source_message_id INTEGER");
+        }
+        if (!memColumnNames2.includes('is_pinned')) {
+            db.exec("ALTER TABLE character_memories ADD COLUMN is_pinned INTEGER DEFAULT 0");
+        }
+        if (!memColumnNames2.includes('is_muted')) {
+            db.exec("ALTER TABLE character_memories ADD COLUMN is_muted INTEGER DEFAULT 0");
+        }
+
+        // Regenerated alternatives on messages
+        const msgTableInfo = db.prepare("PRAGMA table_info(messages)").all();
+        const msgColumnNames = msgTableInfo.map(col => col.name);
+        if (!msgColumnNames.includes('alternatives')) {
+            db.exec("ALTER TABLE messages ADD COLUMN alternatives TEXT DEFAULT '[]'");
+        }
+        if (!msgColumnNames.includes('selected_alternative')) {
+            db.exec("ALTER TABLE messages ADD COLUMN selected_alternative INTEGER DEFAULT 0");
+        }
+
+        // Conversation branching on chat_sessions
+        const sessionTableInfo = db.prepare("PRAGMA table_info(chat_sessions)").all();
+        const sessionColumnNames = sessionTableInfo.map(col => col.name);
+        if (!sessionColumnNames.includes('parent_session_id')) {
+            db.exec("ALTER TABLE chat_sessions ADD COLUMN parent_session_id TEXT REFERENCES chat_sessions(id) ON DELETE SET NULL");
+        }
+        if (!sessionColumnNames.includes('root_session_id')) {
+            db.exec("ALTER TABLE chat_sessions ADD COLUMN root_session_id TEXT");
+            db.exec("CREATE INDEX IF NOT EXISTS idx_chat_sessions_root ON chat_sessions(root_session_id)");
+        }
+        if (!sessionColumnNames.includes('forked_from_message_id')) {
+            db.exec("ALTER TABLE chat_sessions ADD COLUMN forked_from_message_id INTEGER");
+        }
+
+        // Lorebooks (keyword-triggered world info)
+        if (!tableNames.includes('lorebooks')) {
+            db.exec(`
+                CREATE TABLE lorebooks (
+                    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+                    user_id TEXT NOT NULL,
+                    name TEXT NOT NULL CHECK(length(name) >= 1 AND length(name) <= 100),
+                    description TEXT,
+                    scan_depth INTEGER DEFAULT 4 CHECK(scan_depth >= 1 AND scan_depth <= 50),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE INDEX idx_lorebooks_user ON lorebooks(user_id);
+
+                CREATE TABLE lorebook_entries (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    lorebook_id TEXT NOT NULL,
+                    keys TEXT NOT NULL DEFAULT '[]',
+                    content TEXT NOT NULL CHECK(length(content) >= 1 AND length(content) <= 4000),
+                    insertion_order INTEGER DEFAULT 100,
+                    recursion_depth INTEGER DEFAULT 0 CHECK(recursion_depth >= 0 AND recursion_depth <= 3),
+                    token_cap INTEGER DEFAULT 200 CHECK(token_cap >= 10 AND token_cap <= 1000),
+                    is_enabled INTEGER DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (lorebook_id) REFERENCES lorebooks(id) ON DELETE CASCADE
+                );
+                CREATE INDEX idx_lorebook_entries_book ON lorebook_entries(lorebook_id);
+
+                CREATE TABLE lorebook_links (
+                    lorebook_id TEXT NOT NULL,
+                    target_type TEXT NOT NULL CHECK(target_type IN ('character', 'scenario', 'session')),
+                    target_id TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (lorebook_id, target_type, target_id),
+                    FOREIGN KEY (lorebook_id) REFERENCES lorebooks(id) ON DELETE CASCADE
+                );
+                CREATE INDEX idx_lorebook_links_target ON lorebook_links(target_type, target_id);
+            `);
+        }
+
+        // Memory embeddings for semantic retrieval
+        if (!tableNames.includes('memory_embeddings')) {
+            db.exec(`
+                CREATE TABLE memory_embeddings (
+                    memory_id TEXT PRIMARY KEY,
+                    model TEXT NOT NULL,
+                    dimensions INTEGER NOT NULL,
+                    vector BLOB NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (memory_id) REFERENCES character_memories(id) ON DELETE CASCADE
+                );
+                CREATE INDEX idx_memory_embeddings_model ON memory_embeddings(model);
+            `);
+        }
+    }
+};
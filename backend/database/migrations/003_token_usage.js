@@ -0,0 +1,44 @@
+// Migration 003: token usage per generated reply, and per-user model prices.
+// Usage rows keep the session and character ids as plain columns so spend
+// history survives deleting the chat or the character.
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE token_usage (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT NOT NULL,
+                session_id TEXT,
+                message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+                character_id TEXT,
+                provider TEXT NOT NULL,
+                model TEXT NOT NULL,
+                prompt_tokens INTEGER NOT NULL DEFAULT 0,
+                completion_tokens INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_token_usage_user_created ON token_usage(user_id, created_at);
+            CREATE INDEX idx_token_usage_message ON token_usage(message_id);
+
+            -- USD per million tokens; overrides the built-in defaults for one user
+            CREATE TABLE model_prices (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT NOT NULL,
+                provider TEXT NOT NULL,
+                model TEXT NOT NULL,
+                input_per_million REAL NOT NULL CHECK(input_per_million >= 0),
+                output_per_million REAL NOT NULL CHECK(output_per_million >= 0),
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(user_id, provider, model)
+            );
+        `);
+    },
+
+    down(db) {
+        db.exec(`
+            DROP TABLE IF EXISTS model_prices;
+            DROP TABLE IF EXISTS token_usage;
+        `);
+    }
+};
@@ -0,0 +1,13 @@
+// Migration 004: an ordered list of fallback models per character, tried in
+// turn when the primary provider fails. The single fallback_provider /
+// fallback_model pair stays for older clients and is used when the list is empty.
+
+module.exports = {
+    up(db) {
+        db.exec('ALTER TABLE characters ADD COLUMN fallback_chain TEXT'); // JSON [{ provider, model }]
+    },
+
+    down(db) {
+        db.exec('ALTER TABLE characters DROP COLUMN fallback_chain');
+    }
+};
@@ -0,0 +1,39 @@
+// Migration 005: user-defined instruct templates, and the template a character
+// or custom model preset renders its prompt with. Built-in templates live in
+// InstructTemplateService; a NULL template keeps the provider's chat endpoint.
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE instruct_templates (
+                id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+                user_id TEXT NOT NULL,
+                name TEXT NOT NULL CHECK(length(name) >= 1 AND length(name) <= 100),
+                description TEXT,
+                system_prefix TEXT NOT NULL DEFAULT '',
+                system_suffix TEXT NOT NULL DEFAULT '',
+                user_prefix TEXT NOT NULL DEFAULT '',
+                user_suffix TEXT NOT NULL DEFAULT '',
+                assistant_prefix TEXT NOT NULL DEFAULT '',
+                assistant_suffix TEXT NOT NULL DEFAULT '',
+                merge_system INTEGER DEFAULT 0, -- fold the system prompt into the first user turn
+                stop_sequences TEXT, -- JSON array
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_instruct_templates_user ON instruct_templates(user_id);
+
+            ALTER TABLE characters ADD COLUMN instruct_template TEXT;
+            ALTER TABLE custom_models ADD COLUMN instruct_template TEXT;
+        `);
+    },
+
+    down(db) {
+        db.exec(`
+            ALTER TABLE custom_models DROP COLUMN instruct_template;
+            ALTER TABLE characters DROP COLUMN instruct_template;
+            DROP TABLE IF EXISTS instruct_templates;
+        `);
+    }
+};
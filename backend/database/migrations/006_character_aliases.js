@@ -0,0 +1,13 @@
+// Migration 006: other names a character answers to in group chat, such as
+// nicknames and titles. The responder planner matches them as whole words
+// alongside the character's name.
+
+module.exports = {
+    up(db) {
+        db.exec('ALTER TABLE characters ADD COLUMN aliases TEXT'); // JSON array of strings
+    },
+
+    down(db) {
+        db.exec('ALTER TABLE characters DROP COLUMN aliases');
+    }
+};
@@ -0,0 +1,15 @@
+// Migration 007: per-session group dynamics settings. group_mode already
+// exists; this adds the cap on replies per user message and the characters
+// muted in the session, who stay in the scene but are never picked to reply.
+
+module.exports = {
+    up(db) {
+        db.exec('ALTER TABLE chat_sessions ADD COLUMN max_responders INTEGER DEFAULT 3');
+        db.exec("ALTER TABLE chat_sessions ADD COLUMN muted_characters TEXT DEFAULT '[]'"); // JSON array of character ids
+    },
+
+    down(db) {
+        db.exec('ALTER TABLE chat_sessions DROP COLUMN muted_characters');
+        db.exec('ALTER TABLE chat_sessions DROP COLUMN max_responders');
+    }
+};
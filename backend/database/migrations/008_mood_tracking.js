@@ -0,0 +1,12 @@
+// Migration 008: how character moods are read from replies. 'heuristic'
+// matches mood words in the reply; 'ai' asks the character's model.
+
+module.exports = {
+    up(db) {
+        db.exec("ALTER TABLE user_settings_local ADD COLUMN mood_tracking TEXT DEFAULT 'heuristic'");
+    },
+
+    down(db) {
+        db.exec('ALTER TABLE user_settings_local DROP COLUMN mood_tracking');
+    }
+};
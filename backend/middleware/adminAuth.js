@@ -29,7 +29,7 @@ function getSupabase() {
  */
 async function requireAdmin(req, res, next) {
   try {
-    const userId = req.headers['user-id'];
+    const userId = req.userId;
 
     if (!userId) {
       return res.status(401).json({
@@ -72,7 +72,7 @@ async function requireAdmin(req, res, next) {
  */
 async function checkAdmin(req, res, next) {
   try {
-    const userId = req.headers['user-id'];
+    const userId = req.userId;
 
     if (!userId) {
       req.isAdmin = false;
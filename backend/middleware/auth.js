@@ -0,0 +1,244 @@
+// ============================================================================
+// Authentication Middleware
+// Verifies the bearer token on each request and sets req.userId from its
+// subject. In local-only mode every request belongs to one implicit user.
+// backend/middleware/auth.js
+// ============================================================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ALGORITHMS = {
+  HS256: { type: 'hmac', hash: 'sha256' },
+  HS384: { type: 'hmac', hash: 'sha384' },
+  HS512: { type: 'hmac', hash: 'sha512' },
+  RS256: { type: 'rsa', hash: 'sha256' },
+  RS384: { type: 'rsa', hash: 'sha384' },
+  RS512: { type: 'rsa', hash: 'sha512' },
+  ES256: { type: 'ec', hash: 'sha256' },
+  ES384: { type: 'ec', hash: 'sha384' },
+  ES512: { type: 'ec', hash: 'sha512' }
+};
+
+const JWKS_MAX_AGE_MS = 10 * 60 * 1000;     // Refetch keys every 10 minutes
+const JWKS_MIN_REFETCH_MS = 30 * 1000;      // ...but no more than every 30s for unknown kids
+const CLOCK_SKEW_SECONDS = 30;
+
+// Signing keys from AUTH_JWKS, by kid
+let jwksCache = { source: null, keys: new Map(), fetchedAt: 0 };
+
+/**
+ * Read the auth settings from the environment
+ * AUTH_MODE=local           - single implicit user (LOCAL_USER_ID), no tokens
+ * AUTH_JWT_SECRET           - HMAC secret (e.g. the Supabase project's JWT secret)
+ * AUTH_JWKS                 - JWKS URL or file path; defaults to the Supabase project's JWKS
+ * AUTH_JWT_AUDIENCE / _ISSUER - expected claims (audience defaults to 'authenticated')
+ */
+function getAuthConfig() {
+  const supabaseJwks = process.env.SUPABASE_URL
+    ? `${process.env.SUPABASE_URL.replace(/\/$/, '')}/auth/v1/.well-known/jwks.json`
+    : null;
+
+  return {
+    localOnly: process.env.AUTH_MODE === 'local',
+    localUserId: process.env.LOCAL_USER_ID || 'local-user',
+    secret: process.env.AUTH_JWT_SECRET || null,
+    jwks: process.env.AUTH_JWKS || supabaseJwks,
+    audience: process.env.AUTH_JWT_AUDIENCE ?? 'authenticated',
+    issuer: process.env.AUTH_JWT_ISSUER || null
+  };
+}
+
+function authError(message) {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Load the JWKS from a URL or a local file
+ */
+async function loadJwks(source) {
+  let jwks;
+  if (/^https?:\/\//i.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`JWKS request failed: ${response.status}`);
+    }
+    jwks = await response.json();
+  } else {
+    jwks = JSON.parse(fs.readFileSync(source, 'utf8'));
+  }
+
+  return new Map((jwks.keys || []).map(jwk => [jwk.kid || '', jwk]));
+}
+
+/**
+ * Find the signing key for a token, refetching the JWKS when it is stale
+ * or when the token names a key we have not seen
+ */
+async function getSigningKey(kid = '', source) {
+  const now = Date.now();
+  const cacheValid = jwksCache.source === source && now - jwksCache.fetchedAt < JWKS_MAX_AGE_MS;
+  const canRefetch = jwksCache.source !== source || now - jwksCache.fetchedAt > JWKS_MIN_REFETCH_MS;
+
+  if (!cacheValid || (!jwksCache.keys.has(kid) && canRefetch)) {
+    jwksCache = { source, keys: await loadJwks(source), fetchedAt: now };
+  }
+
+  // A token without a kid can only be matched against a single-key set
+  if (!kid && jwksCache.keys.size === 1) {
+    return [...jwksCache.keys.values()][0];
+  }
+  return jwksCache.keys.get(kid) || null;
+}
+
+/**
+ * Verify a JWT's signature and claims
+ * @returns {Promise<Object>} The token payload
+ * @throws {Error} statusCode 401 when the token is not acceptable
+ */
+async function verifyToken(token, config = getAuthConfig()) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw authError('Malformed token');
+  }
+
+  let header, payload;
+  try {
+    header = decodeSegment(parts[0]);
+    payload = decodeSegment(parts[1]);
+  } catch (error) {
+    throw authError('Malformed token');
+  }
+
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw authError('Unsupported token algorithm');
+  }
+
+  const signingInput = Buffer.from(`${parts[0]}.${parts[1]}`);
+  const signature = Buffer.from(parts[2], 'base64url');
+  let valid;
+
+  if (algorithm.type === 'hmac') {
+    if (!config.secret) {
+      throw authError('Token signing secret is not configured');
+    }
+    const expected = crypto.createHmac(algorithm.hash, config.secret).update(signingInput).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else {
+    if (!config.jwks) {
+      throw authError('Token signing keys are not configured');
+    }
+
+    let jwk;
+    try {
+      jwk = await getSigningKey(header.kid, config.jwks);
+    } catch (error) {
+      console.error('[Auth] Failed to load JWKS:', error.message);
+      throw authError('Token signing keys are unavailable');
+    }
+    const expectedKty = algorithm.type === 'rsa' ? 'RSA' : 'EC';
+    if (!jwk || jwk.kty !== expectedKty || (jwk.alg && jwk.alg !== header.alg)) {
+      throw authError('Unknown token signing key');
+    }
+
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    valid = crypto.verify(
+      algorithm.hash,
+      signingInput,
+      algorithm.type === 'ec' ? { key, dsaEncoding: 'ieee-p1363' } : key,
+      signature
+    );
+  }
+
+  if (!valid) {
+    throw authError('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp === 'number' && now > payload.exp + CLOCK_SKEW_SECONDS) {
+    throw authError('Token expired');
+  }
+  if (typeof payload.nbf === 'number' && now < payload.nbf - CLOCK_SKEW_SECONDS) {
+    throw authError('Token not yet valid');
+  }
+  if (config.audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(config.audience)) {
+      throw authError('Token audience mismatch');
+    }
+  }
+  if (config.issuer && payload.iss !== config.issuer) {
+    throw authError('Token issuer mismatch');
+  }
+  if (!payload.sub) {
+    throw authError('Token has no subject');
+  }
+
+  return payload;
+}
+
+/**
+ * Identify the caller from the Authorization header
+ * Sets req.userId when the bearer token verifies; never rejects, so public
+ * routes still work anonymously. Pair with requireAuth on protected routes.
+ */
+async function authenticate(req, res, next) {
+  const config = getAuthConfig();
+
+  if (config.localOnly) {
+    req.userId = config.localUserId;
+    return next();
+  }
+
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return next();
+  }
+
+  try {
+    const payload = await verifyToken(match[1], config);
+    req.userId = payload.sub;
+    req.auth = payload;
+  } catch (error) {
+    req.authError = error.message;
+  }
+  next();
+}
+
+/**
+ * Reject requests without a verified user
+ */
+function requireAuth(req, res, next) {
+  if (!req.userId) {
+    return res.status(401).json({ error: req.authError || 'Authentication required' });
+  }
+  next();
+}
+
+/**
+ * Log how requests will be authenticated; called once at startup
+ */
+function logAuthMode() {
+  const config = getAuthConfig();
+
+  if (config.localOnly) {
+    console.log(`[Auth] Local-only mode: all requests act as "${config.localUserId}"`);
+  } else if (!config.secret && !config.jwks) {
+    console.warn('[Auth] Neither AUTH_JWT_SECRET nor AUTH_JWKS is set; every authenticated request will be rejected. Set AUTH_MODE=local for offline use.');
+  }
+}
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  verifyToken,
+  getAuthConfig,
+  logAuthMode
+};
@@ -1,6 +1,11 @@
-const rateLimit = require('express-rate-limit');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
 const { RATE_LIMITS } = require('../constants/defaults');
 
+/**
+ * Key requests by the user set by the auth middleware, or by IP when anonymous
+ */
+const userOrIpKey = (req) => req.userId || ipKeyGenerator(req.ip);
+
 /**
  * Rate limiter for AI API calls to prevent abuse and control costs
  */
@@ -12,11 +17,8 @@ const aiCallLimiter = rateLimit({
   },
   standardHeaders: true, // Return rate limit info in `RateLimit-*` headers
   legacyHeaders: false, // Disable `X-RateLimit-*` headers
-  // Use user ID as key for per-user rate limiting
-  keyGenerator: (req) => {
-    // Use user-id header if available, otherwise fall back to standardKeyGenerator behavior
-    return req.headers['user-id'];
-  }
+  // Use the verified user ID as key for per-user rate limiting
+  keyGenerator: userOrIpKey
 });
 
 /**
@@ -31,9 +33,7 @@ const generalLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
-  keyGenerator: (req) => {
-    return req.headers['user-id'];
-  }
+  keyGenerator: userOrIpKey
 });
 
 /**
@@ -47,9 +47,7 @@ const uploadLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
-  keyGenerator: (req) => {
-    return req.headers['user-id'];
-  }
+  keyGenerator: userOrIpKey
 });
 
 module.exports = {
@@ -3,7 +3,25 @@
 
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const PersonalityEvolutionService = require('../services/PersonalityEvolutionService');
+const CharacterCardService = require('../services/CharacterCardService');
+const ImageService = require('../services/ImageService');
+const { uploadLimiter } = require('../middleware/rateLimiter');
+
+// Character cards are parsed in memory; only the avatar is written to uploads
+const cardUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        if (!/\.(png|json)$/i.test(file.originalname)) {
+            return cb(new Error('Character cards must be .png or .json files'));
+        }
+        cb(null, true);
+    }
+});
 
 module.exports = (characterService, db) => {
     /**
@@ -116,6 +134,9 @@ module.exports = (characterService, db) => {
                 req.params.id,
                 characterData
             );
+            if (!character) {
+                return res.status(404).json({ error: 'Character not found' });
+            }
 
             res.json({
                 ...character,
@@ -151,6 +172,9 @@ module.exports = (characterService, db) => {
                 req.userId,
                 req.params.id
             );
+            if (!result) {
+                return res.status(404).json({ error: 'Character not found' });
+            }
             res.json(result);
         } catch (error) {
             console.error('Error deleting character:', error);
@@ -158,6 +182,128 @@ module.exports = (characterService, db) => {
         }
     });
 
+    /**
+     * Import a Character Card V2 (PNG with a `chara` chunk, or JSON)
+     * POST /api/characters/import
+     * Accepts a multipart `card` file, or the card JSON as the request body
+     */
+    router.post('/import', uploadLimiter, (req, res, next) => {
+        cardUpload.single('card')(req, res, (err) => {
+            if (err) {
+                return res.status(400).json({ error: err.message });
+            }
+            next();
+        });
+    }, async (req, res) => {
+        try {
+            let card;
+            let isPng = false;
+
+            if (req.file) {
+                ({ card, isPng } = CharacterCardService.parseFile(req.file.buffer));
+            } else if (req.body && Object.keys(req.body).length > 0) {
+                card = CharacterCardService.normalizeCard(req.body);
+            } else {
+                return res.status(400).json({ error: 'No character card uploaded' });
+            }
+
+            const { characterData, lorebook, warnings } = CharacterCardService.toCharacterData(card);
+
+            // The card image doubles as the avatar
+            let imageData = null;
+            if (isPng) {
+                const imageService = new ImageService(db.supabase);
+                const filename = imageService.saveImageBuffer(req.file.buffer, req.userId, '.png');
+                imageData = { url: `/uploads/${filename}`, filename, useCustomImage: true };
+
+                Object.assign(characterData, {
+                    avatar_image_url: imageData.url,
+                    avatar_image_filename: filename,
+                    uses_custom_image: true
+                });
+            }
+
+            const character = await db.createCharacter(req.userId, characterData);
+            if (imageData) {
+                await db.updateCharacterImage(req.userId, character.id, imageData);
+            }
+
+            let importedLorebook = null;
+            if (lorebook && lorebook.entries.length > 0) {
+                const { entries, ...bookData } = lorebook;
+                importedLorebook = await db.createLorebook(req.userId, bookData);
+                for (const entry of entries) {
+                    await db.createLorebookEntry(importedLorebook.id, entry);
+                }
+                await db.linkLorebook(importedLorebook.id, 'character', character.id);
+                importedLorebook = await db.getLorebook(req.userId, importedLorebook.id);
+            }
+
+            res.status(201).json({
+                character,
+                lorebook: importedLorebook,
+                warnings,
+                message: 'Character imported successfully'
+            });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            console.error('Error importing character card:', error);
+            res.status(500).json({ error: 'Failed to import character card' });
+        }
+    });
+
+    /**
+     * Export a character as a Character Card V2
+     * GET /api/characters/:id/export?format=png|json
+     */
+    router.get('/:id/export', async (req, res) => {
+        try {
+            const format = req.query.format || 'png';
+            if (!['png', 'json'].includes(format)) {
+                return res.status(400).json({ error: 'format must be png or json' });
+            }
+
+            const character = await db.getCharacter(req.params.id, req.userId);
+            if (!character) {
+                return res.status(404).json({ error: 'Character not found' });
+            }
+
+            const linkedBooks = (await db.getLorebooks(req.userId)).filter(book =>
+                book.links.some(link => link.target_type === 'character' && link.target_id === character.id)
+            );
+            const lorebooks = await Promise.all(linkedBooks.map(book => db.getLorebook(req.userId, book.id)));
+
+            const card = CharacterCardService.fromCharacter(character, lorebooks);
+            const baseName = character.name.replace(/[^\w\- ]+/g, '').trim() || 'character';
+
+            if (format === 'json') {
+                res.setHeader('Content-Disposition', `attachment; filename="${baseName}.json"`);
+                return res.json(card);
+            }
+
+            // Embed into the avatar when it is a local PNG, otherwise a plain placeholder
+            const imageService = new ImageService(db.supabase);
+            const avatar = character.uses_custom_image && character.avatar_image_filename
+                ? imageService.readLocalImage(character.avatar_image_filename)
+                : null;
+            const image = avatar && CharacterCardService.isPng(avatar)
+                ? avatar
+                : CharacterCardService.createPlaceholderPng();
+
+            res.setHeader('Content-Type', 'image/png');
+            res.setHeader('Content-Disposition', `attachment; filename="${baseName}.png"`);
+            res.send(CharacterCardService.embedCard(image, card));
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            console.error('Error exporting character card:', error);
+            res.status(500).json({ error: 'Failed to export character card' });
+        }
+    });
+
     /**
      * Manually compile personality growth from uncompiled memories
      * POST /api/characters/:id/compile
@@ -167,8 +313,9 @@ module.exports = (characterService, db) => {
             if (!db) {
                 return res.status(500).json({ error: 'Database not available' });
             }
-            const character = db.localDb.getCharacter(req.params.id);
-            if (!character) {
+            // Growth is stored on the character, so only its owner can compile it
+            const character = db.localDb.getCharacter(req.params.id, req.userId);
+            if (!character || character.user_id !== req.userId) {
                 return res.status(404).json({ error: 'Character not found' });
             }
 
@@ -205,7 +352,10 @@ module.exports = (characterService, db) => {
             if (!db) {
                 return res.status(500).json({ error: 'Database not available' });
             }
-            db.localDb.clearPersonalityGrowth(req.params.id);
+            const result = db.localDb.clearPersonalityGrowth(req.params.id, req.userId);
+            if (result.changes === 0) {
+                return res.status(404).json({ error: 'Character not found' });
+            }
             res.json({ message: 'Personality growth cleared' });
         } catch (error) {
             console.error('Error clearing personality growth:', error);
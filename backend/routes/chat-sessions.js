@@ -3,8 +3,64 @@
 
 const express = require('express');
 const router = express.Router();
+const ConversationSummaryService = require('../services/ConversationSummaryService');
+const MoodService = require('../services/MoodService');
+const { GROUP_DYNAMICS } = require('../constants/defaults');
 
 module.exports = (db) => {
+    const summaryService = new ConversationSummaryService(db);
+    const moodService = new MoodService(db);
+
+    /**
+     * Drop the saved prompt inspection from a message and its alternatives
+     */
+    function withoutPromptInspection(message) {
+        const strip = (metadata) => {
+            if (!metadata?.prompt_inspection) return metadata;
+            const { prompt_inspection, ...rest } = metadata;
+            return rest;
+        };
+
+        return {
+            ...message,
+            response_metadata: strip(message.response_metadata),
+            alternatives: message.alternatives?.map(alt => ({ ...alt, response_metadata: strip(alt.response_metadata) }))
+        };
+    }
+
+    /**
+     * Validate the group dynamics fields a session can be created or updated with
+     * @returns {string|null} Error message, or null if the fields are usable
+     */
+    function validateGroupSettings({ group_mode, max_responders, muted_characters }) {
+        if (group_mode !== undefined && !GROUP_DYNAMICS.MODES.includes(group_mode)) {
+            return `group_mode must be one of: ${GROUP_DYNAMICS.MODES.join(', ')}`;
+        }
+        if (max_responders !== undefined &&
+            (!Number.isInteger(max_responders) || max_responders < 1 || max_responders > GROUP_DYNAMICS.MAX_RESPONDERS_LIMIT)) {
+            return `max_responders must be a whole number from 1 to ${GROUP_DYNAMICS.MAX_RESPONDERS_LIMIT}`;
+        }
+        if (muted_characters !== undefined &&
+            (!Array.isArray(muted_characters) || muted_characters.some(id => typeof id !== 'string'))) {
+            return 'muted_characters must be a list of character ids';
+        }
+        return null;
+    }
+
+    /**
+     * Group dynamics for a new session; the mode defaults to the user's setting
+     */
+    async function newSessionGroupSettings(userId, body) {
+        const { group_mode, max_responders, muted_characters } = body;
+        const defaultMode = (await db.getUserSettings(userId))?.groupDynamicsMode;
+        return {
+            group_mode: group_mode ||
+                (GROUP_DYNAMICS.MODES.includes(defaultMode) ? defaultMode : GROUP_DYNAMICS.DEFAULT_MODE),
+            max_responders: max_responders || GROUP_DYNAMICS.MAX_RESPONDERS,
+            muted_characters: muted_characters || []
+        };
+    }
+
     /**
      * Create a new chat session
      * POST /api/chat/sessions
@@ -13,18 +69,26 @@ module.exports = (db) => {
         try {
             const { scenario, activeCharacters, title } = req.body;
 
+            const validationError = validateGroupSettings(req.body);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
             // Get scenario name for better default title
             let defaultTitle = 'New Chat';
             if (scenario) {
-                const scenarioData = db.getScenario(scenario);
+                const scenarioData = await db.getScenario(req.userId, scenario);
+                if (!scenarioData) {
+                    return res.status(404).json({ error: 'Scenario not found' });
+                }
                 defaultTitle = scenarioData ? `${scenarioData.name} - ${new Date().toLocaleDateString()}` : 'New Chat';
             }
 
             const session = await db.createChatSession(req.userId, {
-                scenario,
-                activeCharacters,
+                scenario_id: scenario,
+                active_characters: activeCharacters,
                 title: title || defaultTitle,
-                groupMode: 'natural'
+                ...(await newSessionGroupSettings(req.userId, req.body))
             });
 
             res.status(201).json(session);
@@ -46,17 +110,26 @@ module.exports = (db) => {
                 return res.status(400).json({ error: 'Missing required fields' });
             }
 
+            const validationError = validateGroupSettings(req.body);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            if (!(await db.getScenario(req.userId, scenario_id))) {
+                return res.status(404).json({ error: 'Scenario not found' });
+            }
+
             // Create the session
             const session = await db.createChatSession(req.userId, {
                 scenario_id: scenario_id,
                 active_characters: active_characters,
                 title: title || `Chat - ${new Date().toLocaleDateString()}`,
-                group_mode: 'natural'
+                ...(await newSessionGroupSettings(req.userId, req.body))
             });
 
             // Add the initial message if provided
             if (initial_message) {
-                await db.saveChatMessage(session.id, {
+                await db.saveChatMessage(req.userId, session.id, {
                     type: 'system',
                     content: initial_message
                 });
@@ -98,9 +171,11 @@ module.exports = (db) => {
                 return res.status(404).json({ error: 'Chat session not found' });
             }
             
-            // Get messages for this session
-            const messages = await db.getChatMessages(req.params.sessionId, 100);
-            session.messages = messages;
+            // Get messages for this session; prompt inspections are heavy and
+            // fetched per message from /api/chat/messages/:messageId/inspection
+            const messages = await db.getChatMessages(req.userId, session.id, 100);
+            session.messages = messages.map(withoutPromptInspection);
+            session.character_moods = moodService.getSessionMoods(session.id, req.userId);
             
             res.json(session);
         } catch (error) {
@@ -110,13 +185,139 @@ module.exports = (db) => {
     });
 
     /**
-     * Update chat session
+     * Fork a chat session at a message into a new branch
+     * POST /api/chat/sessions/:sessionId/fork
+     */
+    router.post('/sessions/:sessionId/fork', async (req, res) => {
+        try {
+            const { messageId, title } = req.body;
+
+            if (!messageId) {
+                return res.status(400).json({ error: 'messageId is required' });
+            }
+
+            const session = await db.getChatSession(req.userId, req.params.sessionId);
+            if (!session) {
+                return res.status(404).json({ error: 'Chat session not found' });
+            }
+
+            const branch = await db.forkChatSession(req.userId, session.id, messageId, title);
+            if (!branch) {
+                return res.status(404).json({ error: 'Message not found in this session' });
+            }
+
+            res.status(201).json(branch);
+        } catch (error) {
+            console.error('Error forking chat session:', error);
+            res.status(500).json({ error: 'Failed to fork chat session' });
+        }
+    });
+
+    /**
+     * Get the rolling summary of a session's older messages
+     * GET /api/chat/sessions/:sessionId/summary
+     */
+    router.get('/sessions/:sessionId/summary', async (req, res) => {
+        try {
+            const session = await db.getChatSession(req.userId, req.params.sessionId);
+            if (!session) {
+                return res.status(404).json({ error: 'Chat session not found' });
+            }
+
+            res.json({ summary: summaryService.getSummary(session.id, req.userId) });
+        } catch (error) {
+            console.error('Error fetching session summary:', error);
+            res.status(500).json({ error: 'Failed to fetch session summary' });
+        }
+    });
+
+    /**
+     * Replace the summary text by hand
+     * PUT /api/chat/sessions/:sessionId/summary
+     */
+    router.put('/sessions/:sessionId/summary', async (req, res) => {
+        try {
+            const { text } = req.body;
+
+            if (typeof text !== 'string') {
+                return res.status(400).json({ error: 'text must be a string' });
+            }
+
+            const session = await db.getChatSession(req.userId, req.params.sessionId);
+            if (!session) {
+                return res.status(404).json({ error: 'Chat session not found' });
+            }
+
+            res.json({ summary: summaryService.editSummary(session.id, req.userId, text.trim()) });
+        } catch (error) {
+            console.error('Error updating session summary:', error);
+            res.status(500).json({ error: 'Failed to update session summary' });
+        }
+    });
+
+    /**
+     * Rebuild the summary from the session's messages
+     * POST /api/chat/sessions/:sessionId/summary/regenerate
+     */
+    router.post('/sessions/:sessionId/summary/regenerate', async (req, res) => {
+        try {
+            const { characterId, userPersona } = req.body || {};
+
+            const session = await db.getChatSession(req.userId, req.params.sessionId);
+            if (!session) {
+                return res.status(404).json({ error: 'Chat session not found' });
+            }
+
+            // Without a dedicated summary model, the chosen (or first) character's model is used
+            const activeCharacters = session.active_characters || [];
+            const characterIdToUse = activeCharacters.includes(characterId) ? characterId : activeCharacters[0];
+            const character = characterIdToUse ? await db.getCharacter(characterIdToUse, req.userId) : null;
+
+            const userSettings = await db.getUserSettings(req.userId);
+            const ollamaSettings = {
+                ...(userSettings?.ollamaSettings || { baseUrl: 'http://localhost:11434' }),
+                lmStudioSettings: userSettings?.lmStudioSettings || { baseUrl: 'http://127.0.0.1:1234' }
+            };
+
+            const summary = await summaryService.regenerate(session.id, req.userId, {
+                character: character || undefined,
+                apiKeys: userSettings?.apiKeys || {},
+                ollamaSettings,
+                userName: userPersona?.name
+            });
+
+            res.json({ summary });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            console.error('Error regenerating session summary:', error);
+            res.status(500).json({ error: 'Failed to regenerate session summary' });
+        }
+    });
+
+    /**
+     * Update chat session: its title and group dynamics
      * PUT /api/chat/sessions/:sessionId
      */
     router.put('/sessions/:sessionId', async (req, res) => {
         try {
-            const { title } = req.body;
-            const session = await db.updateChatSession(req.userId, req.params.sessionId, { title });
+            const validationError = validateGroupSettings(req.body);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const updates = {};
+            for (const key of ['title', 'group_mode', 'max_responders', 'muted_characters']) {
+                if (req.body[key] !== undefined) updates[key] = req.body[key];
+            }
+
+            const session = Object.keys(updates).length > 0
+                ? await db.updateChatSession(req.userId, req.params.sessionId, updates)
+                : await db.getChatSession(req.userId, req.params.sessionId);
+            if (!session) {
+                return res.status(404).json({ error: 'Chat session not found' });
+            }
             res.json(session);
         } catch (error) {
             console.error('Error updating chat session:', error);
@@ -130,7 +331,10 @@ module.exports = (db) => {
      */
     router.delete('/sessions/:sessionId', async (req, res) => {
         try {
-            await db.deleteChatSession(req.userId, req.params.sessionId);
+            const result = await db.deleteChatSession(req.userId, req.params.sessionId);
+            if (result.changes === 0) {
+                return res.status(404).json({ error: 'Chat session not found' });
+            }
             res.json({ message: 'Chat session deleted successfully' });
         } catch (error) {
             console.error('Error deleting chat session:', error);
@@ -103,10 +103,10 @@ module.exports = (communityService, characterService, db) => {
                 return res.status(401).json({ error: 'Authentication required' });
             }
             
-            // Get character from local database
-            const character = await db.getCharacter(req.params.id);
+            // Get character from local database; only the owner may publish it
+            const character = await db.getCharacter(req.params.id, req.userId);
 
-            if (!character) {
+            if (!character || character.user_id !== req.userId) {
                 return res.status(404).json({ error: 'Character not found' });
             }
 
@@ -398,7 +398,7 @@ module.exports = (communityService, characterService, db) => {
 
             // Get the scene from local database first
             const localScene = await db.getScenario(req.userId, req.params.id);
-            if (!localScene) {
+            if (!localScene || localScene.user_id !== req.userId) {
                 return res.status(404).json({ error: 'Scene not found' });
             }
 
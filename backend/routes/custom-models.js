@@ -20,7 +20,7 @@ module.exports = (db) => {
     // GET /api/custom-models/:id
     router.get('/:id', async (req, res) => {
         try {
-            const model = await db.getCustomModel(req.params.id);
+            const model = await db.getCustomModel(req.params.id, req.userId);
             if (!model) return res.status(404).json({ error: 'Model not found' });
             res.json(model);
         } catch (err) {
@@ -35,7 +35,7 @@ module.exports = (db) => {
             const { name, display_name, description, provider, model_id,
                     custom_system_prompt, temperature, max_tokens,
                     top_p, frequency_penalty, presence_penalty, repetition_penalty,
-                    stop_sequences, tags } = req.body;
+                    stop_sequences, instruct_template, tags } = req.body;
 
             if (!name || !provider || !model_id) {
                 return res.status(400).json({ error: 'name, provider, and model_id are required' });
@@ -45,7 +45,7 @@ module.exports = (db) => {
                 name, display_name, description, provider, model_id,
                 custom_system_prompt, temperature, max_tokens,
                 top_p, frequency_penalty, presence_penalty, repetition_penalty,
-                stop_sequences, tags
+                stop_sequences, instruct_template, tags
             });
 
             res.status(201).json(model);
@@ -58,10 +58,8 @@ module.exports = (db) => {
     // PUT /api/custom-models/:id — update a preset
     router.put('/:id', async (req, res) => {
         try {
-            const existing = await db.getCustomModel(req.params.id);
-            if (!existing) return res.status(404).json({ error: 'Model not found' });
-
-            const model = await db.updateCustomModel(req.params.id, req.body);
+            const model = await db.updateCustomModel(req.params.id, req.userId, req.body);
+            if (!model) return res.status(404).json({ error: 'Model not found' });
             res.json(model);
         } catch (err) {
             console.error('[custom-models] PUT /:id', err);
@@ -72,10 +70,8 @@ module.exports = (db) => {
     // DELETE /api/custom-models/:id
     router.delete('/:id', async (req, res) => {
         try {
-            const existing = await db.getCustomModel(req.params.id);
-            if (!existing) return res.status(404).json({ error: 'Model not found' });
-
-            await db.deleteCustomModel(req.params.id);
+            const result = await db.deleteCustomModel(req.params.id, req.userId);
+            if (result.changes === 0) return res.status(404).json({ error: 'Model not found' });
             res.json({ success: true });
         } catch (err) {
             console.error('[custom-models] DELETE /:id', err);
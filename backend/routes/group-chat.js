@@ -14,10 +14,16 @@ const CharacterLearningService = require('../services/CharacterLearningService')
 // New consistency services
 const PromptBuilder = require('../services/PromptBuilder');
 const ProviderAdapter = require('../services/ProviderAdapter');
+const PromptBudgeter = require('../services/PromptBudgeter');
 const ConversationStateTracker = require('../services/ConversationStateTracker');
 const ResponsePlanner = require('../services/ResponsePlanner');
 const MemoryRelevanceService = require('../services/MemoryRelevanceService');
 const SessionContinuityService = require('../services/SessionContinuityService');
+const ConversationSummaryService = require('../services/ConversationSummaryService');
+const UsageService = require('../services/UsageService');
+const ChatCommandService = require('../services/ChatCommandService');
+const MoodService = require('../services/MoodService');
+const { AUTONOMOUS_DEFAULTS, GROUP_DYNAMICS } = require('../constants/defaults');
 
 // Export function that accepts db parameter
 module.exports = (db) => {
@@ -28,6 +34,10 @@ module.exports = (db) => {
   const promptBuilder = new PromptBuilder();
   const conversationTracker = new ConversationStateTracker();
   const sessionContinuity = new SessionContinuityService(db);
+  const summaryService = new ConversationSummaryService(db);
+  const usageService = new UsageService(db);
+  const commandService = new ChatCommandService(db);
+  const moodService = new MoodService(db);
 
   /**
    * Extract topics from text using keyword and phrase detection
@@ -82,95 +92,420 @@ module.exports = (db) => {
     return 0.0;
   }
 
-/**
- * POST /api/chat/group-response
- * Simplified group chat with core decision logic
- */
-router.post('/group-response', aiCallLimiter, async (req, res) => {
-  try {
-    const {
-      userMessage,
-      conversationHistory,
-      activeCharacters,
-      sessionId,
-      userPersona,
-      currentScene
-    } = req.body;
+  /**
+   * Validate a group-response request before any work is done
+   * @returns {string|null} Error message, or null if the request is usable
+   */
+  function validateGroupRequest(body, userId) {
+    const { userMessage, activeCharacters, selectionSeed } = body || {};
+    if (!userId || !userMessage || !activeCharacters || activeCharacters.length === 0) {
+      return 'Missing required fields';
+    }
+    if (selectionSeed !== undefined && selectionSeed !== null && !Number.isInteger(selectionSeed)) {
+      return 'selectionSeed must be an integer';
+    }
+    const command = ChatCommandService.parse(userMessage);
+    return command ? ChatCommandService.validate(command) : null;
+  }
 
-    const userId = req.headers['user-id'];
+  /**
+   * Load the provider credentials and settings used for generation
+   */
+  async function loadProviderSettings(userId) {
+    const userSettings = await db.getUserSettings(userId);
 
-    if (!userId || !userMessage || !activeCharacters || activeCharacters.length === 0) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    const apiKeys = userSettings?.apiKeys || {
+      openai: null,
+      anthropic: null,
+      openrouter: null,
+      google: null
+    };
+
+    const ollamaSettings = userSettings?.ollamaSettings || {
+      baseUrl: 'http://localhost:11434'
+    };
+    
+    // Add LM Studio settings
+    ollamaSettings.lmStudioSettings = userSettings?.lmStudioSettings || {
+      baseUrl: 'http://127.0.0.1:1234'
+    };
+
+    const adminSystemPrompt = userSettings?.adminSystemPrompt || null;
+
+    return { userSettings, apiKeys, ollamaSettings, adminSystemPrompt };
+  }
+
+  /**
+   * The group dynamics a turn is planned with: the session's own settings,
+   * or the user's default mode when there is no session yet
+   * @returns {Object} { mode, maxResponders, muted }
+   */
+  function resolveGroupSettings(session, userSettings) {
+    if (session) {
+      return {
+        mode: session.group_mode,
+        maxResponders: session.max_responders || GROUP_DYNAMICS.MAX_RESPONDERS,
+        muted: session.muted_characters || []
+      };
     }
+    return {
+      mode: userSettings?.groupDynamicsMode || GROUP_DYNAMICS.DEFAULT_MODE,
+      maxResponders: GROUP_DYNAMICS.MAX_RESPONDERS,
+      muted: []
+    };
+  }
 
-    // ========================================================================
-    // STEP 0: CREATE OR USE EXISTING SESSION
-    // ========================================================================
+  /**
+   * Load relationships, memories, learning and continuity for one character
+   * Falls back to neutral defaults if anything fails so generation can continue
+   * Pass { trackMemoryAccess: false } when only inspecting the prompt
+   */
+  async function loadCharacterData(char, userId, userMessage, context, sessionId, peers = [], { trackMemoryAccess = true } = {}) {
+    try {
+      const charData = {};
+
+      // Load relationships
+      const allRelationships = db.localDb.all(
+        'SELECT * FROM character_relationships WHERE character_id = ? AND user_id = ?',
+        [char.id, userId]
+      );
+
+      charData.characterRelationships = allRelationships?.filter(r => r.target_type === 'character') || [];
+      charData.userRelationship = allRelationships?.find(r => r.target_type === 'user' && r.target_id === userId) || {
+        relationship_type: 'acquaintance',
+        trust_level: 0.5,
+        familiarity_level: 0.1,
+        emotional_bond: 0.0,
+        interaction_count: 0
+      };
+
+      // Load relevant memories using new relevance scoring
+      if (char.memory_enabled !== false) {
+        charData.memories = await MemoryRelevanceService.getRelevantMemories(
+          memoryService,
+          char.id,
+          userId,
+          userMessage,
+          context,
+          8,
+          { trackAccess: trackMemoryAccess }
+        );
+      } else {
+        charData.memories = [];
+      }
 
-    let activeSessionId = sessionId;
+      // Load learning data
+      charData.learningData = await learningService.getCharacterLearning(userId, char.id);
+
+      // Load session continuity
+      charData.continuity = await sessionContinuity.loadContinuityContext(
+        char.id,
+        userId,
+        sessionId
+      );
+      
+      // Load memories about other characters in this session
+      if (char.memory_enabled !== false) {
+        const charToCharMemories = {};
+        for (const otherChar of peers) {
+          if (otherChar.id === char.id) continue;
+          const filtered = await memoryService.db.getMemoriesByCharacter(
+            char.id, userId, 3, { target_type: 'character', target_entity: otherChar.id }
+          );
+          if (filtered.length > 0) charToCharMemories[otherChar.id] = filtered;
+        }
+        charData.characterMemories = charToCharMemories;
+      } else {
+        charData.characterMemories = {};
+      }
+      
+      // Load topic engagement
+      charData.topicEngagement = db.getTopInterests(char.id, 5);
 
-    // If no session provided, create a new one
-    if (!activeSessionId) {
-      // Get scenario name for better title
-      let scenarioName = 'New Chat';
-      if (currentScene) {
-        const scenario = db.getScenario(currentScene);
-        scenarioName = scenario ? `${scenario.name} - ${new Date().toLocaleDateString()}` : 'New Chat';
+      // Mood carried over from the character's earlier replies in this session
+      charData.currentMood = sessionId ? moodService.getMood(char.id, sessionId, userId) : null;
+
+      return charData;
+
+    } catch (error) {
+      console.error(`[Data Loading] Error for ${char.name}:`, error);
+      // Set defaults
+      return {
+        characterRelationships: [],
+        userRelationship: {
+          relationship_type: 'acquaintance',
+          trust_level: 0.5,
+          familiarity_level: 0.1,
+          emotional_bond: 0.0,
+          interaction_count: 0
+        },
+        memories: [],
+        learningData: null,
+        continuity: null
+      };
+    }
+  }
+
+  /**
+   * Load the lorebooks linked to a character, the scene and the session
+   */
+  async function loadLorebooks(userId, characterId, scenarioId, sessionId) {
+    try {
+      return await db.getLinkedLorebooks(userId, [
+        { type: 'character', id: characterId },
+        { type: 'scenario', id: scenarioId },
+        { type: 'session', id: sessionId }
+      ]);
+    } catch (error) {
+      console.error('[Lorebook] Error loading lorebooks:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Assemble one character's prompt exactly as it would be sent, without calling the provider
+   * @param {Object} params
+   * @param {Object} params.promptContext - Everything buildLayers needs besides the character
+   * @param {Array} params.history - Conversation history to include
+   * @param {string|null} params.newUserMessage - Appended as the final user turn when set
+   * @returns {Object} { messages, temperature, tokenBudget, promptBudget, inspection }
+   */
+  function buildCharacterPrompt({ char, charContext, promptContext, history, newUserMessage }) {
+    // Calculate dynamic temperature and token budget
+    const dynamicTemp = ProviderAdapter.calculateDynamicTemperature(char, charContext);
+    const tokenBudget = ProviderAdapter.calculateResponseBudget(char, charContext);
+
+    // Fit the layered system prompt and history into the character's context window,
+    // with the provider-specific wrapper applied to the final prompt
+    const provider = char.ai_provider || 'openai';
+    const budgeted = PromptBudgeter.assemble({
+      layers: promptBuilder.buildLayers({
+        character: char,
+        ...promptContext,
+        recentMessages: [...history.map(msg => msg.content), newUserMessage].filter(Boolean)
+      }),
+      history,
+      newUserMessage,
+      character: char,
+      responseTokens: tokenBudget,
+      adaptPrompt: (prompt) => ProviderAdapter.adaptPrompt(prompt, provider, char)
+    });
+
+    // Build conversation messages
+    const messages = promptBuilder.buildConversationMessages(
+      budgeted.systemPrompt,
+      budgeted.history,
+      newUserMessage,
+      budgeted.history.length
+    );
+
+    return {
+      messages,
+      temperature: dynamicTemp,
+      tokenBudget,
+      promptBudget: budgeted.report,
+      inspection: {
+        layers: budgeted.layers,
+        memories: (promptContext.memories || []).map(memory => ({
+          id: memory.id,
+          content: memory.content || memory.memory_content,
+          importance_score: memory.importance_score ?? null,
+          relevance_score: memory.relevance_score ?? null
+        })),
+        temperature: dynamicTemp,
+        token_budget: tokenBudget,
+        messages
       }
+    };
+  }
 
-      const newSession = await db.createChatSession(userId, {
-        scenario_id: currentScene || 'default',
-        active_characters: activeCharacters,
-        title: scenarioName,
-        group_mode: 'natural'
+  /**
+   * Generate one character's reply: budgeted layered prompt, provider call, normalization
+   * @param {Object} params - buildCharacterPrompt params plus apiKeys, ollamaSettings
+   * @param {Function} [params.onToken] - Streams text fragments as they arrive
+   * @returns {Promise<Object>} { response, temperature, tokenBudget, promptBudget, inspection, usage, attempts }
+   *   usage is the provider's token count, or null when it reported none;
+   *   attempts lists every provider try, including retries and fallbacks
+   */
+  async function generateCharacterReply({ char, charContext, promptContext, history, newUserMessage, apiKeys, ollamaSettings, onToken }) {
+    const { messages, temperature: dynamicTemp, tokenBudget, promptBudget, inspection } = buildCharacterPrompt({
+      char,
+      charContext,
+      promptContext,
+      history,
+      newUserMessage
+    });
+
+    const resolvedChar = { ...char, temperature: dynamicTemp, max_tokens: tokenBudget };
+
+    let usage = null;
+    const attempts = [];
+    const rawResponse = await AIProviderService.generateResponse(
+      resolvedChar,
+      messages,
+      apiKeys,
+      ollamaSettings,
+      {
+        ...(onToken && { onToken }),
+        onUsage: (reported) => { usage = reported; },
+        onAttempt: (attempt) => attempts.push(attempt)
+      }
+    );
+
+    // Normalize response
+    const response = ProviderAdapter.normalizeResponse(
+      rawResponse,
+      char,
+      char.ai_provider || 'openai'
+    );
+
+    return { response, temperature: dynamicTemp, tokenBudget, promptBudget, inspection, usage, attempts };
+  }
+
+  /**
+   * Metadata stored with a generated reply, including the prompt inspection
+   * so past messages can be debugged later. Token counts are what the
+   * provider reported, or null if it reported none. provider/model are the
+   * ones that answered, which differ from the character's when a fallback did.
+   */
+  function buildResponseMetadata(char, reply) {
+    const { usage } = reply;
+    const primary = { provider: char.ai_provider || 'openai', model: char.ai_model || 'gpt-3.5-turbo' };
+    const answered = reply.attempts.find(attempt => attempt.outcome === 'success') || primary;
+
+    return {
+      temperature_used: reply.temperature,
+      token_budget: reply.tokenBudget,
+      prompt_tokens: usage ? usage.prompt_tokens : null,
+      completion_tokens: usage ? usage.completion_tokens : null,
+      tokens_used: usage ? usage.prompt_tokens + usage.completion_tokens : null,
+      provider: answered.provider,
+      model: answered.model,
+      fallback_used: answered.provider !== primary.provider || answered.model !== primary.model,
+      attempts: reply.attempts,
+      prompt_budget: reply.promptBudget,
+      prompt_inspection: reply.inspection
+    };
+  }
+
+  /**
+   * Which model answered, for the client: { provider, model, fallback }
+   */
+  function answeredBy(metadata) {
+    return { provider: metadata.provider, model: metadata.model, fallback: metadata.fallback_used };
+  }
+
+  /**
+   * Add a generated reply's tokens to the user's usage accounting
+   * Bookkeeping never fails the reply it belongs to
+   */
+  function recordReplyUsage(userId, sessionId, messageId, char, reply) {
+    try {
+      usageService.record(userId, reply.usage, {
+        session_id: sessionId,
+        message_id: messageId,
+        character_id: char.id
       });
+    } catch (error) {
+      console.error(`[Usage] Failed to record usage for ${char.name}:`, error.message);
+    }
+  }
 
-      activeSessionId = newSession.id;
+  /**
+   * Extract memories from a user message and the character's reply
+   * Memories are tagged with the reply's message id so they can be replaced
+   * when a different version of that reply is chosen
+   */
+  async function extractReplyMemories(char, userId, userMessage, response, userPersona, apiKeys, userSettings, sourceMessageId) {
+    // Check if AI memory extraction is enabled
+    const useAIMemories = userSettings?.use_ai_memory_extraction || false;
+    
+    let newMemories;
+    if (useAIMemories) {
+      newMemories = await memoryService.extractMemoriesWithAI(
+        userMessage,
+        response,
+        char,
+        userPersona,
+        userId,
+        apiKeys
+      );
     } else {
+      newMemories = memoryService.analyzeConversationForMemories(
+        userMessage,
+        response,
+        userPersona,
+        userId
+      );
     }
 
-    // Save user message to database
-    await db.saveChatMessage(activeSessionId, {
-      type: 'user',
-      content: userMessage
-    });
+    for (const mem of newMemories) {
+      await memoryService.addCharacterMemory(char.id, userId, { ...mem, source_message_id: sourceMessageId });
+    }
+  }
+
+  /**
+   * Update a character's session mood from its reply, read by heuristics or,
+   * when the user's moodTracking is 'ai', by the character's model
+   * A failure leaves the mood as it was; the reply is saved either way
+   * @returns {Promise<Object|null>} { mood, intensity }
+   */
+  async function trackReplyMood(char, userId, sessionId, response, providerSettings) {
+    try {
+      return await moodService.updateFromReply(char, sessionId, userId, response, {
+        useAI: providerSettings.userSettings?.moodTracking === 'ai',
+        apiKeys: providerSettings.apiKeys,
+        ollamaSettings: providerSettings.ollamaSettings
+      });
+    } catch (error) {
+      console.error(`[Mood] Error for ${char.name}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Load the characters, settings and scene for a turn and plan who responds
+   * Steps 1-4 of the pipeline, shared by generation and the prompt inspector
+   * @param {Object} body - Group-response request body
+   * @param {string|null} sessionId - Session the turn belongs to, if any
+   * @param {ConversationStateTracker} tracker - Records the user message before planning
+   * @param {Object} options - { trackMemoryAccess, speakerId }; speakerId forces
+   *   the only responder (/as), even if muted
+   * @returns {Promise<Object>} Everything buildResponderInputs needs
+   */
+  async function planGroupTurn(body, userId, sessionId, tracker, { trackMemoryAccess = true, speakerId = null } = {}) {
+    const { userMessage, conversationHistory, activeCharacters, currentScene, selectionSeed } = body;
 
     // ========================================================================
     // STEP 1: LOAD CHARACTER DATA
     // ========================================================================
     
-    const characterPromises = activeCharacters.map(charId => db.getCharacter(charId));
+    const characterPromises = activeCharacters.map(charId => db.getCharacter(charId, userId));
     const characters = (await Promise.all(characterPromises)).filter(char => char != null); // Filters both null and undefined
     
     if (!characters || characters.length === 0) {
       console.error('[GroupChat] Failed to load characters. Active IDs:', activeCharacters);
       console.error('[GroupChat] Loaded characters:', characters);
-      return res.status(500).json({ error: 'Failed to load character data. Characters may have been deleted.' });
+      const error = new Error('Failed to load character data. Characters may have been deleted.');
+      error.statusCode = 500;
+      throw error;
     }
     
     // ========================================================================
     // STEP 2: LOAD USER SETTINGS & SCENE DATA
     // ========================================================================
 
-    const userSettings = await db.getUserSettings(userId);
-
-    const apiKeys = userSettings?.apiKeys || {
-      openai: null,
-      anthropic: null,
-      openrouter: null,
-      google: null
-    };
-
-    const ollamaSettings = userSettings?.ollamaSettings || {
-      baseUrl: 'http://localhost:11434'
-    };
-    
-    // Add LM Studio settings
-    ollamaSettings.lmStudioSettings = userSettings?.lmStudioSettings || {
-      baseUrl: 'http://127.0.0.1:1234'
-    };
+    const providerSettings = await loadProviderSettings(userId);
+    const session = sessionId ? await db.getChatSession(userId, sessionId) : null;
+    const groupSettings = resolveGroupSettings(session, providerSettings.userSettings);
 
-    const adminSystemPrompt = userSettings?.adminSystemPrompt || null;
+    // Muted characters stay in the scene but are never picked to respond
+    const candidates = characters.filter(char => char.id === speakerId || !groupSettings.muted.includes(char.id));
+    if (candidates.length === 0) {
+      const error = new Error('Every character in this chat is muted');
+      error.statusCode = 400;
+      throw error;
+    }
 
     // Load scene data with context rules
     let sceneData = null;
@@ -178,12 +513,15 @@ router.post('/group-response', aiCallLimiter, async (req, res) => {
       sceneData = await db.getScenario(userId, currentScene);
     }
 
+    // Rolling summary of the messages that have left the history window
+    const sessionSummary = sessionId ? summaryService.getSummary(sessionId, userId) : null;
+
     // ========================================================================
     // STEP 3: ANALYZE CONTEXT & PLAN RESPONSES
     // ========================================================================
 
     // Update conversation state
-    conversationTracker.updateState(
+    tracker.updateState(
       { content: userMessage, type: 'user' },
       null,
       conversationHistory
@@ -196,16 +534,31 @@ router.post('/group-response', aiCallLimiter, async (req, res) => {
       sceneData
     );
 
-    // Plan which characters should respond
+    // Relationships within the cast and topic interests feed responder scoring
+    const relationships = {};
+    const topicEngagement = {};
+    for (const char of candidates) {
+      relationships[char.id] = await db.getRelationshipsForCharacter(char.id, userId, 'character');
+      topicEngagement[char.id] = db.getTopicEngagement(char.id);
+    }
+
+    // Plan which characters should respond; the session's cap keeps the
+    // conversation from breaking down into a wall of replies
     const responsePlan = ResponsePlanner.planGroupResponse(
       userMessage,
-      characters,
+      candidates,
       conversationHistory,
-      conversationTracker
+      tracker,
+      {
+        relationships,
+        topicEngagement,
+        mode: groupSettings.mode,
+        maxResponders: groupSettings.maxResponders,
+        speakerId,
+        seed: selectionSeed ?? undefined
+      }
     );
-
-    // Limit to max 3 responding characters to prevent conversation breakdown
-    const respondingCharacters = responsePlan.responders.slice(0, 3);
+    const respondingCharacters = responsePlan.responders;
 
     // ========================================================================
     // STEP 4: LOAD CONTEXT DATA FOR RESPONDING CHARACTERS
@@ -214,193 +567,250 @@ router.post('/group-response', aiCallLimiter, async (req, res) => {
     const characterDataMap = new Map();
 
     for (const char of respondingCharacters) {
-      try {
-        const charData = {};
+      characterDataMap.set(
+        char.id,
+        await loadCharacterData(char, userId, userMessage, context, sessionId, respondingCharacters, { trackMemoryAccess })
+      );
+    }
 
-        // Load relationships
-        const allRelationships = db.localDb.all(
-          'SELECT * FROM character_relationships WHERE character_id = ? AND user_id = ?',
-          [char.id, userId]
-        );
+    const otherCharacters = characters.filter(c => 
+      !respondingCharacters.find(rc => rc.id === c.id)
+    );
 
-        charData.characterRelationships = allRelationships?.filter(r => r.target_type === 'character') || [];
-        charData.userRelationship = allRelationships?.find(r => r.target_type === 'user' && r.target_id === userId) || {
-          relationship_type: 'acquaintance',
-          trust_level: 0.5,
-          familiarity_level: 0.1,
-          emotional_bond: 0.0,
-          interaction_count: 0
-        };
+    return {
+      characters,
+      respondingCharacters,
+      otherCharacters,
+      responsePlan,
+      characterDataMap,
+      sceneData,
+      sessionSummary,
+      providerSettings,
+      groupSettings,
+      directorNotes: session?.metadata?.ooc_notes || []
+    };
+  }
 
-        // Load relevant memories using new relevance scoring
-        if (char.memory_enabled !== false) {
-          charData.memories = await MemoryRelevanceService.getRelevantMemories(
-            memoryService,
-            char.id,
-            userId,
-            userMessage,
-            context,
-            8
-          );
-        } else {
-          charData.memories = [];
-        }
+  /**
+   * Why each character did or did not respond to the turn, for debugging
+   * @param {Object} turn - Result of planGroupTurn
+   * Muted characters are listed without scores
+   * @returns {Object} { seed, mode, maxResponders, scores: [{ character, characterName, total, ...signals, muted, selected }] }
+   */
+  function describeSelection(turn) {
+    const { responsePlan, characters, respondingCharacters, groupSettings } = turn;
+    return {
+      seed: responsePlan.seed,
+      mode: responsePlan.mode,
+      maxResponders: groupSettings.maxResponders,
+      scores: characters.map(char => ({
+        character: char.id,
+        characterName: char.name,
+        ...responsePlan.scores[char.id],
+        muted: groupSettings.muted.includes(char.id),
+        selected: respondingCharacters.some(rc => rc.id === char.id)
+      }))
+    };
+  }
 
-        // Load learning data
-        charData.learningData = await learningService.getCharacterLearning(userId, char.id);
+  /**
+   * Build the prompt inputs for the responder at `index`
+   * Replies already given this turn are appended to its history
+   * @param {Object} turn - Result of planGroupTurn
+   * @param {Array<string>} priorReplies - Replies of the responders before this one
+   * @returns {Promise<Object>} { char, charContext, promptContext, history, newUserMessage }
+   */
+  async function buildResponderInputs(turn, body, userId, sessionId, index, priorReplies, tracker) {
+    const { userMessage, conversationHistory, userPersona, currentScene } = body;
+    const { respondingCharacters, responsePlan, sceneData, sessionSummary } = turn;
+    const char = respondingCharacters[index];
+    const charData = turn.characterDataMap.get(char.id);
+
+    // Build conversation history with previous responses; out-of-character
+    // notes reach the prompt as direction, not as lines of dialogue
+    let history = conversationHistory.filter(msg => msg.type !== 'ooc');
+    if (index > 0) {
+      history = [
+        ...history,
+        { role: 'user', content: userMessage }
+      ];
+
+      for (let i = 0; i < index; i++) {
+        history.push({
+          role: 'assistant',
+          content: `[${respondingCharacters[i].name}]: ${priorReplies[i]}`
+        });
+      }
+    }
 
-        // Load session continuity
-        charData.continuity = await sessionContinuity.loadContinuityContext(
-          char.id,
-          userId,
-          activeSessionId
-        );
-        
-        // Load memories about other characters in this session
-        if (char.memory_enabled !== false) {
-          const charToCharMemories = {};
-          for (const otherChar of respondingCharacters) {
-            if (otherChar.id === char.id) continue;
-            const filtered = await memoryService.db.getMemoriesByCharacter(
-              char.id, userId, 3, { target_type: 'character', target_entity: otherChar.id }
-            );
-            if (filtered.length > 0) charToCharMemories[otherChar.id] = filtered;
-          }
-          charData.characterMemories = charToCharMemories;
-        } else {
-          charData.characterMemories = {};
-        }
-        
-        // Load topic engagement
-        charData.topicEngagement = db.getTopInterests(char.id, 5);
+    // Build character-specific context
+    const charContext = ResponsePlanner.buildCharacterContext(
+      char,
+      responsePlan,
+      tracker,
+      sceneData
+    );
 
-        characterDataMap.set(char.id, charData);
+    // Add user relationship familiarity to context
+    charContext.user_familiarity = charData.userRelationship.familiarity_level || 0.1;
+    charContext.turn_number = conversationHistory.length;
+
+    return {
+      char,
+      charContext,
+      promptContext: {
+        userPersona,
+        scene: sceneData,
+        otherCharacters: turn.otherCharacters,
+        characterRelationships: charData.characterRelationships,
+        userRelationship: charData.userRelationship,
+        memories: charData.memories,
+        learningData: charData.learningData,
+        adminSystemPrompt: turn.providerSettings.adminSystemPrompt,
+        sessionContinuity: charData.continuity,
+        sessionSummary: sessionSummary?.text,
+        lorebooks: await loadLorebooks(userId, char.id, currentScene, sessionId),
+        characterMemories: charData.characterMemories,
+        topicEngagement: charData.topicEngagement,
+        currentMood: charData.currentMood,
+        directorNotes: turn.directorNotes
+      },
+      history,
+      newUserMessage: index === 0 ? userMessage : null
+    };
+  }
 
-      } catch (error) {
-        console.error(`[Data Loading] Error for ${char.name}:`, error);
-        // Set defaults
-        characterDataMap.set(char.id, {
-          characterRelationships: [],
-          userRelationship: {
-            relationship_type: 'acquaintance',
-            trust_level: 0.5,
-            familiarity_level: 0.1,
-            emotional_bond: 0.0,
-            interaction_count: 0
-          },
-          memories: [],
-          learningData: null,
-          continuity: null
-        });
+  /**
+   * Run the group-response pipeline for one user message
+   * Shared by the JSON and streaming endpoints. Optional hooks receive
+   * per-character progress while the responses are generated.
+   * @param {Object} body - Request body (userMessage, conversationHistory, activeCharacters, ...)
+   * @param {string} userId - Requesting user
+   * @param {Object} hooks - onSession, onCharacterStart, onToken, onCharacterDone, onCharacterError
+   * @returns {Promise<Object>} { sessionId, userMessageId, responses, selection, command }
+   */
+  async function runGroupResponse(body, userId, hooks = {}) {
+    const {
+      conversationHistory,
+      activeCharacters,
+      sessionId,
+      userPersona,
+      currentScene
+    } = body;
+
+    // Slash commands either steer this turn (/as, /skip) or are handled
+    // without any character replying
+    const command = ChatCommandService.parse(body.userMessage);
+    const steer = command ? await resolveSteeringCommand(command, body, userId) : null;
+    const userMessage = steer ? steer.userMessage : body.userMessage;
+    const userSpoke = !command || Boolean(steer?.spoken);
+
+    // ========================================================================
+    // STEP 0: CREATE OR USE EXISTING SESSION
+    // ========================================================================
+
+    let activeSessionId = sessionId;
+
+    if (activeSessionId && !(await db.getChatSession(userId, activeSessionId))) {
+      const error = new Error('Session not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // If no session provided, create a new one
+    if (!activeSessionId) {
+      // Get scenario name for better title
+      let scenarioName = 'New Chat';
+      if (currentScene) {
+        const scenario = await db.getScenario(userId, currentScene);
+        scenarioName = scenario ? `${scenario.name} - ${new Date().toLocaleDateString()}` : 'New Chat';
       }
+
+      // New sessions start in the user's default group dynamics mode
+      const defaultMode = (await db.getUserSettings(userId))?.groupDynamicsMode;
+      const newSession = await db.createChatSession(userId, {
+        scenario_id: currentScene || 'default',
+        active_characters: activeCharacters,
+        title: scenarioName,
+        group_mode: GROUP_DYNAMICS.MODES.includes(defaultMode) ? defaultMode : GROUP_DYNAMICS.DEFAULT_MODE
+      });
+
+      activeSessionId = newSession.id;
     }
 
+    if (command && !steer) {
+      const result = await runSessionCommand(command, body, userId, activeSessionId);
+      hooks.onSession?.(result);
+      return { ...result, responses: [] };
+    }
+
+    // Save user message to database; /skip and a bare /as have nothing to save
+    const savedUserMessage = userSpoke
+      ? await db.saveChatMessage(userId, activeSessionId, {
+        type: 'user',
+        content: userMessage
+      })
+      : null;
+
+    const commandResult = command
+      ? { name: command.name, speaker: steer.speaker, message: savedUserMessage || undefined }
+      : undefined;
+    hooks.onSession?.({ sessionId: activeSessionId, userMessageId: savedUserMessage?.id ?? null, command: commandResult });
+
+    // ========================================================================
+    // STEPS 1-4: LOAD DATA & PLAN RESPONSES
+    // ========================================================================
+
+    const turnBody = { ...body, userMessage };
+    const turn = await planGroupTurn(turnBody, userId, activeSessionId, conversationTracker, {
+      speakerId: steer?.speaker?.id || null
+    });
+    const { characters, respondingCharacters } = turn;
+    const { userSettings, apiKeys, ollamaSettings } = turn.providerSettings;
+
     // ========================================================================
     // STEP 5: GENERATE RESPONSES WITH NEW ARCHITECTURE
     // ========================================================================
 
     const responses = [];
-    const otherCharacters = characters.filter(c => 
-      !respondingCharacters.find(rc => rc.id === c.id)
-    );
 
     for (let index = 0; index < respondingCharacters.length; index++) {
       const char = respondingCharacters[index];
       const isPrimary = index === 0;
-      const charData = characterDataMap.get(char.id);
 
-      try {
-        // Build conversation history with previous responses
-        let updatedHistory = conversationHistory;
-        if (index > 0) {
-          updatedHistory = [
-            ...conversationHistory,
-            { role: 'user', content: userMessage }
-          ];
-
-          for (let i = 0; i < index; i++) {
-            updatedHistory.push({
-              role: 'assistant',
-              content: `[${respondingCharacters[i].name}]: ${responses[i].response}`
-            });
-          }
-        }
+      hooks.onCharacterStart?.({ character: char.id, characterName: char.name, isPrimary });
 
-        // Build character-specific context
-        const charContext = ResponsePlanner.buildCharacterContext(
-          char,
-          responsePlan,
-          conversationTracker,
-          sceneData
+      try {
+        const inputs = await buildResponderInputs(
+          turn,
+          turnBody,
+          userId,
+          activeSessionId,
+          index,
+          responses.map(r => r.response),
+          conversationTracker
         );
-
-        // Add user relationship familiarity to context
-        charContext.user_familiarity = charData.userRelationship.familiarity_level || 0.1;
-        charContext.turn_number = conversationHistory.length;
-
-        // Build layered system prompt
-        const systemPrompt = promptBuilder.buildSystemPrompt({
-          character: char,
-          userPersona,
-          scene: sceneData,
-          otherCharacters,
-          characterRelationships: charData.characterRelationships,
-          userRelationship: charData.userRelationship,
-          memories: charData.memories,
-          learningData: charData.learningData,
-          adminSystemPrompt,
-          sessionContinuity: charData.continuity,
-          characterMemories: charData.characterMemories,
-          topicEngagement: charData.topicEngagement
+        const reply = await generateCharacterReply({
+          ...inputs,
+          apiKeys,
+          ollamaSettings,
+          onToken: hooks.onToken ? (token) => hooks.onToken({ character: char.id, token }) : null
         });
-
-        // Adapt prompt for provider
-        const adaptedPrompt = ProviderAdapter.adaptPrompt(
-          systemPrompt,
-          char.ai_provider || 'openai',
-          char
-        );
-
-        // Build conversation messages
-        const messages = promptBuilder.buildConversationMessages(
-          adaptedPrompt,
-          updatedHistory,
-          isPrimary ? userMessage : null
-        );
-
-        // Calculate dynamic temperature and token budget
-        const dynamicTemp = ProviderAdapter.calculateDynamicTemperature(char, charContext);
-        const tokenBudget = ProviderAdapter.calculateResponseBudget(char, charContext);
-
-        const resolvedChar = { ...char, temperature: dynamicTemp, max_tokens: tokenBudget };
-
-        const rawResponse = await AIProviderService.generateResponse(
-          resolvedChar,
-          messages,
-          apiKeys,
-          ollamaSettings
-        );
-
-        // Normalize response
-        const response = ProviderAdapter.normalizeResponse(
-          rawResponse,
-          char,
-          char.ai_provider || 'openai'
-        );
+        const { response } = reply;
+        const responseMetadata = buildResponseMetadata(char, reply);
+        const mood = await trackReplyMood(char, userId, activeSessionId, response, turn.providerSettings);
 
         // Save to database with metadata
-        await db.saveChatMessage(activeSessionId, {
+        const savedMessage = await db.saveChatMessage(userId, activeSessionId, {
           type: 'character',
           character_id: char.id,
           content: response,
+          mood_at_time: mood?.mood,
+          mood_intensity: mood?.intensity,
           is_primary_response: isPrimary,
-          response_metadata: {
-            temperature_used: dynamicTemp,
-            tokens_used: tokenBudget,
-            provider: char.ai_provider || 'openai',
-            model: char.ai_model || 'gpt-3.5-turbo'
-          }
+          response_metadata: responseMetadata
         });
+        recordReplyUsage(userId, activeSessionId, savedMessage?.id, char, reply);
 
         // Update conversation state
         conversationTracker.updateState(
@@ -410,42 +820,30 @@ router.post('/group-response', aiCallLimiter, async (req, res) => {
         );
 
         responses.push({
+          messageId: savedMessage?.id,
           character: char.id,
           characterName: char.name,
           response: response,
           timestamp: new Date().toISOString(),
-          delay: index * 1200,
-          isPrimary: isPrimary
+          isPrimary: isPrimary,
+          answeredBy: answeredBy(responseMetadata),
+          mood
         });
+        hooks.onCharacterDone?.(responses[responses.length - 1]);
 
         // Process memories and relationships
         try {
-          if (char.memory_enabled !== false) {
-            // Check if AI memory extraction is enabled
-            const useAIMemories = userSettings?.use_ai_memory_extraction || false;
-            
-            let newMemories;
-            if (useAIMemories) {
-              newMemories = await memoryService.extractMemoriesWithAI(
-                userMessage,
-                response,
-                char,
-                userPersona,
-                userId,
-                apiKeys
-              );
-            } else {
-              newMemories = memoryService.analyzeConversationForMemories(
-                userMessage,
-                response,
-                userPersona,
-                userId
-              );
-            }
-
-            for (const mem of newMemories) {
-              await memoryService.addCharacterMemory(char.id, userId, mem);
-            }
+          if (char.memory_enabled !== false && userSpoke) {
+            await extractReplyMemories(
+              char,
+              userId,
+              userMessage,
+              response,
+              userPersona,
+              apiKeys,
+              userSettings,
+              savedMessage?.id
+            );
 
             const currentRelationship = await memoryService.getCharacterRelationship(char.id, userId);
             const relationshipUpdate = memoryService.calculateRelationshipUpdate(
@@ -480,7 +878,7 @@ router.post('/group-response', aiCallLimiter, async (req, res) => {
         // Personality evolution: increment counter, fire non-blocking compile when threshold hit
         try {
           if (char.memory_enabled !== false) {
-            const freshChar = db.localDb.incrementCompileCounter(char.id);
+            const freshChar = db.localDb.incrementCompileCounter(char.id, userId);
             const interval = freshChar?.memory_compile_interval || char.memory_compile_interval || 20;
             const count = freshChar?.messages_since_compile || 0;
             if (count >= interval) {
@@ -494,7 +892,7 @@ router.post('/group-response', aiCallLimiter, async (req, res) => {
 
         // Track learning
         try {
-          if (char.memory_enabled !== false) {
+          if (char.memory_enabled !== false && userSpoke) {
             await learningService.recordInteraction(userId, char.id, {
               userMessage,
               characterResponse: response,
@@ -521,9 +919,11 @@ router.post('/group-response', aiCallLimiter, async (req, res) => {
             characterName: char.name,
             response: "Sorry, I'm having trouble responding right now...",
             timestamp: new Date().toISOString(),
-            delay: index * 1200,
             error: true
           });
+          hooks.onCharacterDone?.(responses[responses.length - 1]);
+        } else {
+          hooks.onCharacterError?.({ character: char.id, characterName: char.name });
         }
       }
     }
@@ -537,26 +937,831 @@ router.post('/group-response', aiCallLimiter, async (req, res) => {
 
     // Store session metadata for continuity
     const conversationSummary = conversationTracker.getSummary();
-    await sessionContinuity.storeSessionMetadata(activeSessionId, {
+    await sessionContinuity.storeSessionMetadata(activeSessionId, userId, {
       tone: conversationSummary.mood,
       key_topics: conversationSummary.active_topics,
       message_count: conversationHistory.length + responses.length
     });
 
-    res.json({
+    // Fold messages that have left the history window into the summary in the
+    // background; the next turn picks up the result
+    summaryService.updateIfNeeded(activeSessionId, userId, {
+      character: respondingCharacters[0],
+      apiKeys,
+      ollamaSettings,
+      userName: userPersona?.name
+    }).catch(error => console.error('[Summary] Error updating session summary:', error));
+
+    return {
       sessionId: activeSessionId,
-      responses
-    });
+      userMessageId: savedUserMessage?.id ?? null,
+      responses,
+      selection: describeSelection(turn),
+      command: commandResult
+    };
+  }
+
+  /**
+   * Turn /as or /skip into the message the cast answers. /as forces who
+   * replies; when it carries no message, and for /skip, the cast gets a stage
+   * direction instead and nothing is saved as said by the user.
+   * @returns {Promise<Object|null>} { userMessage, spoken, speaker }, or null for commands handled without replies
+   */
+  async function resolveSteeringCommand(command, body, userId) {
+    if (command.name === 'skip') {
+      return { userMessage: '(The user stays quiet and lets the scene carry on.)', spoken: false, speaker: null };
+    }
+    if (command.name !== 'as') return null;
+
+    const characters = (await Promise.all(body.activeCharacters.map(charId => db.getCharacter(charId, userId))))
+      .filter(char => char != null);
+    const resolved = ChatCommandService.resolveSpeaker(command.argument, characters);
+    if (!resolved) {
+      const error = new Error(`Nobody in this chat answers to "${command.argument}"`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { character, message } = resolved;
+    return {
+      userMessage: message || `(${character.name} speaks next.)`,
+      spoken: Boolean(message),
+      speaker: { id: character.id, name: character.name }
+    };
+  }
+
+  /**
+   * Handle /narrate, /ooc, /scene and /summary, none of which ask the cast
+   * to reply
+   * @returns {Promise<Object>} { sessionId, userMessageId, command }; command.message
+   *   is the message saved to the chat, if any
+   */
+  async function runSessionCommand(command, body, userId, sessionId) {
+    const { name, argument } = command;
+    const result = { name };
+
+    if (name === 'narrate') {
+      result.message = await db.saveChatMessage(userId, sessionId, { type: 'narrator', content: argument });
+    } else if (name === 'ooc') {
+      result.notes = commandService.setOocNote(sessionId, userId, argument);
+      if (argument) {
+        result.message = await db.saveChatMessage(userId, sessionId, { type: 'ooc', content: argument });
+      }
+    } else if (name === 'scene') {
+      const session = await db.getChatSession(userId, sessionId);
+      const recentEvents = commandService.addSceneEvent(body.currentScene || session.scenario_id, userId, argument);
+      if (!recentEvents) {
+        const error = new Error('/scene needs one of your own scenes in this chat');
+        error.statusCode = 400;
+        throw error;
+      }
+      result.recentEvents = recentEvents;
+      result.message = await db.saveChatMessage(userId, sessionId, { type: 'system', content: argument });
+    } else if (name === 'summary') {
+      result.summary = summaryService.getSummary(sessionId, userId)?.text || null;
+    }
+
+    return { sessionId, userMessageId: null, command: result };
+  }
+
+/**
+ * POST /api/chat/group-response
+ * Simplified group chat with core decision logic
+ */
+router.post('/group-response', aiCallLimiter, async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const validationError = validateGroupRequest(req.body, userId);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await runGroupResponse(req.body, userId);
+    res.json(result);
     
   } catch (error) {
     console.error('[Group Chat v3.0] Error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to generate group response',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/chat/group-response/stream
+ * Same pipeline as /group-response, delivered as Server-Sent Events so each
+ * character's reply renders token by token
+ */
+router.post('/group-response/stream', aiCallLimiter, async (req, res) => {
+  const userId = req.userId;
+
+  const validationError = validateGroupRequest(req.body, userId);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Generation keeps going if the client disconnects so the session stays consistent
+  const send = (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await runGroupResponse(req.body, userId, {
+      onSession: (data) => send('session', data),
+      onCharacterStart: (data) => send('character_start', data),
+      onToken: (data) => send('token', data),
+      onCharacterDone: (data) => send('character_done', data),
+      onCharacterError: (data) => send('character_error', data)
+    });
+    send('done', result);
+  } catch (error) {
+    console.error('[Group Chat v3.0] Stream error:', error);
+    send('error', {
+      error: error.statusCode ? error.message : 'Failed to generate group response',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+
+  res.end();
+});
+
+/**
+ * POST /api/chat/group-response/inspect
+ * Dry run of /group-response: plans the turn and assembles every responder's
+ * prompt, but saves nothing and calls no provider. Later responders see a
+ * placeholder where earlier replies would be.
+ */
+router.post('/group-response/inspect', async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const validationError = validateGroupRequest(req.body, userId);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { sessionId } = req.body;
+    if (sessionId) {
+      const session = await db.getChatSession(userId, sessionId);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+    }
+
+    // Only commands that lead to replies have prompts to inspect
+    const command = ChatCommandService.parse(req.body.userMessage);
+    const steer = command ? await resolveSteeringCommand(command, req.body, userId) : null;
+    if (command && !steer) {
+      return res.status(400).json({ error: `/${command.name} does not ask anyone to reply, so there is nothing to inspect` });
+    }
+    const body = steer ? { ...req.body, userMessage: steer.userMessage } : req.body;
+
+    // Plan against a copy so the inspection leaves the real conversation state alone
+    const tracker = conversationTracker.clone();
+    const turn = await planGroupTurn(body, userId, sessionId || null, tracker, {
+      trackMemoryAccess: false,
+      speakerId: steer?.speaker?.id || null
+    });
+
+    const placeholders = turn.respondingCharacters.map(char => `(${char.name}'s reply is not generated in a dry run)`);
+    const responders = [];
+
+    for (let index = 0; index < turn.respondingCharacters.length; index++) {
+      const inputs = await buildResponderInputs(turn, body, userId, sessionId || null, index, placeholders, tracker);
+      const { inspection, promptBudget } = buildCharacterPrompt(inputs);
+
+      responders.push({
+        character: inputs.char.id,
+        characterName: inputs.char.name,
+        isPrimary: index === 0,
+        role: turn.responsePlan.roles?.[inputs.char.id] || null,
+        provider: inputs.char.ai_provider || 'openai',
+        model: inputs.char.ai_model || 'gpt-3.5-turbo',
+        prompt_budget: promptBudget,
+        ...inspection
+      });
+    }
+
+    res.json({ sessionId: sessionId || null, responders, selection: describeSelection(turn) });
+
+  } catch (error) {
+    console.error('[Inspect] Error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to inspect group response',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ============================================================================
+// AUTONOMOUS ROUNDS (the cast talks among themselves)
+// ============================================================================
+
+  /**
+   * Validate an autonomous-rounds request before any work is done
+   * @returns {string|null} Error message, or null if the request is usable
+   */
+  function validateAutonomousRequest(body, userId) {
+    const { sessionId, activeCharacters, rounds } = body || {};
+    if (!userId || !sessionId || !Array.isArray(activeCharacters)) {
+      return 'Missing required fields';
+    }
+    if (activeCharacters.length < 2) {
+      return 'At least two active characters are needed';
+    }
+    if (rounds !== undefined && (!Number.isInteger(rounds) || rounds < 1 || rounds > AUTONOMOUS_DEFAULTS.MAX_ROUNDS)) {
+      return `rounds must be a whole number from 1 to ${AUTONOMOUS_DEFAULTS.MAX_ROUNDS}`;
+    }
+    return null;
+  }
+
+  /**
+   * The character who wrote the last line of the history, or null if the
+   * user (or nobody) did
+   */
+  function findLastSpeaker(history, characters) {
+    const last = history[history.length - 1];
+    if (!last || last.type === 'user' || last.role === 'user') return null;
+    const characterId = last.character_id || last.character;
+    return characters.find(c => c.id === characterId) || null;
+  }
+
+  /**
+   * Stage direction sent in place of a user message, so the speaker answers
+   * the cast rather than the user
+   */
+  function buildStageDirection(speaker, addressee, characters, userPersona) {
+    const listener = userPersona?.name || 'The user';
+    const target = addressee
+      ? `respond to ${addressee.name}`
+      : `pick up the conversation with ${characters.filter(c => c.id !== speaker.id).map(c => c.name).join(', ')}`;
+    return `(${speaker.name}, ${target}. ${listener} is only listening, so keep talking among yourselves.)`;
+  }
+
+  /**
+   * Whether a reply turns to the user by their persona name, which hands the
+   * conversation back to them
+   */
+  function addressesUser(response, userPersona) {
+    const name = userPersona?.name?.trim();
+    if (!name) return false;
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}\\b`, 'i').test(response);
+  }
+
+  /**
+   * Whether a reply repeats one of the recent lines, a sign the banter has stalled
+   */
+  function isRepeatedReply(response, recentLines) {
+    const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+    const current = normalize(response);
+    return Boolean(current) && recentLines.some(line => normalize(line) === current);
+  }
+
+  /**
+   * Run up to `rounds` autonomous rounds in an existing session: each round
+   * one character replies to the cast, chosen by ResponsePlanner.planAutonomousTurn.
+   * Rounds stop early when a reply addresses the user (stopWhenAddressed),
+   * repeats a recent line, fails to generate, or hooks.shouldStop() is true.
+   * Only character replies are saved; the user's relationships and learning
+   * are left alone since the user took no part.
+   * @param {Object} body - Request body (sessionId, activeCharacters, conversationHistory, rounds, ...)
+   * @param {string} userId - Requesting user
+   * @param {Object} hooks - onCharacterStart, onToken, onCharacterDone, onCharacterError, shouldStop
+   * @returns {Promise<Object>} { sessionId, responses, rounds, stopReason }
+   */
+  async function runAutonomousRounds(body, userId, hooks = {}) {
+    const {
+      sessionId,
+      activeCharacters,
+      userPersona,
+      currentScene,
+      stopWhenAddressed = true
+    } = body;
+    const rounds = body.rounds || AUTONOMOUS_DEFAULTS.ROUNDS;
+    const conversationHistory = body.conversationHistory || [];
+
+    const session = await db.getChatSession(userId, sessionId);
+    if (!session) {
+      const error = new Error('Session not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const characters = (await Promise.all(activeCharacters.map(charId => db.getCharacter(charId, userId))))
+      .filter(char => char != null);
+    if (characters.length < 2) {
+      const error = new Error('At least two of the active characters must exist');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Muted characters are still part of the scene, but never take a turn
+    const speakers = characters.filter(char => !(session.muted_characters || []).includes(char.id));
+    if (speakers.length < 2) {
+      const error = new Error('At least two of the active characters must be unmuted');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const providerSettings = await loadProviderSettings(userId);
+    const { apiKeys, ollamaSettings } = providerSettings;
+    const sceneData = currentScene ? await db.getScenario(userId, currentScene) : null;
+    const sessionSummary = summaryService.getSummary(sessionId, userId);
+
+    // How each character feels about the rest of the cast drives who answers whom
+    const relationships = {};
+    for (const char of characters) {
+      relationships[char.id] = await db.getRelationshipsForCharacter(char.id, userId, 'character');
+    }
+    const charactersMap = {};
+    characters.forEach(c => { charactersMap[c.id] = c; });
+
+    const history = [...conversationHistory];
+    let lastSpeaker = findLastSpeaker(history, characters);
+    let lastLine = history[history.length - 1]?.content || '';
+    const responses = [];
+    let stopReason = 'rounds_complete';
+
+    for (let round = 0; round < rounds; round++) {
+      if (hooks.shouldStop?.()) {
+        stopReason = 'cancelled';
+        break;
+      }
+
+      const plan = ResponsePlanner.planAutonomousTurn(
+        speakers,
+        lastSpeaker,
+        lastLine,
+        conversationTracker,
+        relationships
+      );
+      const char = plan.responders[0];
+      const addressee = plan.addressee;
+
+      hooks.onCharacterStart?.({ character: char.id, characterName: char.name, isPrimary: false });
+
+      let response;
+      try {
+        const context = ProviderAdapter.analyzeContext(history, characters, sceneData);
+        const charData = await loadCharacterData(char, userId, lastLine, context, sessionId, characters);
+        const turn = {
+          respondingCharacters: [char],
+          otherCharacters: characters.filter(c => c.id !== char.id),
+          responsePlan: plan,
+          characterDataMap: new Map([[char.id, charData]]),
+          sceneData,
+          sessionSummary,
+          providerSettings,
+          directorNotes: session.metadata?.ooc_notes || []
+        };
+        const inputs = await buildResponderInputs(
+          turn,
+          {
+            ...body,
+            userMessage: buildStageDirection(char, addressee, characters, userPersona),
+            conversationHistory: history
+          },
+          userId,
+          sessionId,
+          0,
+          [],
+          conversationTracker
+        );
+        const reply = await generateCharacterReply({
+          ...inputs,
+          apiKeys,
+          ollamaSettings,
+          onToken: hooks.onToken ? (token) => hooks.onToken({ character: char.id, token }) : null
+        });
+        response = reply.response;
+
+        const responseMetadata = {
+          ...buildResponseMetadata(char, reply),
+          autonomous: { round: round + 1, addressee: addressee?.id || null, scores: plan.scores }
+        };
+        const mood = await trackReplyMood(char, userId, sessionId, response, providerSettings);
+        const savedMessage = await db.saveChatMessage(userId, sessionId, {
+          type: 'character',
+          character_id: char.id,
+          content: response,
+          mood_at_time: mood?.mood,
+          mood_intensity: mood?.intensity,
+          is_primary_response: false,
+          response_metadata: responseMetadata
+        });
+        recordReplyUsage(userId, sessionId, savedMessage?.id, char, reply);
+
+        conversationTracker.updateState({ content: response, type: 'character' }, char, history);
+
+        responses.push({
+          messageId: savedMessage?.id,
+          character: char.id,
+          characterName: char.name,
+          response,
+          timestamp: new Date().toISOString(),
+          isPrimary: false,
+          round: round + 1,
+          addressee: addressee?.id || null,
+          answeredBy: answeredBy(responseMetadata),
+          mood
+        });
+        hooks.onCharacterDone?.(responses[responses.length - 1]);
+      } catch (error) {
+        console.error(`[Autonomous] Error for ${char.name}:`, error);
+        hooks.onCharacterError?.({ character: char.id, characterName: char.name });
+        stopReason = 'error';
+        break;
+      }
+
+      // What the speaker noticed about the character they answered
+      try {
+        if (char.memory_enabled !== false && addressee) {
+          const charToCharMemories = memoryService.analyzeCharacterInteractions(
+            char.id,
+            [{ character: addressee.id, content: lastLine }],
+            charactersMap
+          );
+          for (const mem of charToCharMemories) {
+            await memoryService.addCharacterMemory(char.id, userId, mem);
+          }
+        }
+      } catch (memErr) {
+        console.error(`[Memory] Error for ${char.name}:`, memErr);
+      }
+
+      // Lines added by earlier rounds carry a [Name]: prefix
+      const recentLines = history
+        .slice(-AUTONOMOUS_DEFAULTS.REPEAT_WINDOW)
+        .map(msg => (msg.content || '').replace(/^\[[^\]]+\]:\s*/, ''));
+      history.push({ role: 'assistant', character_id: char.id, content: `[${char.name}]: ${response}` });
+      lastSpeaker = char;
+      lastLine = response;
+
+      if (stopWhenAddressed && addressesUser(response, userPersona)) {
+        stopReason = 'addressed_user';
+        break;
+      }
+      if (isRepeatedReply(response, recentLines)) {
+        stopReason = 'repetition';
+        break;
+      }
+    }
+
+    if (responses.length > 0) {
+      const conversationSummary = conversationTracker.getSummary();
+      await sessionContinuity.storeSessionMetadata(sessionId, userId, {
+        tone: conversationSummary.mood,
+        key_topics: conversationSummary.active_topics,
+        message_count: conversationHistory.length + responses.length
+      });
+
+      summaryService.updateIfNeeded(sessionId, userId, {
+        character: characters[0],
+        apiKeys,
+        ollamaSettings,
+        userName: userPersona?.name
+      }).catch(error => console.error('[Summary] Error updating session summary:', error));
+    }
+
+    return { sessionId, responses, rounds: responses.length, stopReason };
+  }
+
+/**
+ * POST /api/chat/autonomous
+ * Let the characters talk among themselves for a few rounds without a user message
+ */
+router.post('/autonomous', aiCallLimiter, async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const validationError = validateAutonomousRequest(req.body, userId);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await runAutonomousRounds(req.body, userId);
+    res.json(result);
+
+  } catch (error) {
+    console.error('[Autonomous] Error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to run autonomous rounds',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/chat/autonomous/stream
+ * Same as /autonomous, delivered as Server-Sent Events. Unlike a group
+ * response, remaining rounds are skipped once the client disconnects.
+ */
+router.post('/autonomous/stream', aiCallLimiter, async (req, res) => {
+  const userId = req.userId;
+
+  const validationError = validateAutonomousRequest(req.body, userId);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let disconnected = false;
+  res.on('close', () => { disconnected = true; });
+
+  const send = (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await runAutonomousRounds(req.body, userId, {
+      onCharacterStart: (data) => send('character_start', data),
+      onToken: (data) => send('token', data),
+      onCharacterDone: (data) => send('character_done', data),
+      onCharacterError: (data) => send('character_error', data),
+      shouldStop: () => disconnected
+    });
+    send('done', result);
+  } catch (error) {
+    console.error('[Autonomous] Stream error:', error);
+    send('error', {
+      error: error.statusCode ? error.message : 'Failed to run autonomous rounds',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+
+  res.end();
+});
+
+// ============================================================================
+// MESSAGE ALTERNATIVES (regenerate / swipe)
+// ============================================================================
+
+  /**
+   * Load one of the user's character messages and its session
+   * Throws a 404 error for missing messages and for other users' messages alike
+   */
+  async function loadOwnedCharacterMessage(messageId, userId) {
+    const message = await db.getChatMessage(userId, messageId);
+    const session = message ? await db.getChatSession(userId, message.session_id) : null;
+
+    if (!message || !session || message.type !== 'character') {
+      const error = new Error('Message not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return { message, session };
+  }
+
+  /**
+   * Alternatives list for a message, seeded with its original content on first use
+   */
+  function getAlternatives(message) {
+    if (message.alternatives?.length) {
+      return message.alternatives;
+    }
+    return [{
+      content: message.content,
+      response_metadata: message.response_metadata,
+      created_at: message.created_at
+    }];
+  }
+
+  /**
+   * Re-run memory extraction against the selected version of a reply, dropping
+   * whatever was learned from the version it replaces
+   */
+  async function refreshReplyMemories(message, userId, userPersona) {
+    const char = await db.getCharacter(message.character_id, userId);
+    if (!char || char.memory_enabled === false) return;
+
+    const priorMessages = await db.getMessagesBefore(userId, message.session_id, message.id, 20);
+    const userMessage = [...priorMessages].reverse().find(m => m.type === 'user')?.content;
+    if (!userMessage) return;
+
+    const { userSettings, apiKeys } = await loadProviderSettings(userId);
+
+    await db.deleteMemoriesBySourceMessage(message.id, userId);
+    await extractReplyMemories(char, userId, userMessage, message.content, userPersona, apiKeys, userSettings, message.id);
+  }
+
+/**
+ * POST /api/chat/messages/:messageId/regenerate
+ * Ask the character for another take on one of its messages. The new take is
+ * appended to the message's alternatives and becomes the selected version.
+ */
+router.post('/messages/:messageId/regenerate', aiCallLimiter, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { userPersona } = req.body || {};
+
+    const { message, session } = await loadOwnedCharacterMessage(req.params.messageId, userId);
+
+    const char = await db.getCharacter(message.character_id, userId);
+    if (!char) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    const sceneData = session.scenario_id ? await db.getScenario(userId, session.scenario_id) : null;
+    const sessionCharacters = (await Promise.all(
+      (session.active_characters || []).map(id => db.getCharacter(id, userId))
+    )).filter(c => c != null);
+    const otherCharacters = sessionCharacters.filter(c => c.id !== char.id);
+
+    // Everything before the message is the context the character originally
+    // answered, shaped like the history the client sends with a new turn: as
+    // many messages as an opened session holds, each reply tagged with its speaker
+    const priorMessages = await db.getMessagesBefore(userId, session.id, message.id, 100);
+    const speakers = new Map([...sessionCharacters, char].map(c => [c.id, c]));
+    const history = priorMessages
+      .filter(m => m.type !== 'ooc')
+      .map(m => {
+        const speaker = m.type === 'character' ? speakers.get(m.character_id) : null;
+        return speaker ? { ...m, character: speaker.id, characterName: speaker.name } : m;
+      });
+    const userMessage = [...priorMessages].reverse().find(m => m.type === 'user')?.content || '';
+
+    const providerSettings = await loadProviderSettings(userId);
+    const { apiKeys, ollamaSettings, adminSystemPrompt } = providerSettings;
+
+    const context = ProviderAdapter.analyzeContext(history, sessionCharacters, sceneData);
+    const charData = await loadCharacterData(char, userId, userMessage, context, session.id, sessionCharacters);
+
+    // A summary that reaches past this message would leak later events into the retake
+    const sessionSummary = summaryService.getSummary(session.id, userId);
+    const summaryText = sessionSummary && sessionSummary.covered_message_id < message.id ? sessionSummary.text : null;
+
+    // Keep the character's original role in the turn
+    const responsePlan = {
+      responders: [char],
+      roles: { [char.id]: message.is_primary_response ? 'address_question' : 'add_perspective' },
+      target_lengths: { [char.id]: message.is_primary_response ? 'medium' : 'brief' },
+      interpersonal_dynamics: {}
+    };
+    const charContext = ResponsePlanner.buildCharacterContext(char, responsePlan, conversationTracker, sceneData);
+    charContext.user_familiarity = charData.userRelationship.familiarity_level || 0.1;
+    charContext.turn_number = history.length;
+
+    const reply = await generateCharacterReply({
+      char,
+      charContext,
+      promptContext: {
+        userPersona,
+        scene: sceneData,
+        otherCharacters,
+        characterRelationships: charData.characterRelationships,
+        userRelationship: charData.userRelationship,
+        memories: charData.memories,
+        learningData: charData.learningData,
+        adminSystemPrompt,
+        sessionContinuity: charData.continuity,
+        sessionSummary: summaryText,
+        lorebooks: await loadLorebooks(userId, char.id, session.scenario_id, session.id),
+        characterMemories: charData.characterMemories,
+        topicEngagement: charData.topicEngagement,
+        currentMood: charData.currentMood,
+        directorNotes: session.metadata?.ooc_notes || []
+      },
+      history,
+      newUserMessage: null,
+      apiKeys,
+      ollamaSettings
+    });
+
+    const alternatives = [
+      ...getAlternatives(message),
+      {
+        content: reply.response,
+        response_metadata: buildResponseMetadata(char, reply),
+        created_at: new Date().toISOString()
+      }
+    ];
+
+    // The mood follows the new take, not the one it replaces
+    const mood = await trackReplyMood(char, userId, session.id, reply.response, providerSettings);
+    const updated = await db.updateMessageAlternatives(userId, message.id, alternatives, alternatives.length - 1, mood);
+    recordReplyUsage(userId, session.id, message.id, char, reply);
+
+    try {
+      await refreshReplyMemories(updated, userId, userPersona);
+    } catch (memErr) {
+      console.error(`[Memory] Error for ${char.name}:`, memErr);
+    }
+
+    res.json({ message: updated });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('[Regenerate] Error:', error);
     res.status(500).json({
-      error: 'Failed to generate group response',
+      error: 'Failed to regenerate message',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
+/**
+ * PUT /api/chat/messages/:messageId/alternative
+ * Select which stored version of a character message is the active one
+ */
+router.put('/messages/:messageId/alternative', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { index, userPersona } = req.body || {};
+
+    const { message } = await loadOwnedCharacterMessage(req.params.messageId, userId);
+    const alternatives = getAlternatives(message);
+
+    if (!Number.isInteger(index) || index < 0 || index >= alternatives.length) {
+      return res.status(400).json({ error: 'Invalid alternative index' });
+    }
+
+    if (index === (message.selected_alternative || 0) && message.alternatives?.length) {
+      return res.json({ message });
+    }
+
+    const char = await db.getCharacter(message.character_id, userId);
+    const mood = char
+      ? await trackReplyMood(char, userId, message.session_id, alternatives[index].content, await loadProviderSettings(userId))
+      : null;
+    const updated = await db.updateMessageAlternatives(userId, message.id, alternatives, index, mood);
+
+    try {
+      await refreshReplyMemories(updated, userId, userPersona);
+    } catch (memErr) {
+      console.error('[Memory] Error refreshing memories for swapped message:', memErr);
+    }
+
+    res.json({ message: updated });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('[Alternatives] Error:', error);
+    res.status(500).json({ error: 'Failed to select alternative' });
+  }
+});
+
+/**
+ * GET /api/chat/messages/:messageId/inspection
+ * Prompt inspection saved with the selected version of a character message
+ */
+router.get('/messages/:messageId/inspection', async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { message } = await loadOwnedCharacterMessage(req.params.messageId, userId);
+
+    // response_metadata always mirrors the selected version
+    const metadata = message.response_metadata || {};
+
+    if (!metadata.prompt_inspection) {
+      return res.status(404).json({ error: 'No prompt inspection was saved for this message' });
+    }
+
+    res.json({
+      provider: metadata.provider,
+      model: metadata.model,
+      fallback_used: Boolean(metadata.fallback_used),
+      attempts: metadata.attempts || [],
+      prompt_budget: metadata.prompt_budget,
+      usage: metadata.prompt_tokens != null
+        ? { prompt_tokens: metadata.prompt_tokens, completion_tokens: metadata.completion_tokens }
+        : null,
+      ...metadata.prompt_inspection
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('[Inspection] Error:', error);
+    res.status(500).json({ error: 'Failed to load prompt inspection' });
+  }
+});
+
 // ============================================================================
 // HELPER FUNCTIONS (Legacy - kept for backward compatibility)
 // ============================================================================
@@ -0,0 +1,154 @@
+// backend/routes/instruct-templates.js
+// Routes for instruct templates: the prompt formats used for raw completion
+// on local backends. Built-ins are read-only; users can add their own.
+
+const express = require('express');
+const InstructTemplateService = require('../services/InstructTemplateService');
+const { INSTRUCT_TEMPLATES } = require('../constants/defaults');
+
+const TEXT_FIELDS = [
+    'system_prefix', 'system_suffix',
+    'user_prefix', 'user_suffix',
+    'assistant_prefix', 'assistant_suffix'
+];
+const NAME_MAX = 100;
+const FIELD_MAX = 500;
+
+// Rendered by /preview when the request brings no messages of its own
+const SAMPLE_MESSAGES = [
+    { role: 'system', content: 'You are Ava, a cheerful barista. Stay in character.' },
+    { role: 'user', content: 'Morning! The usual, please.' },
+    { role: 'assistant', content: 'One oat flat white coming right up!' },
+    { role: 'user', content: 'How was your weekend?' }
+];
+
+module.exports = (db) => {
+    const router = express.Router();
+
+    /**
+     * Validate template fields; `partial` allows missing fields for updates
+     */
+    function validateTemplate(body, partial = false) {
+        const { name, description, stop_sequences } = body;
+
+        if (!partial || name !== undefined) {
+            if (typeof name !== 'string' || !name.trim() || name.trim().length > NAME_MAX) {
+                return `Name is required and must be ${NAME_MAX} characters or less`;
+            }
+        }
+        if (description !== undefined && description !== null && typeof description !== 'string') {
+            return 'Description must be a string';
+        }
+        for (const field of TEXT_FIELDS) {
+            const value = body[field];
+            if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > FIELD_MAX)) {
+                return `${field} must be a string of ${FIELD_MAX} characters or less`;
+            }
+        }
+        if (stop_sequences !== undefined && stop_sequences !== null &&
+            (!Array.isArray(stop_sequences) || stop_sequences.some(s => typeof s !== 'string' || !s))) {
+            return 'stop_sequences must be a list of strings';
+        }
+        return null;
+    }
+
+    function pickTemplateFields(body) {
+        const fields = {};
+        for (const key of ['name', 'description', 'merge_system', 'stop_sequences', ...TEXT_FIELDS]) {
+            if (body[key] !== undefined) fields[key] = key === 'name' ? body.name.trim() : body[key];
+        }
+        return fields;
+    }
+
+    // GET /api/instruct-templates — built-in templates, then the user's own
+    router.get('/', async (req, res) => {
+        try {
+            const templates = await db.getInstructTemplates(req.userId);
+            res.json({ templates: [...InstructTemplateService.getBuiltInTemplates(), ...templates] });
+        } catch (err) {
+            console.error('[instruct-templates] GET /', err);
+            res.status(500).json({ error: 'Failed to fetch instruct templates' });
+        }
+    });
+
+    // POST /api/instruct-templates/preview — render a saved or unsaved template
+    router.post('/preview', async (req, res) => {
+        try {
+            const { template_id, template, messages, stop_sequences } = req.body;
+
+            let format = null;
+            if (template && typeof template === 'object') {
+                const error = validateTemplate({ ...template, name: 'Preview' });
+                if (error) return res.status(400).json({ error });
+                format = template;
+            } else if (template_id) {
+                format = INSTRUCT_TEMPLATES[template_id]
+                    ? InstructTemplateService.resolve(template_id, req.userId)
+                    : await db.getInstructTemplate(template_id, req.userId);
+            }
+            if (!format) return res.status(404).json({ error: 'Template not found' });
+
+            if (messages !== undefined && (!Array.isArray(messages) ||
+                messages.some(m => typeof m?.role !== 'string' || typeof m?.content !== 'string'))) {
+                return res.status(400).json({ error: 'messages must be a list of { role, content }' });
+            }
+
+            res.json({
+                prompt: InstructTemplateService.render(format, messages?.length ? messages : SAMPLE_MESSAGES),
+                stop_sequences: InstructTemplateService.stopSequences(format, stop_sequences)
+            });
+        } catch (err) {
+            console.error('[instruct-templates] POST /preview', err);
+            res.status(500).json({ error: 'Failed to render preview' });
+        }
+    });
+
+    // POST /api/instruct-templates — create a template
+    router.post('/', async (req, res) => {
+        try {
+            const error = validateTemplate(req.body);
+            if (error) return res.status(400).json({ error });
+
+            const template = await db.createInstructTemplate(req.userId, pickTemplateFields(req.body));
+            res.status(201).json(template);
+        } catch (err) {
+            console.error('[instruct-templates] POST /', err);
+            res.status(500).json({ error: 'Failed to create instruct template' });
+        }
+    });
+
+    // PUT /api/instruct-templates/:id — update one of the user's templates
+    router.put('/:id', async (req, res) => {
+        try {
+            if (INSTRUCT_TEMPLATES[req.params.id]) {
+                return res.status(403).json({ error: 'Built-in templates are read-only' });
+            }
+            const error = validateTemplate(req.body, true);
+            if (error) return res.status(400).json({ error });
+
+            const template = await db.updateInstructTemplate(req.params.id, req.userId, pickTemplateFields(req.body));
+            if (!template) return res.status(404).json({ error: 'Template not found' });
+            res.json(template);
+        } catch (err) {
+            console.error('[instruct-templates] PUT /:id', err);
+            res.status(500).json({ error: 'Failed to update instruct template' });
+        }
+    });
+
+    // DELETE /api/instruct-templates/:id
+    router.delete('/:id', async (req, res) => {
+        try {
+            if (INSTRUCT_TEMPLATES[req.params.id]) {
+                return res.status(403).json({ error: 'Built-in templates are read-only' });
+            }
+            const result = await db.deleteInstructTemplate(req.params.id, req.userId);
+            if (result.changes === 0) return res.status(404).json({ error: 'Template not found' });
+            res.json({ success: true });
+        } catch (err) {
+            console.error('[instruct-templates] DELETE /:id', err);
+            res.status(500).json({ error: 'Failed to delete instruct template' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,348 @@
+// backend/routes/lorebooks.js
+// Routes for lorebooks: keyword-triggered world info linked to characters, scenes and sessions
+
+const express = require('express');
+const { LOREBOOK_LIMITS } = require('../constants/defaults');
+
+module.exports = (db) => {
+    const router = express.Router();
+
+    const isIntInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+    /**
+     * Validate lorebook fields; `partial` allows missing fields for updates
+     */
+    function validateLorebook(body, partial = false) {
+        const { name, description, scan_depth } = body;
+
+        if (!partial || name !== undefined) {
+            if (typeof name !== 'string' || !name.trim() || name.trim().length > LOREBOOK_LIMITS.NAME_MAX) {
+                return `Name is required and must be ${LOREBOOK_LIMITS.NAME_MAX} characters or less`;
+            }
+        }
+        if (description !== undefined && description !== null && typeof description !== 'string') {
+            return 'Description must be a string';
+        }
+        if (scan_depth !== undefined && !isIntInRange(scan_depth, LOREBOOK_LIMITS.SCAN_DEPTH_MIN, LOREBOOK_LIMITS.SCAN_DEPTH_MAX)) {
+            return `scan_depth must be between ${LOREBOOK_LIMITS.SCAN_DEPTH_MIN} and ${LOREBOOK_LIMITS.SCAN_DEPTH_MAX}`;
+        }
+        return null;
+    }
+
+    /**
+     * Validate entry fields; `partial` allows missing fields for updates
+     */
+    function validateEntry(body, partial = false) {
+        const { keys, content, insertion_order, recursion_depth, token_cap } = body;
+
+        if (!partial || keys !== undefined) {
+            if (!Array.isArray(keys) || keys.length === 0 || keys.length > LOREBOOK_LIMITS.MAX_KEYS ||
+                keys.some(key => typeof key !== 'string' || !key.trim() || key.length > LOREBOOK_LIMITS.KEY_MAX)) {
+                return `keys must be a list of 1-${LOREBOOK_LIMITS.MAX_KEYS} keywords`;
+            }
+        }
+        if (!partial || content !== undefined) {
+            if (typeof content !== 'string' || !content.trim() || content.length > LOREBOOK_LIMITS.CONTENT_MAX) {
+                return `Content is required and must be ${LOREBOOK_LIMITS.CONTENT_MAX} characters or less`;
+            }
+        }
+        if (insertion_order !== undefined && !Number.isInteger(insertion_order)) {
+            return 'insertion_order must be an integer';
+        }
+        if (recursion_depth !== undefined && !isIntInRange(recursion_depth, 0, LOREBOOK_LIMITS.RECURSION_DEPTH_MAX)) {
+            return `recursion_depth must be between 0 and ${LOREBOOK_LIMITS.RECURSION_DEPTH_MAX}`;
+        }
+        if (token_cap !== undefined && !isIntInRange(token_cap, LOREBOOK_LIMITS.TOKEN_CAP_MIN, LOREBOOK_LIMITS.TOKEN_CAP_MAX)) {
+            return `token_cap must be between ${LOREBOOK_LIMITS.TOKEN_CAP_MIN} and ${LOREBOOK_LIMITS.TOKEN_CAP_MAX}`;
+        }
+        return null;
+    }
+
+    /**
+     * Load a lorebook only if it belongs to the user
+     */
+    async function loadOwnedLorebook(userId, lorebookId) {
+        const lorebook = await db.getLorebook(userId, lorebookId);
+        return lorebook && lorebook.user_id === userId ? lorebook : null;
+    }
+
+    /**
+     * Check that a link target exists and the user may use it
+     * Default characters and scenes are shared, so anyone can link to them
+     */
+    async function canLinkTarget(userId, targetType, targetId) {
+        if (targetType === 'character') {
+            return Boolean(await db.getCharacter(targetId, userId));
+        }
+        if (targetType === 'scenario') {
+            return Boolean(await db.getScenario(userId, targetId));
+        }
+        return Boolean(await db.getChatSession(userId, targetId));
+    }
+
+    /**
+     * Get the user's lorebooks, optionally only those linked to one target
+     * GET /api/lorebooks?target_type=character&target_id=...
+     */
+    router.get('/', async (req, res) => {
+        try {
+            const { target_type, target_id } = req.query;
+            let lorebooks = await db.getLorebooks(req.userId);
+
+            if (target_type && target_id) {
+                lorebooks = lorebooks.filter(book =>
+                    book.links.some(link => link.target_type === target_type && link.target_id === target_id)
+                );
+            }
+
+            res.json({ lorebooks, total: lorebooks.length });
+        } catch (error) {
+            console.error('Error fetching lorebooks:', error);
+            res.status(500).json({ error: 'Failed to fetch lorebooks' });
+        }
+    });
+
+    /**
+     * Get a lorebook with its entries and links
+     * GET /api/lorebooks/:id
+     */
+    router.get('/:id', async (req, res) => {
+        try {
+            const lorebook = await loadOwnedLorebook(req.userId, req.params.id);
+            if (!lorebook) {
+                return res.status(404).json({ error: 'Lorebook not found' });
+            }
+
+            res.json(lorebook);
+        } catch (error) {
+            console.error('Error fetching lorebook:', error);
+            res.status(500).json({ error: 'Failed to fetch lorebook' });
+        }
+    });
+
+    /**
+     * Create a lorebook, optionally linking it straight away
+     * POST /api/lorebooks
+     */
+    router.post('/', async (req, res) => {
+        try {
+            const validationError = validateLorebook(req.body);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const { name, description, scan_depth, link } = req.body;
+
+            if (link) {
+                if (!LOREBOOK_LIMITS.TARGET_TYPES.includes(link.target_type) || !link.target_id) {
+                    return res.status(400).json({ error: 'link needs a valid target_type and target_id' });
+                }
+                if (!(await canLinkTarget(req.userId, link.target_type, link.target_id))) {
+                    return res.status(404).json({ error: 'Link target not found' });
+                }
+            }
+
+            let lorebook = await db.createLorebook(req.userId, {
+                name: name.trim(),
+                description: description?.trim() || null,
+                scan_depth
+            });
+
+            if (link) {
+                await db.linkLorebook(lorebook.id, link.target_type, link.target_id);
+                lorebook = await db.getLorebook(req.userId, lorebook.id);
+            }
+
+            res.status(201).json(lorebook);
+        } catch (error) {
+            console.error('Error creating lorebook:', error);
+            res.status(500).json({ error: 'Failed to create lorebook' });
+        }
+    });
+
+    /**
+     * Update a lorebook's name, description or scan depth
+     * PUT /api/lorebooks/:id
+     */
+    router.put('/:id', async (req, res) => {
+        try {
+            const validationError = validateLorebook(req.body, true);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const lorebook = await loadOwnedLorebook(req.userId, req.params.id);
+            if (!lorebook) {
+                return res.status(404).json({ error: 'Lorebook not found' });
+            }
+
+            const { name, description, scan_depth } = req.body;
+            const updated = await db.updateLorebook(req.userId, lorebook.id, {
+                name: name?.trim(),
+                description: description === undefined ? undefined : (description?.trim() || null),
+                scan_depth
+            });
+
+            res.json(updated);
+        } catch (error) {
+            console.error('Error updating lorebook:', error);
+            res.status(500).json({ error: 'Failed to update lorebook' });
+        }
+    });
+
+    /**
+     * Delete a lorebook with its entries and links
+     * DELETE /api/lorebooks/:id
+     */
+    router.delete('/:id', async (req, res) => {
+        try {
+            const lorebook = await loadOwnedLorebook(req.userId, req.params.id);
+            if (!lorebook) {
+                return res.status(404).json({ error: 'Lorebook not found' });
+            }
+
+            await db.deleteLorebook(req.userId, lorebook.id);
+            res.json({ message: 'Lorebook deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting lorebook:', error);
+            res.status(500).json({ error: 'Failed to delete lorebook' });
+        }
+    });
+
+    /**
+     * Add an entry to a lorebook
+     * POST /api/lorebooks/:id/entries
+     */
+    router.post('/:id/entries', async (req, res) => {
+        try {
+            const validationError = validateEntry(req.body);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const lorebook = await loadOwnedLorebook(req.userId, req.params.id);
+            if (!lorebook) {
+                return res.status(404).json({ error: 'Lorebook not found' });
+            }
+
+            const { keys, content, insertion_order, recursion_depth, token_cap, is_enabled } = req.body;
+            const entry = await db.createLorebookEntry(lorebook.id, {
+                keys: keys.map(key => key.trim()),
+                content: content.trim(),
+                insertion_order,
+                recursion_depth,
+                token_cap,
+                is_enabled
+            });
+
+            res.status(201).json(entry);
+        } catch (error) {
+            console.error('Error creating lorebook entry:', error);
+            res.status(500).json({ error: 'Failed to create lorebook entry' });
+        }
+    });
+
+    /**
+     * Update an entry
+     * PUT /api/lorebooks/:id/entries/:entryId
+     */
+    router.put('/:id/entries/:entryId', async (req, res) => {
+        try {
+            const validationError = validateEntry(req.body, true);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const lorebook = await loadOwnedLorebook(req.userId, req.params.id);
+            const entry = lorebook ? await db.getLorebookEntry(req.params.entryId) : null;
+            if (!entry || entry.lorebook_id !== lorebook.id) {
+                return res.status(404).json({ error: 'Lorebook entry not found' });
+            }
+
+            const { keys, content, insertion_order, recursion_depth, token_cap, is_enabled } = req.body;
+            const updated = await db.updateLorebookEntry(entry.id, {
+                keys: keys?.map(key => key.trim()),
+                content: content?.trim(),
+                insertion_order,
+                recursion_depth,
+                token_cap,
+                is_enabled
+            });
+
+            res.json(updated);
+        } catch (error) {
+            console.error('Error updating lorebook entry:', error);
+            res.status(500).json({ error: 'Failed to update lorebook entry' });
+        }
+    });
+
+    /**
+     * Delete an entry
+     * DELETE /api/lorebooks/:id/entries/:entryId
+     */
+    router.delete('/:id/entries/:entryId', async (req, res) => {
+        try {
+            const lorebook = await loadOwnedLorebook(req.userId, req.params.id);
+            const entry = lorebook ? await db.getLorebookEntry(req.params.entryId) : null;
+            if (!entry || entry.lorebook_id !== lorebook.id) {
+                return res.status(404).json({ error: 'Lorebook entry not found' });
+            }
+
+            await db.deleteLorebookEntry(entry.id);
+            res.json({ message: 'Lorebook entry deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting lorebook entry:', error);
+            res.status(500).json({ error: 'Failed to delete lorebook entry' });
+        }
+    });
+
+    /**
+     * Link a lorebook to a character, scenario or session
+     * POST /api/lorebooks/:id/links
+     */
+    router.post('/:id/links', async (req, res) => {
+        try {
+            const { target_type, target_id } = req.body;
+
+            if (!LOREBOOK_LIMITS.TARGET_TYPES.includes(target_type) || !target_id) {
+                return res.status(400).json({ error: `target_type must be one of ${LOREBOOK_LIMITS.TARGET_TYPES.join(', ')} and target_id is required` });
+            }
+
+            const lorebook = await loadOwnedLorebook(req.userId, req.params.id);
+            if (!lorebook) {
+                return res.status(404).json({ error: 'Lorebook not found' });
+            }
+
+            if (!(await canLinkTarget(req.userId, target_type, target_id))) {
+                return res.status(404).json({ error: 'Link target not found' });
+            }
+
+            const links = await db.linkLorebook(lorebook.id, target_type, target_id);
+            res.status(201).json({ links });
+        } catch (error) {
+            console.error('Error linking lorebook:', error);
+            res.status(500).json({ error: 'Failed to link lorebook' });
+        }
+    });
+
+    /**
+     * Unlink a lorebook from a target
+     * DELETE /api/lorebooks/:id/links/:targetType/:targetId
+     */
+    router.delete('/:id/links/:targetType/:targetId', async (req, res) => {
+        try {
+            const lorebook = await loadOwnedLorebook(req.userId, req.params.id);
+            if (!lorebook) {
+                return res.status(404).json({ error: 'Lorebook not found' });
+            }
+
+            const links = await db.unlinkLorebook(lorebook.id, req.params.targetType, req.params.targetId);
+            res.json({ links });
+        } catch (error) {
+            console.error('Error unlinking lorebook:', error);
+            res.status(500).json({ error: 'Failed to unlink lorebook' });
+        }
+    });
+
+    return router;
+};
@@ -3,15 +3,68 @@
 
 const express = require('express');
 const router = express.Router();
+const EmbeddingService = require('../services/EmbeddingService');
+const { MEMORY_DEFAULTS, PAGINATION } = require('../constants/defaults');
 
 module.exports = (db) => {
     /**
-     * Get character memories
-     * GET /api/character/:characterId/memories
+     * Validate memory fields; `partial` allows missing fields for updates
+     */
+    function validateMemory(body, partial = false) {
+        const { content, memory_type, importance_score, target_type, is_pinned, is_muted } = body;
+
+        if (!partial || content !== undefined) {
+            if (typeof content !== 'string' || !content.trim() || content.trim().length > MEMORY_DEFAULTS.MEMORY_CONTENT_MAX_LENGTH) {
+                return `Content is required and must be ${MEMORY_DEFAULTS.MEMORY_CONTENT_MAX_LENGTH} characters or less`;
+            }
+        }
+        if (memory_type !== undefined && !MEMORY_DEFAULTS.TYPES.includes(memory_type)) {
+            return `memory_type must be one of: ${MEMORY_DEFAULTS.TYPES.join(', ')}`;
+        }
+        if (importance_score !== undefined && (typeof importance_score !== 'number' ||
+            importance_score < MEMORY_DEFAULTS.MIN_IMPORTANCE_SCORE || importance_score > MEMORY_DEFAULTS.MAX_IMPORTANCE_SCORE)) {
+            return `importance_score must be between ${MEMORY_DEFAULTS.MIN_IMPORTANCE_SCORE} and ${MEMORY_DEFAULTS.MAX_IMPORTANCE_SCORE}`;
+        }
+        if (target_type !== undefined && !MEMORY_DEFAULTS.TARGET_TYPES.includes(target_type)) {
+            return `target_type must be one of: ${MEMORY_DEFAULTS.TARGET_TYPES.join(', ')}`;
+        }
+        if (is_pinned !== undefined && typeof is_pinned !== 'boolean') {
+            return 'is_pinned must be a boolean';
+        }
+        if (is_muted !== undefined && typeof is_muted !== 'boolean') {
+            return 'is_muted must be a boolean';
+        }
+        if (is_pinned && is_muted) {
+            return 'A memory cannot be both pinned and muted';
+        }
+        return null;
+    }
+
+    /**
+     * Load a memory belonging to this character and user, or null
+     */
+    async function findMemory(characterId, memoryId, userId) {
+        const memory = await db.getMemory(memoryId, userId);
+        if (!memory || memory.character_id !== characterId) {
+            return null;
+        }
+        return memory;
+    }
+
+    /**
+     * Get character memories, including muted ones
+     * GET /api/character/:characterId/memories?memory_type=&target_type=&limit=
      */
     router.get('/:characterId/memories', async (req, res) => {
         try {
-            const memories = await db.getCharacterMemories(req.params.characterId, req.userId, 20);
+            const { memory_type, target_type } = req.query;
+            const limit = Math.min(parseInt(req.query.limit, 10) || 20, PAGINATION.MAX_PAGE_LIMIT);
+
+            const memories = await db.getMemoriesByCharacter(req.params.characterId, req.userId, limit, {
+                memory_type,
+                target_type,
+                include_muted: true
+            });
             res.json({ memories });
         } catch (error) {
             console.error('Error fetching character memories:', error);
@@ -19,6 +72,95 @@ module.exports = (db) => {
         }
     });
 
+    /**
+     * Add a memory by hand
+     * POST /api/character/:characterId/memories
+     */
+    router.post('/:characterId/memories', async (req, res) => {
+        try {
+            const validationError = validateMemory(req.body);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const character = await db.getCharacter(req.params.characterId, req.userId);
+            if (!character) {
+                return res.status(404).json({ error: 'Character not found' });
+            }
+
+            const memory = await db.createMemory(character.id, req.userId, {
+                memory_type: req.body.memory_type || 'semantic',
+                content: req.body.content.trim(),
+                importance_score: req.body.importance_score ?? MEMORY_DEFAULTS.DEFAULT_IMPORTANCE_SCORE,
+                target_type: req.body.target_type,
+                is_pinned: req.body.is_pinned
+            });
+            await EmbeddingService.embedMemory(db, memory, req.userId);
+
+            res.status(201).json({ memory });
+        } catch (error) {
+            console.error('Error creating memory:', error);
+            res.status(500).json({ error: 'Failed to create memory' });
+        }
+    });
+
+    /**
+     * Edit, pin or mute a memory
+     * PUT /api/character/:characterId/memories/:memoryId
+     */
+    router.put('/:characterId/memories/:memoryId', async (req, res) => {
+        try {
+            const validationError = validateMemory(req.body, true);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const existing = await findMemory(req.params.characterId, req.params.memoryId, req.userId);
+            if (!existing) {
+                return res.status(404).json({ error: 'Memory not found' });
+            }
+
+            const { content, memory_type, importance_score, target_type, is_pinned, is_muted } = req.body;
+            const memory = await db.updateMemory(existing.id, req.userId, {
+                content: content?.trim(),
+                memory_type,
+                importance_score,
+                target_type,
+                is_pinned,
+                is_muted
+            });
+
+            // Re-embed so semantic retrieval matches the corrected text
+            if (memory.content !== existing.content) {
+                await EmbeddingService.embedMemory(db, memory, req.userId);
+            }
+
+            res.json({ memory });
+        } catch (error) {
+            console.error('Error updating memory:', error);
+            res.status(500).json({ error: 'Failed to update memory' });
+        }
+    });
+
+    /**
+     * Delete a single memory
+     * DELETE /api/character/:characterId/memories/:memoryId
+     */
+    router.delete('/:characterId/memories/:memoryId', async (req, res) => {
+        try {
+            const existing = await findMemory(req.params.characterId, req.params.memoryId, req.userId);
+            if (!existing) {
+                return res.status(404).json({ error: 'Memory not found' });
+            }
+
+            await db.deleteMemory(existing.id, req.userId);
+            res.json({ message: 'Memory deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting memory:', error);
+            res.status(500).json({ error: 'Failed to delete memory' });
+        }
+    });
+
     /**
      * Get character relationship
      * GET /api/character/:characterId/relationship
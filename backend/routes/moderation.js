@@ -210,7 +210,7 @@ router.get('/reports', requireAdmin, async (req, res) => {
  */
 router.post('/reports/:reportId/resolve', requireAdmin, async (req, res) => {
   try {
-    const userId = req.headers['user-id'];
+    const userId = req.userId;
     const { reportId } = req.params;
     const { action, notes } = req.body;
 
@@ -304,7 +304,7 @@ router.post('/reports/:reportId/resolve', requireAdmin, async (req, res) => {
  */
 router.post('/approve/:characterId', requireAdmin, async (req, res) => {
   try {
-    const userId = req.headers['user-id'];
+    const userId = req.userId;
     const { characterId } = req.params;
 
     // Update community character moderation status to approved
@@ -345,7 +345,7 @@ router.post('/approve/:characterId', requireAdmin, async (req, res) => {
  */
 router.post('/reject/:characterId', requireAdmin, async (req, res) => {
   try {
-    const userId = req.headers['user-id'];
+    const userId = req.userId;
     const { characterId } = req.params;
     const { reason } = req.body;
 
@@ -392,7 +392,7 @@ router.post('/reject/:characterId', requireAdmin, async (req, res) => {
  */
 router.post('/bulk-approve', requireAdmin, async (req, res) => {
   try {
-    const userId = req.headers['user-id'];
+    const userId = req.userId;
     const { characterIds } = req.body;
 
     if (!Array.isArray(characterIds) || characterIds.length === 0) {
@@ -14,7 +14,7 @@ module.exports = (db) => {
  */
 router.get('/', async (req, res) => {
   try {
-    const userId = req.headers['user-id'] || req.userId;
+    const userId = req.userId;
 
     if (!userId) {
       return res.status(401).json({ error: 'Unauthorized' });
@@ -45,7 +45,7 @@ router.get('/', async (req, res) => {
  */
 router.get('/active', async (req, res) => {
   try {
-    const userId = req.headers['user-id'] || req.userId;
+    const userId = req.userId;
 
     if (!userId) {
       return res.status(401).json({ error: 'Unauthorized' });
@@ -106,7 +106,7 @@ router.get('/active', async (req, res) => {
  */
 router.post('/:personaId/activate', async (req, res) => {
   try {
-    const userId = req.headers['user-id'] || req.userId;
+    const userId = req.userId;
     const { personaId } = req.params;
 
     if (!userId) {
@@ -171,7 +171,7 @@ router.post('/:personaId/activate', async (req, res) => {
  */
 router.post('/', async (req, res) => {
   try {
-    const userId = req.headers['user-id'];
+    const userId = req.userId;
     const {
       name,
       personality,
@@ -197,7 +197,7 @@ router.post('/', async (req, res) => {
     }
 
     // Validate AI provider if provided
-    const validProviders = ['openai', 'anthropic', 'openrouter', 'google', 'ollama', 'lmstudio', 'custom'];
+    const validProviders = ['openai', 'anthropic', 'openrouter', 'google', 'ollama', 'lmstudio', 'custom', 'mock'];
     if (ai_provider && !validProviders.includes(ai_provider)) {
       return res.status(400).json({
         error: `Invalid AI provider. Must be one of: ${validProviders.join(', ')}`
@@ -282,7 +282,7 @@ router.post('/', async (req, res) => {
  */
 router.put('/:personaId', async (req, res) => {
   try {
-    const userId = req.headers['user-id'];
+    const userId = req.userId;
     const { personaId } = req.params;
     const updates = req.body;
 
@@ -301,7 +301,7 @@ router.put('/:personaId', async (req, res) => {
     }
 
     // Validate AI provider if provided
-    const validProviders = ['openai', 'anthropic', 'openrouter', 'google', 'ollama', 'lmstudio', 'custom'];
+    const validProviders = ['openai', 'anthropic', 'openrouter', 'google', 'ollama', 'lmstudio', 'custom', 'mock'];
     if (updates.ai_provider && !validProviders.includes(updates.ai_provider)) {
       return res.status(400).json({
         error: `Invalid AI provider. Must be one of: ${validProviders.join(', ')}`
@@ -354,7 +354,7 @@ router.put('/:personaId', async (req, res) => {
       values
     );
 
-    const persona = db.localDb.get('SELECT * FROM user_personas WHERE id = ?', [personaId]);
+    const persona = db.localDb.get('SELECT * FROM user_personas WHERE id = ? AND user_id = ?', [personaId, userId]);
     if (persona.interests && typeof persona.interests === 'string') {
       persona.interests = JSON.parse(persona.interests);
     }
@@ -373,7 +373,7 @@ router.put('/:personaId', async (req, res) => {
  */
 router.delete('/:personaId', async (req, res) => {
   try {
-    const userId = req.headers['user-id'];
+    const userId = req.userId;
     const { personaId } = req.params;
 
     if (!userId) {
@@ -386,7 +386,11 @@ router.delete('/:personaId', async (req, res) => {
       [userId]
     );
 
-    if (allPersonas && allPersonas.length === 1) {
+    if (!allPersonas?.some(p => String(p.id) === String(personaId))) {
+      return res.status(404).json({ error: 'Persona not found' });
+    }
+
+    if (allPersonas.length === 1) {
       return res.status(400).json({
         error: 'Cannot delete your only persona. Create another one first.'
       });
@@ -432,7 +436,7 @@ router.delete('/:personaId', async (req, res) => {
  */
 router.post('/:personaId/generate', async (req, res) => {
   try {
-    const userId = req.headers['user-id'];
+    const userId = req.userId;
     const { personaId } = req.params;
     const { messages, sessionContext } = req.body;
 
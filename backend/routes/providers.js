@@ -11,6 +11,7 @@ const AIProviderService = require('../services/AIProviderService');
  * Test API key for a specific provider
  * POST /api/providers/test
  * Body: { provider, apiKey, ollamaSettings }
+ * A masked apiKey (as returned by /api/user/settings) tests the stored key
  */
 router.post('/test', async (req, res) => {
   try {
@@ -32,11 +33,16 @@ router.post('/test', async (req, res) => {
       return res.json(result);
     }
 
+    // The mock provider needs neither a key nor a server
+    if (provider.toLowerCase() === 'mock') {
+      return res.json(await AIProviderService.testApiKey(provider, null, ollamaSettings, model));
+    }
+
     if (!apiKey) {
       return res.status(400).json({ error: 'API key is required' });
     }
 
-    const result = await AIProviderService.testApiKey(provider, apiKey, ollamaSettings, model);
+    const result = await AIProviderService.testApiKey(provider, apiKey, ollamaSettings, model, req.userId || null);
     res.json(result);
 
   } catch (error) {
@@ -53,11 +59,12 @@ router.post('/test', async (req, res) => {
  * Get available models for a provider
  * POST /api/providers/models
  * Body: { provider, apiKey, ollamaSettings }
+ * Without an apiKey, or with a masked one, the user's stored key is used
  */
 router.post('/models', async (req, res) => {
   try {
     const { provider, apiKey, ollamaSettings, lmStudioSettings } = req.body;
-    const userId = req.headers['user-id'] || null;
+    const userId = req.userId || null;
 
     if (!provider) {
       return res.status(400).json({ error: 'Provider is required' });
@@ -162,6 +169,15 @@ router.get('/list', (req, res) => {
       defaultModel: 'local-model',
       icon: '🖥️',
       websiteUrl: 'https://lmstudio.ai'
+    },
+    {
+      id: 'mock',
+      name: 'Mock (Offline)',
+      description: 'Scripted, deterministic replies for development and tests',
+      requiresKey: false,
+      defaultModel: 'echo',
+      icon: '🧪',
+      websiteUrl: null
     }
   ];
 
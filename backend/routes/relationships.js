@@ -13,7 +13,7 @@ const router = express.Router();
  */
 router.get('/:characterId/relationships', async (req, res) => {
   try {
-    const userId = req.headers['user-id'];
+    const userId = req.userId;
     const { characterId } = req.params;
     const { target_type } = req.query; // Optional filter: 'character' or 'user'
 
@@ -85,7 +85,7 @@ router.get('/:characterId/relationships', async (req, res) => {
  */
 router.post('/:characterId/relationships', async (req, res) => {
   try {
-    const userId = req.headers['user-id'];
+    const userId = req.userId;
     const { characterId } = req.params;
     const {
       target_character_id,
@@ -183,7 +183,7 @@ router.post('/:characterId/relationships', async (req, res) => {
  */
 router.delete('/:characterId/relationships/:targetId', async (req, res) => {
   try {
-    const userId = req.headers['user-id'];
+    const userId = req.userId;
     const { characterId, targetId } = req.params;
 
     if (!userId) {
@@ -217,7 +217,7 @@ router.delete('/:characterId/relationships/:targetId', async (req, res) => {
  */
 router.get('/:characterId/relationships/available', async (req, res) => {
   try {
-    const userId = req.headers['user-id'];
+    const userId = req.userId;
     const { characterId } = req.params;
 
     if (!userId) {
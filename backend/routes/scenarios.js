@@ -38,7 +38,7 @@ module.exports = (db) => {
 
             // Validate narrator settings if enabled
             if (narrator_enabled) {
-                const validProviders = ['openai', 'anthropic', 'openrouter', 'google', 'ollama', 'lmstudio', 'custom'];
+                const validProviders = ['openai', 'anthropic', 'openrouter', 'google', 'ollama', 'lmstudio', 'custom', 'mock'];
                 if (!narrator_ai_provider || !validProviders.includes(narrator_ai_provider)) {
                     return res.status(400).json({ error: 'Valid narrator AI provider is required when narrator is enabled' });
                 }
@@ -105,7 +105,7 @@ module.exports = (db) => {
 
             // Validate narrator settings if enabled
             if (narrator_enabled) {
-                const validProviders = ['openai', 'anthropic', 'openrouter', 'google', 'ollama', 'lmstudio', 'custom'];
+                const validProviders = ['openai', 'anthropic', 'openrouter', 'google', 'ollama', 'lmstudio', 'custom', 'mock'];
                 if (!narrator_ai_provider || !validProviders.includes(narrator_ai_provider)) {
                     return res.status(400).json({ error: 'Valid narrator AI provider is required when narrator is enabled' });
                 }
@@ -131,6 +131,9 @@ module.exports = (db) => {
                 narrator_interval,
                 narrator_personality
             });
+            if (!scenario) {
+                return res.status(404).json({ error: 'Scenario not found' });
+            }
 
             res.json({
                 ...scenario,
@@ -157,6 +160,9 @@ module.exports = (db) => {
     router.delete('/:id', async (req, res) => {
         try {
             const result = await db.deleteScenario(req.userId, req.params.id);
+            if (!result) {
+                return res.status(404).json({ error: 'Scenario not found' });
+            }
             res.json(result);
         } catch (error) {
             console.error('Error deleting scenario:', error);
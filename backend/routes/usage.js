@@ -0,0 +1,116 @@
+// backend/routes/usage.js
+// Routes for token usage analytics and the per-model price table
+
+const express = require('express');
+const UsageService = require('../services/UsageService');
+const { USAGE_DEFAULTS } = require('../constants/defaults');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+module.exports = (db) => {
+    const router = express.Router();
+    const usageService = new UsageService(db);
+
+    const isDate = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+    const isPrice = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+    /**
+     * Resolve the from/to query into an inclusive UTC date range
+     * Defaults to the last DEFAULT_RANGE_DAYS days ending today
+     * @returns {Object} { from, to } or { error }
+     */
+    function parseRange(query) {
+        const to = query.to || new Date().toISOString().slice(0, 10);
+        const from = query.from ||
+            new Date(Date.parse(`${to}T00:00:00Z`) - (USAGE_DEFAULTS.DEFAULT_RANGE_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+
+        if (!isDate(from) || !isDate(to)) {
+            return { error: 'from and to must be dates in YYYY-MM-DD format' };
+        }
+        const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+        if (days < 1) {
+            return { error: 'from must not be after to' };
+        }
+        if (days > USAGE_DEFAULTS.MAX_RANGE_DAYS) {
+            return { error: `The range can span at most ${USAGE_DEFAULTS.MAX_RANGE_DAYS} days` };
+        }
+        return { from, to };
+    }
+
+    /**
+     * Token and spend summary by character, model, session and day
+     * GET /api/usage?from=YYYY-MM-DD&to=YYYY-MM-DD
+     */
+    router.get('/', (req, res) => {
+        try {
+            const range = parseRange(req.query);
+            if (range.error) {
+                return res.status(400).json({ error: range.error });
+            }
+            res.json(usageService.getSummary(req.userId, range.from, range.to));
+        } catch (error) {
+            console.error('[Usage] Error building summary:', error);
+            res.status(500).json({ error: 'Failed to load usage' });
+        }
+    });
+
+    /**
+     * The price table: built-in estimates merged with the user's own prices
+     * GET /api/usage/prices
+     */
+    router.get('/prices', (req, res) => {
+        try {
+            res.json({ prices: usageService.getPriceTable(req.userId) });
+        } catch (error) {
+            console.error('[Usage] Error loading prices:', error);
+            res.status(500).json({ error: 'Failed to load prices' });
+        }
+    });
+
+    /**
+     * Set the price of a model, in USD per million tokens
+     * PUT /api/usage/prices
+     * Body: { provider, model, input_per_million, output_per_million }
+     */
+    router.put('/prices', (req, res) => {
+        try {
+            const { provider, model, input_per_million, output_per_million } = req.body || {};
+
+            if (typeof provider !== 'string' || !provider.trim() || typeof model !== 'string' || !model.trim()) {
+                return res.status(400).json({ error: 'provider and model are required' });
+            }
+            if (!isPrice(input_per_million) || !isPrice(output_per_million)) {
+                return res.status(400).json({ error: 'input_per_million and output_per_million must be non-negative numbers' });
+            }
+
+            const price = usageService.setPrice(req.userId, provider.trim(), model.trim(), input_per_million, output_per_million);
+            res.json({ price: { ...price, custom: true } });
+        } catch (error) {
+            console.error('[Usage] Error saving price:', error);
+            res.status(500).json({ error: 'Failed to save price' });
+        }
+    });
+
+    /**
+     * Remove the user's price for a model, restoring the built-in estimate if there is one
+     * DELETE /api/usage/prices?provider=...&model=...
+     */
+    router.delete('/prices', (req, res) => {
+        try {
+            const { provider, model } = req.query;
+            if (!provider || !model) {
+                return res.status(400).json({ error: 'provider and model are required' });
+            }
+            if (!usageService.resetPrice(req.userId, provider, model)) {
+                return res.status(404).json({ error: 'No custom price for this model' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            console.error('[Usage] Error resetting price:', error);
+            res.status(500).json({ error: 'Failed to reset price' });
+        }
+    });
+
+    return router;
+};
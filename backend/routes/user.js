@@ -3,7 +3,8 @@
 
 const express = require('express');
 const router = express.Router();
-const { STRING_LIMITS } = require('../constants/defaults');
+const { GROUP_DYNAMICS, MOOD_TRACKING, STRING_LIMITS } = require('../constants/defaults');
+const ApiKeyEncryptionService = require('../services/ApiKeyEncryptionService');
 
 module.exports = (db) => {
     /**
@@ -17,7 +18,8 @@ module.exports = (db) => {
             // Check admin status from Supabase (server-controlled)
             const isAdmin = await db.isAdmin(req.userId);
             
-            res.json({ ...settings, isAdmin });
+            // API keys never leave the server; the client sees the last 4 characters
+            res.json({ ...settings, apiKeys: ApiKeyEncryptionService.maskAll(settings.apiKeys), isAdmin });
         } catch (error) {
             console.error('Error fetching user settings:', error);
             res.status(500).json({ error: 'Failed to fetch user settings' });
@@ -30,13 +32,25 @@ module.exports = (db) => {
      */
     router.put('/settings', async (req, res) => {
         try {
+            const mode = req.body.groupDynamicsMode ?? req.body.group_dynamics_mode;
+            if (mode !== undefined && !GROUP_DYNAMICS.MODES.includes(mode)) {
+                return res.status(400).json({ error: `groupDynamicsMode must be one of: ${GROUP_DYNAMICS.MODES.join(', ')}` });
+            }
+            const moodTracking = req.body.moodTracking ?? req.body.mood_tracking;
+            if (moodTracking !== undefined && !MOOD_TRACKING.MODES.includes(moodTracking)) {
+                return res.status(400).json({ error: `moodTracking must be one of: ${MOOD_TRACKING.MODES.join(', ')}` });
+            }
+
             const settings = await db.updateUserSettings(req.userId, req.body);
 
             res.json({
-                settings: settings,
+                settings: { ...settings, apiKeys: ApiKeyEncryptionService.maskAll(settings.apiKeys) },
                 message: 'Settings updated successfully'
             });
         } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
             console.error('Error updating user settings:', error);
             res.status(500).json({ error: 'Failed to update user settings' });
         }
@@ -9,7 +9,9 @@ const cors = require('cors');
 const path = require('path');
 const DatabaseService = require('./services/database');
 const CommunityService = require('./services/communityService');
+const EmbeddingService = require('./services/EmbeddingService');
 const { generalLimiter } = require('./middleware/rateLimiter');
+const { authenticate, requireAuth, getAuthConfig, logAuthMode } = require('./middleware/auth');
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
 const app = express();
@@ -20,7 +22,8 @@ const PORT = process.env.PORT || 3001;
 // ============================================================================
 
 // Initialize database service (always local mode with Supabase for community)
-const db = new DatabaseService();
+// LOCAL_DB_PATH overrides the default data/local.db, e.g. for the test suite
+const db = new DatabaseService({ localDbPath: process.env.LOCAL_DB_PATH });
 
 // Initialize character service - always use local db routing
 const characterService = {
@@ -29,10 +32,10 @@ const characterService = {
     const characters = await db.getCharacters(userId);
     return { characters, total: characters.length };
   },
-  getCharacter: (characterId, userId) => db.getCharacter(characterId),
+  getCharacter: (characterId, userId) => db.getCharacter(characterId, userId),
   createCharacter: (userId, characterData) => db.createCharacter(userId, characterData),
-  updateCharacter: (userId, characterId, updates) => db.updateCharacter(characterId, updates),
-  deleteCharacter: (userId, characterId) => db.deleteCharacter(characterId),
+  updateCharacter: (userId, characterId, updates) => db.updateCharacter(characterId, userId, updates),
+  deleteCharacter: (userId, characterId) => db.deleteCharacter(characterId, userId),
   publishCharacter: (userId, characterId, publishData) => db.publishCharacter(userId, characterId, publishData),
   importCharacter: (userId, communityCharacterId) => db.importCharacterFromCommunity(userId, communityCharacterId)
 };
@@ -52,7 +55,7 @@ app.use(cors({
 app.options('*', cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
   credentials: true,
-  allowedHeaders: ['Content-Type', 'user-id', 'x-user-id']
+  allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
 app.use(express.json({ limit: '10mb' }));
@@ -60,18 +63,13 @@ app.use(express.json({ limit: '10mb' }));
 // Serve uploaded images statically
 app.use('/uploads', express.static(path.join(__dirname, '../data/uploads')));
 
+// Identify the caller from their bearer token (or the local user) before
+// rate limiting, so limits apply per verified user
+app.use('/api', authenticate);
+
 // Apply general rate limiting to all API routes
 app.use('/api', generalLimiter);
 
-const requireAuth = (req, res, next) => {
-  const userId = req.headers['user-id'];
-  if (!userId) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-  req.userId = userId;
-  next();
-};
-
 // ============================================================================
 // IMPORT AND MOUNT ROUTES
 // ============================================================================
@@ -95,10 +93,13 @@ const personasRoutes = require('./routes/personas')(db);
 const relationshipsRoutes = require('./routes/relationships')(db);
 const moderationRoutes = require('./routes/moderation');
 const customModelsRoutes = require('./routes/custom-models')(db);
+const instructTemplateRoutes = require('./routes/instruct-templates')(db);
+const lorebookRoutes = require('./routes/lorebooks')(db);
+const usageRoutes = require('./routes/usage')(db);
 
 // Mount routes
 app.use('/api/providers', providerRoutes);
-app.use('/api/chat', groupChatRoutes);
+app.use('/api/chat', requireAuth, groupChatRoutes);
 app.use('/api/chat', requireAuth, chatSessionRoutes);
 app.use('/api/characters', requireAuth, characterRoutes);
 // Community routes - always require online connection for mutations
@@ -123,6 +124,9 @@ app.use('/api/characters', requireAuth, relationshipsRoutes);
 app.use('/api/moderation', requireAuth, moderationRoutes);
 app.use('/api/images', requireAuth, imageRoutes);
 app.use('/api/custom-models', requireAuth, customModelsRoutes);
+app.use('/api/instruct-templates', requireAuth, instructTemplateRoutes);
+app.use('/api/lorebooks', requireAuth, lorebookRoutes);
+app.use('/api/usage', requireAuth, usageRoutes);
 
 // ============================================================================
 // HEALTH & UTILITY ROUTES
@@ -130,7 +134,8 @@ app.use('/api/custom-models', requireAuth, customModelsRoutes);
 
 app.get('/health', (req, res) => {
   const communityAvailable = db && db.isCommunityAvailable && db.isCommunityAvailable();
-  
+  const authConfig = getAuthConfig();
+
   res.json({
     status: 'OK',
     timestamp: new Date().toISOString(),
@@ -138,6 +143,9 @@ app.get('/health', (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     mode: 'local',
     database: 'SQLite (local) + Supabase (community)',
+    auth: authConfig.localOnly
+      ? { mode: 'local', localUserId: authConfig.localUserId }
+      : { mode: 'token' },
     features: {
       chatHistory: true,
       characterMemory: true,
@@ -171,8 +179,18 @@ app.use('*', (req, res) => {
 // SERVER STARTUP
 // ============================================================================
 
-app.listen(PORT, () => {
-
-});
+// Only listen when run directly; tests require the app and listen themselves
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logAuthMode();
+
+    // Embed memories saved before semantic retrieval, or under another embedder
+    EmbeddingService.backfill(db)
+      .then(({ embedded }) => {
+        if (embedded > 0) console.log(`[Embeddings] Backfilled ${embedded} memories`);
+      })
+      .catch(error => console.error('[Embeddings] Backfill failed:', error));
+  });
+}
 
 module.exports = app;
@@ -1,9 +1,18 @@
 // ============================================================================
 // CHAIT World - Unified AI Provider Service
-// Handles routing to OpenAI, Anthropic, OpenRouter, Google Gemini, and Ollama
+// Handles routing to OpenAI, Anthropic, OpenRouter, Google Gemini, Ollama,
+// LM Studio and the offline mock provider
 // ============================================================================
 
 const fetch = require('node-fetch');
+const { StringDecoder } = require('string_decoder');
+const ApiKeyEncryptionService = require('./ApiKeyEncryptionService');
+const MockProviderService = require('./MockProviderService');
+const InstructTemplateService = require('./InstructTemplateService');
+const { AI_DEFAULTS, PROVIDER_RESILIENCE, OLLAMA_DEFAULTS } = require('../constants/defaults');
+
+// Circuit breaker state per provider: { failures, openUntil }
+const circuits = new Map();
 
 /**
  * Unified AI Provider Service
@@ -13,77 +22,453 @@ class AIProviderService {
   
   /**
    * Main entry point - calls AI based on character's configured provider
+   * Each model in the chain (the character's model, then its fallbacks) is
+   * retried with backoff on timeouts, rate limits and server errors. Providers
+   * whose circuit is open are skipped. Once any tokens have streamed to the
+   * caller, nothing is retried.
    * @param {Object} character - Character object with ai_provider and ai_model
    * @param {Array} messages - Conversation messages in OpenAI format
-   * @param {Object} apiKeys - User's API keys for various providers
+   * @param {Object} apiKeys - User's API keys for various providers, encrypted or plain
    * @param {Object} ollamaSettings - Ollama configuration
    * @param {Object} options - Additional options
+   * @param {Function} [options.onToken] - Stream the reply, calling onToken with each text fragment
+   * @param {Function} [options.onUsage] - Called with { provider, model, prompt_tokens, completion_tokens }
+   *   when the provider reports token counts
+   * @param {Function} [options.onAttempt] - Called with each attempt as it finishes:
+   *   { provider, model, attempt, outcome: 'success' | 'error' | 'skipped', error?, kind?, status?, duration_ms? }
+   * @param {number} [options.maxRetries] - Retries per model; defaults to PROVIDER_RESILIENCE.MAX_RETRIES
    * @returns {Promise<string>} - AI response text
+   * @throws {Error} The last provider error, with the full list on error.attempts
    */
   static async generateResponse(character, messages, apiKeys = {}, ollamaSettings = {}, options = {}) {
-    const provider = character.ai_provider || 'openai';
-    const model = character.ai_model || 'gpt-3.5-turbo';
+    const maxRetries = options.maxRetries ?? PROVIDER_RESILIENCE.MAX_RETRIES;
+    const attempts = [];
+    const record = (attempt) => {
+      attempts.push(attempt);
+      options.onAttempt?.(attempt);
+    };
 
-    try {
-      // Route to appropriate provider
-      switch (provider.toLowerCase()) {
-        case 'openai':
-          return await this.callOpenAI(model, messages, apiKeys.openai, character);
+    // Track whether any tokens reached the caller, so a half-streamed reply
+    // is never spliced together with a retry or a fallback provider's answer
+    let streamed = false;
+    const onToken = options.onToken
+      ? (token) => {
+          if (!token) return;
+          streamed = true;
+          options.onToken(token);
+        }
+      : null;
 
-        case 'anthropic':
-          return await this.callAnthropic(model, messages, apiKeys.anthropic, character);
+    let lastError = null;
 
-        case 'openrouter':
-          return await this.callOpenRouter(model, messages, apiKeys.openrouter, character);
+    for (const { provider, model } of this.buildProviderChain(character)) {
+      const circuitKey = this.circuitKey(provider, model, ollamaSettings);
+      if (!this.isCircuitClosed(circuitKey)) {
+        record({ provider, model, attempt: 0, outcome: 'skipped', error: 'Provider is failing; skipped until its cooldown ends' });
+        lastError = lastError || new Error(`${provider} is temporarily unavailable after repeated failures`);
+        continue;
+      }
 
-        case 'google':
-        case 'gemini':
-          return await this.callGemini(model, messages, apiKeys.google, character);
+      const linkCharacter = { ...character, ai_provider: provider, ai_model: model };
+      const onUsage = options.onUsage
+        ? (usage) => options.onUsage({ provider, model, ...usage })
+        : null;
+
+      for (let attempt = 1; ; attempt++) {
+        const startedAt = Date.now();
+        try {
+          const response = await this.callProvider(linkCharacter, messages, apiKeys, ollamaSettings, onToken, onUsage);
+          this.recordCircuitSuccess(circuitKey);
+          record({ provider, model, attempt, outcome: 'success', duration_ms: Date.now() - startedAt });
+          return response;
+        } catch (error) {
+          const failure = this.classifyProviderError(error);
+          if (failure.tripsCircuit) {
+            this.recordCircuitFailure(circuitKey);
+          }
+          record({
+            provider,
+            model,
+            attempt,
+            outcome: 'error',
+            error: error.message,
+            kind: failure.kind,
+            ...(error.providerStatus && { status: error.providerStatus }),
+            duration_ms: Date.now() - startedAt
+          });
+          console.error(`[AI Service] ${provider}/${model} attempt ${attempt} failed (${failure.kind}):`, error.message);
+          lastError = error;
+
+          if (streamed) {
+            error.attempts = attempts;
+            throw error;
+          }
 
-        case 'ollama':
-          return await this.callOllama(model, messages, ollamaSettings, character);
+          const delay = attempt <= maxRetries ? this.retryDelay(failure, error, attempt) : null;
+          if (delay == null || !this.isCircuitClosed(circuitKey)) {
+            break; // Move on to the next model in the chain
+          }
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
 
-        case 'lmstudio':
-          // LM Studio settings should be in ollamaSettings object with lmStudioSettings key
-          const lmStudioSettings = ollamaSettings?.lmStudioSettings || ollamaSettings || {};
-          return await this.callLMStudio(model, messages, lmStudioSettings, character);
+    const error = lastError || new Error('No AI provider configured');
+    error.attempts = attempts;
+    throw error;
+  }
 
-        case 'custom':
-          return await this.callCustomModel(model, messages, apiKeys.openrouter, character, apiKeys);
+  /**
+   * Route one call to the character's provider
+   */
+  static async callProvider(character, messages, apiKeys, ollamaSettings, onToken, onUsage) {
+    const provider = character.ai_provider;
+    const model = character.ai_model;
 
-        default:
-          throw new Error(`Unsupported AI provider: ${provider}`);
+    switch (provider.toLowerCase()) {
+      case 'openai':
+        return await this.callOpenAI(model, messages, this.openApiKey(apiKeys, 'openai'), character, onToken, onUsage);
+
+      case 'anthropic':
+        return await this.callAnthropic(model, messages, this.openApiKey(apiKeys, 'anthropic'), character, onToken, onUsage);
+
+      case 'openrouter':
+        return await this.callOpenRouter(model, messages, this.openApiKey(apiKeys, 'openrouter'), character, onToken, onUsage);
+
+      case 'google':
+      case 'gemini':
+        return await this.callGemini(model, messages, this.openApiKey(apiKeys, 'google'), character, onToken, onUsage);
+
+      case 'ollama':
+        return await this.callOllama(model, messages, ollamaSettings, character, onToken, onUsage);
+
+      case 'lmstudio': {
+        // LM Studio settings should be in ollamaSettings object with lmStudioSettings key
+        const lmStudioSettings = ollamaSettings?.lmStudioSettings || ollamaSettings || {};
+        return await this.callLMStudio(model, messages, lmStudioSettings, character, onToken, onUsage);
       }
-      
-    } catch (error) {
-      console.error(`[AI Service] Error with ${provider}:`, error.message);
-      
-      // Try fallback if configured
-      if (character.fallback_provider && character.fallback_model) {
 
-        const fallbackChar = {
-          ...character,
-          ai_provider: character.fallback_provider,
-          ai_model: character.fallback_model
-        };
-        
-        return await this.generateResponse(fallbackChar, messages, apiKeys, ollamaSettings);
+      case 'custom':
+        return await this.callCustomModel(model, messages, this.openApiKey(apiKeys, 'openrouter'), character, apiKeys, onToken, onUsage);
+
+      case 'mock':
+        return await MockProviderService.generate(model, messages, character, onToken, onUsage);
+
+      default:
+        throw new Error(`Unsupported AI provider: ${provider}`);
+    }
+  }
+
+  // ==========================================================================
+  // RESILIENCE: fallback chain, timeouts, retries and circuit breaker
+  // ==========================================================================
+
+  /**
+   * The models to try in order: the character's own, then its fallback chain
+   * (or the single legacy fallback_provider/fallback_model pair). Duplicates are dropped.
+   * @returns {Array} [{ provider, model }]
+   */
+  static buildProviderChain(character) {
+    const primary = {
+      provider: character.ai_provider || 'openai',
+      model: character.ai_model || 'gpt-3.5-turbo'
+    };
+    const fallbacks = Array.isArray(character.fallback_chain) && character.fallback_chain.length > 0
+      ? character.fallback_chain
+      : [{ provider: character.fallback_provider, model: character.fallback_model }];
+
+    const chain = [primary];
+    for (const link of fallbacks) {
+      if (!link?.provider || !link?.model) continue;
+      if (chain.some(existing => existing.provider === link.provider && existing.model === link.model)) continue;
+      chain.push({ provider: link.provider, model: link.model });
+    }
+    return chain.slice(0, PROVIDER_RESILIENCE.MAX_CHAIN_LENGTH);
+  }
+
+  /**
+   * fetch() that gives up if the provider hasn't started responding in time
+   * The timer stops once response headers arrive, so long streams are not cut off.
+   */
+  static async fetchWithTimeout(url, options, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      return await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error(`Request timed out after ${Math.round(timeoutMs / 1000)}s`);
+        timeoutError.timedOut = true;
+        throw timeoutError;
       }
-      
       throw error;
+    } finally {
+      clearTimeout(timer);
     }
   }
+
+  /**
+   * Time limit for a provider; local servers may need to load the model first
+   */
+  static requestTimeout(provider) {
+    return ['ollama', 'lmstudio'].includes(provider)
+      ? PROVIDER_RESILIENCE.LOCAL_REQUEST_TIMEOUT_MS
+      : PROVIDER_RESILIENCE.REQUEST_TIMEOUT_MS;
+  }
+
+  /**
+   * Error for a failed HTTP response, carrying what the retry logic needs
+   * (providerStatus rather than statusCode, which routes would send to the client)
+   */
+  static providerError(message, response) {
+    const error = new Error(message);
+    error.providerStatus = response.status;
+    error.retryAfterMs = this.parseRetryAfter(response.headers.get('retry-after'));
+    return error;
+  }
+
+  /**
+   * Retry-After is either a number of seconds or an HTTP date
+   * @returns {number|null} Milliseconds to wait
+   */
+  static parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Decide what a failure means for retries and the circuit breaker
+   * @returns {Object} { kind, retryable, tripsCircuit }
+   *   kind is timeout, unreachable, network, rate_limit, server, auth, request or other
+   */
+  static classifyProviderError(error) {
+    if (error.timedOut) {
+      return { kind: 'timeout', retryable: true, tripsCircuit: true };
+    }
+    if (['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH'].includes(error.code)) {
+      return { kind: 'unreachable', retryable: false, tripsCircuit: true };
+    }
+    if (['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'].includes(error.code) || error.type === 'system') {
+      return { kind: 'network', retryable: true, tripsCircuit: true };
+    }
+
+    const status = error.providerStatus;
+    if (status === 429) {
+      return { kind: 'rate_limit', retryable: true, tripsCircuit: false };
+    }
+    if (status >= 500) {
+      return { kind: 'server', retryable: true, tripsCircuit: true };
+    }
+    if (status === 401 || status === 403 || error.keyUnreadable) {
+      return { kind: 'auth', retryable: false, tripsCircuit: false };
+    }
+    if (status >= 400) {
+      return { kind: 'request', retryable: false, tripsCircuit: false };
+    }
+    return { kind: 'other', retryable: false, tripsCircuit: false };
+  }
+
+  /**
+   * How long to wait before retrying, or null to move on to the next model
+   * Retry-After is honoured when the provider sends one, unless it asks for
+   * longer than MAX_RETRY_AFTER_MS; otherwise backoff doubles with jitter.
+   */
+  static retryDelay(failure, error, attempt) {
+    if (!failure.retryable) return null;
+
+    if (error.retryAfterMs != null) {
+      return error.retryAfterMs <= PROVIDER_RESILIENCE.MAX_RETRY_AFTER_MS ? error.retryAfterMs : null;
+    }
+
+    const backoff = PROVIDER_RESILIENCE.BASE_RETRY_DELAY_MS * 2 ** (attempt - 1);
+    const jittered = backoff * (0.5 + Math.random() / 2);
+    return Math.min(jittered, PROVIDER_RESILIENCE.MAX_RETRY_DELAY_MS);
+  }
+
+  /**
+   * Circuits are per provider; custom presets get one each since they may
+   * point at different backends, and local servers one per base URL since
+   * each user runs their own
+   */
+  static circuitKey(provider, model, ollamaSettings = {}) {
+    if (provider === 'custom') {
+      return `custom:${model}`;
+    }
+    if (provider === 'ollama') {
+      return `ollama:${ollamaSettings?.baseUrl || 'http://localhost:11434'}`;
+    }
+    if (provider === 'lmstudio') {
+      const lmStudioSettings = ollamaSettings?.lmStudioSettings || ollamaSettings;
+      return `lmstudio:${lmStudioSettings?.baseUrl || 'http://localhost:1234'}`;
+    }
+    return provider;
+  }
+
+  /**
+   * Whether calls may go to a provider. Once the cooldown ends calls go
+   * through again; the next failure re-opens the circuit, a success closes it.
+   */
+  static isCircuitClosed(key) {
+    const circuit = circuits.get(key);
+    return !circuit || circuit.openUntil <= Date.now();
+  }
+
+  static recordCircuitFailure(key) {
+    const circuit = circuits.get(key) || { failures: 0, openUntil: 0 };
+    circuit.failures += 1;
+    if (circuit.failures >= PROVIDER_RESILIENCE.CIRCUIT_FAILURE_THRESHOLD) {
+      circuit.openUntil = Date.now() + PROVIDER_RESILIENCE.CIRCUIT_COOLDOWN_MS;
+      console.warn(`[AI Service] ${key} failed ${circuit.failures} times in a row; skipping it for ${PROVIDER_RESILIENCE.CIRCUIT_COOLDOWN_MS / 1000}s`);
+    }
+    circuits.set(key, circuit);
+  }
+
+  static recordCircuitSuccess(key) {
+    circuits.delete(key);
+  }
+
+  // ==========================================================================
+  // API KEYS
+  // ==========================================================================
+
+  /**
+   * Decrypt the stored key of the provider being called, for that call only
+   * Plain strings (keys typed into a test request) pass through unchanged.
+   * Other providers' keys stay sealed, so one unreadable key only breaks its own provider.
+   * @throws {Error} error.keyUnreadable when the key can't be decrypted
+   */
+  static openApiKey(apiKeys, provider) {
+    const value = apiKeys?.[provider];
+    if (!ApiKeyEncryptionService.isEnvelope(value)) {
+      return value;
+    }
+
+    try {
+      return ApiKeyEncryptionService.open(value, provider);
+    } catch (error) {
+      console.error(`[Keys] Could not decrypt the ${provider} API key:`, error.message);
+      const unreadable = new Error(`The saved ${provider} API key is unreadable; re-enter it in Settings`);
+      unreadable.keyUnreadable = true;
+      throw unreadable;
+    }
+  }
+
+  /**
+   * Use the user's stored key when the client sent none or sent back its mask
+   * The settings screen only ever holds masked keys, so this is how it can
+   * test a saved key or list its models
+   */
+  static resolveApiKey(provider, apiKey, userId) {
+    if (!userId || !provider) {
+      return apiKey;
+    }
+
+    const { getInstance } = require('./LocalDatabaseService');
+    const stored = getInstance().getUserSettings(userId).apiKeys?.[provider];
+    if (!stored || (apiKey && !ApiKeyEncryptionService.isMaskOf(apiKey, stored))) {
+      return apiKey;
+    }
+    return this.openApiKey({ [provider]: stored }, provider);
+  }
+
+  // ==========================================================================
+  // STREAMING HELPERS
+  // ==========================================================================
+
+  /**
+   * Read a streamed response body line by line
+   * Decodes across chunk boundaries so multi-byte characters are never split
+   */
+  static async readLines(body, onLine) {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+
+    for await (const chunk of body) {
+      buffer += decoder.write(chunk);
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+        buffer = buffer.slice(newlineIndex + 1);
+        onLine(line);
+      }
+    }
+
+    buffer += decoder.end();
+    if (buffer.trim()) {
+      onLine(buffer);
+    }
+  }
+
+  /**
+   * Read a Server-Sent Events body, calling onData with each parsed JSON payload
+   */
+  static async readEventStream(body, onData) {
+    await this.readLines(body, (line) => {
+      if (!line.startsWith('data:')) return; // Skip event names, comments and keep-alives
+
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') return;
+
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch {
+        return;
+      }
+      onData(data);
+    });
+  }
+
+  /**
+   * Collect an OpenAI-compatible chat completion stream (OpenAI, OpenRouter, LM Studio)
+   * Token counts arrive in the final chunk's usage field when the server sends them
+   */
+  static async readChatCompletionStream(body, onToken, onUsage = null) {
+    let text = '';
+    let usage = null;
+
+    await this.readEventStream(body, (data) => {
+      if (data.error) {
+        throw new Error(data.error.message || 'Stream error');
+      }
+      if (data.usage) {
+        usage = data.usage;
+      }
+      // Text completions stream `text` instead of a delta
+      const token = data.choices?.[0]?.delta?.content ?? data.choices?.[0]?.text;
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+    });
+
+    this.reportUsage(onUsage, usage?.prompt_tokens, usage?.completion_tokens);
+    return text.trim();
+  }
+
+  /**
+   * Pass a provider's token counts to onUsage; responses without counts are skipped
+   */
+  static reportUsage(onUsage, promptTokens, completionTokens) {
+    if (!onUsage || (promptTokens == null && completionTokens == null)) return;
+    onUsage({ prompt_tokens: promptTokens || 0, completion_tokens: completionTokens || 0 });
+  }
   
   // ==========================================================================
   // OPENAI
   // ==========================================================================
   
-  static async callOpenAI(model, messages, apiKey, character) {
+  static async callOpenAI(model, messages, apiKey, character, onToken = null, onUsage = null) {
     if (!apiKey) {
       throw new Error('OpenAI API key not configured');
     }
     
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+    const response = await this.fetchWithTimeout('https://api.openai.com/v1/chat/completions', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -97,24 +482,58 @@ class AIProviderService {
         ...(character.top_p != null && { top_p: character.top_p }),
         ...(character.frequency_penalty != null ? { frequency_penalty: character.frequency_penalty } : { frequency_penalty: 0.3 }),
         ...(character.presence_penalty != null ? { presence_penalty: character.presence_penalty } : { presence_penalty: 0.6 }),
-        ...(character.stop_sequences?.length && { stop: character.stop_sequences })
+        ...(character.stop_sequences?.length && { stop: character.stop_sequences }),
+        ...(onToken && { stream: true, stream_options: { include_usage: true } })
       })
-    });
+    }, this.requestTimeout('openai'));
     
     if (!response.ok) {
       const error = await response.json().catch(() => ({}));
-      throw new Error(error.error?.message || `OpenAI API error: ${response.status}`);
+      throw this.providerError(error.error?.message || `OpenAI API error: ${response.status}`, response);
+    }
+
+    if (onToken) {
+      return await this.readChatCompletionStream(response.body, onToken, onUsage);
     }
     
     const data = await response.json();
+    this.reportUsage(onUsage, data.usage?.prompt_tokens, data.usage?.completion_tokens);
     return data.choices[0].message.content.trim();
   }
+
+  /**
+   * Embed texts with the OpenAI embeddings endpoint (used by EmbeddingService)
+   * @returns {Promise<number[][]>} One vector per text, in input order
+   */
+  static async getOpenAIEmbeddings(texts, model, apiKeys = {}) {
+    const apiKey = this.openApiKey(apiKeys, 'openai');
+    if (!apiKey) {
+      throw new Error('OpenAI API key not configured');
+    }
+
+    const response = await fetch('https://api.openai.com/v1/embeddings', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({ model, input: texts })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error?.message || `OpenAI embeddings error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
   
   // ==========================================================================
   // ANTHROPIC CLAUDE
   // ==========================================================================
   
-  static async callAnthropic(model, messages, apiKey, character) {
+  static async callAnthropic(model, messages, apiKey, character, onToken = null, onUsage = null) {
     if (!apiKey) {
       throw new Error('Anthropic API key not configured');
     }
@@ -128,7 +547,7 @@ class AIProviderService {
         content: m.content
       }));
     
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
+    const response = await this.fetchWithTimeout('https://api.anthropic.com/v1/messages', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -142,16 +561,42 @@ class AIProviderService {
         system: systemMessage,
         messages: conversationMessages,
         ...(character.top_p != null && { top_p: character.top_p }),
-        ...(character.stop_sequences?.length && { stop_sequences: character.stop_sequences })
+        ...(character.stop_sequences?.length && { stop_sequences: character.stop_sequences }),
+        ...(onToken && { stream: true })
       })
-    });
+    }, this.requestTimeout('anthropic'));
     
     if (!response.ok) {
       const error = await response.json().catch(() => ({}));
-      throw new Error(error.error?.message || `Anthropic API error: ${response.status}`);
+      throw this.providerError(error.error?.message || `Anthropic API error: ${response.status}`, response);
+    }
+
+    if (onToken) {
+      let text = '';
+      let inputTokens = null;
+      let outputTokens = null;
+      await this.readEventStream(response.body, (event) => {
+        if (event.type === 'error') {
+          throw new Error(event.error?.message || 'Anthropic stream error');
+        }
+        // Input tokens come with message_start, the running output count with message_delta
+        if (event.type === 'message_start') {
+          inputTokens = event.message?.usage?.input_tokens ?? inputTokens;
+        }
+        if (event.type === 'message_delta') {
+          outputTokens = event.usage?.output_tokens ?? outputTokens;
+        }
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          text += event.delta.text;
+          onToken(event.delta.text);
+        }
+      });
+      this.reportUsage(onUsage, inputTokens, outputTokens);
+      return text.trim();
     }
     
     const data = await response.json();
+    this.reportUsage(onUsage, data.usage?.input_tokens, data.usage?.output_tokens);
     return data.content[0].text.trim();
   }
   
@@ -159,12 +604,12 @@ class AIProviderService {
   // OPENROUTER (Universal Gateway)
   // ==========================================================================
   
-  static async callOpenRouter(model, messages, apiKey, character) {
+  static async callOpenRouter(model, messages, apiKey, character, onToken = null, onUsage = null) {
     if (!apiKey) {
       throw new Error('OpenRouter API key not configured');
     }
     
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
+    const response = await this.fetchWithTimeout('https://openrouter.ai/api/v1/chat/completions', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -181,9 +626,10 @@ class AIProviderService {
         ...(character.frequency_penalty != null && { frequency_penalty: character.frequency_penalty }),
         ...(character.presence_penalty != null && { presence_penalty: character.presence_penalty }),
         ...(character.repetition_penalty != null && { repetition_penalty: character.repetition_penalty }),
-        ...(character.stop_sequences?.length && { stop: character.stop_sequences })
+        ...(character.stop_sequences?.length && { stop: character.stop_sequences }),
+        ...(onToken && { stream: true, usage: { include: true } })
       })
-    });
+    }, this.requestTimeout('openrouter'));
     
     if (!response.ok) {
       const errorText = await response.text();
@@ -194,7 +640,11 @@ class AIProviderService {
         errorData = { error: { message: errorText } };
       }
       console.error('[OpenRouter] API Error:', response.status, errorData);
-      throw new Error(errorData.error?.message || `OpenRouter API error: ${response.status} - ${errorText.substring(0, 200)}`);
+      throw this.providerError(errorData.error?.message || `OpenRouter API error: ${response.status} - ${errorText.substring(0, 200)}`, response);
+    }
+
+    if (onToken) {
+      return await this.readChatCompletionStream(response.body, onToken, onUsage);
     }
     
     const data = await response.json();
@@ -202,6 +652,7 @@ class AIProviderService {
       console.error('[OpenRouter] Unexpected response format:', data);
       throw new Error('Invalid response format from OpenRouter');
     }
+    this.reportUsage(onUsage, data.usage?.prompt_tokens, data.usage?.completion_tokens);
     return data.choices[0].message.content.trim();
   }
   
@@ -209,7 +660,7 @@ class AIProviderService {
   // GOOGLE GEMINI
   // ==========================================================================
   
-  static async callGemini(model, messages, apiKey, character) {
+  static async callGemini(model, messages, apiKey, character, onToken = null, onUsage = null) {
     if (!apiKey) {
       throw new Error('Google API key not configured');
     }
@@ -240,8 +691,13 @@ class AIProviderService {
       });
     }
 
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1/models/${model}:generateContent?key=${apiKey}`,
+    // Streaming uses the SSE variant of the endpoint; each event is a partial GenerateContentResponse
+    const endpoint = onToken
+      ? `${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+      : `${model}:generateContent?key=${apiKey}`;
+
+    const response = await this.fetchWithTimeout(
+      `https://generativelanguage.googleapis.com/v1/models/${endpoint}`,
       {
         method: 'POST',
         headers: {
@@ -256,17 +712,44 @@ class AIProviderService {
             ...(character.stop_sequences?.length && { stopSequences: character.stop_sequences })
           }
         })
-      }
+      },
+      this.requestTimeout('google')
     );
 
     if (!response.ok) {
       const error = await response.json().catch(() => ({}));
       const errorMessage = error.error?.message || `Gemini API error: ${response.status}`;
       console.error('Gemini API Error:', errorMessage, error);
-      throw new Error(errorMessage);
+      throw this.providerError(errorMessage, response);
+    }
+
+    if (onToken) {
+      let text = '';
+      let usageMetadata = null;
+      await this.readEventStream(response.body, (chunk) => {
+        // Every chunk carries the running totals; the last one is final
+        if (chunk.usageMetadata) {
+          usageMetadata = chunk.usageMetadata;
+        }
+        if (chunk.promptFeedback?.blockReason) {
+          throw new Error(`Gemini blocked the request: ${chunk.promptFeedback.blockReason}`);
+        }
+        const candidate = chunk.candidates?.[0];
+        if (candidate?.finishReason && ['SAFETY', 'RECITATION', 'OTHER'].includes(candidate.finishReason)) {
+          throw new Error(`Gemini blocked the response: ${candidate.finishReason}`);
+        }
+        const token = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+      });
+      this.reportUsage(onUsage, usageMetadata?.promptTokenCount, usageMetadata?.candidatesTokenCount);
+      return text.trim();
     }
 
     const data = await response.json();
+    this.reportUsage(onUsage, data.usageMetadata?.promptTokenCount, data.usageMetadata?.candidatesTokenCount);
 
     // Check for prompt feedback (blocked content)
     if (data.promptFeedback && data.promptFeedback.blockReason) {
@@ -304,87 +787,143 @@ class AIProviderService {
   // OLLAMA (Local Models)
   // ==========================================================================
   
-  static async callOllama(model, messages, ollamaSettings = {}, character) {
+  static async callOllama(model, messages, ollamaSettings = {}, character, onToken = null, onUsage = null) {
     const baseUrl = ollamaSettings.baseUrl || 'http://localhost:11434';
-    
-    // Convert to Ollama format
-    const prompt = messages
-      .map(m => {
-        if (m.role === 'system') return `System: ${m.content}`;
-        if (m.role === 'user') return `User: ${m.content}`;
-        return `Assistant: ${m.content}`;
-      })
-      .join('\n\n');
-    
-    const response = await fetch(`${baseUrl}/api/generate`, {
+    const seed = parseInt(ollamaSettings.seed, 10);
+    // With an instruct template we format the prompt ourselves and send it raw
+    // to /api/generate, bypassing the model's built-in chat template
+    const template = InstructTemplateService.resolve(character.instruct_template, character.user_id);
+    const stop = template
+      ? InstructTemplateService.stopSequences(template, character.stop_sequences)
+      : character.stop_sequences;
+
+    // /api/chat takes the roles as-is; anything that isn't system or user is a reply
+    const chatMessages = messages.map(m => ({
+      role: m.role === 'system' || m.role === 'user' ? m.role : 'assistant',
+      content: m.content
+    }));
+    const input = template
+      ? { prompt: InstructTemplateService.render(template, messages), raw: true }
+      : { messages: chatMessages };
+
+    const response = await this.fetchWithTimeout(`${baseUrl}/api/${template ? 'generate' : 'chat'}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
         model: model,
-        prompt: prompt,
-        temperature: character.temperature ?? 0.8,
-        stream: false,
+        ...input,
+        stream: Boolean(onToken),
+        keep_alive: ollamaSettings.keepAlive || OLLAMA_DEFAULTS.KEEP_ALIVE,
+        // Ollama ignores sampling parameters outside options
         options: {
+          temperature: character.temperature ?? 0.8,
+          num_predict: character.max_tokens || 150,
+          // Match the window PromptBudgeter fitted the prompt into; Ollama's own default is far smaller
+          num_ctx: character.context_window || AI_DEFAULTS.CONTEXT_WINDOW,
           ...(character.top_p != null && { top_p: character.top_p }),
+          ...(character.frequency_penalty != null && { frequency_penalty: character.frequency_penalty }),
+          ...(character.presence_penalty != null && { presence_penalty: character.presence_penalty }),
           ...(character.repetition_penalty != null && { repeat_penalty: character.repetition_penalty }),
-          ...(character.stop_sequences?.length && { stop: character.stop_sequences })
+          ...(stop?.length && { stop }),
+          ...(Number.isInteger(seed) && { seed })
         }
       })
-    });
+    }, this.requestTimeout('ollama'));
     
     if (!response.ok) {
-      throw new Error(`Ollama API error: ${response.status}`);
+      const error = await response.json().catch(() => ({}));
+      throw this.providerError(error.error ? `Ollama error: ${error.error}` : `Ollama API error: ${response.status}`, response);
+    }
+
+    if (onToken) {
+      // Ollama streams newline-delimited JSON objects rather than SSE
+      let text = '';
+      await this.readLines(response.body, (line) => {
+        if (!line.trim()) return;
+        const chunk = JSON.parse(line);
+        if (chunk.error) {
+          throw new Error(`Ollama error: ${chunk.error}`);
+        }
+        const token = template ? chunk.response : chunk.message?.content;
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+        // The closing chunk carries the counts
+        if (chunk.done) {
+          this.reportUsage(onUsage, chunk.prompt_eval_count, chunk.eval_count);
+        }
+      });
+      return text.trim();
     }
     
     const data = await response.json();
-    return data.response.trim();
+    this.reportUsage(onUsage, data.prompt_eval_count, data.eval_count);
+    return ((template ? data.response : data.message?.content) || '').trim();
   }
 
   // ==========================================================================
   // LM STUDIO (OpenAI-compatible API for local GGUF models)
   // ==========================================================================
 
-  static async callLMStudio(model, messages, lmStudioSettings = {}, character) {
+  static async callLMStudio(model, messages, lmStudioSettings = {}, character, onToken = null, onUsage = null) {
     const baseUrl = lmStudioSettings.baseUrl || 'http://localhost:1234';
+    // With an instruct template the prompt goes to the plain /v1/completions
+    // endpoint, which llama.cpp server and KoboldCpp also serve
+    const template = InstructTemplateService.resolve(character.instruct_template, character.user_id);
+    const stop = template
+      ? InstructTemplateService.stopSequences(template, character.stop_sequences)
+      : character.stop_sequences;
 
     try {
       // LM Studio uses OpenAI-compatible API
-      const response = await fetch(`${baseUrl}/v1/chat/completions`, {
+      const response = await this.fetchWithTimeout(`${baseUrl}/v1/${template ? 'completions' : 'chat/completions'}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
           model: model,
-          messages: messages,
+          ...(template
+            ? { prompt: InstructTemplateService.render(template, messages) }
+            : { messages }),
           temperature: character.temperature ?? 0.8,
           max_tokens: character.max_tokens || 150,
           ...(character.top_p != null && { top_p: character.top_p }),
           ...(character.frequency_penalty != null && { frequency_penalty: character.frequency_penalty }),
           ...(character.presence_penalty != null && { presence_penalty: character.presence_penalty }),
-          ...(character.stop_sequences?.length && { stop: character.stop_sequences })
+          ...(stop?.length && { stop }),
+          ...(onToken && { stream: true, stream_options: { include_usage: true } })
         })
-      });
+      }, this.requestTimeout('lmstudio'));
 
       if (!response.ok) {
         const errorText = await response.text().catch(() => '');
         console.error('[LM Studio] Error response:', response.status, errorText);
-        throw new Error(`LM Studio API error: ${response.status} - ${errorText || 'Unknown error'}. Make sure LM Studio is running and a model is loaded.`);
+        throw this.providerError(`LM Studio API error: ${response.status} - ${errorText || 'Unknown error'}. Make sure LM Studio is running and a model is loaded.`, response);
+      }
+
+      if (onToken) {
+        return await this.readChatCompletionStream(response.body, onToken, onUsage);
       }
 
       const data = await response.json();
       
-      if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+      const text = template ? data.choices?.[0]?.text : data.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
         console.error('[LM Studio] Invalid response structure:', data);
         throw new Error('LM Studio returned invalid response structure');
       }
       
-      return data.choices[0].message.content.trim();
+      this.reportUsage(onUsage, data.usage?.prompt_tokens, data.usage?.completion_tokens);
+      return text.trim();
     } catch (error) {
       if (error.code === 'ECONNREFUSED') {
-        throw new Error('Cannot connect to LM Studio. Make sure LM Studio is running at ' + baseUrl);
+        const connectError = new Error('Cannot connect to LM Studio. Make sure LM Studio is running at ' + baseUrl);
+        connectError.code = error.code;
+        throw connectError;
       }
       throw error;
     }
@@ -397,8 +936,10 @@ class AIProviderService {
   /**
    * Test API key validity for a provider
    */
-  static async testApiKey(provider, apiKey, ollamaSettings = {}, model = null) {
+  static async testApiKey(provider, apiKey, ollamaSettings = {}, model = null, userId = null) {
     try {
+      apiKey = this.resolveApiKey(provider, apiKey, userId);
+
       const testMessages = [
         { role: 'system', content: 'You are a test assistant.' },
         { role: 'user', content: 'Say "OK" if you can read this.' }
@@ -411,12 +952,17 @@ class AIProviderService {
         max_tokens: 100
       };
 
-      const response = await this.generateResponse(
+      // A direct probe: no retries, fallbacks or circuit breaker, but a
+      // working key does close the provider's circuit
+      const response = await this.callProvider(
         testCharacter,
         testMessages,
         { [provider]: apiKey },
-        ollamaSettings
+        ollamaSettings,
+        null,
+        null
       );
+      this.recordCircuitSuccess(this.circuitKey(testCharacter.ai_provider, testCharacter.ai_model, ollamaSettings));
 
       return { success: true, message: 'API key is valid', response };
 
@@ -435,7 +981,8 @@ class AIProviderService {
       'openrouter': 'openai/gpt-4o-mini',
       'google': 'gemini-2.5-flash',
       'ollama': 'llama2',
-      'lmstudio': 'local-model'
+      'lmstudio': 'local-model',
+      'mock': 'echo'
     };
 
     return defaults[provider.toLowerCase()] || 'gpt-4o-mini';
@@ -446,6 +993,8 @@ class AIProviderService {
    */
   static async getAvailableModels(provider, apiKey, ollamaSettings = {}, lmStudioSettings = {}, userId = null) {
     try {
+      apiKey = this.resolveApiKey(provider.toLowerCase(), apiKey, userId);
+
       switch (provider.toLowerCase()) {
         case 'openai':
           return await this.getOpenAIModels(apiKey);
@@ -468,6 +1017,9 @@ class AIProviderService {
         case 'custom':
           return await this.getCustomModels(userId);
 
+        case 'mock':
+          return MockProviderService.getModels();
+
         default:
           return [];
       }
@@ -648,23 +1200,27 @@ class AIProviderService {
   // CUSTOM MODELS
   // ==========================================================================
 
-  static async callCustomModel(presetId, messages, openRouterApiKey, character, apiKeys = {}) {
+  static async callCustomModel(presetId, messages, openRouterApiKey, character, apiKeys = {}, onToken = null, onUsage = null) {
     // Look up the preset from local SQLite
     const { getInstance } = require('./LocalDatabaseService');
     const localDb = getInstance();
-    const preset = localDb.getCustomModel(presetId);
+    // Presets are private to their owner, so look them up as the character's owner
+    const preset = localDb.getCustomModel(presetId, character.user_id);
 
     if (!preset || !preset.is_active) {
       throw new Error('Custom model preset not found or inactive');
     }
 
-    // Inject optional custom system prompt
+    // Inject optional custom system prompt. The system message is replaced, not
+    // edited: the caller reuses the same messages for retries and the prompt inspection
     const enhancedMessages = [...messages];
     if (preset.custom_system_prompt) {
       const systemIndex = enhancedMessages.findIndex(m => m.role === 'system');
       if (systemIndex >= 0) {
-        enhancedMessages[systemIndex].content =
-          `${enhancedMessages[systemIndex].content}\n\n${preset.custom_system_prompt}`;
+        enhancedMessages[systemIndex] = {
+          ...enhancedMessages[systemIndex],
+          content: `${enhancedMessages[systemIndex].content}\n\n${preset.custom_system_prompt}`
+        };
       } else {
         enhancedMessages.unshift({ role: 'system', content: preset.custom_system_prompt });
       }
@@ -680,24 +1236,29 @@ class AIProviderService {
       presence_penalty: preset.presence_penalty ?? character.presence_penalty ?? null,
       repetition_penalty: preset.repetition_penalty ?? character.repetition_penalty ?? null,
       stop_sequences: preset.stop_sequences ?? character.stop_sequences ?? null,
+      instruct_template: preset.instruct_template ?? character.instruct_template ?? null,
     };
 
     // Route to the preset's configured provider using the user's API key for that provider
     const mergedApiKeys = { ...apiKeys, openrouter: openRouterApiKey };
+    // Usage is priced by the model that actually answered, not the preset
+    const presetUsage = onUsage
+      ? (usage) => onUsage({ ...usage, provider: preset.provider, model: preset.model_id })
+      : null;
     switch (preset.provider) {
       case 'openai':
-        return await this.callOpenAI(preset.model_id, enhancedMessages, mergedApiKeys.openai, mergedCharacter);
+        return await this.callOpenAI(preset.model_id, enhancedMessages, this.openApiKey(mergedApiKeys, 'openai'), mergedCharacter, onToken, presetUsage);
       case 'anthropic':
-        return await this.callAnthropic(preset.model_id, enhancedMessages, mergedApiKeys.anthropic, mergedCharacter);
+        return await this.callAnthropic(preset.model_id, enhancedMessages, this.openApiKey(mergedApiKeys, 'anthropic'), mergedCharacter, onToken, presetUsage);
       case 'openrouter':
-        return await this.callOpenRouter(preset.model_id, enhancedMessages, mergedApiKeys.openrouter, mergedCharacter);
+        return await this.callOpenRouter(preset.model_id, enhancedMessages, this.openApiKey(mergedApiKeys, 'openrouter'), mergedCharacter, onToken, presetUsage);
       case 'google':
       case 'gemini':
-        return await this.callGemini(preset.model_id, enhancedMessages, mergedApiKeys.google, mergedCharacter);
+        return await this.callGemini(preset.model_id, enhancedMessages, this.openApiKey(mergedApiKeys, 'google'), mergedCharacter, onToken, presetUsage);
       case 'ollama':
-        return await this.callOllama(preset.model_id, enhancedMessages, apiKeys.ollamaSettings || {}, mergedCharacter);
+        return await this.callOllama(preset.model_id, enhancedMessages, apiKeys.ollamaSettings || {}, mergedCharacter, onToken, presetUsage);
       case 'lmstudio':
-        return await this.callLMStudio(preset.model_id, enhancedMessages, apiKeys.lmStudioSettings || {}, mergedCharacter);
+        return await this.callLMStudio(preset.model_id, enhancedMessages, apiKeys.lmStudioSettings || {}, mergedCharacter, onToken, presetUsage);
       default:
         throw new Error(`Custom model preset has unsupported provider: ${preset.provider}`);
     }
@@ -0,0 +1,252 @@
+// ============================================================================
+// API Key Encryption Service
+// Envelope encryption for provider API keys stored in user_settings_local.
+// Each key is encrypted with its own random data key (AES-256-GCM), and the
+// data key is wrapped with the server master key. Rotating the master key
+// only re-wraps data keys; the secrets themselves are never re-encrypted.
+// ============================================================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ENVELOPE_VERSION = 1;
+const MASK_PREFIX = '••••••••';
+const DEFAULT_KEY_FILE = path.join(__dirname, '..', '..', 'data', 'api-key-master.key');
+
+// Parsed master keys, rebuilt when the environment changes
+let keyringCache = { source: null, keyring: null };
+
+/**
+ * Decode a 32-byte master key given as base64 or hex
+ */
+function parseMasterKey(value, name) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error(`${name} must be a 32-byte key in base64 or hex (e.g. \`openssl rand -base64 32\`)`);
+  }
+  return key;
+}
+
+/**
+ * Short fingerprint stored with each envelope to find its master key
+ */
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function decrypt(key, payload, aad) {
+  const buffer = Buffer.from(payload, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, 12));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(buffer.subarray(12, 28));
+  return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]);
+}
+
+class ApiKeyEncryptionService {
+  /**
+   * Load the master keys
+   * API_KEY_MASTER_KEY            - current key; new envelopes are wrapped with it
+   * API_KEY_PREVIOUS_MASTER_KEYS  - comma-separated retired keys, still accepted for reading
+   * Without API_KEY_MASTER_KEY a key is generated once into API_KEY_MASTER_KEY_FILE
+   * (default data/api-key-master.key) so local installs work out of the box.
+   * @returns {Object} { current: { id, key }, keys: Map<id, key> }
+   */
+  static getKeyring() {
+    const source = [
+      process.env.API_KEY_MASTER_KEY || '',
+      process.env.API_KEY_PREVIOUS_MASTER_KEYS || '',
+      process.env.API_KEY_MASTER_KEY_FILE || ''
+    ].join('|');
+
+    if (keyringCache.source === source) {
+      return keyringCache.keyring;
+    }
+
+    const currentKey = process.env.API_KEY_MASTER_KEY
+      ? parseMasterKey(process.env.API_KEY_MASTER_KEY, 'API_KEY_MASTER_KEY')
+      : this.loadKeyFile(process.env.API_KEY_MASTER_KEY_FILE || DEFAULT_KEY_FILE);
+
+    const previousKeys = (process.env.API_KEY_PREVIOUS_MASTER_KEYS || '')
+      .split(',')
+      .filter(value => value.trim())
+      .map(value => parseMasterKey(value, 'API_KEY_PREVIOUS_MASTER_KEYS'));
+
+    const current = { id: keyId(currentKey), key: currentKey };
+    const keys = new Map([currentKey, ...previousKeys].map(key => [keyId(key), key]));
+
+    keyringCache = { source, keyring: { current, keys } };
+    return keyringCache.keyring;
+  }
+
+  /**
+   * Read the generated master key, creating it on first use
+   */
+  static loadKeyFile(keyFile) {
+    if (!fs.existsSync(keyFile)) {
+      fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+      fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('base64'), { mode: 0o600 });
+      console.warn(`[Keys] API_KEY_MASTER_KEY is not set; generated a master key at ${keyFile}. Set API_KEY_MASTER_KEY and keep it outside the data directory for real protection.`);
+    }
+    return parseMasterKey(fs.readFileSync(keyFile, 'utf8'), keyFile);
+  }
+
+  /**
+   * Whether a stored value is an encrypted envelope rather than a legacy plain key
+   */
+  static isEnvelope(value) {
+    return Boolean(value) && typeof value === 'object' && value.v === ENVELOPE_VERSION && Boolean(value.dek);
+  }
+
+  /**
+   * Encrypt one API key
+   * @param {string} secret - The raw API key
+   * @param {string} provider - Provider slot; bound to the ciphertext so it can't be moved
+   * @returns {Object} Envelope { v, kid, dek, data, last4 }
+   */
+  static seal(secret, provider) {
+    const { current } = this.getKeyring();
+    const dataKey = crypto.randomBytes(32);
+
+    return {
+      v: ENVELOPE_VERSION,
+      kid: current.id,
+      dek: encrypt(current.key, dataKey, current.id),
+      data: encrypt(dataKey, Buffer.from(secret, 'utf8'), provider),
+      last4: secret.slice(-4)
+    };
+  }
+
+  /**
+   * Decrypt one API key. Only AIProviderService should call this.
+   * @throws {Error} When the envelope's master key is not configured or it fails to authenticate
+   */
+  static open(envelope, provider) {
+    const key = this.getKeyring().keys.get(envelope.kid);
+    if (!key) {
+      throw new Error(`API key for ${provider} was encrypted with an unknown master key (${envelope.kid})`);
+    }
+
+    const dataKey = decrypt(key, envelope.dek, envelope.kid);
+    return decrypt(dataKey, envelope.data, provider).toString('utf8');
+  }
+
+  /**
+   * Re-wrap an envelope's data key with the current master key
+   * @returns {Object} The same envelope when it already uses the current key
+   */
+  static rewrap(envelope) {
+    const { current, keys } = this.getKeyring();
+    if (envelope.kid === current.id) {
+      return envelope;
+    }
+
+    const oldKey = keys.get(envelope.kid);
+    if (!oldKey) {
+      throw new Error(`Unknown master key ${envelope.kid}; add it to API_KEY_PREVIOUS_MASTER_KEYS to rotate`);
+    }
+
+    const dataKey = decrypt(oldKey, envelope.dek, envelope.kid);
+    return { ...envelope, kid: current.id, dek: encrypt(current.key, dataKey, current.id) };
+  }
+
+  /**
+   * Display form of a stored key: its last 4 characters
+   */
+  static mask(envelope) {
+    return envelope ? `${MASK_PREFIX}${envelope.last4}` : '';
+  }
+
+  /**
+   * Mask every stored key for sending to the client
+   */
+  static maskAll(apiKeys = {}) {
+    const masked = {};
+    for (const [provider, envelope] of Object.entries(apiKeys || {})) {
+      if (this.isEnvelope(envelope)) {
+        masked[provider] = this.mask(envelope);
+      }
+    }
+    return masked;
+  }
+
+  /**
+   * Whether a value sent by the client is the mask of the stored key,
+   * i.e. the user left the key unchanged
+   */
+  static isMaskOf(value, envelope) {
+    return this.isEnvelope(envelope) && value === this.mask(envelope);
+  }
+
+  /**
+   * Merge keys submitted by the client into the stored envelopes
+   * Masked values keep the stored key, empty values remove it, anything else
+   * is a new key and gets encrypted. Providers not mentioned are left alone.
+   * Only the server seals keys, so envelopes or other non-strings are rejected.
+   * @param {Object|undefined} incoming - { provider: string } from the client
+   * @param {Object} existing - Stored { provider: envelope }
+   * @returns {Object} New { provider: envelope }
+   * @throws {Error} statusCode 400 when a submitted key is not a string
+   */
+  static merge(incoming, existing = {}) {
+    const result = { ...existing };
+    if (!incoming || typeof incoming !== 'object') {
+      return result;
+    }
+
+    for (const [provider, value] of Object.entries(incoming)) {
+      if (typeof value !== 'string') {
+        const error = new Error(`API key for ${provider} must be a string`);
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    for (const [provider, value] of Object.entries(incoming)) {
+      if (!value.trim()) {
+        delete result[provider];
+      } else if (!this.isMaskOf(value, existing[provider])) {
+        result[provider] = this.seal(value.trim(), provider);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Bring a stored api_keys object up to date: encrypt legacy plaintext keys
+   * and re-wrap envelopes sealed under a retired master key
+   * @returns {Object} { apiKeys, changed }
+   */
+  static upgrade(apiKeys = {}) {
+    const upgraded = {};
+    let changed = false;
+
+    for (const [provider, value] of Object.entries(apiKeys || {})) {
+      if (this.isEnvelope(value)) {
+        upgraded[provider] = this.rewrap(value);
+        changed = changed || upgraded[provider] !== value;
+      } else if (typeof value === 'string' && value.trim()) {
+        upgraded[provider] = this.seal(value.trim(), provider);
+        changed = true;
+      } else {
+        changed = true;
+      }
+    }
+
+    return { apiKeys: upgraded, changed };
+  }
+}
+
+module.exports = ApiKeyEncryptionService;
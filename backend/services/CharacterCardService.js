@@ -0,0 +1,428 @@
+// ============================================================================
+// Character Card Service
+// Converts between our characters and the Character Card V2 format used by
+// other roleplay front-ends, as JSON or as a PNG with a `chara` tEXt chunk
+// ============================================================================
+
+const zlib = require('zlib');
+const { STRING_LIMITS, LOREBOOK_LIMITS } = require('../constants/defaults');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CARD_CHUNK_KEYWORD = 'chara';
+
+// The characters table caps personality at 500 characters
+const PERSONALITY_MAX = 500;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+class CharacterCardService {
+  // ============================================================================
+  // CARD PARSING
+  // ============================================================================
+
+  /**
+   * Read a card from an uploaded file
+   * @param {Buffer} buffer - File contents
+   * @returns {Object} { card, isPng }
+   */
+  static parseFile(buffer) {
+    const isPng = this.isPng(buffer);
+
+    if (isPng) {
+      const text = this.readPngText(buffer)[CARD_CHUNK_KEYWORD];
+      if (!text) {
+        throw this.cardError('This PNG has no embedded character card');
+      }
+      return { card: this.normalizeCard(this.parseJson(Buffer.from(text, 'base64').toString('utf8'))), isPng };
+    }
+
+    return { card: this.normalizeCard(this.parseJson(buffer.toString('utf8'))), isPng };
+  }
+
+  static parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw this.cardError('The character card is not valid JSON');
+    }
+  }
+
+  /**
+   * Bring V1 cards (fields at the top level) into the V2 shape
+   */
+  static normalizeCard(raw) {
+    if (!raw || typeof raw !== 'object') {
+      throw this.cardError('The character card is empty');
+    }
+
+    const data = raw.spec === 'chara_card_v2' || raw.spec === 'chara_card_v3' ? raw.data : raw;
+    if (!data || typeof data.name !== 'string' || !data.name.trim()) {
+      throw this.cardError('The character card has no name');
+    }
+
+    return data;
+  }
+
+  static cardError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  // ============================================================================
+  // CARD -> CHARACTER
+  // ============================================================================
+
+  /**
+   * Map a card's fields onto our characters columns
+   * Fields we have no column for are kept where the prompt still sees them:
+   * the scenario and any personality overflow go into the background, and
+   * greetings become chat examples flagged with `is_greeting`
+   * @param {Object} data - Normalized card data
+   * @returns {Object} { characterData, lorebook, warnings }
+   */
+  static toCharacterData(data) {
+    const chait = data.extensions?.chait || {};
+    const warnings = [];
+
+    const description = (data.description || '').trim();
+    const scenario = (data.scenario || '').trim();
+    let personality = (data.personality || '').trim() || description;
+    const backgroundParts = chait.background !== undefined ? [chait.background] : [description];
+
+    if (personality.length > PERSONALITY_MAX) {
+      backgroundParts.push(`Personality: ${personality}`);
+      personality = this.truncateAtWord(personality, PERSONALITY_MAX);
+      warnings.push(`Personality was shortened to ${PERSONALITY_MAX} characters; the full text is kept in the background`);
+    }
+    if (personality.length < STRING_LIMITS.PERSONALITY_MIN) {
+      personality = `${data.name.trim()} is a character imported from a character card.`;
+      warnings.push('The card had no usable personality, so a placeholder was used');
+    }
+    if (scenario) {
+      backgroundParts.push(`Scenario: ${scenario}`);
+    }
+
+    const greetings = [data.first_mes, ...(Array.isArray(data.alternate_greetings) ? data.alternate_greetings : [])]
+      .filter(greeting => typeof greeting === 'string' && greeting.trim())
+      .map(greeting => ({ user: '', character: greeting.trim(), is_greeting: true }));
+
+    const characterData = {
+      name: data.name.trim().slice(0, STRING_LIMITS.CHARACTER_NAME_MAX),
+      personality,
+      background: backgroundParts.filter(Boolean).join('\n\n') || null,
+      appearance: chait.appearance || null,
+      age: Number.isInteger(chait.age) && chait.age >= 18 ? chait.age : 18,
+      sex: chait.sex || null,
+      avatar: chait.avatar,
+      color: chait.color,
+      temperature: chait.temperature,
+      max_tokens: chait.max_tokens,
+      context_window: chait.context_window,
+      chat_examples: [...greetings, ...this.parseExampleMessages(data.mes_example)],
+      tags: Array.isArray(data.tags) ? data.tags.filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim()) : [],
+      // V3 cards carry a single nickname; ours round-trip the full list
+      aliases: Array.isArray(chait.aliases) ? chait.aliases : (data.nickname ? [data.nickname] : []),
+      memory_enabled: true
+    };
+
+    if (data.name.trim().length > STRING_LIMITS.CHARACTER_NAME_MAX) {
+      warnings.push(`Name was shortened to ${STRING_LIMITS.CHARACTER_NAME_MAX} characters`);
+    }
+    if (data.system_prompt || data.post_history_instructions) {
+      warnings.push('The card\'s system prompt and post-history instructions are not imported');
+    }
+
+    const lorebook = data.character_book ? this.toLorebook(data.character_book, characterData.name, warnings) : null;
+
+    return { characterData, lorebook, warnings };
+  }
+
+  /**
+   * Split `mes_example` into user/character pairs
+   * Blocks are separated by <START>; lines start with {{user}}: or {{char}}:
+   */
+  static parseExampleMessages(mesExample) {
+    if (typeof mesExample !== 'string' || !mesExample.trim()) return [];
+
+    const examples = [];
+    const flush = (pending) => {
+      if (pending.character.trim()) {
+        examples.push({ user: pending.user.trim(), character: pending.character.trim() });
+      }
+    };
+
+    for (const block of mesExample.split(/<START>/i)) {
+      let current = null;
+      let pending = { user: '', character: '' };
+
+      for (const line of block.split('\n')) {
+        const match = line.match(/^\s*\{\{(user|char)\}\}:\s?(.*)$/i);
+        if (match) {
+          current = match[1].toLowerCase() === 'user' ? 'user' : 'character';
+          if (current === 'user' && pending.character) {
+            flush(pending);
+            pending = { user: '', character: '' };
+          }
+          pending[current] = pending[current] ? `${pending[current]}\n${match[2]}` : match[2];
+        } else if (current && line.trim()) {
+          pending[current] += `\n${line}`;
+        }
+      }
+
+      flush(pending);
+    }
+
+    return examples;
+  }
+
+  /**
+   * Map an embedded character_book onto a lorebook and its entries
+   * Entries without keywords (always-on entries) have no equivalent and are skipped
+   */
+  static toLorebook(book, characterName, warnings) {
+    const clamp = (value, min, max, fallback) => (Number.isInteger(value) ? Math.min(Math.max(value, min), max) : fallback);
+    const entries = [];
+    let skipped = 0;
+
+    for (const entry of Array.isArray(book.entries) ? book.entries : []) {
+      const keys = (Array.isArray(entry.keys) ? entry.keys : [])
+        .filter(key => typeof key === 'string' && key.trim())
+        .map(key => key.trim().slice(0, LOREBOOK_LIMITS.KEY_MAX))
+        .slice(0, LOREBOOK_LIMITS.MAX_KEYS);
+      const content = typeof entry.content === 'string' ? entry.content.trim() : '';
+
+      if (keys.length === 0 || !content) {
+        skipped++;
+        continue;
+      }
+
+      const chait = entry.extensions?.chait || {};
+      entries.push({
+        keys,
+        content: content.slice(0, LOREBOOK_LIMITS.CONTENT_MAX),
+        insertion_order: Number.isInteger(entry.insertion_order) ? entry.insertion_order : 100,
+        recursion_depth: clamp(chait.recursion_depth, 0, LOREBOOK_LIMITS.RECURSION_DEPTH_MAX, book.recursive_scanning ? 1 : 0),
+        token_cap: clamp(chait.token_cap, LOREBOOK_LIMITS.TOKEN_CAP_MIN, LOREBOOK_LIMITS.TOKEN_CAP_MAX, 200),
+        is_enabled: entry.enabled !== false
+      });
+    }
+
+    if (skipped > 0) {
+      warnings.push(`Skipped ${skipped} lorebook ${skipped === 1 ? 'entry' : 'entries'} without keywords or content`);
+    }
+
+    return {
+      name: (book.name || `${characterName} lore`).slice(0, LOREBOOK_LIMITS.NAME_MAX),
+      description: book.description || null,
+      scan_depth: Number.isInteger(book.scan_depth)
+        ? Math.min(Math.max(book.scan_depth, LOREBOOK_LIMITS.SCAN_DEPTH_MIN), LOREBOOK_LIMITS.SCAN_DEPTH_MAX)
+        : undefined,
+      entries
+    };
+  }
+
+  static truncateAtWord(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    const cut = text.slice(0, maxLength - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+  }
+
+  // ============================================================================
+  // CHARACTER -> CARD
+  // ============================================================================
+
+  /**
+   * Build a V2 card from a character and its linked lorebooks
+   * Our own fields ride along in extensions.chait so a round trip is lossless
+   */
+  static fromCharacter(character, lorebooks = []) {
+    const examples = character.chat_examples || [];
+    const greetings = examples.filter(example => example.is_greeting).map(example => example.character);
+    const dialogue = examples.filter(example => !example.is_greeting);
+
+    const appearance = character.appearance ? `Appearance: ${character.appearance}` : '';
+
+    return {
+      spec: 'chara_card_v2',
+      spec_version: '2.0',
+      data: {
+        name: character.name,
+        description: [character.background, appearance].filter(Boolean).join('\n\n'),
+        personality: character.personality || '',
+        scenario: '',
+        first_mes: greetings[0] || '',
+        mes_example: dialogue
+          .map(example => ['<START>', example.user && `{{user}}: ${example.user}`, `{{char}}: ${example.character}`].filter(Boolean).join('\n'))
+          .join('\n'),
+        creator_notes: '',
+        system_prompt: '',
+        post_history_instructions: '',
+        alternate_greetings: greetings.slice(1),
+        character_book: this.toCharacterBook(character, lorebooks),
+        tags: character.tags || [],
+        creator: '',
+        character_version: '',
+        extensions: {
+          chait: {
+            age: character.age,
+            sex: character.sex || null,
+            appearance: character.appearance || null,
+            background: character.background || '',
+            avatar: character.avatar,
+            color: character.color,
+            temperature: character.temperature,
+            max_tokens: character.max_tokens,
+            context_window: character.context_window,
+            aliases: character.aliases || []
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Merge the character's lorebooks into the single book a card can carry
+   */
+  static toCharacterBook(character, lorebooks) {
+    const entries = lorebooks.flatMap(book => book.entries || []);
+    if (entries.length === 0) return undefined;
+
+    return {
+      name: lorebooks.length === 1 ? lorebooks[0].name : `${character.name} lore`,
+      description: lorebooks.length === 1 ? lorebooks[0].description || '' : '',
+      scan_depth: Math.max(...lorebooks.map(book => book.scan_depth)),
+      recursive_scanning: entries.some(entry => entry.recursion_depth > 0),
+      extensions: {},
+      entries: entries.map((entry, index) => ({
+        id: index,
+        keys: entry.keys,
+        content: entry.content,
+        enabled: Boolean(entry.is_enabled),
+        insertion_order: entry.insertion_order,
+        case_sensitive: false,
+        extensions: {
+          chait: { recursion_depth: entry.recursion_depth, token_cap: entry.token_cap }
+        }
+      }))
+    };
+  }
+
+  // ============================================================================
+  // PNG CHUNKS
+  // ============================================================================
+
+  /**
+   * Read the tEXt chunks of a PNG as { keyword: text }
+   */
+  static readPngText(buffer) {
+    const text = {};
+
+    for (const chunk of this.readPngChunks(buffer)) {
+      if (chunk.type !== 'tEXt') continue;
+      const separator = chunk.data.indexOf(0);
+      if (separator === -1) continue;
+      text[chunk.data.subarray(0, separator).toString('latin1')] = chunk.data.subarray(separator + 1).toString('latin1');
+    }
+
+    return text;
+  }
+
+  static readPngChunks(buffer) {
+    const chunks = [];
+    let offset = 8;
+
+    while (offset + 12 <= buffer.length) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      if (offset + 12 + length > buffer.length) {
+        throw this.cardError('The PNG file is truncated');
+      }
+      chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+      offset += 12 + length;
+      if (type === 'IEND') break;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Write a card into a PNG, replacing any card it already carries
+   */
+  static embedCard(pngBuffer, card) {
+    const payload = Buffer.from(JSON.stringify(card), 'utf8').toString('base64');
+    const cardChunk = this.buildChunk('tEXt', Buffer.concat([
+      Buffer.from(CARD_CHUNK_KEYWORD, 'latin1'),
+      Buffer.from([0]),
+      Buffer.from(payload, 'latin1')
+    ]));
+
+    const kept = this.readPngChunks(pngBuffer).filter(chunk =>
+      !(chunk.type === 'tEXt' && chunk.data.subarray(0, chunk.data.indexOf(0)).toString('latin1') === CARD_CHUNK_KEYWORD)
+    );
+
+    const parts = [PNG_SIGNATURE];
+    for (const chunk of kept) {
+      if (chunk.type === 'IEND') parts.push(cardChunk);
+      parts.push(this.buildChunk(chunk.type, chunk.data));
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  static buildChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(this.crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+  }
+
+  static crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+      crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Plain portrait-sized PNG for characters without a PNG avatar
+   */
+  static createPlaceholderPng(width = 400, height = 600, rgb = [55, 65, 81]) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // truecolor
+
+    const row = Buffer.alloc(1 + width * 3);
+    for (let x = 0; x < width; x++) {
+      row[1 + x * 3] = rgb[0];
+      row[2 + x * 3] = rgb[1];
+      row[3 + x * 3] = rgb[2];
+    }
+    const pixels = Buffer.concat(Array(height).fill(row));
+
+    return Buffer.concat([
+      PNG_SIGNATURE,
+      this.buildChunk('IHDR', header),
+      this.buildChunk('IDAT', zlib.deflateSync(pixels)),
+      this.buildChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  static isPng(buffer) {
+    return buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+  }
+}
+
+module.exports = CharacterCardService;
@@ -0,0 +1,114 @@
+// ============================================================================
+// Chat Command Service
+// Slash commands typed in the chat box, so a scene can be steered without
+// writing the direction as dialogue:
+//   /as <character> [message]  force who replies
+//   /narrate <text>            add narration
+//   /ooc [note]                out-of-character guidance; empty clears it
+//   /skip                      let the cast carry on without the user
+//   /scene <event>             push an event into scene_state.recent_events
+//   /summary                   show the story so far
+// ============================================================================
+
+const ResponsePlanner = require('./ResponsePlanner');
+const { CHAT_COMMANDS } = require('../constants/defaults');
+
+class ChatCommandService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Read a chat-box message as a command
+   * @returns {Object|null} { name, argument }, or null for an ordinary message
+   */
+  static parse(text) {
+    const match = /^\/([a-z]+)(?:\s+([\s\S]*))?$/i.exec((text || '').trim());
+    if (!match) return null;
+    return { name: match[1].toLowerCase(), argument: (match[2] || '').trim() };
+  }
+
+  /**
+   * Check a parsed command before anything is saved
+   * @returns {string|null} Error message, or null if the command is usable
+   */
+  static validate(command) {
+    const { name, argument } = command;
+
+    if (!CHAT_COMMANDS.NAMES.includes(name)) {
+      return `Unknown command /${name}. Try ${CHAT_COMMANDS.NAMES.map(n => `/${n}`).join(', ')}`;
+    }
+    if (['as', 'narrate', 'scene'].includes(name) && !argument) {
+      return name === 'as' ? 'Say who speaks: /as <character> [message]' : `/${name} needs some text`;
+    }
+    if (argument.length > CHAT_COMMANDS.MAX_ARGUMENT_LENGTH) {
+      return `Command text must be ${CHAT_COMMANDS.MAX_ARGUMENT_LENGTH} characters or less`;
+    }
+    return null;
+  }
+
+  /**
+   * Split "/as" text into the speaker and what the user says to them. The
+   * longest name or alias wins, so "Mara Voss" beats "Mara".
+   * @returns {Object|null} { character, message }, or null if nobody answers to the name
+   */
+  static resolveSpeaker(argument, characters) {
+    const lower = argument.toLowerCase();
+    const candidates = characters
+      .flatMap(character => ResponsePlanner.getCallNames(character).map(name => ({ character, name })))
+      .sort((a, b) => b.name.length - a.name.length);
+
+    for (const { character, name } of candidates) {
+      if (!lower.startsWith(name.toLowerCase())) continue;
+
+      const rest = argument.slice(name.length);
+      if (rest && !/^[\s,:;.!?-]/.test(rest)) continue;
+      return { character, message: rest.replace(/^[\s,:;-]+/, '').trim() };
+    }
+    return null;
+  }
+
+  /**
+   * Out-of-character notes for a session, oldest first
+   */
+  getOocNotes(sessionId, userId) {
+    const session = this.db.localDb.getChatSession(sessionId, userId);
+    return session?.metadata?.ooc_notes || [];
+  }
+
+  /**
+   * Add an out-of-character note to the session, or clear them all when the
+   * note is empty. Only the newest notes are kept.
+   * @returns {Array<string>} The session's notes afterwards
+   */
+  setOocNote(sessionId, userId, note) {
+    const session = this.db.localDb.getChatSession(sessionId, userId);
+    if (!session) return [];
+
+    const notes = note
+      ? [...(session.metadata?.ooc_notes || []), note].slice(-CHAT_COMMANDS.MAX_OOC_NOTES)
+      : [];
+    this.db.localDb.updateChatSession(sessionId, userId, {
+      metadata: { ...session.metadata, ooc_notes: notes }
+    });
+    return notes;
+  }
+
+  /**
+   * Push an event into a scene's scene_state.recent_events, keeping the newest
+   * @returns {Array<string>|null} The scene's recent events, or null if the scene is not the user's
+   */
+  addSceneEvent(scenarioId, userId, event) {
+    const scenario = this.db.localDb.getScenario(scenarioId, userId);
+    if (!scenario || scenario.user_id !== userId) return null;
+
+    const sceneState = scenario.scene_state || {};
+    const recentEvents = [...(sceneState.recent_events || []), event].slice(-CHAT_COMMANDS.MAX_SCENE_EVENTS);
+    this.db.localDb.updateScenario(scenarioId, userId, {
+      scene_state: { ...sceneState, recent_events: recentEvents }
+    });
+    return recentEvents;
+  }
+}
+
+module.exports = ChatCommandService;
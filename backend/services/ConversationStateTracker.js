@@ -151,6 +151,15 @@ class ConversationStateTracker {
     };
   }
 
+  /**
+   * Independent copy of the tracker, for planning a turn without recording it
+   */
+  clone() {
+    const copy = new ConversationStateTracker();
+    copy.state = structuredClone(this.state);
+    return copy;
+  }
+
   /**
    * Reset state (for new conversation)
    */
@@ -0,0 +1,208 @@
+// ============================================================================
+// Conversation Summary Service
+// Keeps a rolling summary of the messages that have scrolled out of a
+// session's history window, stored on chat_sessions.metadata.summary
+// ============================================================================
+
+const AIProviderService = require('./AIProviderService');
+const { SUMMARY_DEFAULTS } = require('../constants/defaults');
+
+class ConversationSummaryService {
+  constructor(db) {
+    this.db = db;
+    this.inProgress = new Set();
+  }
+
+  /**
+   * Get the stored summary for a session
+   * @returns {Object|null} { text, covered_count, covered_message_id, edited, updated_at, model }
+   */
+  getSummary(sessionId, userId) {
+    const session = this.db.localDb.getChatSession(sessionId, userId);
+    return session?.metadata?.summary || null;
+  }
+
+  /**
+   * Store a summary, keeping the rest of the session metadata
+   */
+  saveSummary(sessionId, userId, summary) {
+    const session = this.db.localDb.getChatSession(sessionId, userId);
+    if (!session) return null;
+
+    const stored = { ...summary, updated_at: new Date().toISOString() };
+    this.db.localDb.updateChatSession(sessionId, userId, {
+      metadata: { ...session.metadata, summary: stored }
+    });
+
+    return stored;
+  }
+
+  /**
+   * Replace the summary text with a user-written version
+   * Later refreshes build on the edited text rather than discarding it
+   */
+  editSummary(sessionId, userId, text) {
+    const current = this.getSummary(sessionId, userId) || { covered_count: 0, covered_message_id: null };
+    return this.saveSummary(sessionId, userId, { ...current, text, edited: true });
+  }
+
+  /**
+   * Fold newly aged-out messages into the summary once enough have built up
+   * @param {string} sessionId - Session to summarize
+   * @param {string} userId - The session's owner
+   * @param {Object} options - { character, apiKeys, ollamaSettings, userName }
+   * @returns {Promise<Object|null>} The new summary, or null if nothing changed
+   */
+  async updateIfNeeded(sessionId, userId, options) {
+    if (this.inProgress.has(sessionId)) return null;
+
+    const messages = this.loadMessages(sessionId, userId);
+    const agedOutCount = messages.length - SUMMARY_DEFAULTS.RECENT_MESSAGES;
+    const current = this.getSummary(sessionId, userId);
+    const coveredCount = current?.covered_count || 0;
+
+    if (agedOutCount - coveredCount < SUMMARY_DEFAULTS.MIN_NEW_MESSAGES) {
+      return null;
+    }
+
+    return this.summarize(sessionId, userId, messages.slice(0, agedOutCount), current, options);
+  }
+
+  /**
+   * Rebuild the summary from scratch, discarding any edits
+   * @returns {Promise<Object>} The new summary
+   */
+  async regenerate(sessionId, userId, options) {
+    if (this.inProgress.has(sessionId)) {
+      const error = new Error('The summary is already being updated');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const messages = this.loadMessages(sessionId, userId);
+    const agedOutCount = messages.length - SUMMARY_DEFAULTS.RECENT_MESSAGES;
+
+    if (agedOutCount <= 0) {
+      const error = new Error(`Nothing to summarize yet: the last ${SUMMARY_DEFAULTS.RECENT_MESSAGES} messages are always sent in full`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return this.summarize(sessionId, userId, messages.slice(0, agedOutCount), null, options);
+  }
+
+  /**
+   * Fold the uncovered part of the aged-out messages into the summary,
+   * a batch at a time so long sessions don't overflow the model's context
+   */
+  async summarize(sessionId, userId, agedOut, current, { character, apiKeys, ollamaSettings, userName }) {
+    this.inProgress.add(sessionId);
+
+    try {
+      const summaryModel = this.resolveModel(character);
+      let text = current?.text || '';
+
+      for (let start = current?.covered_count || 0; start < agedOut.length; start += SUMMARY_DEFAULTS.MESSAGES_PER_PASS) {
+        const batch = agedOut.slice(start, start + SUMMARY_DEFAULTS.MESSAGES_PER_PASS);
+        text = await this.summarizeBatch(text, batch, summaryModel, apiKeys, ollamaSettings, userName);
+      }
+
+      return this.saveSummary(sessionId, userId, {
+        text,
+        covered_count: agedOut.length,
+        covered_message_id: agedOut[agedOut.length - 1].id,
+        edited: false,
+        model: { provider: summaryModel.ai_provider, model: summaryModel.ai_model }
+      });
+    } finally {
+      this.inProgress.delete(sessionId);
+    }
+  }
+
+  /**
+   * Ask the model to extend the summary with one batch of messages
+   */
+  async summarizeBatch(previousText, batch, summaryModel, apiKeys, ollamaSettings, userName = 'User') {
+    const transcript = batch
+      .map(msg => `${msg.type === 'user' ? userName : (msg.character_name || 'Narrator')}: ${msg.content}`)
+      .join('\n');
+
+    const prompt = `EXISTING SUMMARY:
+${previousText || '(none yet)'}
+
+NEW MESSAGES:
+${transcript}
+
+TASK: Rewrite the summary so it also covers the new messages.
+
+RULES:
+1. Keep names, decisions, promises, revealed facts and changes in relationships
+2. Skip small talk and greetings
+3. Write in the past tense, as plain prose, under 250 words
+
+Return ONLY the summary, nothing else.`;
+
+    const messages = [
+      { role: 'system', content: 'You maintain a running summary of a roleplay conversation. Output only the summary.' },
+      { role: 'user', content: prompt }
+    ];
+
+    const response = await AIProviderService.generateResponse(
+      summaryModel,
+      messages,
+      apiKeys,
+      ollamaSettings,
+      {}
+    );
+
+    return response.trim();
+  }
+
+  /**
+   * Pick the model used for summaries
+   * SUMMARY_AI_PROVIDER / SUMMARY_AI_MODEL select a dedicated utility model;
+   * otherwise the character's own model is used
+   */
+  resolveModel(character = {}) {
+    const base = {
+      name: 'Summarizer',
+      temperature: SUMMARY_DEFAULTS.TEMPERATURE,
+      max_tokens: SUMMARY_DEFAULTS.MAX_TOKENS
+    };
+
+    if (process.env.SUMMARY_AI_PROVIDER) {
+      return {
+        ...base,
+        ai_provider: process.env.SUMMARY_AI_PROVIDER,
+        ai_model: process.env.SUMMARY_AI_MODEL || null
+      };
+    }
+
+    return {
+      ...base,
+      ai_provider: character.ai_provider || 'openai',
+      ai_model: character.ai_model,
+      fallback_provider: character.fallback_provider,
+      fallback_model: character.fallback_model,
+      fallback_chain: character.fallback_chain
+    };
+  }
+
+  /**
+   * Load a session's messages in order, with the speaking character's name
+   * Out-of-character notes are direction, not part of the story
+   */
+  loadMessages(sessionId, userId) {
+    return this.db.localDb.all(
+      `SELECT m.id, COALESCE(m.type, m.sender_type) AS type, m.content, c.name AS character_name
+       FROM messages m
+       JOIN chat_sessions s ON s.id = m.session_id
+       LEFT JOIN characters c ON c.id = m.character_id
+       WHERE m.session_id = ? AND s.user_id = ? AND COALESCE(m.type, m.sender_type, '') != 'ooc'
+       ORDER BY m.id ASC`,
+      [sessionId, userId]
+    ) || [];
+  }
+}
+
+module.exports = ConversationSummaryService;
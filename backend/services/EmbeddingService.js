@@ -0,0 +1,233 @@
+// ============================================================================
+// Embedding Service
+// Embeds character memories for semantic retrieval. Uses a small local model
+// by default, or an Ollama / OpenAI embeddings endpoint when configured
+// ============================================================================
+
+const { EMBEDDING_DEFAULTS } = require('../constants/defaults');
+const AIProviderService = require('./AIProviderService');
+
+// Loaded lazily; the local model takes a few seconds to initialize
+let localPipeline = null;
+let localUnavailable = false;
+const queryCache = new Map();
+
+class EmbeddingService {
+  /**
+   * Resolve the configured embedder from EMBEDDING_PROVIDER / EMBEDDING_MODEL
+   * @returns {Object|null} { provider, model, key } or null when disabled
+   */
+  static getEmbedder() {
+    const provider = (process.env.EMBEDDING_PROVIDER || EMBEDDING_DEFAULTS.PROVIDER).toLowerCase();
+    if (provider === 'none' || !EMBEDDING_DEFAULTS.MODELS[provider]) {
+      return null;
+    }
+    // Without the optional package, retrieval stays keyword-only
+    if (provider === 'local' && localUnavailable) {
+      return null;
+    }
+
+    const model = process.env.EMBEDDING_MODEL || EMBEDDING_DEFAULTS.MODELS[provider];
+    return { provider, model, key: `${provider}:${model}` };
+  }
+
+  /**
+   * Embed a batch of texts with the user's credentials
+   * @returns {Promise<Float32Array[]>} One normalized vector per text
+   */
+  static async embed(texts, embedder, userSettings = {}) {
+    let vectors;
+
+    switch (embedder.provider) {
+      case 'local':
+        vectors = await this.embedLocal(texts, embedder.model);
+        break;
+      case 'ollama':
+        vectors = await this.embedOllama(texts, embedder.model, userSettings.ollamaSettings);
+        break;
+      case 'openai':
+        // Keys are stored encrypted; AIProviderService opens them for the request
+        vectors = await AIProviderService.getOpenAIEmbeddings(texts, embedder.model, userSettings.apiKeys);
+        break;
+      default:
+        throw new Error(`Unsupported embedding provider: ${embedder.provider}`);
+    }
+
+    return vectors.map(vector => this.normalize(Float32Array.from(vector)));
+  }
+
+  // ==========================================================================
+  // PROVIDERS
+  // ==========================================================================
+
+  /**
+   * Local CPU model via @xenova/transformers (optional dependency)
+   * The model is downloaded and cached on first use
+   */
+  static async embedLocal(texts, model) {
+    if (!localPipeline) {
+      localPipeline = import('@xenova/transformers')
+        .then(({ pipeline }) => pipeline('feature-extraction', model))
+        .catch(error => {
+          localPipeline = null;
+          if (error.code === 'ERR_MODULE_NOT_FOUND' || error.code === 'MODULE_NOT_FOUND') {
+            localUnavailable = true;
+            console.warn('[Embeddings] @xenova/transformers is not installed; using keyword memory retrieval');
+          }
+          throw new Error(`Local embedding model unavailable: ${error.message}`);
+        });
+    }
+
+    const extractor = await localPipeline;
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    return output.tolist();
+  }
+
+  static async embedOllama(texts, model, ollamaSettings = {}) {
+    const baseUrl = ollamaSettings?.baseUrl || 'http://localhost:11434';
+
+    const response = await fetch(`${baseUrl}/api/embed`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, input: texts })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Ollama embeddings error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.embeddings;
+  }
+
+  // ==========================================================================
+  // MEMORIES
+  // ==========================================================================
+
+  /**
+   * Embed and store a newly created memory
+   * Failures are logged; the memory still works through keyword scoring
+   */
+  static async embedMemory(db, memory, userId) {
+    const embedder = this.getEmbedder();
+    if (!embedder || !memory?.content) return false;
+
+    try {
+      const [vector] = await this.embed([memory.content], embedder, db.localDb.getUserSettings(userId));
+      await db.saveMemoryEmbedding(memory.id, embedder.key, vector);
+      return true;
+    } catch (error) {
+      console.error('[Embeddings] Failed to embed memory:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Rank a character's embedded memories by cosine similarity to a message
+   * @returns {Promise<Array|null>} Memories with a similarity field, closest
+   *   first, or null when no embedder is available (callers fall back to keywords)
+   */
+  static async rankMemories(db, characterId, userId, text) {
+    const embedder = this.getEmbedder();
+    if (!embedder || !text?.trim()) return null;
+
+    try {
+      const memories = await db.getMemoryEmbeddings(characterId, userId, embedder.key);
+      if (memories.length === 0) return [];
+
+      const query = await this.embedQuery(text, embedder, db.localDb.getUserSettings(userId));
+
+      return memories
+        .map(({ embedding, ...memory }) => ({
+          ...memory,
+          similarity: this.cosineSimilarity(query, embedding)
+        }))
+        .sort((a, b) => b.similarity - a.similarity);
+    } catch (error) {
+      console.error('[Embeddings] Semantic ranking unavailable:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Embed a query, reusing recent results; every character in a group turn
+   * looks up memories for the same message
+   */
+  static async embedQuery(text, embedder, userSettings) {
+    const cacheKey = `${embedder.key}\n${text}`;
+    if (queryCache.has(cacheKey)) {
+      return queryCache.get(cacheKey);
+    }
+
+    const [vector] = await this.embed([text], embedder, userSettings);
+
+    queryCache.set(cacheKey, vector);
+    if (queryCache.size > EMBEDDING_DEFAULTS.QUERY_CACHE_SIZE) {
+      queryCache.delete(queryCache.keys().next().value);
+    }
+
+    return vector;
+  }
+
+  /**
+   * Embed every memory that has no vector from the current embedder
+   * Works user by user so each batch uses that user's credentials; a user
+   * whose embedder fails is skipped until the next run
+   * @returns {Promise<Object>} { embedded, skippedUsers }
+   */
+  static async backfill(db, { batchSize = EMBEDDING_DEFAULTS.BACKFILL_BATCH_SIZE } = {}) {
+    const embedder = this.getEmbedder();
+    const result = { embedded: 0, skippedUsers: 0 };
+    if (!embedder) return result;
+
+    const userIds = await db.getUsersWithUnembeddedMemories(embedder.key);
+
+    for (const userId of userIds) {
+      const userSettings = db.localDb.getUserSettings(userId);
+
+      try {
+        let batch = await db.getMemoriesWithoutEmbedding(embedder.key, userId, batchSize);
+        while (batch.length > 0) {
+          const vectors = await this.embed(batch.map(memory => memory.content), embedder, userSettings);
+          for (let i = 0; i < batch.length; i++) {
+            await db.saveMemoryEmbedding(batch[i].id, embedder.key, vectors[i]);
+          }
+          result.embedded += batch.length;
+          batch = await db.getMemoriesWithoutEmbedding(embedder.key, userId, batchSize);
+        }
+      } catch (error) {
+        console.error(`[Embeddings] Backfill skipped user ${userId}:`, error.message);
+        result.skippedUsers++;
+      }
+    }
+
+    return result;
+  }
+
+  // ==========================================================================
+  // VECTOR MATH
+  // ==========================================================================
+
+  static normalize(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+    if (norm === 0) return vector;
+
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    return vector;
+  }
+
+  /**
+   * Cosine similarity of two normalized vectors (0 when dimensions differ)
+   */
+  static cosineSimilarity(a, b) {
+    if (a.length !== b.length) return 0;
+
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot;
+  }
+}
+
+module.exports = EmbeddingService;
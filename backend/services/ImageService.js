@@ -176,6 +176,33 @@ class ImageService {
         }
     }
 
+    /**
+     * Save image bytes (e.g. an imported character card) to the local uploads folder
+     * Returns the local filename
+     */
+    saveImageBuffer(buffer, userId, ext = '.png') {
+        const timestamp = Date.now();
+        const randomId = Math.random().toString(36).substring(7);
+        const filename = `${userId}-${timestamp}-${randomId}${ext}`;
+
+        const uploadsDir = path.join(__dirname, '../../data/uploads');
+        if (!fs.existsSync(uploadsDir)) {
+            fs.mkdirSync(uploadsDir, { recursive: true });
+        }
+
+        fs.writeFileSync(path.join(uploadsDir, filename), buffer);
+        return filename;
+    }
+
+    /**
+     * Read an image from the local uploads folder
+     * Returns null if the file is missing
+     */
+    readLocalImage(filename) {
+        const localPath = path.join(__dirname, '../../data/uploads', path.basename(filename));
+        return fs.existsSync(localPath) ? fs.readFileSync(localPath) : null;
+    }
+
     /**
      * Download an image from a URL and save it locally
      * Returns the local filename if successful
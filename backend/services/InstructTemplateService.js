@@ -0,0 +1,98 @@
+// ============================================================================
+// Instruct Template Service
+// Renders chat messages into a single prompt string for local backends that
+// take raw text completions (Ollama /api/generate, OpenAI-compatible
+// /v1/completions), using a built-in or user-defined prompt format
+// ============================================================================
+
+const { INSTRUCT_TEMPLATES } = require('../constants/defaults');
+
+const TEMPLATE_FIELDS = [
+  'system_prefix', 'system_suffix',
+  'user_prefix', 'user_suffix',
+  'assistant_prefix', 'assistant_suffix'
+];
+
+class InstructTemplateService {
+  /**
+   * The built-in templates, with their ids
+   */
+  static getBuiltInTemplates() {
+    return Object.entries(INSTRUCT_TEMPLATES).map(([id, template]) => ({
+      id,
+      ...template,
+      is_builtin: true
+    }));
+  }
+
+  /**
+   * Look up a template by id: a built-in, or one of the user's templates
+   * @returns {Object|null} null when no template is selected or it no longer exists
+   */
+  static resolve(templateId, userId) {
+    if (!templateId) return null;
+
+    if (INSTRUCT_TEMPLATES[templateId]) {
+      return { id: templateId, ...INSTRUCT_TEMPLATES[templateId], is_builtin: true };
+    }
+
+    const { getInstance } = require('./LocalDatabaseService');
+    return getInstance().getInstructTemplate(templateId, userId);
+  }
+
+  /**
+   * Render messages in OpenAI format into one prompt, ending with the
+   * assistant prefix so the model writes the next reply
+   * @param {Object} template - A resolved template
+   * @param {Array} messages - [{ role, content }]
+   * @returns {string}
+   */
+  static render(template, messages) {
+    const format = this.normalize(template);
+    const turns = messages.map(m => ({
+      role: m.role === 'system' || m.role === 'user' ? m.role : 'assistant',
+      content: m.content || ''
+    }));
+
+    if (format.merge_system) {
+      const system = turns.filter(t => t.role === 'system').map(t => t.content).join('\n\n');
+      const rest = turns.filter(t => t.role !== 'system');
+      const firstUser = rest.findIndex(t => t.role === 'user');
+
+      if (system && firstUser >= 0) {
+        rest[firstUser] = { ...rest[firstUser], content: `${system}\n\n${rest[firstUser].content}` };
+      } else if (system) {
+        rest.unshift({ role: 'user', content: system });
+      }
+      turns.splice(0, turns.length, ...rest);
+    }
+
+    const body = turns
+      .map(t => `${format[`${t.role}_prefix`]}${t.content}${format[`${t.role}_suffix`]}`)
+      .join('');
+
+    // A trailing space would be tokenized on its own and skew the first word of the reply
+    return body + format.assistant_prefix.replace(/[ \t]+$/, '');
+  }
+
+  /**
+   * The template's stop sequences plus any the character or preset adds
+   */
+  static stopSequences(template, extra = null) {
+    const stops = [...(template?.stop_sequences || []), ...(Array.isArray(extra) ? extra : [])];
+    return [...new Set(stops.filter(s => typeof s === 'string' && s.length > 0))];
+  }
+
+  /**
+   * Fill in missing fields so partial templates (e.g. unsaved previews) render
+   */
+  static normalize(template = {}) {
+    const format = { merge_system: Boolean(template.merge_system) };
+    for (const field of TEMPLATE_FIELDS) {
+      format[field] = typeof template[field] === 'string' ? template[field] : '';
+    }
+    return format;
+  }
+}
+
+module.exports = InstructTemplateService;
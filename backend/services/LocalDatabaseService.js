@@ -6,6 +6,9 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const ApiKeyEncryptionService = require('./ApiKeyEncryptionService');
+const MigrationService = require('./MigrationService');
+const { GROUP_DYNAMICS, MOOD_TRACKING } = require('../constants/defaults');
 
 class LocalDatabaseService {
     constructor(dbPath = null) {
@@ -56,219 +59,21 @@ class LocalDatabaseService {
     }
 
     /**
-     * Initialize database schema from schema.sql file
+     * Bring the schema up to date by running pending migrations
+     * Fresh and existing databases go through the same chain in database/migrations
      */
     initializeSchema() {
         try {
-            // Check if database is already initialized
-            const versionCheck = this.db.prepare(
-                "SELECT name FROM sqlite_master WHERE type='table' AND name='schema_version'"
-            ).get();
-
-            if (versionCheck) {
-                // Run migrations for existing databases
-                this.runMigrations();
-                return;
-            }
-
-            // Fresh install — read and execute the full schema inside a transaction
-            // so a partial failure doesn't leave the DB in a broken state
-            const schemaPath = path.join(__dirname, '../database/schema.sql');
-            if (!fs.existsSync(schemaPath)) {
-                throw new Error(`Schema file not found at: ${schemaPath}`);
-            }
-            const schema = fs.readFileSync(schemaPath, 'utf8');
-
-            // Run entire schema as a single transaction
-            const runSchema = this.db.transaction(() => {
-                this.db.exec(schema);
-            });
-            runSchema();
+            new MigrationService(this.db).migrate();
 
-            console.log('[DB] Schema initialized successfully from schema.sql');
+            // Encrypt plaintext API keys and re-wrap keys under a retired master key
+            this.encryptStoredApiKeys();
         } catch (error) {
-            console.error('[DB] Failed to initialize schema:', error);
+            console.error('[DB] Failed to migrate schema:', error);
             throw error;
         }
     }
 
-    /**
-     * Run migrations to update existing database schemas
-     */
-    runMigrations() {
-        try {
-            // Check if user_settings_local table has the new columns
-            const tableInfo = this.db.prepare("PRAGMA table_info(user_settings_local)").all();
-            const columnNames = tableInfo.map(col => col.name);
-
-            // Add missing columns if they don't exist
-            if (!columnNames.includes('group_dynamics_mode')) {
-                this.db.exec("ALTER TABLE user_settings_local ADD COLUMN group_dynamics_mode TEXT DEFAULT 'natural'");
-            }
-
-            if (!columnNames.includes('message_delay')) {
-                this.db.exec("ALTER TABLE user_settings_local ADD COLUMN message_delay INTEGER DEFAULT 1200");
-            }
-
-            if (!columnNames.includes('admin_system_prompt')) {
-                this.db.exec("ALTER TABLE user_settings_local ADD COLUMN admin_system_prompt TEXT");
-            }
-
-            if (!columnNames.includes('is_admin')) {
-                this.db.exec("ALTER TABLE user_settings_local ADD COLUMN is_admin INTEGER DEFAULT 0");
-            }
-
-            if (!columnNames.includes('auto_approve_characters')) {
-                this.db.exec("ALTER TABLE user_settings_local ADD COLUMN auto_approve_characters INTEGER DEFAULT 0");
-            }
-
-            if (!columnNames.includes('use_ai_memory_extraction')) {
-                this.db.exec("ALTER TABLE user_settings_local ADD COLUMN use_ai_memory_extraction INTEGER DEFAULT 0");
-            }
-
-            // Add target tracking columns to character_memories table
-            const memTableInfo = this.db.prepare("PRAGMA table_info(character_memories)").all();
-            const memColumnNames = memTableInfo.map(col => col.name);
-
-            if (!memColumnNames.includes('target_type')) {
-                this.db.exec(`
-                    ALTER TABLE character_memories ADD COLUMN target_type TEXT DEFAULT 'user' CHECK(target_type IN ('user', 'character', 'general'));
-                `);
-            }
-
-            if (!memColumnNames.includes('target_entity')) {
-                this.db.exec(`
-                    ALTER TABLE character_memories ADD COLUMN target_entity TEXT;
-                `);
-            }
-
-            // Create index for character-to-character memories
-            if (!memColumnNames.includes('target_type')) {
-                this.db.exec(`
-                    CREATE INDEX IF NOT EXISTS idx_memories_target ON character_memories(target_type, target_entity);
-                `);
-            }
-
-            // Create memory system tables if they don't exist
-            const tables = this.db.prepare("SELECT name FROM sqlite_master WHERE type='table'").all();
-            const tableNames = tables.map(t => t.name);
-
-            if (!tableNames.includes('character_learning')) {
-                this.db.exec(`
-                    CREATE TABLE character_learning (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        character_id TEXT NOT NULL,
-                        learning_type TEXT CHECK(learning_type IN ('communication_style', 'topic_preference', 'emotional_response', 'humor_style')),
-                        pattern_data TEXT NOT NULL,
-                        confidence_score REAL DEFAULT 0.5 CHECK(confidence_score >= 0 AND confidence_score <= 1),
-                        usage_count INTEGER DEFAULT 0,
-                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                        FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
-                        UNIQUE(character_id, learning_type)
-                    );
-                    CREATE INDEX idx_learning_character ON character_learning(character_id);
-                    CREATE INDEX idx_learning_type ON character_learning(learning_type);
-                `);
-            }
-
-            if (!tableNames.includes('character_topic_engagement')) {
-                this.db.exec(`
-                    CREATE TABLE character_topic_engagement (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        character_id TEXT NOT NULL,
-                        topic TEXT NOT NULL,
-                        interest_level REAL DEFAULT 0.5 CHECK(interest_level >= 0 AND interest_level <= 1),
-                        times_discussed INTEGER DEFAULT 1,
-                        last_discussed DATETIME DEFAULT CURRENT_TIMESTAMP,
-                        emotional_association REAL DEFAULT 0.0 CHECK(emotional_association >= -1 AND emotional_association <= 1),
-                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                        FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
-                        UNIQUE(character_id, topic)
-                    );
-                    CREATE INDEX idx_topic_engagement_character ON character_topic_engagement(character_id);
-                    CREATE INDEX idx_topic_engagement_interest ON character_topic_engagement(interest_level);
-                `);
-            }
-
-            // Add granular model parameter columns to characters table
-            const charTableInfo = this.db.prepare("PRAGMA table_info(characters)").all();
-            const charColumnNames = charTableInfo.map(col => col.name);
-
-            if (!charColumnNames.includes('top_p')) {
-                this.db.exec("ALTER TABLE characters ADD COLUMN top_p REAL DEFAULT NULL");
-            }
-            if (!charColumnNames.includes('frequency_penalty')) {
-                this.db.exec("ALTER TABLE characters ADD COLUMN frequency_penalty REAL DEFAULT NULL");
-            }
-            if (!charColumnNames.includes('presence_penalty')) {
-                this.db.exec("ALTER TABLE characters ADD COLUMN presence_penalty REAL DEFAULT NULL");
-            }
-            if (!charColumnNames.includes('repetition_penalty')) {
-                this.db.exec("ALTER TABLE characters ADD COLUMN repetition_penalty REAL DEFAULT NULL");
-            }
-            if (!charColumnNames.includes('stop_sequences')) {
-                this.db.exec("ALTER TABLE characters ADD COLUMN stop_sequences TEXT DEFAULT NULL");
-            }
-
-            // Add granular model parameter columns to custom_models table
-            const customModelTableInfo = this.db.prepare("PRAGMA table_info(custom_models)").all();
-            const customModelColumnNames = customModelTableInfo.map(col => col.name);
-
-            if (!customModelColumnNames.includes('display_name')) {
-                this.db.exec("ALTER TABLE custom_models ADD COLUMN display_name TEXT");
-                // Backfill display_name from name for existing rows
-                this.db.exec("UPDATE custom_models SET display_name = name WHERE display_name IS NULL");
-            }
-            if (!customModelColumnNames.includes('custom_system_prompt')) {
-                this.db.exec("ALTER TABLE custom_models ADD COLUMN custom_system_prompt TEXT DEFAULT NULL");
-            }
-            if (!customModelColumnNames.includes('top_p')) {
-                this.db.exec("ALTER TABLE custom_models ADD COLUMN top_p REAL DEFAULT NULL");
-            }
-            if (!customModelColumnNames.includes('frequency_penalty')) {
-                this.db.exec("ALTER TABLE custom_models ADD COLUMN frequency_penalty REAL DEFAULT NULL");
-            }
-            if (!customModelColumnNames.includes('presence_penalty')) {
-                this.db.exec("ALTER TABLE custom_models ADD COLUMN presence_penalty REAL DEFAULT NULL");
-            }
-            if (!customModelColumnNames.includes('repetition_penalty')) {
-                this.db.exec("ALTER TABLE custom_models ADD COLUMN repetition_penalty REAL DEFAULT NULL");
-            }
-            if (!customModelColumnNames.includes('stop_sequences')) {
-                this.db.exec("ALTER TABLE custom_models ADD COLUMN stop_sequences TEXT DEFAULT NULL");
-            }
-
-            // Personality evolution columns on characters
-            if (!charColumnNames.includes('personality_size')) {
-                this.db.exec("ALTER TABLE characters ADD COLUMN personality_size TEXT DEFAULT 'small'");
-            }
-            if (!charColumnNames.includes('personality_growth')) {
-                this.db.exec("ALTER TABLE characters ADD COLUMN personality_growth TEXT DEFAULT NULL");
-            }
-            if (!charColumnNames.includes('memory_compile_interval')) {
-                this.db.exec("ALTER TABLE characters ADD COLUMN memory_compile_interval INTEGER DEFAULT 20");
-            }
-            if (!charColumnNames.includes('messages_since_compile')) {
-                this.db.exec("ALTER TABLE characters ADD COLUMN messages_since_compile INTEGER DEFAULT 0");
-            }
-            if (!charColumnNames.includes('personality_compiled_at')) {
-                this.db.exec("ALTER TABLE characters ADD COLUMN personality_compiled_at DATETIME DEFAULT NULL");
-            }
-
-            // compiled flag on character_memories
-            const memTableInfo2 = this.db.prepare("PRAGMA table_info(character_memories)").all();
-            const memColumnNames2 = memTableInfo2.map(col => col.name);
-            if (!memColumnNames2.includes('compiled')) {
-                this.db.exec("ALTER TABLE character_memories ADD COLUMN compiled INTEGER DEFAULT 0");
-            }
-
-        } catch (error) {
-            console.error('Failed to run migrations:', error);
-            // Don't throw - allow app to continue
-        }
-    }
-
     /**
      * Close database connection
      */
@@ -348,14 +153,14 @@ class LocalDatabaseService {
                 user_id, name, personality, avatar, color, response_style,
                 age, sex, appearance, background, chat_examples, relationships,
                 tags, temperature, max_tokens, context_window, memory_enabled,
-                ai_provider, ai_model, fallback_provider, fallback_model,
+                ai_provider, ai_model, fallback_provider, fallback_model, fallback_chain,
                 voice_traits, speech_patterns, avatar_image_url, avatar_image_filename,
                 uses_custom_image, is_default, original_id,
                 top_p, frequency_penalty, presence_penalty, repetition_penalty, stop_sequences,
-                personality_size, memory_compile_interval
+                instruct_template, personality_size, memory_compile_interval, aliases
             ) VALUES (
-                ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
-                ?, ?, ?, ?, ?, ?, ?
+                ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+                ?, ?, ?, ?, ?, ?, ?, ?, ?
             )
         `);
 
@@ -381,6 +186,7 @@ class LocalDatabaseService {
             characterData.ai_model || 'gpt-3.5-turbo',
             characterData.fallback_provider || null,
             characterData.fallback_model || null,
+            this.serializeFallbackChain(characterData.fallback_chain),
             JSON.stringify(characterData.voice_traits || {}),
             JSON.stringify(characterData.speech_patterns || {}),
             characterData.avatar_image_url || null,
@@ -393,8 +199,10 @@ class LocalDatabaseService {
             characterData.presence_penalty ?? null,
             characterData.repetition_penalty ?? null,
             characterData.stop_sequences ? JSON.stringify(characterData.stop_sequences) : null,
+            characterData.instruct_template || null,
             characterData.personality_size || 'small',
-            characterData.memory_compile_interval || 20
+            characterData.memory_compile_interval || 20,
+            this.serializeAliases(characterData.aliases)
         );
 
         // Get the created character
@@ -402,9 +210,15 @@ class LocalDatabaseService {
         return character ? this.parseCharacterJson(character) : null;
     }
 
-    getCharacter(characterId) {
+    /**
+     * Get a character the user owns, or a default character
+     */
+    getCharacter(characterId, userId) {
         this.ensureInitialized();
-        const character = this.get('SELECT * FROM characters WHERE id = ?', [characterId]);
+        const character = this.get(
+            'SELECT * FROM characters WHERE id = ? AND (user_id = ? OR is_default = 1)',
+            [characterId, userId]
+        );
         return character ? this.parseCharacterJson(character) : null;
     }
 
@@ -414,24 +228,23 @@ class LocalDatabaseService {
         return characters.map(char => this.parseCharacterJson(char));
     }
 
-    getAllCharacters() {
-        this.ensureInitialized();
-        const characters = this.all('SELECT * FROM characters ORDER BY created_at DESC');
-        return characters.map(char => this.parseCharacterJson(char));
-    }
-
-    updateCharacter(characterId, updates) {
+    /**
+     * Update a character the user owns
+     * @returns {Object|null} The updated character, or null if not found
+     */
+    updateCharacter(characterId, userId, updates) {
         this.ensureInitialized();
         
         const allowedFields = [
             'name', 'personality', 'avatar', 'color', 'response_style',
             'age', 'sex', 'appearance', 'background', 'chat_examples', 'relationships',
             'tags', 'temperature', 'max_tokens', 'context_window', 'memory_enabled',
-            'ai_provider', 'ai_model', 'fallback_provider', 'fallback_model',
+            'ai_provider', 'ai_model', 'fallback_provider', 'fallback_model', 'fallback_chain',
             'voice_traits', 'speech_patterns', 'avatar_image_url', 'avatar_image_filename',
             'uses_custom_image',
             'top_p', 'frequency_penalty', 'presence_penalty', 'repetition_penalty', 'stop_sequences',
-            'personality_size', 'personality_growth', 'memory_compile_interval', 'messages_since_compile'
+            'instruct_template', 'personality_size', 'personality_growth', 'memory_compile_interval', 'messages_since_compile',
+            'aliases'
         ];
 
         const setClauses = [];
@@ -446,6 +259,10 @@ class LocalDatabaseService {
                     values.push(JSON.stringify(value));
                 } else if (key === 'stop_sequences') {
                     values.push(value ? JSON.stringify(value) : null);
+                } else if (key === 'fallback_chain') {
+                    values.push(this.serializeFallbackChain(value));
+                } else if (key === 'aliases') {
+                    values.push(this.serializeAliases(value));
                 } else if (['memory_enabled', 'uses_custom_image'].includes(key)) {
                     values.push(value ? 1 : 0);
                 } else {
@@ -458,41 +275,44 @@ class LocalDatabaseService {
             return null;
         }
 
-        values.push(characterId);
+        values.push(characterId, userId);
         
         const stmt = this.db.prepare(`
             UPDATE characters 
             SET ${setClauses.join(', ')}
-            WHERE id = ?
+            WHERE id = ? AND user_id = ?
         `);
 
-        stmt.run(values);
-        return this.getCharacter(characterId);
+        const result = stmt.run(values);
+        return result.changes > 0 ? this.getCharacter(characterId, userId) : null;
     }
 
-    deleteCharacter(characterId) {
+    deleteCharacter(characterId, userId) {
         this.ensureInitialized();
-        const stmt = this.db.prepare('DELETE FROM characters WHERE id = ?');
-        return stmt.run(characterId);
+        const result = this.run('DELETE FROM characters WHERE id = ? AND user_id = ?', [characterId, userId]);
+        if (result.changes > 0) {
+            this.deleteLorebookLinks('character', characterId);
+        }
+        return result;
     }
 
     // ============================================================================
     // PERSONALITY EVOLUTION HELPERS
     // ============================================================================
 
-    incrementCompileCounter(characterId) {
+    incrementCompileCounter(characterId, userId) {
         this.ensureInitialized();
         this.db.prepare(
-            'UPDATE characters SET messages_since_compile = messages_since_compile + 1 WHERE id = ?'
-        ).run(characterId);
-        return this.getCharacter(characterId);
+            'UPDATE characters SET messages_since_compile = messages_since_compile + 1 WHERE id = ? AND user_id = ?'
+        ).run(characterId, userId);
+        return this.getCharacter(characterId, userId);
     }
 
     getUncompiledMemories(characterId, userId) {
         this.ensureInitialized();
         return this.all(
             `SELECT * FROM character_memories
-             WHERE character_id = ? AND user_id = ? AND compiled = 0
+             WHERE character_id = ? AND user_id = ? AND compiled = 0 AND is_muted = 0
              ORDER BY importance_score DESC, created_at DESC`,
             [characterId, userId]
         );
@@ -505,22 +325,22 @@ class LocalDatabaseService {
         ).run(characterId, userId);
     }
 
-    savePersonalityGrowth(characterId, growthText) {
+    savePersonalityGrowth(characterId, userId, growthText) {
         this.ensureInitialized();
-        this.db.prepare(
+        return this.db.prepare(
             `UPDATE characters
              SET personality_growth = ?, messages_since_compile = 0, personality_compiled_at = CURRENT_TIMESTAMP
-             WHERE id = ?`
-        ).run(growthText, characterId);
+             WHERE id = ? AND user_id = ?`
+        ).run(growthText, characterId, userId);
     }
 
-    clearPersonalityGrowth(characterId) {
+    clearPersonalityGrowth(characterId, userId) {
         this.ensureInitialized();
-        this.db.prepare(
+        return this.db.prepare(
             `UPDATE characters
              SET personality_growth = NULL, messages_since_compile = 0, personality_compiled_at = NULL
-             WHERE id = ?`
-        ).run(characterId);
+             WHERE id = ? AND user_id = ?`
+        ).run(characterId, userId);
     }
 
     // ============================================================================
@@ -537,9 +357,12 @@ class LocalDatabaseService {
         return rows.map(r => this.parseCustomModelJson(r));
     }
 
-    getCustomModel(id) {
+    /**
+     * Get one of the user's presets or a global preset
+     */
+    getCustomModel(id, userId) {
         this.ensureInitialized();
-        const row = this.get('SELECT * FROM custom_models WHERE id = ?', [id]);
+        const row = this.get('SELECT * FROM custom_models WHERE id = ? AND (user_id IS NULL OR user_id = ?)', [id, userId]);
         return row ? this.parseCustomModelJson(row) : null;
     }
 
@@ -550,8 +373,8 @@ class LocalDatabaseService {
                 user_id, name, display_name, description, provider, model_id,
                 custom_system_prompt, temperature, max_tokens,
                 top_p, frequency_penalty, presence_penalty, repetition_penalty, stop_sequences,
-                tags, is_active
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
+                instruct_template, tags, is_active
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
         `);
         const result = stmt.run(
             userId,
@@ -568,18 +391,23 @@ class LocalDatabaseService {
             data.presence_penalty ?? null,
             data.repetition_penalty ?? null,
             data.stop_sequences ? JSON.stringify(data.stop_sequences) : null,
+            data.instruct_template || null,
             JSON.stringify(data.tags || [])
         );
-        return this.getCustomModel(this.db.prepare('SELECT last_insert_rowid() as id').get()['last_insert_rowid()']);
+        return this.parseCustomModelJson(this.get('SELECT * FROM custom_models WHERE rowid = ?', [result.lastInsertRowid]));
     }
 
-    updateCustomModel(id, updates) {
+    /**
+     * Update one of the user's presets; global presets are read-only
+     * @returns {Object|null} The updated preset, or null if not found
+     */
+    updateCustomModel(id, userId, updates) {
         this.ensureInitialized();
         const allowed = [
             'name', 'display_name', 'description', 'provider', 'model_id',
             'custom_system_prompt', 'temperature', 'max_tokens',
             'top_p', 'frequency_penalty', 'presence_penalty', 'repetition_penalty',
-            'stop_sequences', 'tags', 'is_active'
+            'stop_sequences', 'instruct_template', 'tags', 'is_active'
         ];
         const setClauses = [];
         const values = [];
@@ -591,15 +419,40 @@ class LocalDatabaseService {
                 else values.push(value ?? null);
             }
         }
-        if (setClauses.length === 0) return this.getCustomModel(id);
-        values.push(id);
-        this.db.prepare(`UPDATE custom_models SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(values);
-        return this.getCustomModel(id);
+        if (!this.get('SELECT id FROM custom_models WHERE id = ? AND user_id = ?', [id, userId])) return null;
+        if (setClauses.length === 0) return this.getCustomModel(id, userId);
+        values.push(id, userId);
+        this.db.prepare(`UPDATE custom_models SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?`).run(values);
+        return this.getCustomModel(id, userId);
     }
 
-    deleteCustomModel(id) {
+    deleteCustomModel(id, userId) {
         this.ensureInitialized();
-        return this.db.prepare('DELETE FROM custom_models WHERE id = ?').run(id);
+        return this.db.prepare('DELETE FROM custom_models WHERE id = ? AND user_id = ?').run(id, userId);
+    }
+
+    /**
+     * Keep only complete { provider, model } entries of a fallback chain
+     */
+    serializeFallbackChain(chain) {
+        if (!Array.isArray(chain)) return null;
+        const entries = chain
+            .filter(entry => typeof entry?.provider === 'string' && typeof entry?.model === 'string' &&
+                entry.provider.trim() && entry.model.trim())
+            .map(entry => ({ provider: entry.provider.trim(), model: entry.model.trim() }));
+        return entries.length ? JSON.stringify(entries) : null;
+    }
+
+    /**
+     * Keep distinct, non-empty alias strings, at most 10 of up to 50 characters
+     */
+    serializeAliases(aliases) {
+        if (!Array.isArray(aliases)) return null;
+        const names = [...new Set(aliases
+            .filter(alias => typeof alias === 'string' && alias.trim())
+            .map(alias => alias.trim().slice(0, 50)))]
+            .slice(0, 10);
+        return names.length ? JSON.stringify(names) : null;
     }
 
     parseCustomModelJson(row) {
@@ -626,6 +479,8 @@ class LocalDatabaseService {
             voice_traits: this.safeJsonParse(character.voice_traits, {}),
             speech_patterns: this.safeJsonParse(character.speech_patterns, {}),
             stop_sequences: this.safeJsonParse(character.stop_sequences, null),
+            fallback_chain: this.safeJsonParse(character.fallback_chain, []),
+            aliases: this.safeJsonParse(character.aliases, []),
             memory_enabled: Boolean(character.memory_enabled),
             uses_custom_image: Boolean(character.uses_custom_image),
             is_default: Boolean(character.is_default),
@@ -633,6 +488,101 @@ class LocalDatabaseService {
         };
     }
 
+    // ============================================================================
+    // INSTRUCT TEMPLATES (user-defined; built-ins live in InstructTemplateService)
+    // ============================================================================
+
+    getInstructTemplates(userId) {
+        this.ensureInitialized();
+        const rows = this.all('SELECT * FROM instruct_templates WHERE user_id = ? ORDER BY name ASC', [userId]);
+        return rows.map(row => this.parseInstructTemplateJson(row));
+    }
+
+    getInstructTemplate(id, userId) {
+        this.ensureInitialized();
+        return this.parseInstructTemplateJson(
+            this.get('SELECT * FROM instruct_templates WHERE id = ? AND user_id = ?', [id, userId])
+        );
+    }
+
+    createInstructTemplate(userId, data) {
+        this.ensureInitialized();
+        const result = this.db.prepare(`
+            INSERT INTO instruct_templates (
+                user_id, name, description,
+                system_prefix, system_suffix, user_prefix, user_suffix, assistant_prefix, assistant_suffix,
+                merge_system, stop_sequences
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            userId,
+            data.name,
+            data.description || null,
+            data.system_prefix || '',
+            data.system_suffix || '',
+            data.user_prefix || '',
+            data.user_suffix || '',
+            data.assistant_prefix || '',
+            data.assistant_suffix || '',
+            data.merge_system ? 1 : 0,
+            data.stop_sequences?.length ? JSON.stringify(data.stop_sequences) : null
+        );
+        const created = this.get('SELECT id FROM instruct_templates WHERE rowid = ?', [result.lastInsertRowid]);
+        return this.getInstructTemplate(created.id, userId);
+    }
+
+    /**
+     * Update one of the user's templates
+     * @returns {Object|null} The updated template, or null if not found
+     */
+    updateInstructTemplate(id, userId, updates) {
+        this.ensureInitialized();
+        const allowed = [
+            'name', 'description',
+            'system_prefix', 'system_suffix', 'user_prefix', 'user_suffix', 'assistant_prefix', 'assistant_suffix',
+            'merge_system', 'stop_sequences'
+        ];
+        const setClauses = [];
+        const values = [];
+        for (const [key, value] of Object.entries(updates)) {
+            if (allowed.includes(key) && value !== undefined) {
+                setClauses.push(`${key} = ?`);
+                if (key === 'stop_sequences') values.push(value?.length ? JSON.stringify(value) : null);
+                else if (key === 'merge_system') values.push(value ? 1 : 0);
+                else if (key === 'name' || key === 'description') values.push(value ?? null);
+                else values.push(value || '');
+            }
+        }
+        if (!this.getInstructTemplate(id, userId)) return null;
+        if (setClauses.length > 0) {
+            values.push(id, userId);
+            this.run(`UPDATE instruct_templates SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?`, values);
+        }
+        return this.getInstructTemplate(id, userId);
+    }
+
+    /**
+     * Delete a template; characters and presets using it go back to the chat endpoint
+     */
+    deleteInstructTemplate(id, userId) {
+        this.ensureInitialized();
+        const result = this.run('DELETE FROM instruct_templates WHERE id = ? AND user_id = ?', [id, userId]);
+        if (result.changes > 0) {
+            this.run('UPDATE characters SET instruct_template = NULL WHERE instruct_template = ? AND user_id = ?', [id, userId]);
+            this.run('UPDATE custom_models SET instruct_template = NULL WHERE instruct_template = ? AND user_id = ?', [id, userId]);
+        }
+        return result;
+    }
+
+    parseInstructTemplateJson(row) {
+        if (!row) return null;
+        return {
+            ...row,
+            merge_system: Boolean(row.merge_system),
+            stop_sequences: this.safeJsonParse(row.stop_sequences, []),
+            is_builtin: false
+        };
+    }
+
     // ============================================================================
     // USER SETTINGS OPERATIONS
     // ============================================================================
@@ -649,10 +599,12 @@ class LocalDatabaseService {
             // Return in frontend-expected format (camelCase)
             return {
                 userId: localSettings.user_id,
+                // Encrypted envelopes: masked for the client, opened only by AIProviderService
                 apiKeys: this.safeJsonParse(localSettings.api_keys, {}),
                 ollamaSettings: this.safeJsonParse(localSettings.ollama_settings, { baseUrl: 'http://localhost:11434' }),
                 lmStudioSettings: this.safeJsonParse(localSettings.lmstudio_settings, { baseUrl: 'http://localhost:1234' }),
                 groupDynamicsMode: localSettings.group_dynamics_mode || 'natural',
+                moodTracking: localSettings.mood_tracking || MOOD_TRACKING.DEFAULT_MODE,
                 messageDelay: localSettings.message_delay || 1200,
                 defaultProvider: localSettings.default_provider || 'openai',
                 defaultModel: localSettings.default_model,
@@ -669,6 +621,7 @@ class LocalDatabaseService {
             ollamaSettings: { baseUrl: 'http://localhost:11434' },
             lmStudioSettings: { baseUrl: 'http://localhost:1234' },
             groupDynamicsMode: 'natural',
+            moodTracking: MOOD_TRACKING.DEFAULT_MODE,
             messageDelay: 1200,
             defaultProvider: 'openai',
             defaultModel: null,
@@ -680,25 +633,30 @@ class LocalDatabaseService {
     updateUserSettings(userId, updates) {
         this.ensureInitialized();
         
+        // Check if settings exist
+        const existing = this.get(
+            'SELECT id, api_keys FROM user_settings_local WHERE user_id = ?',
+            [userId]
+        );
+
         // Normalize keys (handle both camelCase from frontend and snake_case from DB)
         // Note: autoApproveCharacters and adminSystemPrompt are now handled in database.js via Supabase
         const normalized = {
-            api_keys: updates.apiKeys || updates.api_keys || {},
+            // Masked keys sent back by the client keep the stored key
+            api_keys: ApiKeyEncryptionService.merge(
+                updates.apiKeys || updates.api_keys,
+                this.safeJsonParse(existing?.api_keys, {})
+            ),
             ollama_settings: updates.ollamaSettings || updates.ollama_settings || { baseUrl: 'http://localhost:11434' },
             lmstudio_settings: updates.lmStudioSettings || updates.lmstudio_settings || { baseUrl: 'http://localhost:1234' },
             preferences: updates.preferences || {},
             default_provider: updates.defaultProvider || updates.default_provider || 'openai',
             default_model: updates.defaultModel || updates.default_model || null,
             group_dynamics_mode: updates.groupDynamicsMode || updates.group_dynamics_mode || 'natural',
+            mood_tracking: updates.moodTracking || updates.mood_tracking || MOOD_TRACKING.DEFAULT_MODE,
             message_delay: updates.messageDelay || updates.message_delay || 1200
         };
 
-        // Check if settings exist
-        const existing = this.get(
-            'SELECT id FROM user_settings_local WHERE user_id = ?',
-            [userId]
-        );
-
         if (existing) {
             // Update existing settings
             this.run(
@@ -710,6 +668,7 @@ class LocalDatabaseService {
                      default_provider = ?,
                      default_model = ?,
                      group_dynamics_mode = ?,
+                     mood_tracking = ?,
                      message_delay = ?,
                      auto_approve_characters = ?,
                      admin_system_prompt = ?
@@ -722,6 +681,7 @@ class LocalDatabaseService {
                     normalized.default_provider,
                     normalized.default_model,
                     normalized.group_dynamics_mode,
+                    normalized.mood_tracking,
                     normalized.message_delay,
                     normalized.auto_approve_characters ? 1 : 0,
                     normalized.admin_system_prompt,
@@ -734,9 +694,9 @@ class LocalDatabaseService {
                 `INSERT INTO user_settings_local (
                     user_id, api_keys, ollama_settings, lmstudio_settings, 
                     preferences, default_provider, default_model, 
-                    group_dynamics_mode, message_delay, 
+                    group_dynamics_mode, mood_tracking, message_delay, 
                     auto_approve_characters, admin_system_prompt
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     userId,
                     JSON.stringify(normalized.api_keys),
@@ -746,6 +706,7 @@ class LocalDatabaseService {
                     normalized.default_provider,
                     normalized.default_model,
                     normalized.group_dynamics_mode,
+                    normalized.mood_tracking,
                     normalized.message_delay,
                     normalized.auto_approve_characters ? 1 : 0,
                     normalized.admin_system_prompt
@@ -756,6 +717,36 @@ class LocalDatabaseService {
         return this.getUserSettings(userId);
     }
 
+    /**
+     * Encrypt legacy plaintext API keys and re-wrap envelopes sealed under a
+     * retired master key. Runs at startup, so rotating the master key only
+     * needs a restart with the old key in API_KEY_PREVIOUS_MASTER_KEYS.
+     */
+    encryptStoredApiKeys() {
+        // Runs during initialize(), so use the connection directly
+        const rows = this.db.prepare(
+            "SELECT id, user_id, api_keys FROM user_settings_local WHERE api_keys IS NOT NULL AND api_keys NOT IN ('', '{}')"
+        ).all();
+        const update = this.db.prepare('UPDATE user_settings_local SET api_keys = ? WHERE id = ?');
+
+        let updated = 0;
+        for (const row of rows) {
+            try {
+                const { apiKeys, changed } = ApiKeyEncryptionService.upgrade(this.safeJsonParse(row.api_keys, {}));
+                if (changed) {
+                    update.run(JSON.stringify(apiKeys), row.id);
+                    updated++;
+                }
+            } catch (error) {
+                console.error(`[DB] Could not encrypt API keys for user ${row.user_id}:`, error.message);
+            }
+        }
+
+        if (updated > 0) {
+            console.log(`[DB] Encrypted or re-wrapped API keys for ${updated} user(s)`);
+        }
+    }
+
     // ============================================================================
     // SCENARIO OPERATIONS
     // ============================================================================
@@ -804,9 +795,15 @@ class LocalDatabaseService {
         return scenario ? this.parseScenarioJson(scenario) : null;
     }
 
-    getScenario(scenarioId) {
+    /**
+     * Get a scenario the user owns, or a default scenario
+     */
+    getScenario(scenarioId, userId) {
         this.ensureInitialized();
-        const scenario = this.get('SELECT * FROM scenarios WHERE id = ?', [scenarioId]);
+        const scenario = this.get(
+            'SELECT * FROM scenarios WHERE id = ? AND (user_id = ? OR is_default = 1)',
+            [scenarioId, userId]
+        );
         return scenario ? this.parseScenarioJson(scenario) : null;
     }
 
@@ -816,13 +813,11 @@ class LocalDatabaseService {
         return scenarios.map(scen => this.parseScenarioJson(scen));
     }
 
-    getAllScenarios() {
-        this.ensureInitialized();
-        const scenarios = this.all('SELECT * FROM scenarios ORDER BY created_at DESC');
-        return scenarios.map(scen => this.parseScenarioJson(scen));
-    }
-
-    updateScenario(scenarioId, updates) {
+    /**
+     * Update a scenario the user owns
+     * @returns {Object|null} The updated scenario, or null if not found
+     */
+    updateScenario(scenarioId, userId, updates) {
         this.ensureInitialized();
         
         const allowedFields = [
@@ -856,22 +851,25 @@ class LocalDatabaseService {
             return null;
         }
 
-        values.push(scenarioId);
+        values.push(scenarioId, userId);
         
         const stmt = this.db.prepare(`
             UPDATE scenarios 
             SET ${setClauses.join(', ')}
-            WHERE id = ?
+            WHERE id = ? AND user_id = ?
         `);
 
-        stmt.run(values);
-        return this.getScenario(scenarioId);
+        const result = stmt.run(values);
+        return result.changes > 0 ? this.getScenario(scenarioId, userId) : null;
     }
 
-    deleteScenario(scenarioId) {
+    deleteScenario(scenarioId, userId) {
         this.ensureInitialized();
-        const stmt = this.db.prepare('DELETE FROM scenarios WHERE id = ?');
-        return stmt.run(scenarioId);
+        const result = this.run('DELETE FROM scenarios WHERE id = ? AND user_id = ?', [scenarioId, userId]);
+        if (result.changes > 0) {
+            this.deleteLorebookLinks('scenario', scenarioId);
+        }
+        return result;
     }
 
     /**
@@ -901,8 +899,9 @@ class LocalDatabaseService {
         
         const stmt = this.db.prepare(`
             INSERT INTO chat_sessions (
-                user_id, title, scenario_id, active_characters, group_mode, metadata
-            ) VALUES (?, ?, ?, ?, ?, ?)
+                user_id, title, scenario_id, active_characters, group_mode, metadata,
+                max_responders, muted_characters
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `);
 
         const result = stmt.run(
@@ -910,19 +909,104 @@ class LocalDatabaseService {
             sessionData.title || null,
             sessionData.scenario_id || null,
             JSON.stringify(sessionData.active_characters || []),
-            sessionData.group_mode || 'natural',
-            JSON.stringify(sessionData.metadata || {})
+            sessionData.group_mode || GROUP_DYNAMICS.DEFAULT_MODE,
+            JSON.stringify(sessionData.metadata || {}),
+            sessionData.max_responders || GROUP_DYNAMICS.MAX_RESPONDERS,
+            JSON.stringify(sessionData.muted_characters || [])
         );
 
-        return this.get('SELECT * FROM chat_sessions WHERE rowid = ?', [result.lastInsertRowid]);
+        return this.parseChatSessionJson(this.get('SELECT * FROM chat_sessions WHERE rowid = ?', [result.lastInsertRowid]));
     }
 
-    getChatSession(sessionId) {
+    getChatSession(sessionId, userId) {
         this.ensureInitialized();
-        const session = this.get('SELECT * FROM chat_sessions WHERE id = ?', [sessionId]);
+        const session = this.get('SELECT * FROM chat_sessions WHERE id = ? AND user_id = ?', [sessionId, userId]);
         return session ? this.parseChatSessionJson(session) : null;
     }
 
+    /**
+     * Fork a session at a message. The new session gets copies of every message
+     * up to and including messageId, and records its parent and branch family.
+     * @returns {Object|null} The new session, or null if the message is not in the session
+     */
+    forkChatSession(sessionId, userId, messageId, title = null) {
+        this.ensureInitialized();
+
+        const source = this.getChatSession(sessionId, userId);
+        const forkPoint = this.get('SELECT id FROM messages WHERE id = ? AND session_id = ?', [messageId, sessionId]);
+        if (!source || !forkPoint) {
+            return null;
+        }
+
+        // The rolling summary only carries over if it stops before the fork point
+        const { summary, ...metadata } = source.metadata || {};
+        const keepSummary = summary && summary.covered_message_id && summary.covered_message_id <= messageId;
+
+        const fork = this.db.transaction(() => {
+            const result = this.db.prepare(`
+                INSERT INTO chat_sessions (
+                    user_id, title, scenario_id, active_characters, group_mode, metadata,
+                    max_responders, muted_characters,
+                    parent_session_id, root_session_id, forked_from_message_id
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                source.user_id,
+                title || `${source.title || 'Untitled Chat'} (branch)`,
+                source.scenario_id,
+                JSON.stringify(source.active_characters || []),
+                source.group_mode || GROUP_DYNAMICS.DEFAULT_MODE,
+                JSON.stringify(metadata),
+                source.max_responders,
+                JSON.stringify(source.muted_characters),
+                source.id,
+                source.root_session_id || source.id,
+                messageId
+            );
+
+            const newSession = this.get('SELECT id FROM chat_sessions WHERE rowid = ?', [result.lastInsertRowid]);
+
+            // Copy the shared history, keeping original timestamps so ordering is preserved
+            const copied = this.db.prepare(`
+                INSERT INTO messages (
+                    session_id, sender_type, sender_id, content, metadata, created_at,
+                    type, character_id, timestamp, mood_at_time, mood_intensity,
+                    is_primary_response, response_metadata, alternatives, selected_alternative
+                )
+                SELECT
+                    ?, sender_type, sender_id, content, metadata, created_at,
+                    type, character_id, timestamp, mood_at_time, mood_intensity,
+                    is_primary_response, response_metadata, alternatives, selected_alternative
+                FROM messages
+                WHERE session_id = ? AND id <= ?
+                ORDER BY id ASC
+            `).run(newSession.id, sessionId, messageId);
+
+            this.run(
+                'UPDATE chat_sessions SET message_count = ?, last_message_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [copied.changes, newSession.id]
+            );
+
+            if (keepSummary) {
+                // Point the summary at the branch's copy of its last covered message;
+                // covered_count skips /ooc notes, as the summarizer does
+                const lastCovered = this.get(
+                    `SELECT id FROM messages
+                     WHERE session_id = ? AND COALESCE(type, sender_type, '') != 'ooc'
+                     ORDER BY id ASC LIMIT 1 OFFSET ?`,
+                    [newSession.id, summary.covered_count - 1]
+                );
+                this.run(
+                    'UPDATE chat_sessions SET metadata = ? WHERE id = ?',
+                    [JSON.stringify({ ...metadata, summary: { ...summary, covered_message_id: lastCovered?.id || null } }), newSession.id]
+                );
+            }
+
+            return newSession.id;
+        });
+
+        return this.getChatSession(fork(), userId);
+    }
+
     getChatSessionsByUser(userId, limit = 20) {
         this.ensureInitialized();
         const sessions = this.all(
@@ -932,10 +1016,13 @@ class LocalDatabaseService {
         return sessions.map(sess => this.parseChatSessionJson(sess));
     }
 
-    updateChatSession(sessionId, updates) {
+    updateChatSession(sessionId, userId, updates) {
         this.ensureInitialized();
         
-        const allowedFields = ['title', 'active_characters', 'group_mode', 'metadata', 'is_archived', 'last_message_at'];
+        const allowedFields = [
+            'title', 'active_characters', 'group_mode', 'max_responders', 'muted_characters',
+            'metadata', 'is_archived', 'last_message_at'
+        ];
         const setClauses = [];
         const values = [];
 
@@ -943,7 +1030,7 @@ class LocalDatabaseService {
             if (allowedFields.includes(key)) {
                 setClauses.push(`${key} = ?`);
                 
-                if (['active_characters', 'metadata'].includes(key)) {
+                if (['active_characters', 'muted_characters', 'metadata'].includes(key)) {
                     values.push(JSON.stringify(value));
                 } else if (key === 'is_archived') {
                     values.push(value ? 1 : 0);
@@ -957,22 +1044,25 @@ class LocalDatabaseService {
             return null;
         }
 
-        values.push(sessionId);
+        values.push(sessionId, userId);
         
         const stmt = this.db.prepare(`
             UPDATE chat_sessions 
             SET ${setClauses.join(', ')}, last_activity = CURRENT_TIMESTAMP
-            WHERE id = ?
+            WHERE id = ? AND user_id = ?
         `);
 
         stmt.run(values);
-        return this.getChatSession(sessionId);
+        return this.getChatSession(sessionId, userId);
     }
 
-    deleteChatSession(sessionId) {
+    deleteChatSession(sessionId, userId) {
         this.ensureInitialized();
-        const stmt = this.db.prepare('DELETE FROM chat_sessions WHERE id = ?');
-        return stmt.run(sessionId);
+        const result = this.run('DELETE FROM chat_sessions WHERE id = ? AND user_id = ?', [sessionId, userId]);
+        if (result.changes > 0) {
+            this.deleteLorebookLinks('session', sessionId);
+        }
+        return result;
     }
 
     /**
@@ -984,6 +1074,7 @@ class LocalDatabaseService {
         return {
             ...session,
             active_characters: this.safeJsonParse(session.active_characters, []),
+            muted_characters: this.safeJsonParse(session.muted_characters, []),
             metadata: this.safeJsonParse(session.metadata, {}),
             is_archived: Boolean(session.is_archived)
         };
@@ -993,8 +1084,16 @@ class LocalDatabaseService {
     // MESSAGE OPERATIONS
     // ============================================================================
 
-    createMessage(messageData) {
+    /**
+     * Add a message to one of the user's sessions
+     * @returns {Object|null} The message, or null if the session is not the user's
+     */
+    createMessage(userId, messageData) {
         this.ensureInitialized();
+
+        if (!this.get('SELECT id FROM chat_sessions WHERE id = ? AND user_id = ?', [messageData.session_id, userId])) {
+            return null;
+        }
         
         const stmt = this.db.prepare(`
             INSERT INTO messages (
@@ -1027,15 +1126,72 @@ class LocalDatabaseService {
         return this.get('SELECT * FROM messages WHERE id = ?', [result.lastInsertRowid]);
     }
 
-    getMessagesBySession(sessionId, limit = 100) {
+    getMessagesBySession(sessionId, userId, limit = 100) {
         this.ensureInitialized();
         const messages = this.all(
-            'SELECT * FROM messages WHERE session_id = ? ORDER BY created_at ASC LIMIT ?',
-            [sessionId, limit]
+            `SELECT m.* FROM messages m
+             JOIN chat_sessions s ON s.id = m.session_id
+             WHERE m.session_id = ? AND s.user_id = ?
+             ORDER BY m.created_at ASC LIMIT ?`,
+            [sessionId, userId, limit]
         );
         return messages.map(msg => this.parseMessageJson(msg));
     }
 
+    getMessage(messageId, userId) {
+        this.ensureInitialized();
+        const message = this.get(
+            `SELECT m.* FROM messages m
+             JOIN chat_sessions s ON s.id = m.session_id
+             WHERE m.id = ? AND s.user_id = ?`,
+            [messageId, userId]
+        );
+        return this.parseMessageJson(message);
+    }
+
+    /**
+     * Get the messages that precede a message in its session, oldest first
+     */
+    getMessagesBefore(sessionId, userId, messageId, limit = 50) {
+        this.ensureInitialized();
+        const messages = this.all(
+            `SELECT m.* FROM messages m
+             JOIN chat_sessions s ON s.id = m.session_id
+             WHERE m.session_id = ? AND s.user_id = ? AND m.id < ?
+             ORDER BY m.id DESC LIMIT ?`,
+            [sessionId, userId, messageId, limit]
+        );
+        return messages.reverse().map(msg => this.parseMessageJson(msg));
+    }
+
+    /**
+     * Store a message's alternative versions and select one of them
+     * content and response_metadata always mirror the selected version, so
+     * everything that reads history sees the chosen take
+     */
+    updateMessageAlternatives(messageId, userId, alternatives, selectedIndex, mood = null) {
+        this.ensureInitialized();
+        const selected = alternatives[selectedIndex];
+
+        this.run(
+            `UPDATE messages SET alternatives = ?, selected_alternative = ?, content = ?, response_metadata = ?,
+                mood_at_time = ?, mood_intensity = ?
+             WHERE id = ? AND session_id IN (SELECT id FROM chat_sessions WHERE user_id = ?)`,
+            [
+                JSON.stringify(alternatives),
+                selectedIndex,
+                selected.content,
+                JSON.stringify(selected.response_metadata || {}),
+                mood?.mood ?? null,
+                mood?.intensity ?? null,
+                messageId,
+                userId
+            ]
+        );
+
+        return this.getMessage(messageId, userId);
+    }
+
     /**
      * Parse JSON fields in message object
      */
@@ -1046,6 +1202,7 @@ class LocalDatabaseService {
             ...message,
             metadata: this.safeJsonParse(message.metadata, {}),
             response_metadata: this.safeJsonParse(message.response_metadata, {}),
+            alternatives: this.safeJsonParse(message.alternatives, []),
             is_primary_response: Boolean(message.is_primary_response)
         };
     }
@@ -1060,8 +1217,9 @@ class LocalDatabaseService {
         const stmt = this.db.prepare(`
             INSERT INTO character_memories (
                 character_id, user_id, memory_type, content, importance_score,
-                emotional_valence, related_session_id, tags, target_type, target_entity
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                emotional_valence, related_session_id, tags, target_type, target_entity,
+                source_message_id, is_pinned
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
 
         const result = stmt.run(
@@ -1074,10 +1232,69 @@ class LocalDatabaseService {
             memoryData.related_session_id || null,
             JSON.stringify(memoryData.tags || []),
             memoryData.target_type || 'user',
-            memoryData.target_entity || userId
+            memoryData.target_entity || userId,
+            memoryData.source_message_id || null,
+            memoryData.is_pinned ? 1 : 0
         );
 
-        return this.get('SELECT * FROM character_memories WHERE rowid = ?', [result.lastInsertRowid]);
+        return this.parseMemoryJson(this.get('SELECT * FROM character_memories WHERE rowid = ?', [result.lastInsertRowid]));
+    }
+
+    getMemory(memoryId, userId) {
+        this.ensureInitialized();
+        return this.parseMemoryJson(this.get('SELECT * FROM character_memories WHERE id = ? AND user_id = ?', [memoryId, userId]));
+    }
+
+    /**
+     * Update the editable fields of a memory
+     * Pinning a memory unmutes it and muting unpins it
+     */
+    updateMemory(memoryId, userId, updates) {
+        this.ensureInitialized();
+
+        const fields = [];
+        const params = [];
+        for (const column of ['content', 'memory_type', 'importance_score', 'target_type']) {
+            if (updates[column] !== undefined) {
+                fields.push(`${column} = ?`);
+                params.push(updates[column]);
+            }
+        }
+        if (updates.is_pinned !== undefined) {
+            fields.push('is_pinned = ?');
+            params.push(updates.is_pinned ? 1 : 0);
+            if (updates.is_pinned) fields.push('is_muted = 0');
+        }
+        if (updates.is_muted !== undefined) {
+            fields.push('is_muted = ?');
+            params.push(updates.is_muted ? 1 : 0);
+            if (updates.is_muted) fields.push('is_pinned = 0');
+        }
+
+        if (fields.length > 0) {
+            fields.push('updated_at = CURRENT_TIMESTAMP');
+            this.run(`UPDATE character_memories SET ${fields.join(', ')} WHERE id = ? AND user_id = ?`, [...params, memoryId, userId]);
+        }
+
+        return this.getMemory(memoryId, userId);
+    }
+
+    deleteMemory(memoryId, userId) {
+        this.ensureInitialized();
+        return this.run('DELETE FROM character_memories WHERE id = ? AND user_id = ?', [memoryId, userId]);
+    }
+
+    /**
+     * Memories the user pinned; these are always sent to the character
+     */
+    getPinnedMemories(characterId, userId) {
+        this.ensureInitialized();
+        return this.all(
+            `SELECT * FROM character_memories
+             WHERE character_id = ? AND user_id = ? AND is_pinned = 1
+             ORDER BY importance_score DESC, created_at ASC`,
+            [characterId, userId]
+        ).map(mem => this.parseMemoryJson(mem));
     }
 
     getMemoriesByCharacter(characterId, userId, limit = 10, filters = {}) {
@@ -1086,6 +1303,15 @@ class LocalDatabaseService {
         let query = 'SELECT * FROM character_memories WHERE character_id = ? AND user_id = ?';
         const params = [characterId, userId];
         
+        // Muted memories are only listed for management, never used in prompts
+        if (!filters.include_muted) {
+            query += ' AND is_muted = 0';
+        }
+        if (filters.memory_type) {
+            query += ' AND memory_type = ?';
+            params.push(filters.memory_type);
+        }
+
         // Add filters for target_type and target_entity if provided
         if (filters.target_type) {
             query += ' AND target_type = ?';
@@ -1096,18 +1322,18 @@ class LocalDatabaseService {
             params.push(filters.target_entity);
         }
         
-        query += ' ORDER BY importance_score DESC, last_accessed DESC LIMIT ?';
+        query += ' ORDER BY is_pinned DESC, importance_score DESC, last_accessed DESC LIMIT ?';
         params.push(limit);
         
         const memories = this.all(query, params);
         return memories.map(mem => this.parseMemoryJson(mem));
     }
 
-    updateMemoryAccess(memoryId) {
+    updateMemoryAccess(memoryId, userId) {
         this.ensureInitialized();
         this.run(
-            'UPDATE character_memories SET access_count = access_count + 1, last_accessed = CURRENT_TIMESTAMP WHERE id = ?',
-            [memoryId]
+            'UPDATE character_memories SET access_count = access_count + 1, last_accessed = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+            [memoryId, userId]
         );
     }
 
@@ -1119,6 +1345,79 @@ class LocalDatabaseService {
         );
     }
 
+    deleteMemoriesBySourceMessage(messageId, userId) {
+        this.ensureInitialized();
+        return this.run(
+            'DELETE FROM character_memories WHERE source_message_id = ? AND user_id = ?',
+            [messageId, userId]
+        );
+    }
+
+    /**
+     * Store a memory's embedding, replacing one from an earlier embedder
+     * @param {Float32Array} vector
+     */
+    saveMemoryEmbedding(memoryId, model, vector) {
+        this.ensureInitialized();
+        return this.run(
+            `INSERT OR REPLACE INTO memory_embeddings (memory_id, model, dimensions, vector, created_at)
+             VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [memoryId, model, vector.length, Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength)]
+        );
+    }
+
+    /**
+     * Get a character's memories that have an embedding from the given model
+     * Each row carries its vector as a Float32Array
+     */
+    getMemoryEmbeddings(characterId, userId, model) {
+        this.ensureInitialized();
+
+        const rows = this.all(
+            `SELECT m.*, e.vector AS embedding
+             FROM character_memories m
+             JOIN memory_embeddings e ON e.memory_id = m.id
+             WHERE m.character_id = ? AND m.user_id = ? AND m.is_muted = 0 AND e.model = ?`,
+            [characterId, userId, model]
+        );
+
+        return rows.map(row => ({
+            ...this.parseMemoryJson(row),
+            // Copy out of the row buffer, which may not be 4-byte aligned
+            embedding: new Float32Array(new Uint8Array(row.embedding).buffer)
+        }));
+    }
+
+    /**
+     * Get memories with no embedding from the given model, oldest first
+     */
+    getMemoriesWithoutEmbedding(model, userId, limit = 32) {
+        this.ensureInitialized();
+        return this.all(
+            `SELECT m.id, m.user_id, m.content
+             FROM character_memories m
+             LEFT JOIN memory_embeddings e ON e.memory_id = m.id AND e.model = ?
+             WHERE e.memory_id IS NULL AND m.user_id IS ?
+             ORDER BY m.created_at ASC
+             LIMIT ?`,
+            [model, userId, limit]
+        );
+    }
+
+    /**
+     * Users who own memories with no embedding from the given model
+     */
+    getUsersWithUnembeddedMemories(model) {
+        this.ensureInitialized();
+        return this.all(
+            `SELECT DISTINCT m.user_id
+             FROM character_memories m
+             LEFT JOIN memory_embeddings e ON e.memory_id = m.id AND e.model = ?
+             WHERE e.memory_id IS NULL`,
+            [model]
+        ).map(row => row.user_id);
+    }
+
     parseMemoryJson(memory) {
         if (!memory) return null;
         return {
@@ -1151,7 +1450,7 @@ class LocalDatabaseService {
                       END
                     ) as weighted_score
                 FROM character_memories
-                WHERE character_id = ? AND user_id = ?
+                WHERE character_id = ? AND user_id = ? AND is_muted = 0
              ) ORDER BY weighted_score DESC, created_at DESC
              LIMIT ?`,
             [characterId, userId, limit]
@@ -1448,6 +1747,201 @@ class LocalDatabaseService {
         return this.getRelationship(characterId, userId, relationshipData.target_type || 'user');
     }
 
+    // ============================================================================
+    // LOREBOOK OPERATIONS
+    // ============================================================================
+
+    getLorebooksByUser(userId) {
+        this.ensureInitialized();
+        const lorebooks = this.all(
+            `SELECT l.*, (SELECT COUNT(*) FROM lorebook_entries e WHERE e.lorebook_id = l.id) AS entry_count
+             FROM lorebooks l WHERE l.user_id = ? ORDER BY l.name ASC`,
+            [userId]
+        );
+        return lorebooks.map(book => ({ ...book, links: this.getLorebookLinks(book.id) }));
+    }
+
+    /**
+     * Get a lorebook with its entries (in insertion order) and links
+     */
+    getLorebook(lorebookId) {
+        this.ensureInitialized();
+        const lorebook = this.get('SELECT * FROM lorebooks WHERE id = ?', [lorebookId]);
+        if (!lorebook) return null;
+
+        return {
+            ...lorebook,
+            entries: this.getLorebookEntries(lorebookId),
+            links: this.getLorebookLinks(lorebookId)
+        };
+    }
+
+    createLorebook(userId, data) {
+        this.ensureInitialized();
+        const result = this.db.prepare(`
+            INSERT INTO lorebooks (user_id, name, description, scan_depth)
+            VALUES (?, ?, ?, ?)
+        `).run(
+            userId,
+            data.name,
+            data.description || null,
+            data.scan_depth || 4
+        );
+
+        const created = this.get('SELECT id FROM lorebooks WHERE rowid = ?', [result.lastInsertRowid]);
+        return this.getLorebook(created.id);
+    }
+
+    updateLorebook(lorebookId, updates) {
+        this.ensureInitialized();
+        const allowed = ['name', 'description', 'scan_depth'];
+        const setClauses = [];
+        const values = [];
+        for (const [key, value] of Object.entries(updates)) {
+            if (allowed.includes(key) && value !== undefined) {
+                setClauses.push(`${key} = ?`);
+                values.push(value);
+            }
+        }
+        if (setClauses.length > 0) {
+            values.push(lorebookId);
+            this.run(`UPDATE lorebooks SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, values);
+        }
+        return this.getLorebook(lorebookId);
+    }
+
+    deleteLorebook(lorebookId) {
+        this.ensureInitialized();
+        return this.db.prepare('DELETE FROM lorebooks WHERE id = ?').run(lorebookId);
+    }
+
+    getLorebookEntries(lorebookId) {
+        this.ensureInitialized();
+        const entries = this.all(
+            'SELECT * FROM lorebook_entries WHERE lorebook_id = ? ORDER BY insertion_order ASC, id ASC',
+            [lorebookId]
+        );
+        return entries.map(entry => this.parseLorebookEntryJson(entry));
+    }
+
+    getLorebookEntry(entryId) {
+        this.ensureInitialized();
+        return this.parseLorebookEntryJson(this.get('SELECT * FROM lorebook_entries WHERE id = ?', [entryId]));
+    }
+
+    createLorebookEntry(lorebookId, data) {
+        this.ensureInitialized();
+        const result = this.db.prepare(`
+            INSERT INTO lorebook_entries (
+                lorebook_id, keys, content, insertion_order, recursion_depth, token_cap, is_enabled
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            lorebookId,
+            JSON.stringify(data.keys || []),
+            data.content,
+            data.insertion_order ?? 100,
+            data.recursion_depth ?? 0,
+            data.token_cap ?? 200,
+            data.is_enabled === false ? 0 : 1
+        );
+        this.run('UPDATE lorebooks SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [lorebookId]);
+        return this.getLorebookEntry(result.lastInsertRowid);
+    }
+
+    updateLorebookEntry(entryId, updates) {
+        this.ensureInitialized();
+        const allowed = ['keys', 'content', 'insertion_order', 'recursion_depth', 'token_cap', 'is_enabled'];
+        const setClauses = [];
+        const values = [];
+        for (const [key, value] of Object.entries(updates)) {
+            if (allowed.includes(key) && value !== undefined) {
+                setClauses.push(`${key} = ?`);
+                if (key === 'keys') values.push(JSON.stringify(value || []));
+                else if (key === 'is_enabled') values.push(value ? 1 : 0);
+                else values.push(value);
+            }
+        }
+        if (setClauses.length > 0) {
+            values.push(entryId);
+            this.run(`UPDATE lorebook_entries SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, values);
+        }
+        return this.getLorebookEntry(entryId);
+    }
+
+    deleteLorebookEntry(entryId) {
+        this.ensureInitialized();
+        return this.db.prepare('DELETE FROM lorebook_entries WHERE id = ?').run(entryId);
+    }
+
+    getLorebookLinks(lorebookId) {
+        this.ensureInitialized();
+        return this.all(
+            'SELECT target_type, target_id FROM lorebook_links WHERE lorebook_id = ? ORDER BY created_at ASC',
+            [lorebookId]
+        );
+    }
+
+    linkLorebook(lorebookId, targetType, targetId) {
+        this.ensureInitialized();
+        this.run(
+            'INSERT OR IGNORE INTO lorebook_links (lorebook_id, target_type, target_id) VALUES (?, ?, ?)',
+            [lorebookId, targetType, String(targetId)]
+        );
+        return this.getLorebookLinks(lorebookId);
+    }
+
+    unlinkLorebook(lorebookId, targetType, targetId) {
+        this.ensureInitialized();
+        this.run(
+            'DELETE FROM lorebook_links WHERE lorebook_id = ? AND target_type = ? AND target_id = ?',
+            [lorebookId, targetType, String(targetId)]
+        );
+        return this.getLorebookLinks(lorebookId);
+    }
+
+    /**
+     * Remove every link to a character, scenario or session that is being deleted
+     */
+    deleteLorebookLinks(targetType, targetId) {
+        this.ensureInitialized();
+        this.run('DELETE FROM lorebook_links WHERE target_type = ? AND target_id = ?', [targetType, String(targetId)]);
+    }
+
+    /**
+     * Get the lorebooks linked to any of the given targets, each once, with their enabled entries
+     * @param {string} userId - Only this user's lorebooks are returned
+     * @param {Array} targets - [{ type: 'character' | 'scenario' | 'session', id }]
+     */
+    getLinkedLorebooks(userId, targets) {
+        this.ensureInitialized();
+        const validTargets = targets.filter(target => target.id);
+        if (validTargets.length === 0) return [];
+
+        const conditions = validTargets.map(() => '(k.target_type = ? AND k.target_id = ?)').join(' OR ');
+        const params = validTargets.flatMap(target => [target.type, String(target.id)]);
+
+        const lorebooks = this.all(
+            `SELECT DISTINCT l.* FROM lorebooks l
+             JOIN lorebook_links k ON k.lorebook_id = l.id
+             WHERE l.user_id = ? AND (${conditions})`,
+            [userId, ...params]
+        );
+
+        return lorebooks.map(book => ({
+            ...book,
+            entries: this.getLorebookEntries(book.id).filter(entry => entry.is_enabled)
+        }));
+    }
+
+    parseLorebookEntryJson(entry) {
+        if (!entry) return null;
+        return {
+            ...entry,
+            keys: this.safeJsonParse(entry.keys, []),
+            is_enabled: Boolean(entry.is_enabled)
+        };
+    }
+
     // ============================================================================
     // CHARACTER SESSION STATE OPERATIONS
     // ============================================================================
@@ -1461,6 +1955,15 @@ class LocalDatabaseService {
         return state ? this.parseSessionStateJson(state) : null;
     }
 
+    getSessionStates(sessionId, userId) {
+        this.ensureInitialized();
+        const states = this.all(
+            'SELECT * FROM character_session_state WHERE session_id = ? AND user_id = ?',
+            [sessionId, userId]
+        ) || [];
+        return states.map(state => this.parseSessionStateJson(state));
+    }
+
     createOrUpdateSessionState(characterId, sessionId, userId, stateData) {
         this.ensureInitialized();
         
@@ -1525,6 +2028,90 @@ class LocalDatabaseService {
         };
     }
 
+    // ============================================================================
+    // TOKEN USAGE & MODEL PRICE OPERATIONS
+    // ============================================================================
+
+    /**
+     * Record the tokens one provider call used
+     * @param {Object} usage - { session_id, message_id, character_id, provider, model, prompt_tokens, completion_tokens }
+     */
+    recordTokenUsage(userId, usage) {
+        this.ensureInitialized();
+        return this.run(
+            `INSERT INTO token_usage (
+                user_id, session_id, message_id, character_id, provider, model, prompt_tokens, completion_tokens
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                userId,
+                usage.session_id || null,
+                usage.message_id || null,
+                usage.character_id || null,
+                usage.provider,
+                usage.model,
+                usage.prompt_tokens || 0,
+                usage.completion_tokens || 0
+            ]
+        );
+    }
+
+    /**
+     * Token totals for a date range, one row per provider, model, character,
+     * session and UTC day, with the character name and session title when they still exist
+     * @param {string} from - Inclusive start, 'YYYY-MM-DD'
+     * @param {string} to - Inclusive end, 'YYYY-MM-DD'
+     */
+    getTokenUsageTotals(userId, from, to) {
+        this.ensureInitialized();
+        return this.all(
+            `SELECT u.provider, u.model, u.character_id, c.name AS character_name,
+                    u.session_id, s.title AS session_title, date(u.created_at) AS day,
+                    COUNT(*) AS calls,
+                    SUM(u.prompt_tokens) AS prompt_tokens,
+                    SUM(u.completion_tokens) AS completion_tokens
+             FROM token_usage u
+             LEFT JOIN characters c ON c.id = u.character_id
+             LEFT JOIN chat_sessions s ON s.id = u.session_id AND s.user_id = u.user_id
+             WHERE u.user_id = ? AND date(u.created_at) BETWEEN ? AND ?
+             GROUP BY u.provider, u.model, u.character_id, u.session_id, day
+             ORDER BY day`,
+            [userId, from, to]
+        );
+    }
+
+    getModelPrices(userId) {
+        this.ensureInitialized();
+        return this.all(
+            'SELECT provider, model, input_per_million, output_per_million, updated_at FROM model_prices WHERE user_id = ? ORDER BY provider, model',
+            [userId]
+        );
+    }
+
+    setModelPrice(userId, provider, model, inputPerMillion, outputPerMillion) {
+        this.ensureInitialized();
+        this.run(
+            `INSERT INTO model_prices (user_id, provider, model, input_per_million, output_per_million)
+             VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT(user_id, provider, model) DO UPDATE SET
+                input_per_million = excluded.input_per_million,
+                output_per_million = excluded.output_per_million,
+                updated_at = CURRENT_TIMESTAMP`,
+            [userId, provider, model, inputPerMillion, outputPerMillion]
+        );
+        return this.get(
+            'SELECT provider, model, input_per_million, output_per_million, updated_at FROM model_prices WHERE user_id = ? AND provider = ? AND model = ?',
+            [userId, provider, model]
+        );
+    }
+
+    deleteModelPrice(userId, provider, model) {
+        this.ensureInitialized();
+        return this.run(
+            'DELETE FROM model_prices WHERE user_id = ? AND provider = ? AND model = ?',
+            [userId, provider, model]
+        );
+    }
+
     // ============================================================================
     // UTILITY METHODS
     // ============================================================================
@@ -0,0 +1,93 @@
+// ============================================================================
+// Lorebook Service
+// Picks the lorebook entries whose keywords appear in the recent conversation
+// ============================================================================
+
+const PromptBudgeter = require('./PromptBudgeter');
+const { LOREBOOK_LIMITS } = require('../constants/defaults');
+
+class LorebookService {
+  /**
+   * Find the entries triggered by the recent conversation
+   * Each book scans its last `scan_depth` messages. An entry with a
+   * recursion_depth above zero can also be triggered by the content of
+   * entries matched before it, up to that many hops away.
+   * @param {Array} lorebooks - Lorebooks with their enabled entries
+   * @param {Array} recentMessages - Message texts, oldest first
+   * @param {Object} character - Used to estimate tokens for each entry's cap
+   * @returns {Array} Triggered entries in insertion order, content capped at token_cap
+   */
+  static matchEntries(lorebooks = [], recentMessages = [], character = {}) {
+    const triggered = new Map();
+    let lastHop = [];
+
+    // Hop 0: keys mentioned in the conversation itself
+    for (const book of lorebooks) {
+      const scanText = recentMessages.slice(-book.scan_depth).join('\n');
+
+      for (const entry of book.entries || []) {
+        if (!triggered.has(entry.id) && this.matchesKeys(entry.keys, scanText)) {
+          triggered.set(entry.id, entry);
+          lastHop.push(entry);
+        }
+      }
+    }
+
+    // Further hops: keys mentioned by the entries triggered on the previous hop
+    const allEntries = lorebooks.flatMap(book => book.entries || []);
+
+    for (let hop = 1; hop <= LOREBOOK_LIMITS.RECURSION_DEPTH_MAX && lastHop.length > 0; hop++) {
+      const scanText = lastHop.map(entry => entry.content).join('\n');
+      lastHop = [];
+
+      for (const entry of allEntries) {
+        if (triggered.has(entry.id) || (entry.recursion_depth || 0) < hop) continue;
+
+        if (this.matchesKeys(entry.keys, scanText)) {
+          triggered.set(entry.id, entry);
+          lastHop.push(entry);
+        }
+      }
+    }
+
+    return [...triggered.values()]
+      .sort((a, b) => a.insertion_order - b.insertion_order || a.id - b.id)
+      .map(entry => ({
+        ...entry,
+        content: this.capContent(entry.content, entry.token_cap, character)
+      }));
+  }
+
+  /**
+   * Check whether any key appears in the text as a whole word, ignoring case
+   */
+  static matchesKeys(keys = [], text) {
+    if (!text) return false;
+
+    return keys.some(key => {
+      const trimmed = (key || '').trim();
+      if (!trimmed) return false;
+
+      const escaped = trimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'iu').test(text);
+    });
+  }
+
+  /**
+   * Shorten an entry's content to its token cap, cutting at a word boundary
+   */
+  static capContent(content, tokenCap, character = {}) {
+    const provider = character.ai_provider || 'openai';
+    if (!tokenCap || PromptBudgeter.estimateTokens(content, provider, character.ai_model) <= tokenCap) {
+      return content;
+    }
+
+    const maxChars = Math.floor(tokenCap * PromptBudgeter.getCharsPerToken(provider, character.ai_model));
+    const cut = content.slice(0, maxChars);
+    const lastSpace = cut.lastIndexOf(' ');
+
+    return `${(lastSpace > maxChars / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+  }
+}
+
+module.exports = LorebookService;
@@ -3,27 +3,56 @@
 // Scores and retrieves relevant memories for current conversation context
 // ============================================================================
 
+const EmbeddingService = require('./EmbeddingService');
+const { EMBEDDING_DEFAULTS } = require('../constants/defaults');
+
 class MemoryRelevanceService {
   /**
    * Get memories relevant to current conversation
+   * Pinned memories are always returned first, on top of the limit; muted
+   * memories are never returned
+   * Pass { trackAccess: false } to look without bumping access timestamps
    */
-  static async getRelevantMemories(memoryService, characterId, userId, currentMessage, context, limit = null) {
+  static async getRelevantMemories(memoryService, characterId, userId, currentMessage, context, limit = null, options = {}) {
     // Dynamic limit based on conversation importance
     if (!limit) {
       limit = context.conversationImportance > 0.7 ? 12 : 8;
     }
     
+    const pinnedMemories = await memoryService.db.getPinnedMemories(characterId, userId);
+    const pinnedIds = new Set(pinnedMemories.map(m => m.id));
+
     // Get memories across all sessions with recency weighting
-    const allMemories = await memoryService.db.getMemoriesAcrossSessions(characterId, userId, 50);
+    const allMemories = (await memoryService.db.getMemoriesAcrossSessions(characterId, userId, 50) || [])
+      .filter(m => !pinnedIds.has(m.id));
     
-    if (!allMemories || allMemories.length === 0) {
+    // Rank embedded memories by meaning; null when no embedder is available
+    const semanticMatches = await EmbeddingService.rankMemories(memoryService.db, characterId, userId, currentMessage);
+    const similarities = new Map((semanticMatches || []).map(m => [m.id, m.similarity]));
+
+    // Close semantic matches join even when they fall outside the recency window
+    const candidates = [...allMemories];
+    const candidateIds = new Set([...candidates.map(m => m.id), ...pinnedIds]);
+    for (const match of (semanticMatches || []).slice(0, EMBEDDING_DEFAULTS.SEMANTIC_CANDIDATES)) {
+      if (!candidateIds.has(match.id)) {
+        const { similarity, ...memory } = match;
+        candidates.push(memory);
+      }
+    }
+
+    const pinned = pinnedMemories.map(memory => ({
+      ...memory,
+      relevance_score: this.calculateRelevance(memory, currentMessage, context, similarities.get(memory.id))
+    }));
+
+    if (candidates.length === 0 && pinned.length === 0) {
       return [];
     }
 
     // Score each memory by relevance
-    const scoredMemories = allMemories.map(memory => ({
+    const scoredMemories = candidates.map(memory => ({
       ...memory,
-      relevance_score: this.calculateRelevance(memory, currentMessage, context)
+      relevance_score: this.calculateRelevance(memory, currentMessage, context, similarities.get(memory.id))
     }));
 
     // Sort by combined importance + relevance
@@ -36,12 +65,14 @@ class MemoryRelevanceService {
     // Get top memories
     const topMemories = scoredMemories.slice(0, limit);
     
-    // Consolidate similar memories to avoid redundancy
-    const consolidated = this.consolidateMemories(topMemories);
+    // Consolidate similar memories to avoid redundancy; pinned ones are kept as written
+    const consolidated = [...pinned, ...this.consolidateMemories(topMemories)];
     
     // Update access timestamps for retrieved memories
-    for (const memory of consolidated) {
-      memoryService.db.updateMemoryAccess(memory.id);
+    if (options.trackAccess !== false) {
+      for (const memory of consolidated) {
+        memoryService.db.updateMemoryAccess(memory.id, userId);
+      }
     }
 
     return consolidated;
@@ -49,15 +80,19 @@ class MemoryRelevanceService {
 
   /**
    * Calculate relevance score for a memory
+   * @param {number} [similarity] - Cosine similarity to the message, when the memory is embedded
    */
-  static calculateRelevance(memory, currentMessage, context = {}) {
+  static calculateRelevance(memory, currentMessage, context = {}, similarity) {
     let score = 0;
+    const content = memory.content || memory.memory_content || '';
 
-    // 1. Keyword matching
-    const memoryWords = this.extractKeywords(memory.memory_content);
+    // 1. Keyword matching, or semantic similarity when it scores higher
+    const memoryWords = this.extractKeywords(content);
     const messageWords = this.extractKeywords(currentMessage);
     const commonWords = memoryWords.filter(w => messageWords.includes(w));
-    score += Math.min(commonWords.length * 0.15, 0.5);
+    const keywordScore = Math.min(commonWords.length * 0.15, 0.5);
+    const semanticScore = similarity > 0 ? similarity * EMBEDDING_DEFAULTS.SEMANTIC_WEIGHT : 0;
+    score += Math.max(keywordScore, semanticScore);
 
     // 2. Recency bonus
     if (memory.last_accessed) {
@@ -69,7 +104,7 @@ class MemoryRelevanceService {
 
     // 3. Topic matching
     if (context.active_topics && context.active_topics.length > 0) {
-      const memoryLower = memory.memory_content.toLowerCase();
+      const memoryLower = content.toLowerCase();
       const topicMatches = context.active_topics.filter(topic => 
         memoryLower.includes(topic.toLowerCase())
       );
@@ -146,7 +181,7 @@ class MemoryRelevanceService {
       for (let j = i + 1; j < memories.length; j++) {
         if (processed.has(j)) continue;
 
-        if (this.areSimilar(current.memory_content, memories[j].memory_content)) {
+        if (this.areSimilar(current.content || current.memory_content, memories[j].content || memories[j].memory_content)) {
           similar.push(memories[j]);
           processed.add(j);
         }
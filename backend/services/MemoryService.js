@@ -1,6 +1,8 @@
 // backend/services/MemoryService.js
 // Handles character memory and relationship operations
 
+const EmbeddingService = require('./EmbeddingService');
+
 class MemoryService {
     constructor(db) {
         // Accept DatabaseService instance
@@ -41,8 +43,12 @@ class MemoryService {
             const memory = await this.db.createMemory(characterId, userId, {
                 memory_type: memoryType,
                 content: memoryData.content,
-                importance_score: memoryData.importance_score || 0.5
+                importance_score: memoryData.importance_score || 0.5,
+                source_message_id: memoryData.source_message_id || null
             });
+
+            // Index for semantic retrieval; keyword scoring covers it if this fails
+            await EmbeddingService.embedMemory(this.db, memory, userId);
             return memory;
         } catch (error) {
             console.error('Database error adding character memory:', error);
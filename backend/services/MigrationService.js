@@ -0,0 +1,195 @@
+// backend/services/MigrationService.js
+// Versioned schema migrations for the local SQLite database.
+//
+// Migrations live in database/migrations as NNN_description.sql (up only) or
+// NNN_description.js exporting { up(db), down(db) }. Each runs in its own
+// transaction and is recorded in schema_version, so a failed migration leaves
+// the database at the previous version.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../database/migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+class MigrationService {
+    /**
+     * @param {Database} db - An open better-sqlite3 connection
+     * @param {string} [directory] - Where the migration files are
+     */
+    constructor(db, directory = MIGRATIONS_DIR) {
+        this.db = db;
+        this.directory = directory;
+    }
+
+    /**
+     * Read the migration files in version order
+     * @returns {Array} [{ version, name, up, down }]
+     */
+    loadMigrations() {
+        const migrations = fs.readdirSync(this.directory)
+            .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => {
+                const fullPath = path.join(this.directory, file);
+                const migration = { version: parseInt(match[1], 10), name: `${match[1]}_${match[2]}` };
+
+                if (match[3] === 'sql') {
+                    const sql = fs.readFileSync(fullPath, 'utf8');
+                    return { ...migration, up: (db) => db.exec(sql), down: null };
+                }
+
+                const { up, down } = require(fullPath);
+                if (typeof up !== 'function') {
+                    throw new Error(`Migration ${file} must export an up(db) function`);
+                }
+                return { ...migration, up, down: typeof down === 'function' ? down : null };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        const seen = new Set();
+        for (const migration of migrations) {
+            if (seen.has(migration.version)) {
+                throw new Error(`Duplicate migration version ${migration.version}`);
+            }
+            seen.add(migration.version);
+        }
+
+        return migrations;
+    }
+
+    /**
+     * Create schema_version, or add the name column to the table that
+     * databases from before versioned migrations already have
+     */
+    ensureVersionTable() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_version (
+                version INTEGER PRIMARY KEY,
+                name TEXT,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const columns = this.db.prepare('PRAGMA table_info(schema_version)').all().map(col => col.name);
+        if (!columns.includes('name')) {
+            this.db.exec('ALTER TABLE schema_version ADD COLUMN name TEXT');
+        }
+    }
+
+    /**
+     * Applied migrations by version
+     * @returns {Map<number, Object>}
+     */
+    getApplied() {
+        this.ensureVersionTable();
+        const rows = this.db.prepare('SELECT version, name, applied_at FROM schema_version ORDER BY version').all();
+        return new Map(rows.map(row => [row.version, row]));
+    }
+
+    /**
+     * @returns {number} The highest applied version, or 0 for an empty database
+     */
+    currentVersion() {
+        const versions = [...this.getApplied().keys()];
+        return versions.length ? Math.max(...versions) : 0;
+    }
+
+    /**
+     * Every known migration with whether it has been applied
+     * Applied versions with no file on disk are listed as missing
+     * @returns {Array} [{ version, name, applied, appliedAt, reversible, missing }]
+     */
+    status() {
+        const applied = this.getApplied();
+        const migrations = this.loadMigrations();
+        const known = new Set(migrations.map(m => m.version));
+
+        const rows = migrations.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied: applied.has(migration.version),
+            appliedAt: applied.get(migration.version)?.applied_at || null,
+            reversible: Boolean(migration.down),
+            missing: false
+        }));
+
+        for (const row of applied.values()) {
+            if (!known.has(row.version)) {
+                rows.push({
+                    version: row.version,
+                    name: row.name || `${row.version}`,
+                    applied: true,
+                    appliedAt: row.applied_at,
+                    reversible: false,
+                    missing: true
+                });
+            }
+        }
+
+        return rows.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Apply pending migrations up to and including the target version
+     * @param {number} [target] - Defaults to the latest migration
+     * @returns {Array<string>} Names of the migrations applied
+     */
+    migrate(target = Infinity) {
+        const applied = this.getApplied();
+        const pending = this.loadMigrations()
+            .filter(m => !applied.has(m.version) && m.version <= target);
+
+        const record = this.db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+
+        for (const migration of pending) {
+            this.db.transaction(() => {
+                migration.up(this.db);
+                record.run(migration.version, migration.name);
+            })();
+            console.log(`[DB] Applied migration ${migration.name}`);
+        }
+
+        return pending.map(m => m.name);
+    }
+
+    /**
+     * Roll back applied migrations, newest first
+     * @param {number} [target] - Version to roll back to; defaults to one step back
+     * @returns {Array<string>} Names of the migrations rolled back
+     * @throws {Error} When a migration in the range has no down step
+     */
+    rollback(target = null) {
+        const applied = [...this.getApplied().keys()].sort((a, b) => b - a);
+        if (applied.length === 0) {
+            return [];
+        }
+
+        const stopAt = target ?? (applied[1] || 0);
+        const byVersion = new Map(this.loadMigrations().map(m => [m.version, m]));
+        const toRollBack = applied.filter(version => version > stopAt).map(version => {
+            const migration = byVersion.get(version);
+            if (!migration) {
+                throw new Error(`Migration ${version} is applied but its file is missing`);
+            }
+            if (!migration.down) {
+                throw new Error(`Migration ${migration.name} cannot be rolled back`);
+            }
+            return migration;
+        });
+
+        const remove = this.db.prepare('DELETE FROM schema_version WHERE version = ?');
+
+        for (const migration of toRollBack) {
+            this.db.transaction(() => {
+                migration.down(this.db);
+                remove.run(migration.version);
+            })();
+            console.log(`[DB] Rolled back migration ${migration.name}`);
+        }
+
+        return toRollBack.map(m => m.name);
+    }
+}
+
+module.exports = MigrationService;
@@ -0,0 +1,208 @@
+// ============================================================================
+// Mock Provider Service
+// A deterministic stand-in for a real model, so the chat pipeline runs with
+// no network: the model id picks how replies are made, and latency and
+// failures can be injected with configure() or MOCK_PROVIDER_* variables
+// ============================================================================
+
+const { MOCK_PROVIDER } = require('../constants/defaults');
+const PromptBudgeter = require('./PromptBudgeter');
+const { seededRandom, hashString } = require('../utils/seededRandom');
+
+const MODELS = [
+  { id: 'echo', name: 'Echo (repeats the last user message)' },
+  { id: 'template', name: 'Template (fills in a reply template)' },
+  { id: 'random', name: 'Random (seeded, same prompt gives the same reply)' },
+  { id: 'json', name: 'JSON (canned memory extraction output)' },
+  { id: 'script', name: 'Script (configured replies, in order)' }
+];
+
+// What extractMemoriesWithAI expects back
+const CANNED_MEMORIES = [
+  { type: 'preference', content: 'Enjoys talking about their day', importance: 0.6 },
+  { type: 'personal_fact', content: 'Is testing the chat offline', importance: 0.4 }
+];
+
+const WORDS = [
+  'the', 'rain', 'feels', 'warm', 'tonight', 'and', 'I', 'keep', 'thinking', 'about', 'old', 'maps',
+  'maybe', 'we', 'should', 'walk', 'to', 'the', 'harbor', 'lights', 'are', 'quiet', 'here', 'you',
+  'always', 'ask', 'good', 'questions', 'tea', 'is', 'ready', 'if', 'that', 'sounds', 'nice'
+];
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
+const defaultConfig = () => ({
+  latencyMs: envNumber('MOCK_PROVIDER_LATENCY_MS', MOCK_PROVIDER.LATENCY_MS),
+  tokenDelayMs: envNumber('MOCK_PROVIDER_TOKEN_DELAY_MS', MOCK_PROVIDER.TOKEN_DELAY_MS),
+  failureRate: envNumber('MOCK_PROVIDER_FAILURE_RATE', MOCK_PROVIDER.FAILURE_RATE),
+  failureStatus: MOCK_PROVIDER.FAILURE_STATUS,
+  retryAfterMs: null,
+  failNext: 0,
+  seed: envNumber('MOCK_PROVIDER_SEED', MOCK_PROVIDER.SEED),
+  template: MOCK_PROVIDER.TEMPLATE,
+  json: CANNED_MEMORIES
+});
+
+let config = defaultConfig();
+let script = [];
+let calls = [];
+let failureRandom = seededRandom(config.seed);
+
+const sleep = (ms) => (ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve());
+
+class MockProviderService {
+  /**
+   * Change how the mock behaves until the next reset()
+   * @param {Object} options
+   * @param {number} [options.latencyMs] - Wait before replying
+   * @param {number} [options.tokenDelayMs] - Wait between streamed words
+   * @param {number} [options.failureRate] - 0-1 chance each call fails (seeded)
+   * @param {number} [options.failNext] - Fail this many calls, then recover
+   * @param {number} [options.failureStatus] - HTTP status of injected failures
+   * @param {number} [options.retryAfterMs] - Retry-After the failures report
+   * @param {number} [options.seed] - Seeds random replies and failureRate
+   * @param {string} [options.template] - For the template model: {{char}}, {{model}}, {{last_user}}, {{call}}
+   * @param {*} [options.json] - What the json model (and JSON prompts) get back
+   * @param {Array} [options.script] - Replies served first, in order, whatever the model:
+   *   strings, or functions ({ model, messages, character }) => string
+   */
+  static configure(options = {}) {
+    const { script: replies, ...rest } = options;
+    config = { ...config, ...rest };
+    if (rest.seed !== undefined) {
+      failureRandom = seededRandom(config.seed);
+    }
+    if (replies) {
+      script = [...replies];
+    }
+  }
+
+  /**
+   * Back to the defaults, with an empty script and call log
+   */
+  static reset() {
+    config = defaultConfig();
+    script = [];
+    calls = [];
+    failureRandom = seededRandom(config.seed);
+  }
+
+  /**
+   * Every call since the last reset: [{ model, messages, character }]
+   */
+  static getCalls() {
+    return calls;
+  }
+
+  static getModels() {
+    return MODELS;
+  }
+
+  /**
+   * Produce a reply the way a provider call* function would
+   * @param {string} model - One of the MODELS ids
+   * @param {Function} [onToken] - Gets the reply word by word
+   * @param {Function} [onUsage] - Gets estimated { prompt_tokens, completion_tokens }
+   * @returns {Promise<string>}
+   */
+  static async generate(model, messages, character = {}, onToken = null, onUsage = null) {
+    calls.push({ model, messages, character });
+    await sleep(config.latencyMs);
+
+    if (config.failNext > 0 || (config.failureRate > 0 && failureRandom() < config.failureRate)) {
+      config.failNext = Math.max(0, config.failNext - 1);
+      const error = new Error(`Mock provider error: ${config.failureStatus}`);
+      error.providerStatus = config.failureStatus;
+      error.retryAfterMs = config.retryAfterMs;
+      throw error;
+    }
+
+    const text = this.compose(model, messages, character);
+
+    if (onToken) {
+      for (const [index, word] of (text.match(/\S+\s*/g) || []).entries()) {
+        if (index > 0) await sleep(config.tokenDelayMs);
+        onToken(word);
+      }
+    }
+
+    if (onUsage) {
+      const prompt = messages.map(m => m.content).join('\n');
+      onUsage({
+        prompt_tokens: PromptBudgeter.estimateTokens(prompt, 'mock', model),
+        completion_tokens: PromptBudgeter.estimateTokens(text, 'mock', model)
+      });
+    }
+
+    return text;
+  }
+
+  /**
+   * The reply text: a scripted reply if one is queued, canned JSON when the
+   * prompt asks for JSON, otherwise whatever the model makes
+   */
+  static compose(model, messages, character) {
+    if (script.length > 0) {
+      const next = script.shift();
+      return typeof next === 'function' ? String(next({ model, messages, character })) : String(next);
+    }
+
+    const lastUser = [...messages].reverse().find(m => m.role === 'user') || messages[messages.length - 1];
+    const lastUserText = lastUser?.content || '';
+    const asksForJson = messages.some(m => m.role === 'system' && /\b(?:only|valid) json\b/i.test(m.content));
+
+    if (model === 'json' || (asksForJson && model !== 'script')) {
+      return JSON.stringify(config.json);
+    }
+
+    switch (model) {
+      case 'echo':
+        return lastUserText;
+
+      case 'template':
+        return config.template
+          .replace(/\{\{char\}\}/g, character.name || 'Mock')
+          .replace(/\{\{model\}\}/g, model)
+          .replace(/\{\{last_user\}\}/g, lastUserText)
+          .replace(/\{\{call\}\}/g, String(calls.length));
+
+      case 'random':
+        return this.randomReply(config.seed ^ hashString(messages.map(m => m.content).join('\n')));
+
+      case 'script': {
+        const error = new Error('Mock script is empty; queue replies with MockProviderService.configure({ script })');
+        error.providerStatus = 400;
+        throw error;
+      }
+
+      default: {
+        const error = new Error(`Unknown mock model "${model}". Use one of: ${MODELS.map(m => m.id).join(', ')}`);
+        error.providerStatus = 404;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * One to three short sentences picked by a seeded PRNG
+   */
+  static randomReply(seed) {
+    const random = seededRandom(seed);
+    const sentences = [];
+    const count = 1 + Math.floor(random() * 3);
+
+    for (let i = 0; i < count; i++) {
+      const length = 4 + Math.floor(random() * 8);
+      const words = Array.from({ length }, () => WORDS[Math.floor(random() * WORDS.length)]);
+      const sentence = words.join(' ');
+      sentences.push(sentence.charAt(0).toUpperCase() + sentence.slice(1) + '.');
+    }
+
+    return sentences.join(' ');
+  }
+}
+
+module.exports = MockProviderService;
@@ -0,0 +1,184 @@
+// ============================================================================
+// Mood Service
+// Tracks each character's mood and its intensity through a session, stored in
+// character_session_state and stamped on every reply (messages.mood_at_time,
+// messages.mood_intensity). Moods are read from the reply text by keyword
+// heuristics, or by the character's model when the user turns on AI tracking.
+// ============================================================================
+
+const AIProviderService = require('./AIProviderService');
+const { MOOD_TRACKING } = require('../constants/defaults');
+
+// Words and stage directions that show a mood, most telling first
+const MOOD_KEYWORDS = {
+  angry: ['angry', 'furious', 'rage', 'hate', 'how dare', 'glare', 'glares', 'glaring', 'shout', 'shouts', 'snaps', 'slams'],
+  annoyed: ['annoyed', 'irritated', 'ugh', 'rolls her eyes', 'rolls his eyes', 'rolls their eyes', 'whatever', 'seriously'],
+  anxious: ['worried', 'nervous', 'anxious', 'afraid', 'scared', 'uneasy', 'fidgets', 'trembles', 'bites her lip', 'bites his lip'],
+  sad: ['sad', 'sorry', 'lonely', 'tears', 'cry', 'cries', 'crying', 'sigh', 'sighs', 'frowns', 'miss you', 'unfortunately', 'heartbroken'],
+  affectionate: ['love', 'adore', 'dear', 'darling', 'sweetheart', 'fond', 'blushes', 'hug', 'hugs', 'warmly'],
+  excited: ['excited', 'thrilled', "can't wait", 'amazing', 'awesome', 'incredible', 'wow', 'bounces'],
+  playful: ['tease', 'teases', 'teasing', 'wink', 'winks', 'giggle', 'giggles', 'smirk', 'smirks', 'kidding', 'joking'],
+  happy: ['happy', 'glad', 'delighted', 'cheerful', 'wonderful', 'great', 'smile', 'smiles', 'smiling', 'laugh', 'laughs', 'laughing', 'grin', 'grins'],
+  curious: ['curious', 'intrigued', 'interesting', 'wonder', 'tell me more', 'what if', 'hmm', 'tilts her head', 'tilts his head'],
+  calm: ['calm', 'relaxed', 'peaceful', 'serene', 'gently', 'quietly', 'softly']
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const MOOD_PATTERNS = Object.entries(MOOD_KEYWORDS).map(([mood, words]) => ({
+  mood,
+  pattern: new RegExp(`\\b(?:${words.map(escapeRegex).join('|')})\\b`, 'gi')
+}));
+
+class MoodService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Read the mood a piece of text shows from its wording. Ties go to the mood
+   * listed first in MOOD_KEYWORDS; exclamation marks and shouting add intensity.
+   * @returns {Object|null} { mood, intensity }, or null if the text shows no mood
+   */
+  static detectMood(text) {
+    if (!text) return null;
+
+    let best = null;
+    for (const { mood, pattern } of MOOD_PATTERNS) {
+      const hits = (text.match(pattern) || []).length;
+      if (hits > 0 && (!best || hits > best.hits)) best = { mood, hits };
+    }
+    if (!best) return null;
+
+    const exclamations = Math.min((text.match(/!/g) || []).length, 2);
+    const shouting = /\b[A-Z]{3,}\b/.test(text) ? 1 : 0;
+    const intensity = 0.4 + 0.15 * (best.hits - 1) + 0.1 * exclamations + 0.1 * shouting;
+
+    return { mood: best.mood, intensity: MoodService.clampIntensity(intensity) };
+  }
+
+  /**
+   * Combine the mood a character was in with what the latest reply shows. A
+   * mood that holds builds on its intensity, a new mood takes over, and a reply
+   * that shows none lets the current mood fade towards neutral.
+   * @param {Object|null} previous - { mood, intensity } before the reply
+   * @param {Object|null} detected - { mood, intensity } read from the reply
+   * @returns {Object} { mood, intensity }
+   */
+  static blend(previous, detected) {
+    const current = previous || { mood: MOOD_TRACKING.DEFAULT_MOOD, intensity: MOOD_TRACKING.DEFAULT_INTENSITY };
+
+    if (!detected) {
+      if (current.mood === MOOD_TRACKING.DEFAULT_MOOD) return current;
+      const intensity = MoodService.clampIntensity(current.intensity - MOOD_TRACKING.DECAY);
+      return intensity < MOOD_TRACKING.NEUTRAL_BELOW
+        ? { mood: MOOD_TRACKING.DEFAULT_MOOD, intensity: MOOD_TRACKING.DEFAULT_INTENSITY }
+        : { mood: current.mood, intensity };
+    }
+
+    if (detected.mood === current.mood) {
+      const carried = current.intensity * MOOD_TRACKING.CARRY_OVER + detected.intensity * (1 - MOOD_TRACKING.CARRY_OVER);
+      return { mood: current.mood, intensity: MoodService.clampIntensity(carried + MOOD_TRACKING.BUILD) };
+    }
+
+    return detected;
+  }
+
+  static clampIntensity(value) {
+    return Math.round(Math.max(0, Math.min(1, value)) * 100) / 100;
+  }
+
+  /**
+   * Ask the character's model which mood a reply shows
+   * Falls back to the heuristics when the call fails or the answer is unusable
+   * @returns {Promise<Object|null>} { mood, intensity }, or null for no mood
+   */
+  async detectMoodWithAI(character, response, apiKeys, ollamaSettings) {
+    const prompt = `${character.name || 'The character'} just said:
+"${response}"
+
+TASK: Name the mood this reply shows.
+
+Choose the mood from: ${MOOD_TRACKING.MOODS.join(', ')}
+Rate its intensity from 0.0 (barely there) to 1.0 (overwhelming).
+
+FORMAT YOUR RESPONSE AS JSON:
+{ "mood": "happy", "intensity": 0.6 }
+
+Return ONLY the JSON object, nothing else.`;
+
+    const messages = [
+      { role: 'system', content: 'You read the mood of roleplay replies. Output only valid JSON.' },
+      { role: 'user', content: prompt }
+    ];
+
+    try {
+      const responseText = await AIProviderService.generateResponse(
+        {
+          ai_provider: character.ai_provider,
+          ai_model: character.ai_model,
+          temperature: 0.2,
+          max_tokens: 60
+        },
+        messages,
+        apiKeys,
+        ollamaSettings || {},
+        {}
+      );
+
+      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+      const parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+      const mood = typeof parsed?.mood === 'string' ? parsed.mood.toLowerCase() : null;
+      if (!MOOD_TRACKING.MOODS.includes(mood) || !Number.isFinite(Number(parsed.intensity))) {
+        return MoodService.detectMood(response);
+      }
+
+      return mood === MOOD_TRACKING.DEFAULT_MOOD
+        ? null
+        : { mood, intensity: MoodService.clampIntensity(Number(parsed.intensity)) };
+    } catch (error) {
+      console.error('[Mood] AI detection failed:', error.message);
+      return MoodService.detectMood(response);
+    }
+  }
+
+  /**
+   * A character's current mood in a session
+   * @returns {Object|null} { mood, intensity }, or null before the character has replied
+   */
+  getMood(characterId, sessionId, userId) {
+    const state = this.db.localDb.getSessionState(characterId, sessionId, userId);
+    return state ? { mood: state.current_mood, intensity: state.mood_intensity } : null;
+  }
+
+  /**
+   * Every character's current mood in a session, keyed by character id
+   */
+  getSessionMoods(sessionId, userId) {
+    const moods = {};
+    for (const state of this.db.localDb.getSessionStates(sessionId, userId)) {
+      moods[state.character_id] = { mood: state.current_mood, intensity: state.mood_intensity };
+    }
+    return moods;
+  }
+
+  /**
+   * Update a character's mood from its latest reply and store it
+   * @param {Object} options - useAI, apiKeys, ollamaSettings
+   * @returns {Promise<Object>} { mood, intensity } after the reply
+   */
+  async updateFromReply(character, sessionId, userId, response, { useAI = false, apiKeys = {}, ollamaSettings = {} } = {}) {
+    const detected = useAI
+      ? await this.detectMoodWithAI(character, response, apiKeys, ollamaSettings)
+      : MoodService.detectMood(response);
+    const next = MoodService.blend(this.getMood(character.id, sessionId, userId), detected);
+
+    this.db.localDb.createOrUpdateSessionState(character.id, sessionId, userId, {
+      current_mood: next.mood,
+      mood_intensity: next.intensity
+    });
+    return next;
+  }
+}
+
+module.exports = MoodService;
@@ -74,7 +74,7 @@ class PersonalityEvolutionService {
     if (!growthText || !growthText.trim()) return null;
 
     const trimmed = growthText.trim().slice(0, bufferSize);
-    localDb.savePersonalityGrowth(character.id, trimmed);
+    localDb.savePersonalityGrowth(character.id, userId, trimmed);
     localDb.markMemoriesAsCompiled(character.id, userId);
 
     console.log(`[Evolution] Compiled growth for ${character.name} (${trimmed.length} chars, ${memories.length} memories)`);
@@ -0,0 +1,189 @@
+// ============================================================================
+// Prompt Budgeter
+// Fits the layered system prompt and conversation history into a character's
+// context window, shortening or dropping the lowest-priority layers first
+// ============================================================================
+
+const { AI_DEFAULTS, PROMPT_BUDGET } = require('../constants/defaults');
+
+class PromptBudgeter {
+  /**
+   * Approximate characters per token for a provider/model
+   * Local models mostly use sentencepiece vocabularies, which split English
+   * into noticeably more tokens than the hosted providers' tokenizers
+   */
+  static getCharsPerToken(provider, model) {
+    const modelName = (model || '').toLowerCase();
+
+    if (provider === 'ollama' || provider === 'lmstudio') return 3.2;
+    if (provider === 'anthropic' || modelName.includes('claude')) return 3.5;
+    if (provider === 'google' || provider === 'gemini' || modelName.includes('gemini')) return 4;
+    if (provider === 'openai' || modelName.includes('gpt')) return 4;
+    if (modelName.includes('llama') || modelName.includes('mistral')) return 3.2;
+
+    return PROMPT_BUDGET.DEFAULT_CHARS_PER_TOKEN;
+  }
+
+  /**
+   * Estimate the token count of a piece of text for a provider/model
+   */
+  static estimateTokens(text, provider, model) {
+    if (!text) return 0;
+    return Math.ceil(text.length / this.getCharsPerToken(provider, model));
+  }
+
+  /**
+   * Assemble the system prompt and pick the history that fits the context window
+   * Required layers, the new user message and the most recent turns always go
+   * out; optional layers are then added in priority order and older history
+   * fills whatever room is left
+   * @param {Object} params
+   * @param {Array} params.layers - Named layers from PromptBuilder.buildLayers
+   * @param {Array} params.history - Conversation history, oldest first
+   * @param {string|null} params.newUserMessage - Message still to be appended
+   * @param {Object} params.character - Character (context_window, ai_provider, ai_model)
+   * @param {number} params.responseTokens - Tokens reserved for the reply
+   * @param {Function} params.adaptPrompt - Provider wrapper applied to the joined prompt
+   * @returns {Object} { systemPrompt, history, layers, report }
+   *   layers lists every layer in prompt order with the text that was sent
+   *   and a status of 'kept', 'shortened' or 'dropped'
+   */
+  static assemble({ layers, history = [], newUserMessage = null, character, responseTokens = 0, adaptPrompt = (prompt) => prompt }) {
+    const provider = character.ai_provider || 'openai';
+    const count = (text) => this.estimateTokens(text, provider, character.ai_model);
+    const messageCost = (text) => count(text) + PROMPT_BUDGET.MESSAGE_OVERHEAD_TOKENS;
+
+    const contextWindow = character.context_window || AI_DEFAULTS.CONTEXT_WINDOW;
+    const budget = Math.floor(contextWindow * (1 - PROMPT_BUDGET.SAFETY_MARGIN)) - responseTokens;
+
+    // Required layers plus the provider wrapper around them
+    const requiredText = layers.filter(layer => layer.required).map(layer => layer.text).join('\n\n');
+    let used = messageCost(adaptPrompt(requiredText));
+    if (newUserMessage) used += messageCost(newUserMessage);
+
+    // History is taken newest-first, so track where the included slice starts
+    const candidates = history.slice(-PROMPT_BUDGET.MAX_HISTORY_MESSAGES);
+    let historyStart = candidates.length;
+    const takeHistory = (limit) => {
+      while (historyStart > 0 && candidates.length - historyStart < limit) {
+        const cost = messageCost(candidates[historyStart - 1].content);
+        if (used + cost > budget) break;
+        used += cost;
+        historyStart--;
+      }
+    };
+
+    takeHistory(PROMPT_BUDGET.MIN_HISTORY_MESSAGES);
+
+    // Optional layers, most important first
+    const rank = (name) => {
+      const index = PROMPT_BUDGET.LAYER_PRIORITY.indexOf(name);
+      return index === -1 ? PROMPT_BUDGET.LAYER_PRIORITY.length : index;
+    };
+    const optional = layers
+      .filter(layer => !layer.required)
+      .sort((a, b) => rank(a.name) - rank(b.name));
+
+    const keptText = new Map();
+    const droppedLayers = [];
+    const shortenedLayers = [];
+
+    for (const layer of optional) {
+      const cost = count(`\n\n${layer.text}`);
+      if (used + cost <= budget) {
+        keptText.set(layer.name, layer.text);
+        used += cost;
+        continue;
+      }
+
+      const shortened = this.shortenLayer(layer.text, budget - used, count);
+      if (shortened) {
+        keptText.set(layer.name, shortened.text);
+        used += count(`\n\n${shortened.text}`);
+        shortenedLayers.push({
+          layer: layer.name,
+          kept_lines: shortened.keptLines,
+          total_lines: shortened.totalLines
+        });
+      } else {
+        droppedLayers.push(layer.name);
+      }
+    }
+
+    takeHistory(PROMPT_BUDGET.MAX_HISTORY_MESSAGES);
+
+    // Rebuild in prompt order with whatever survived
+    const systemPrompt = adaptPrompt(
+      layers
+        .filter(layer => layer.required || keptText.has(layer.name))
+        .map(layer => (layer.required ? layer.text : keptText.get(layer.name)))
+        .join('\n\n')
+    );
+    const includedHistory = candidates.slice(historyStart);
+    const shortenedNames = new Set(shortenedLayers.map(entry => entry.layer));
+    const layerResults = layers.map(layer => {
+      const text = layer.required ? layer.text : keptText.get(layer.name) || null;
+      return {
+        name: layer.name,
+        required: Boolean(layer.required),
+        status: text === null ? 'dropped' : shortenedNames.has(layer.name) ? 'shortened' : 'kept',
+        tokens: count(text),
+        text
+      };
+    });
+
+    const estimatedTokens = messageCost(systemPrompt) +
+      includedHistory.reduce((sum, msg) => sum + messageCost(msg.content), 0) +
+      (newUserMessage ? messageCost(newUserMessage) : 0);
+
+    return {
+      systemPrompt,
+      history: includedHistory,
+      layers: layerResults,
+      report: {
+        context_window: contextWindow,
+        response_tokens: responseTokens,
+        estimated_prompt_tokens: estimatedTokens,
+        over_budget: estimatedTokens > budget,
+        dropped_layers: droppedLayers,
+        shortened_layers: shortenedLayers,
+        history_messages: {
+          included: includedHistory.length,
+          available: history.length
+        }
+      }
+    };
+  }
+
+  /**
+   * Cut a layer down to the lines that fit in the available tokens
+   * Layers list their most relevant entries first, so trailing lines go first;
+   * returns null when not even the heading and one entry fit
+   */
+  static shortenLayer(text, availableTokens, count) {
+    const lines = text.split('\n');
+
+    for (let keep = lines.length - 1; keep >= 2; keep--) {
+      const kept = lines.slice(0, keep);
+
+      // Don't leave a dangling sub-heading or blank line at the end
+      while (kept.length > 1 && (!kept[kept.length - 1].trim() || kept[kept.length - 1].trim().endsWith(':'))) {
+        kept.pop();
+      }
+      if (kept.length < 2) continue;
+
+      const candidate = kept.join('\n');
+      if (count(`\n\n${candidate}`) <= availableTokens) {
+        return {
+          text: candidate,
+          keptLines: kept.filter(line => line.trim()).length,
+          totalLines: lines.filter(line => line.trim()).length
+        };
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = PromptBudgeter;
@@ -3,6 +3,9 @@
 // Constructs consistent, layered prompts for character responses
 // ============================================================================
 
+const LorebookService = require('./LorebookService');
+const { CHAT_COMMANDS } = require('../constants/defaults');
+
 class PromptBuilder {
   constructor() {
     this.maxTokensPerLayer = {
@@ -19,6 +22,15 @@ class PromptBuilder {
    * Build a complete system prompt with all layers
    */
   buildSystemPrompt(config) {
+    return this.buildLayers(config).map(layer => layer.text).join('\n\n');
+  }
+
+  /**
+   * Build the prompt layers in prompt order, each tagged with its name
+   * Optional layers may be shortened or dropped by PromptBudgeter when the
+   * character's context window is tight; required layers are always sent
+   */
+  buildLayers(config) {
     const {
       character,
       userPersona,
@@ -29,16 +41,21 @@ class PromptBuilder {
       memories,
       learningData,
       adminSystemPrompt,
-      sessionContinuity
+      sessionContinuity,
+      sessionSummary,
+      lorebooks,
+      recentMessages,
+      currentMood,
+      directorNotes
     } = config;
 
     const layers = [];
 
     // Layer 1: Base Layer (Always Present)
-    layers.push(this.buildBaseLayer(character, adminSystemPrompt));
+    layers.push({ name: 'base', required: true, text: this.buildBaseLayer(character, adminSystemPrompt) });
 
     // Layer 2: Character Layer
-    layers.push(this.buildCharacterLayer(character));
+    layers.push({ name: 'character', required: true, text: this.buildCharacterLayer(character) });
 
     // Layer 3: Relationship Layer
     const relationshipLayer = this.buildRelationshipLayer(
@@ -48,7 +65,7 @@ class PromptBuilder {
       otherCharacters,
       characterRelationships
     );
-    if (relationshipLayer) layers.push(relationshipLayer);
+    layers.push({ name: 'relationship', required: false, text: relationshipLayer });
 
     // Layer 4: Memory Layer
     const memoryLayer = this.buildMemoryLayer(
@@ -60,21 +77,42 @@ class PromptBuilder {
       otherCharacters,
       config.topicEngagement
     );
-    if (memoryLayer) layers.push(memoryLayer);
+    layers.push({ name: 'memory', required: false, text: memoryLayer });
 
     // Layer 5: Scene/Context Layer
     const sceneLayer = this.buildSceneLayer(scene, character);
-    if (sceneLayer) layers.push(sceneLayer);
+    layers.push({ name: 'scene', required: false, text: sceneLayer });
 
-    // Layer 6: Session Continuity
+    // Layer 6: Lorebook entries triggered by the recent conversation
+    if (lorebooks && lorebooks.length > 0) {
+      const entries = LorebookService.matchEntries(lorebooks, recentMessages || [], character);
+      layers.push({ name: 'lore', required: false, text: this.buildLoreLayer(entries) });
+    }
+
+    // Layer 7: Session Continuity
     if (sessionContinuity) {
-      layers.push(this.buildContinuityLayer(sessionContinuity));
+      layers.push({ name: 'continuity', required: false, text: this.buildContinuityLayer(sessionContinuity) });
+    }
+
+    // Layer 8: Summary of earlier messages in this session
+    if (sessionSummary) {
+      layers.push({ name: 'summary', required: false, text: this.buildSummaryLayer(sessionSummary) });
+    }
+
+    // Layer 9: The character's mood so far in this session
+    if (currentMood) {
+      layers.push({ name: 'mood', required: false, text: this.buildMoodLayer(currentMood) });
     }
 
-    // Layer 7: Instructions Layer
-    layers.push(this.buildInstructionsLayer(character));
+    // Layer 10: The user's out-of-character direction (/ooc), always sent
+    if (directorNotes && directorNotes.length > 0) {
+      layers.push({ name: 'direction', required: true, text: this.buildDirectionLayer(directorNotes) });
+    }
+
+    // Layer 11: Instructions Layer
+    layers.push({ name: 'instructions', required: true, text: this.buildInstructionsLayer(character) });
 
-    return layers.filter(Boolean).join('\n\n');
+    return layers.filter(layer => layer.text);
   }
 
   /**
@@ -294,8 +332,10 @@ class PromptBuilder {
     const userName = userPersona?.name || 'the user';
     let layer = `WHAT YOU REMEMBER ABOUT ${userName.toUpperCase()}:\n`;
 
-    // Add top memories about user
-    for (const memory of memories.slice(0, 8)) {
+    // Add pinned memories, then the top remaining memories about user
+    const pinned = memories.filter(memory => memory.is_pinned);
+    const others = memories.filter(memory => !memory.is_pinned).slice(0, Math.max(0, 8 - pinned.length));
+    for (const memory of [...pinned, ...others]) {
       layer += `- ${memory.content || memory.memory_content}\n`;
     }
 
@@ -403,6 +443,12 @@ class PromptBuilder {
       }
     }
 
+    // Events pushed into the scene during play (/scene), newest last
+    const recentEvents = (scene.scene_state?.recent_events || []).slice(-CHAT_COMMANDS.PROMPT_SCENE_EVENTS);
+    if (recentEvents.length > 0) {
+      layer += `Recent events:\n${recentEvents.map(event => `- ${event}`).join('\n')}\n`;
+    }
+
     // Character-specific scene modifiers
     if (scene.character_modifiers) {
       const modifier = scene.character_modifiers[character.id] || scene.character_modifiers['all'];
@@ -415,7 +461,23 @@ class PromptBuilder {
   }
 
   /**
-   * Layer 6: Session continuity context
+   * Layer 6: World info from triggered lorebook entries
+   * One line per entry, in insertion order, so budget trimming drops the last ones first
+   */
+  buildLoreLayer(entries) {
+    if (!entries || entries.length === 0) return null;
+
+    let layer = `WORLD INFO:\n`;
+
+    for (const entry of entries) {
+      layer += `- ${entry.content.replace(/\s*\n\s*/g, ' ')}\n`;
+    }
+
+    return layer;
+  }
+
+  /**
+   * Layer 7: Session continuity context
    */
   buildContinuityLayer(continuity) {
     if (!continuity) return null;
@@ -444,7 +506,41 @@ class PromptBuilder {
   }
 
   /**
-   * Layer 7: Response instructions
+   * Layer 8: Rolling summary of messages no longer in the history window
+   */
+  buildSummaryLayer(summary) {
+    if (!summary || !summary.trim()) return null;
+
+    return `EARLIER IN THIS CONVERSATION:\n${summary.trim()}`;
+  }
+
+  /**
+   * Layer 9: Current mood, carried over from the character's earlier replies
+   * Neutral is the resting state and needs no mention
+   */
+  buildMoodLayer(currentMood) {
+    const { mood, intensity } = currentMood;
+    if (!mood || mood === 'neutral') return null;
+
+    const level = intensity >= 0.7 ? 'strongly' : intensity >= 0.4 ? 'moderately' : 'slightly';
+    return `CURRENT MOOD:\nYou are ${level} ${mood} right now. Let it color your tone and reactions, and let it shift naturally as the conversation does.`;
+  }
+
+  /**
+   * Layer 10: Out-of-character notes from the user, who is directing the scene
+   */
+  buildDirectionLayer(notes) {
+    let layer = `DIRECTOR'S NOTES (out of character, from the user; follow them, but never mention or quote them):\n`;
+
+    for (const note of notes) {
+      layer += `- ${note}\n`;
+    }
+
+    return layer;
+  }
+
+  /**
+   * Layer 11: Response instructions
    */
   buildInstructionsLayer(character) {
     return `IMPORTANT INSTRUCTIONS:
@@ -467,9 +563,14 @@ class PromptBuilder {
     ];
     
     // Add recent history
-    const recentHistory = history.slice(-maxHistoryLength);
+    const recentHistory = maxHistoryLength > 0 ? history.slice(-maxHistoryLength) : [];
     
     for (const msg of recentHistory) {
+      // Narration set by the user (/narrate) is not a line any character said
+      if (!msg.role && msg.type === 'narrator') {
+        messages.push({ role: 'user', content: `[Narration] ${msg.content}` });
+        continue;
+      }
       messages.push({
         role: msg.role || (msg.type === 'user' ? 'user' : 'assistant'),
         content: msg.content
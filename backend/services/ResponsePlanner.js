@@ -3,54 +3,57 @@
 // Plans multi-character responses for coherence and natural flow
 // ============================================================================
 
+const { AUTONOMOUS_DEFAULTS, GROUP_DYNAMICS, RESPONDER_SCORING } = require('../constants/defaults');
+const { seededRandom, randomSeed } = require('../utils/seededRandom');
+
 class ResponsePlanner {
   /**
    * Plan which characters should respond and in what way
+   * Every character is scored (see scoreResponders); the mode decides who
+   * responds (see selectResponders), capped at maxResponders. speakerId
+   * overrides both and makes that character the only responder.
+   * @param {Object} options - relationships and topicEngagement (character id -> rows),
+   *   mode (one of GROUP_DYNAMICS.MODES), maxResponders, speakerId, and seed,
+   *   which makes the random parts repeatable
+   * @returns {Object} { responders, roles, target_lengths, interpersonal_dynamics, scores, seed, mode }
    */
-  static planGroupResponse(userMessage, characters, conversationHistory, conversationState) {
+  static planGroupResponse(userMessage, characters, conversationHistory, conversationState, options = {}) {
+    const seed = options.seed ?? randomSeed();
+    const mode = GROUP_DYNAMICS.MODES.includes(options.mode) ? options.mode : GROUP_DYNAMICS.DEFAULT_MODE;
+    const random = seededRandom(seed);
     const plan = {
       responders: [],
       roles: {},
       target_lengths: {},
-      interpersonal_dynamics: {}
+      interpersonal_dynamics: {},
+      scores: {},
+      seed,
+      mode
     };
 
     // 1. Determine who should respond
-    const directlyMentioned = this.findMentionedCharacters(userMessage, characters);
-    const recentSpeakers = conversationState.getRecentSpeakers(3);
-    
-    if (directlyMentioned.length > 0) {
-      // All mentioned characters respond
-      plan.responders = directlyMentioned;
-      
-      // First mentioned is primary
-      plan.roles[directlyMentioned[0].id] = 'address_question';
-      
-      // Others add perspective
-      for (let i = 1; i < directlyMentioned.length; i++) {
-        plan.roles[directlyMentioned[i].id] = 'add_perspective';
-      }
-    } else {
-      // Select 1-2 characters who haven't spoken recently
-      const available = characters.filter(c => !recentSpeakers.includes(c.id));
-      
-      if (available.length > 0) {
-        const numResponders = Math.random() > 0.6 ? 2 : 1;
-        plan.responders = available
-          .sort(() => Math.random() - 0.5)
-          .slice(0, Math.min(numResponders, available.length));
-      } else {
-        // Everyone spoke recently, pick oldest speaker
-        plan.responders = [characters[0]];
-      }
-      
-      // Set roles
-      if (plan.responders.length > 0) {
-        plan.roles[plan.responders[0].id] = 'address_question';
-      }
-      if (plan.responders.length > 1) {
-        plan.roles[plan.responders[1].id] = 'add_perspective';
-      }
+    const scored = this.scoreResponders(userMessage, characters, conversationHistory, conversationState, {
+      ...options,
+      random
+    });
+    const forced = options.speakerId && scored.find(s => s.character.id === options.speakerId);
+    plan.responders = forced
+      ? [forced.character]
+      : this.selectResponders(mode, scored, conversationHistory, random)
+        .slice(0, options.maxResponders || GROUP_DYNAMICS.MAX_RESPONDERS);
+
+    // The best-placed responder is primary, the others add perspective
+    plan.responders.forEach((char, index) => {
+      plan.roles[char.id] = index === 0 ? 'address_question' : 'add_perspective';
+    });
+
+    const round = (value) => Math.round(value * 100) / 100;
+    for (const { character, total, signals } of scored) {
+      plan.scores[character.id] = {
+        total: round(total),
+        ...Object.fromEntries(Object.entries(signals).map(([name, value]) => [name, round(value)])),
+        selected: plan.responders.includes(character)
+      };
     }
 
     // 2. Set target response lengths
@@ -84,14 +87,230 @@ class ResponsePlanner {
   }
 
   /**
-   * Find characters mentioned by name in message
+   * Pick the responders for a group dynamics mode, first responder first
+   * - natural: mentioned characters all respond, best score first;
+   *   otherwise the leader responds and the runner-up sometimes joins
+   * - mentioned: only mentioned characters respond; a message that names
+   *   nobody goes to the leader so it is not left unanswered
+   * - everyone: the whole cast responds, best score first
+   * - round_robin: the character after the last speaker, in cast order
+   * @param {Array} scored - scoreResponders output, in cast order
+   * @returns {Array} Characters
+   */
+  static selectResponders(mode, scored, conversationHistory = [], random = Math.random) {
+    if (scored.length === 0) return [];
+
+    const ranked = [...scored].sort((a, b) => b.total - a.total);
+    const mentioned = ranked.filter(s => s.signals.mention > 0);
+
+    switch (mode) {
+      case 'everyone':
+        return ranked.map(s => s.character);
+
+      case 'round_robin': {
+        const lastIndex = scored.findIndex(s => s.character.id === this.findLastSpeakerId(conversationHistory));
+        return [scored[(lastIndex + 1) % scored.length].character];
+      }
+
+      case 'mentioned':
+        return mentioned.length > 0 ? mentioned.map(s => s.character) : [ranked[0].character];
+
+      default: {
+        if (mentioned.length > 0) return mentioned.map(s => s.character);
+
+        const [leader, runnerUp] = ranked;
+        const responders = [leader.character];
+        if (runnerUp &&
+            runnerUp.total >= leader.total - RESPONDER_SCORING.SECOND_RESPONDER_MARGIN &&
+            random() < RESPONDER_SCORING.SECOND_RESPONDER_CHANCE) {
+          responders.push(runnerUp.character);
+        }
+        return responders;
+      }
+    }
+  }
+
+  /**
+   * Plan one autonomous round: which character speaks next when the cast
+   * talks among themselves. The previous speaker sits out; everyone else is
+   * scored on being named in the last line, their relationship with the
+   * previous speaker, and whether they spoke recently. Ties go to whoever
+   * has been quiet longest.
+   * @param {Array} characters - The active cast
+   * @param {Object|null} lastSpeaker - Character who spoke last, if any
+   * @param {string} lastMessage - Text of the last line in the conversation
+   * @param {ConversationStateTracker} conversationState
+   * @param {Object} relationships - Character id -> character_relationships rows (target_type 'character')
+   * @returns {Object} Plan shaped like planGroupResponse's, with the
+   *   single responder, its addressee and every candidate's score
+   */
+  static planAutonomousTurn(characters, lastSpeaker, lastMessage, conversationState, relationships = {}) {
+    const candidates = characters.filter(c => c.id !== lastSpeaker?.id);
+    const mentioned = lastMessage ? this.findMentionedCharacters(lastMessage, candidates) : [];
+    const recentSpeakers = conversationState.getRecentSpeakers(10);
+
+    const scored = candidates.map((char, order) => {
+      let score = 0;
+
+      if (mentioned.includes(char)) {
+        score += AUTONOMOUS_DEFAULTS.MENTION_BONUS;
+      }
+
+      // Strong feelings either way make a character more likely to answer
+      const bond = lastSpeaker
+        ? (relationships[char.id] || []).find(r => r.target_id === lastSpeaker.id)
+        : null;
+      if (bond) {
+        score += (bond.familiarity_level || 0) + Math.abs(bond.emotional_bond || 0);
+      }
+
+      if (conversationState.spokeRecently(char.id, AUTONOMOUS_DEFAULTS.RECENT_TURNS)) {
+        score -= AUTONOMOUS_DEFAULTS.RECENCY_PENALTY;
+      }
+
+      return { char, score, lastSpoke: recentSpeakers.lastIndexOf(char.id), order };
+    });
+
+    scored.sort((a, b) => b.score - a.score || a.lastSpoke - b.lastSpoke || a.order - b.order);
+
+    const speaker = scored[0]?.char || null;
+    const plan = {
+      responders: speaker ? [speaker] : [],
+      roles: {},
+      target_lengths: {},
+      interpersonal_dynamics: {},
+      addressee: speaker ? lastSpeaker : null,
+      scores: Object.fromEntries(scored.map(s => [s.char.id, Math.round(s.score * 100) / 100]))
+    };
+
+    if (speaker) {
+      plan.roles[speaker.id] = mentioned.includes(speaker) ? 'address_question' : 'add_perspective';
+      plan.target_lengths[speaker.id] = 'brief';
+      if (lastSpeaker) {
+        plan.interpersonal_dynamics[`${speaker.id}_${lastSpeaker.id}`] = this.determineDynamic(
+          speaker,
+          lastSpeaker,
+          conversationState
+        );
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Score every character as a responder to a user message. Signals, each
+   * weighted by RESPONDER_SCORING:
+   * - mention: named or called by an alias, as a whole word
+   * - question: an unaddressed question goes to whoever spoke last
+   * - topic: interest (character_topic_engagement) in topics the message raises
+   * - relationship: familiarity and bond with the last speaker
+   * - talkativeness: voice_traits.verbosity above or below the middle
+   * - recency: a penalty for having spoken in the last few turns
+   * - jitter: seeded spread between close scores, when nobody is mentioned
+   * @param {Object} options - relationships, topicEngagement, random
+   * @returns {Array} [{ character, total, signals }] in cast order
+   */
+  static scoreResponders(userMessage, characters, conversationHistory = [], conversationState, options = {}) {
+    const { relationships = {}, topicEngagement = {}, random = Math.random } = options;
+    const mentioned = this.findMentionedCharacters(userMessage, characters);
+    const lastSpeakerId = this.findLastSpeakerId(conversationHistory);
+    const isQuestion = userMessage.includes('?');
+    const words = new Set(userMessage.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []);
+
+    return characters.map(char => {
+      const signals = {
+        mention: mentioned.includes(char) ? RESPONDER_SCORING.MENTION : 0,
+        question: 0,
+        topic: 0,
+        relationship: 0,
+        talkativeness: 0,
+        recency: 0,
+        jitter: 0
+      };
+
+      if (isQuestion && mentioned.length === 0 && char.id === lastSpeakerId) {
+        signals.question = RESPONDER_SCORING.QUESTION_TO_LAST_SPEAKER;
+      }
+
+      const interest = (topicEngagement[char.id] || [])
+        .filter(row => row.topic && row.topic.toLowerCase().split(/\s+/).every(word => words.has(word)))
+        .reduce((sum, row) => sum + (row.interest_level || 0), 0);
+      signals.topic = Math.min(interest, 1) * RESPONDER_SCORING.TOPIC_FIT;
+
+      const bond = lastSpeakerId && lastSpeakerId !== char.id
+        ? (relationships[char.id] || []).find(r => r.target_type === 'character' && r.target_id === lastSpeakerId)
+        : null;
+      if (bond) {
+        signals.relationship = ((bond.familiarity_level || 0) + Math.abs(bond.emotional_bond || 0)) / 2 *
+          RESPONDER_SCORING.RELATIONSHIP;
+      }
+
+      const verbosity = char.voice_traits?.verbosity;
+      if (typeof verbosity === 'number') {
+        signals.talkativeness = (verbosity - 0.5) * RESPONDER_SCORING.TALKATIVENESS;
+      }
+
+      if (conversationState.spokeRecently(char.id, RESPONDER_SCORING.RECENT_TURNS)) {
+        signals.recency = -RESPONDER_SCORING.RECENCY_PENALTY;
+      }
+
+      if (mentioned.length === 0) {
+        signals.jitter = random() * RESPONDER_SCORING.JITTER;
+      }
+
+      const total = Object.values(signals).reduce((sum, value) => sum + value, 0);
+      return { character: char, total, signals };
+    });
+  }
+
+  /**
+   * Id of the character who wrote the latest character message in the history
+   */
+  static findLastSpeakerId(conversationHistory) {
+    for (let i = conversationHistory.length - 1; i >= 0; i--) {
+      const msg = conversationHistory[i];
+      const characterId = msg.character_id || msg.character;
+      if (msg.type !== 'user' && msg.role !== 'user' && characterId) return characterId;
+    }
+    return null;
+  }
+
+  /**
+   * Names a character answers to: their name, a first name taken from a
+   * longer name, and any aliases set on the character
+   */
+  static getCallNames(character) {
+    const name = (character.name || '').trim();
+    const names = [name];
+
+    // "Mara Voss" also answers to "Mara", but "Dr. Voss" does not answer to "Dr."
+    const [first] = name.split(/\s+/);
+    if (first !== name && first.length >= 3 && !first.endsWith('.')) {
+      names.push(first);
+    }
+
+    for (const alias of Array.isArray(character.aliases) ? character.aliases : []) {
+      if (typeof alias === 'string' && alias.trim()) names.push(alias.trim());
+    }
+
+    return [...new Set(names.filter(Boolean))];
+  }
+
+  /**
+   * Find characters mentioned in a message by name or alias
+   * Names match as whole words, so "Al" is not found in "also"
    */
   static findMentionedCharacters(message, characters) {
     const mentioned = [];
-    const lowerMessage = message.toLowerCase();
     
     for (const char of characters) {
-      if (char && char.name && lowerMessage.includes(char.name.toLowerCase())) {
+      if (!char || !char.name) continue;
+
+      const pattern = this.getCallNames(char)
+        .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|');
+      if (new RegExp(`(?<![\\p{L}\\p{N}_])(?:${pattern})(?![\\p{L}\\p{N}_])`, 'iu').test(message)) {
         mentioned.push(char);
       }
     }
@@ -54,17 +54,37 @@ class SessionContinuityService {
    */
   async getPreviousSessions(userId, characterId, currentSessionId, limit = 3) {
     try {
+      // Branches of the current conversation share its history, so none of them
+      // (including the session it was forked from) count as a previous chat
+      const current = this.db.localDb.get(
+        'SELECT id, root_session_id FROM chat_sessions WHERE id = ? AND user_id = ?',
+        [currentSessionId, userId]
+      );
+      const currentRoot = current ? (current.root_session_id || current.id) : currentSessionId;
+
       const sessions = this.db.localDb.all(
         `SELECT * FROM chat_sessions 
          WHERE user_id = ? 
          AND id != ? 
+         AND COALESCE(root_session_id, id) != ?
          AND active_characters LIKE ?
-         ORDER BY updated_at DESC 
-         LIMIT ?`,
-        [userId, currentSessionId, `%${characterId}%`, limit]
+         ORDER BY updated_at DESC`,
+        [userId, currentSessionId, currentRoot, `%${characterId}%`]
       );
 
-      return sessions || [];
+      // Sibling branches of another conversation are one past conversation,
+      // represented by whichever branch was active most recently
+      const seenRoots = new Set();
+      const distinct = [];
+      for (const session of sessions || []) {
+        const root = session.root_session_id || session.id;
+        if (seenRoots.has(root)) continue;
+        seenRoots.add(root);
+        distinct.push(session);
+        if (distinct.length >= limit) break;
+      }
+
+      return distinct;
     } catch (error) {
       console.error('[SessionContinuity] Error fetching previous sessions:', error);
       return [];
@@ -201,14 +221,21 @@ class SessionContinuityService {
 
   /**
    * Store session metadata for future continuity
+   * Merged into the existing metadata so the rolling summary is kept
    */
-  async storeSessionMetadata(sessionId, metadata) {
+  async storeSessionMetadata(sessionId, userId, metadata) {
     try {
-      const metadataJson = JSON.stringify(metadata);
+      const existing = this.db.localDb.get('SELECT metadata FROM chat_sessions WHERE id = ? AND user_id = ?', [sessionId, userId]);
+      if (!existing) return false;
+
+      const metadataJson = JSON.stringify({
+        ...this.db.localDb.safeJsonParse(existing?.metadata, {}),
+        ...metadata
+      });
       
       this.db.localDb.run(
-        'UPDATE chat_sessions SET metadata = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [metadataJson, sessionId]
+        'UPDATE chat_sessions SET metadata = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+        [metadataJson, sessionId, userId]
       );
 
       return true;
@@ -0,0 +1,184 @@
+// ============================================================================
+// Usage Service
+// Records the tokens each generated reply used and prices them with the
+// user's model price table, falling back to the built-in estimates
+// ============================================================================
+
+const { USAGE_DEFAULTS } = require('../constants/defaults');
+
+class UsageService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Providers are stored under one name each ('gemini' is an alias of 'google')
+   */
+  static normalizeProvider(provider) {
+    const name = String(provider || '').toLowerCase();
+    return name === 'gemini' ? 'google' : name;
+  }
+
+  /**
+   * Store the usage AIProviderService reported for one reply
+   * @param {string} userId - Who the reply was generated for
+   * @param {Object} usage - { provider, model, prompt_tokens, completion_tokens } from onUsage
+   * @param {Object} context - { session_id, message_id, character_id }
+   */
+  record(userId, usage, context = {}) {
+    if (!usage) return null;
+
+    return this.db.localDb.recordTokenUsage(userId, {
+      ...context,
+      provider: UsageService.normalizeProvider(usage.provider),
+      model: usage.model,
+      prompt_tokens: usage.prompt_tokens,
+      completion_tokens: usage.completion_tokens
+    });
+  }
+
+  /**
+   * Every priced model: the defaults, with the user's own prices on top
+   * @returns {Array} [{ provider, model, input_per_million, output_per_million, custom, updated_at }]
+   */
+  getPriceTable(userId) {
+    const prices = new Map();
+
+    for (const [provider, models] of Object.entries(USAGE_DEFAULTS.PRICES)) {
+      for (const [model, price] of Object.entries(models)) {
+        prices.set(`${provider}/${model}`, {
+          provider,
+          model,
+          input_per_million: price.input,
+          output_per_million: price.output,
+          custom: false,
+          updated_at: null
+        });
+      }
+    }
+
+    for (const row of this.db.localDb.getModelPrices(userId)) {
+      prices.set(`${row.provider}/${row.model}`, { ...row, custom: true });
+    }
+
+    return [...prices.values()].sort((a, b) =>
+      a.provider.localeCompare(b.provider) || a.model.localeCompare(b.model)
+    );
+  }
+
+  /**
+   * Price for one model, or null when nobody has priced it
+   */
+  static resolvePrice(priceTable, provider, model) {
+    const price = priceTable.find(p => p.provider === provider && p.model === model);
+    if (price) return price;
+    if (USAGE_DEFAULTS.FREE_PROVIDERS.includes(provider)) {
+      return { provider, model, input_per_million: 0, output_per_million: 0 };
+    }
+    return null;
+  }
+
+  setPrice(userId, provider, model, inputPerMillion, outputPerMillion) {
+    return this.db.localDb.setModelPrice(
+      userId,
+      UsageService.normalizeProvider(provider),
+      model,
+      inputPerMillion,
+      outputPerMillion
+    );
+  }
+
+  /**
+   * Drop the user's price for a model so the default (if any) applies again
+   * @returns {boolean} Whether a custom price existed
+   */
+  resetPrice(userId, provider, model) {
+    return this.db.localDb.deleteModelPrice(userId, UsageService.normalizeProvider(provider), model).changes > 0;
+  }
+
+  /**
+   * Token and spend totals for a date range, broken down by character, model,
+   * session and day. Costs use the current price table, so editing a price
+   * re-prices past usage too. Models without a price count tokens but no cost.
+   * @param {string} from - Inclusive start, 'YYYY-MM-DD' (UTC)
+   * @param {string} to - Inclusive end, 'YYYY-MM-DD' (UTC)
+   * @returns {Object} { from, to, totals, byCharacter, byModel, bySession, byDay, unpriced }
+   */
+  getSummary(userId, from, to) {
+    const priceTable = this.getPriceTable(userId);
+    const rows = this.db.localDb.getTokenUsageTotals(userId, from, to);
+
+    const totals = UsageService.emptyTotals();
+    const groups = { byCharacter: new Map(), byModel: new Map(), bySession: new Map(), byDay: new Map() };
+    const unpriced = new Map();
+
+    for (const row of rows) {
+      const price = UsageService.resolvePrice(priceTable, row.provider, row.model);
+      const cost = price
+        ? (row.prompt_tokens * price.input_per_million + row.completion_tokens * price.output_per_million) / 1e6
+        : 0;
+
+      if (!price) {
+        unpriced.set(`${row.provider}/${row.model}`, { provider: row.provider, model: row.model });
+      }
+
+      const entry = { ...row, cost };
+      UsageService.addTo(totals, entry);
+      UsageService.addToGroup(groups.byCharacter, row.character_id || 'none', {
+        character_id: row.character_id,
+        character_name: row.character_name
+      }, entry);
+      UsageService.addToGroup(groups.byModel, `${row.provider}/${row.model}`, {
+        provider: row.provider,
+        model: row.model,
+        priced: Boolean(price)
+      }, entry);
+      UsageService.addToGroup(groups.bySession, row.session_id || 'none', {
+        session_id: row.session_id,
+        session_title: row.session_title
+      }, entry);
+      UsageService.addToGroup(groups.byDay, row.day, { day: row.day }, entry);
+    }
+
+    const bySpend = (a, b) => b.cost - a.cost || b.total_tokens - a.total_tokens;
+
+    return {
+      from,
+      to,
+      totals: UsageService.roundCost(totals),
+      byCharacter: [...groups.byCharacter.values()].sort(bySpend).map(UsageService.roundCost),
+      byModel: [...groups.byModel.values()].sort(bySpend).map(UsageService.roundCost),
+      bySession: [...groups.bySession.values()].sort(bySpend).map(UsageService.roundCost),
+      byDay: [...groups.byDay.values()].sort((a, b) => a.day.localeCompare(b.day)).map(UsageService.roundCost),
+      unpriced: [...unpriced.values()]
+    };
+  }
+
+  static emptyTotals() {
+    return { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0 };
+  }
+
+  static addTo(totals, entry) {
+    totals.calls += entry.calls;
+    totals.prompt_tokens += entry.prompt_tokens;
+    totals.completion_tokens += entry.completion_tokens;
+    totals.total_tokens += entry.prompt_tokens + entry.completion_tokens;
+    totals.cost += entry.cost;
+  }
+
+  static addToGroup(group, key, labels, entry) {
+    if (!group.has(key)) {
+      group.set(key, { ...labels, ...UsageService.emptyTotals() });
+    }
+    UsageService.addTo(group.get(key), entry);
+  }
+
+  /**
+   * Costs are summed as floats; report them to a millionth of a dollar
+   */
+  static roundCost(totals) {
+    return { ...totals, cost: Math.round(totals.cost * 1e6) / 1e6 };
+  }
+}
+
+module.exports = UsageService;
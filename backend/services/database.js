@@ -72,36 +72,52 @@ class DatabaseService {
         return this.localDb.createChatSession(userId, sessionData);
     }
 
-    async saveChatMessage(sessionId, messageData) {
+    async saveChatMessage(userId, sessionId, messageData) {
         // Ensure session_id is in messageData for local mode
         const dataWithSession = { ...messageData, session_id: sessionId };
-        return this.localDb.createMessage(dataWithSession);
+        return this.localDb.createMessage(userId, dataWithSession);
+    }
+
+    async forkChatSession(userId, sessionId, messageId, title = null) {
+        return this.localDb.forkChatSession(sessionId, userId, messageId, title);
+    }
+
+    async getChatMessage(userId, messageId) {
+        return this.localDb.getMessage(messageId, userId);
+    }
+
+    async getMessagesBefore(userId, sessionId, messageId, limit = 50) {
+        return this.localDb.getMessagesBefore(sessionId, userId, messageId, limit);
+    }
+
+    async updateMessageAlternatives(userId, messageId, alternatives, selectedIndex, mood = null) {
+        return this.localDb.updateMessageAlternatives(messageId, userId, alternatives, selectedIndex, mood);
     }
 
     async getChatSession(userId, sessionId) {
-        return this.localDb.getChatSession(sessionId);
+        return this.localDb.getChatSession(sessionId, userId);
     }
 
     async getChatHistory(userId, limit = 20) {
         return this.localDb.getChatSessionsByUser(userId, limit);
     }
 
-    async updateChatSessionActivity(sessionId) {
-        return this.localDb.updateChatSession(sessionId, { 
+    async updateChatSessionActivity(userId, sessionId) {
+        return this.localDb.updateChatSession(sessionId, userId, { 
             last_activity: new Date().toISOString() 
         });
     }
 
     async updateChatSession(userId, sessionId, updates) {
-        return this.localDb.updateChatSession(sessionId, updates);
+        return this.localDb.updateChatSession(sessionId, userId, updates);
     }
 
     async deleteChatSession(userId, sessionId) {
-        return this.localDb.deleteChatSession(sessionId);
+        return this.localDb.deleteChatSession(sessionId, userId);
     }
 
-    async getChatMessages(sessionId, limit = 100) {
-        return this.localDb.getMessagesBySession(sessionId, limit);
+    async getChatMessages(userId, sessionId, limit = 100) {
+        return this.localDb.getMessagesBySession(sessionId, userId, limit);
     }
 
     // ============================================================================
@@ -114,24 +130,27 @@ class DatabaseService {
         return this.localDb.createCharacter(userId, characterData);
     }
 
-    async getCharacter(characterId) {
-        return this.localDb.getCharacter(characterId);
+    async getCharacter(characterId, userId) {
+        return this.localDb.getCharacter(characterId, userId);
     }
 
     async getCharacters(userId) {
         return this.localDb.getCharactersByUser(userId);
     }
 
-    async updateCharacter(characterId, updates) {
-        return this.localDb.updateCharacter(characterId, updates);
+    async updateCharacter(characterId, userId, updates) {
+        return this.localDb.updateCharacter(characterId, userId, updates);
     }
 
-    async deleteCharacter(characterId) {
+    async deleteCharacter(characterId, userId) {
         // Get character data before deletion to access image filename
-        const character = this.localDb.getCharacter(characterId);
+        const character = this.localDb.getCharacter(characterId, userId);
+        if (!character || character.user_id !== userId) {
+            return null;
+        }
         
         // Delete associated image file if it exists
-        if (character && character.uses_custom_image && character.avatar_image_filename) {
+        if (character.uses_custom_image && character.avatar_image_filename) {
             const imagePath = path.join(__dirname, '../../data/uploads', character.avatar_image_filename);
             try {
                 if (fs.existsSync(imagePath)) {
@@ -142,7 +161,7 @@ class DatabaseService {
             }
         }
         
-        return this.localDb.deleteCharacter(characterId);
+        return this.localDb.deleteCharacter(characterId, userId);
     }
 
     async hideDefaultCharacter(userId, characterId) {
@@ -161,20 +180,44 @@ class DatabaseService {
         return this.localDb.getCustomModels(userId);
     }
 
-    async getCustomModel(id) {
-        return this.localDb.getCustomModel(id);
+    async getCustomModel(id, userId) {
+        return this.localDb.getCustomModel(id, userId);
     }
 
     async createCustomModel(userId, data) {
         return this.localDb.createCustomModel(userId, data);
     }
 
-    async updateCustomModel(id, updates) {
-        return this.localDb.updateCustomModel(id, updates);
+    async updateCustomModel(id, userId, updates) {
+        return this.localDb.updateCustomModel(id, userId, updates);
     }
 
-    async deleteCustomModel(id) {
-        return this.localDb.deleteCustomModel(id);
+    async deleteCustomModel(id, userId) {
+        return this.localDb.deleteCustomModel(id, userId);
+    }
+
+    // ============================================================================
+    // INSTRUCT TEMPLATES
+    // ============================================================================
+
+    async getInstructTemplates(userId) {
+        return this.localDb.getInstructTemplates(userId);
+    }
+
+    async getInstructTemplate(id, userId) {
+        return this.localDb.getInstructTemplate(id, userId);
+    }
+
+    async createInstructTemplate(userId, data) {
+        return this.localDb.createInstructTemplate(userId, data);
+    }
+
+    async updateInstructTemplate(id, userId, updates) {
+        return this.localDb.updateInstructTemplate(id, userId, updates);
+    }
+
+    async deleteInstructTemplate(id, userId) {
+        return this.localDb.deleteInstructTemplate(id, userId);
     }
 
     // ============================================================================
@@ -280,7 +323,7 @@ class DatabaseService {
     // ============================================================================
 
     async getScenario(userId, scenarioId) {
-        return this.localDb.getScenario(scenarioId);
+        return this.localDb.getScenario(scenarioId, userId);
     }
 
     async getScenarios(userId) {
@@ -293,15 +336,18 @@ class DatabaseService {
     }
 
     async updateScenario(userId, scenarioId, updates) {
-        return this.localDb.updateScenario(scenarioId, updates);
+        return this.localDb.updateScenario(scenarioId, userId, updates);
     }
 
     async deleteScenario(userId, scenarioId) {
         // Get scenario data before deletion to access image filename
-        const scenario = this.localDb.getScenario(scenarioId);
+        const scenario = this.localDb.getScenario(scenarioId, userId);
+        if (!scenario || scenario.user_id !== userId) {
+            return null;
+        }
         
         // Delete associated image file if it exists
-        if (scenario && scenario.uses_custom_background && scenario.background_image_filename) {
+        if (scenario.uses_custom_background && scenario.background_image_filename) {
             const imagePath = path.join(__dirname, '../../data/uploads', scenario.background_image_filename);
             try {
                 if (fs.existsSync(imagePath)) {
@@ -312,7 +358,60 @@ class DatabaseService {
             }
         }
         
-        return this.localDb.deleteScenario(scenarioId);
+        return this.localDb.deleteScenario(scenarioId, userId);
+    }
+
+    // ============================================================================
+    // LOREBOOK MANAGEMENT
+    // All lorebooks stored in local SQLite database
+    // ============================================================================
+
+    async getLorebooks(userId) {
+        return this.localDb.getLorebooksByUser(userId);
+    }
+
+    async getLorebook(userId, lorebookId) {
+        return this.localDb.getLorebook(lorebookId);
+    }
+
+    async createLorebook(userId, lorebookData) {
+        return this.localDb.createLorebook(userId, lorebookData);
+    }
+
+    async updateLorebook(userId, lorebookId, updates) {
+        return this.localDb.updateLorebook(lorebookId, updates);
+    }
+
+    async deleteLorebook(userId, lorebookId) {
+        return this.localDb.deleteLorebook(lorebookId);
+    }
+
+    async getLorebookEntry(entryId) {
+        return this.localDb.getLorebookEntry(entryId);
+    }
+
+    async createLorebookEntry(lorebookId, entryData) {
+        return this.localDb.createLorebookEntry(lorebookId, entryData);
+    }
+
+    async updateLorebookEntry(entryId, updates) {
+        return this.localDb.updateLorebookEntry(entryId, updates);
+    }
+
+    async deleteLorebookEntry(entryId) {
+        return this.localDb.deleteLorebookEntry(entryId);
+    }
+
+    async linkLorebook(lorebookId, targetType, targetId) {
+        return this.localDb.linkLorebook(lorebookId, targetType, targetId);
+    }
+
+    async unlinkLorebook(lorebookId, targetType, targetId) {
+        return this.localDb.unlinkLorebook(lorebookId, targetType, targetId);
+    }
+
+    async getLinkedLorebooks(userId, targets) {
+        return this.localDb.getLinkedLorebooks(userId, targets);
     }
 
     // ============================================================================
@@ -384,10 +483,12 @@ class DatabaseService {
             }
 
             // Get the character from local database
-            const character = this.localDb.getCharacter(characterId);
+            const character = this.localDb.getCharacter(characterId, userId);
 
-            if (!character) {
-                throw new Error('Character not found');
+            if (!character || character.user_id !== userId) {
+                const error = new Error('Character not found');
+                error.statusCode = 404;
+                throw error;
             }
 
             // Upload avatar image to Supabase storage if custom image is used
@@ -628,8 +729,8 @@ class DatabaseService {
     // All memory operations use local SQLite database
     // ============================================================================
 
-    async getMemoriesByCharacter(characterId, userId, limit = 20) {
-        return this.localDb.getMemoriesByCharacter(characterId, userId, limit);
+    async getMemoriesByCharacter(characterId, userId, limit = 20, filters = {}) {
+        return this.localDb.getMemoriesByCharacter(characterId, userId, limit, filters);
     }
 
     async getCharacterMemories(characterId, userId, limit = 20) {
@@ -644,8 +745,44 @@ class DatabaseService {
         return this.localDb.createMemory(characterId, userId, memoryData);
     }
 
-    async updateMemoryAccess(memoryId) {
-        return this.localDb.updateMemoryAccess(memoryId);
+    async getMemory(memoryId, userId) {
+        return this.localDb.getMemory(memoryId, userId);
+    }
+
+    async updateMemory(memoryId, userId, updates) {
+        return this.localDb.updateMemory(memoryId, userId, updates);
+    }
+
+    async deleteMemory(memoryId, userId) {
+        return this.localDb.deleteMemory(memoryId, userId);
+    }
+
+    async getPinnedMemories(characterId, userId) {
+        return this.localDb.getPinnedMemories(characterId, userId);
+    }
+
+    async updateMemoryAccess(memoryId, userId) {
+        return this.localDb.updateMemoryAccess(memoryId, userId);
+    }
+
+    async deleteMemoriesBySourceMessage(messageId, userId) {
+        return this.localDb.deleteMemoriesBySourceMessage(messageId, userId);
+    }
+
+    async saveMemoryEmbedding(memoryId, model, vector) {
+        return this.localDb.saveMemoryEmbedding(memoryId, model, vector);
+    }
+
+    async getMemoryEmbeddings(characterId, userId, model) {
+        return this.localDb.getMemoryEmbeddings(characterId, userId, model);
+    }
+
+    async getMemoriesWithoutEmbedding(model, userId, limit) {
+        return this.localDb.getMemoriesWithoutEmbedding(model, userId, limit);
+    }
+
+    async getUsersWithUnembeddedMemories(model) {
+        return this.localDb.getUsersWithUnembeddedMemories(model);
     }
 
     async getCharacterRelationship(characterId, userId) {
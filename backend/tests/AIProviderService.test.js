@@ -0,0 +1,355 @@
+// ============================================================================
+// AIProviderService tests
+// Provider calls against a stubbed fetch: which key is decrypted and what
+// request body each provider is sent
+// backend/tests/AIProviderService.test.js
+// ============================================================================
+
+jest.mock('node-fetch', () => jest.fn());
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const fetch = require('node-fetch');
+const { Response } = jest.requireActual('node-fetch');
+
+process.env.API_KEY_MASTER_KEY = crypto.randomBytes(32).toString('base64');
+
+const AIProviderService = require('../services/AIProviderService');
+const ApiKeyEncryptionService = require('../services/ApiKeyEncryptionService');
+const InstructTemplateService = require('../services/InstructTemplateService');
+const { getInstance } = require('../services/LocalDatabaseService');
+const { AI_DEFAULTS } = require('../constants/defaults');
+
+const messages = [
+  { role: 'system', content: 'You are Ava.' },
+  { role: 'user', content: 'Hello' }
+];
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// The URL and parsed JSON body of the nth fetch call
+const sentRequest = (n = 0) => ({
+  url: fetch.mock.calls[n][0],
+  body: JSON.parse(fetch.mock.calls[n][1].body)
+});
+
+let tmpDir, localDb;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chait-providers-'));
+  localDb = getInstance(path.join(tmpDir, 'test.db'));
+});
+
+afterAll(() => {
+  localDb.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  fetch.mockReset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('API keys', () => {
+  // Sealed for openai but carrying another key's ciphertext, so it fails to authenticate
+  const unreadable = () => ({
+    ...ApiKeyEncryptionService.seal('sk-openai-1234', 'openai'),
+    data: ApiKeyEncryptionService.seal('sk-other-5678', 'openai').data
+  });
+
+  test('only the called provider\'s key is decrypted', async () => {
+    fetch.mockResolvedValue(jsonResponse({ content: [{ text: 'Hi!' }], usage: {} }));
+    const apiKeys = {
+      openai: unreadable(),
+      anthropic: ApiKeyEncryptionService.seal('sk-ant-abcd', 'anthropic')
+    };
+
+    const reply = await AIProviderService.generateResponse(
+      { ai_provider: 'anthropic', ai_model: 'claude-test' }, messages, apiKeys, {}, { maxRetries: 0 }
+    );
+
+    expect(reply).toBe('Hi!');
+    expect(fetch.mock.calls[0][1].headers['x-api-key']).toBe('sk-ant-abcd');
+  });
+
+  test('an unreadable key asks the user to re-enter it, for that provider only', async () => {
+    const attempts = [];
+
+    await expect(AIProviderService.generateResponse(
+      { ai_provider: 'openai', ai_model: 'gpt-test' },
+      messages,
+      { openai: unreadable(), anthropic: ApiKeyEncryptionService.seal('sk-ant-abcd', 'anthropic') },
+      {},
+      { maxRetries: 2, onAttempt: (attempt) => attempts.push(attempt) }
+    )).rejects.toThrow('The saved openai API key is unreadable; re-enter it in Settings');
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(attempts).toEqual([expect.objectContaining({ provider: 'openai', outcome: 'error', kind: 'auth' })]);
+  });
+
+  test('merge seals new keys and rejects anything but strings', () => {
+    const existing = { openai: ApiKeyEncryptionService.seal('sk-openai-1234', 'openai') };
+
+    const merged = ApiKeyEncryptionService.merge(
+      { openai: ApiKeyEncryptionService.mask(existing.openai), google: 'g-key-9876' },
+      existing
+    );
+    expect(merged.openai).toBe(existing.openai);
+    expect(merged.google).toMatchObject({ v: 1, last4: '9876' });
+    expect(ApiKeyEncryptionService.merge({ openai: '' }, existing)).toEqual({});
+
+    for (const value of [existing.openai, null, 42]) {
+      let error;
+      try {
+        ApiKeyEncryptionService.merge({ openai: value }, existing);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).toMatchObject({ statusCode: 400, message: 'API key for openai must be a string' });
+    }
+  });
+});
+
+describe('callOllama', () => {
+  const reply = { message: { role: 'assistant', content: ' Hi there! ' }, prompt_eval_count: 42, eval_count: 7 };
+
+  test('sends the chat to /api/chat with sampling parameters in options', async () => {
+    fetch.mockResolvedValue(jsonResponse(reply));
+    const character = {
+      temperature: 0.6,
+      max_tokens: 300,
+      context_window: 16384,
+      top_p: 0.9,
+      frequency_penalty: 0.2,
+      presence_penalty: 0.1,
+      repetition_penalty: 1.15,
+      stop_sequences: ['\nSam:']
+    };
+
+    await AIProviderService.callOllama('llama3', messages, { baseUrl: 'http://gpu-box:11434', keepAlive: '30m', seed: '7' }, character);
+
+    const { url, body } = sentRequest();
+    expect(url).toBe('http://gpu-box:11434/api/chat');
+    expect(body).toEqual({
+      model: 'llama3',
+      messages,
+      stream: false,
+      keep_alive: '30m',
+      options: {
+        temperature: 0.6,
+        num_predict: 300,
+        num_ctx: 16384,
+        top_p: 0.9,
+        frequency_penalty: 0.2,
+        presence_penalty: 0.1,
+        repeat_penalty: 1.15,
+        stop: ['\nSam:'],
+        seed: 7
+      }
+    });
+  });
+
+  test('leaves unset parameters out and falls back to the defaults', async () => {
+    fetch.mockResolvedValue(jsonResponse(reply));
+
+    await AIProviderService.callOllama('llama3', messages, { seed: 'random' }, {});
+
+    const { url, body } = sentRequest();
+    expect(url).toBe('http://localhost:11434/api/chat');
+    expect(body.keep_alive).toBe('5m');
+    expect(body.options).toEqual({
+      temperature: 0.8,
+      num_predict: 150,
+      num_ctx: AI_DEFAULTS.CONTEXT_WINDOW
+    });
+  });
+
+  test('maps every non-system, non-user role to assistant', async () => {
+    fetch.mockResolvedValue(jsonResponse(reply));
+
+    await AIProviderService.callOllama('llama3', [
+      { role: 'system', content: 'Scene: a cafe' },
+      { role: 'user', content: 'Hi both' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'character', content: 'Hey.' }
+    ], {}, {});
+
+    expect(sentRequest().body.messages.map(m => m.role)).toEqual(['system', 'user', 'assistant', 'assistant']);
+  });
+
+  test('returns the trimmed reply and reports token usage', async () => {
+    fetch.mockResolvedValue(jsonResponse(reply));
+    const onUsage = jest.fn();
+
+    const text = await AIProviderService.callOllama('llama3', messages, {}, {}, null, onUsage);
+
+    expect(text).toBe('Hi there!');
+    expect(onUsage).toHaveBeenCalledWith({ prompt_tokens: 42, completion_tokens: 7 });
+  });
+
+  test('streams newline-delimited chunks', async () => {
+    const chunks = [
+      { message: { content: 'Hi ' }, done: false },
+      { message: { content: 'there' }, done: false },
+      { message: { content: '' }, done: true, prompt_eval_count: 42, eval_count: 2 }
+    ];
+    fetch.mockResolvedValue(new Response(Readable.from(chunks.map(chunk => Buffer.from(`${JSON.stringify(chunk)}\n`)))));
+    const tokens = [];
+    const onUsage = jest.fn();
+
+    const text = await AIProviderService.callOllama('llama3', messages, {}, {}, (token) => tokens.push(token), onUsage);
+
+    expect(sentRequest().body.stream).toBe(true);
+    expect(tokens).toEqual(['Hi ', 'there']);
+    expect(text).toBe('Hi there');
+    expect(onUsage).toHaveBeenCalledWith({ prompt_tokens: 42, completion_tokens: 2 });
+  });
+
+  test('surfaces Ollama\'s error message with the status', async () => {
+    fetch.mockResolvedValue(jsonResponse({ error: 'model "llama9" not found' }, 404));
+
+    await expect(AIProviderService.callOllama('llama9', messages, {}, {}))
+      .rejects.toMatchObject({ message: 'Ollama error: model "llama9" not found', providerStatus: 404 });
+  });
+});
+
+describe('instruct templates', () => {
+  const character = { user_id: 'user-templates', instruct_template: 'chatml', stop_sequences: ['\nSam:'] };
+
+  test('Ollama sends the rendered prompt raw to /api/generate', async () => {
+    fetch.mockResolvedValue(jsonResponse({ response: ' Hi! ', prompt_eval_count: 30, eval_count: 2 }));
+
+    const text = await AIProviderService.callOllama('qwen2', messages, {}, character);
+
+    const { url, body } = sentRequest();
+    expect(url).toBe('http://localhost:11434/api/generate');
+    expect(body).toMatchObject({
+      model: 'qwen2',
+      prompt: InstructTemplateService.render(InstructTemplateService.resolve('chatml'), messages),
+      raw: true,
+      options: { stop: ['<|im_end|>', '<|im_start|>', '\nSam:'] }
+    });
+    expect(body.messages).toBeUndefined();
+    expect(text).toBe('Hi!');
+  });
+
+  test('LM Studio sends the rendered prompt to /v1/completions', async () => {
+    fetch.mockResolvedValue(jsonResponse({ choices: [{ text: ' Hi! ' }], usage: { prompt_tokens: 30, completion_tokens: 2 } }));
+
+    const text = await AIProviderService.callLMStudio('llama-3.1-8b', messages, { baseUrl: 'http://localhost:1234' },
+      { ...character, instruct_template: 'llama3' });
+
+    const { url, body } = sentRequest();
+    expect(url).toBe('http://localhost:1234/v1/completions');
+    expect(body).toMatchObject({
+      model: 'llama-3.1-8b',
+      prompt: InstructTemplateService.render(InstructTemplateService.resolve('llama3'), messages),
+      stop: ['<|eot_id|>', '<|end_of_text|>', '\nSam:']
+    });
+    expect(body.messages).toBeUndefined();
+    expect(text).toBe('Hi!');
+  });
+
+  test('a user template is looked up for the character\'s owner', async () => {
+    const template = localDb.createInstructTemplate('user-templates', {
+      name: 'Plain',
+      user_prefix: 'You: ',
+      user_suffix: '\n',
+      assistant_prefix: 'Ava:',
+      merge_system: true,
+      stop_sequences: ['You:']
+    });
+    fetch.mockResolvedValue(jsonResponse({ response: 'Hi!' }));
+
+    await AIProviderService.callOllama('llama3', messages, {}, { ...character, instruct_template: template.id });
+
+    expect(sentRequest().body).toMatchObject({
+      prompt: 'You: You are Ava.\n\nHello\nAva:',
+      raw: true,
+      options: { stop: ['You:', '\nSam:'] }
+    });
+  });
+
+  test('a template that no longer exists falls back to the chat endpoints', async () => {
+    const deleted = { ...character, instruct_template: 'no-such-template' };
+    fetch.mockResolvedValueOnce(jsonResponse({ message: { content: 'Hi!' } }));
+    fetch.mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'Hi!' } }] }));
+
+    await AIProviderService.callOllama('llama3', messages, {}, deleted);
+    await AIProviderService.callLMStudio('llama-3.1-8b', messages, {}, deleted);
+
+    const ollama = sentRequest(0);
+    expect(ollama.url).toBe('http://localhost:11434/api/chat');
+    expect(ollama.body).toMatchObject({ messages, options: { stop: ['\nSam:'] } });
+    expect(ollama.body.raw).toBeUndefined();
+
+    const lmStudio = sentRequest(1);
+    expect(lmStudio.url).toBe('http://localhost:1234/v1/chat/completions');
+    expect(lmStudio.body).toMatchObject({ messages, stop: ['\nSam:'] });
+    expect(lmStudio.body.prompt).toBeUndefined();
+  });
+});
+
+describe('custom model presets', () => {
+  test('a retried preset adds its system prompt once and leaves the caller\'s messages alone', async () => {
+    const preset = localDb.createCustomModel('user-presets', {
+      name: 'rhymer',
+      provider: 'ollama',
+      model_id: 'llama3',
+      custom_system_prompt: 'Speak in rhyme.'
+    });
+    const original = messages.map(m => ({ ...m }));
+    fetch
+      .mockResolvedValueOnce(new Response(JSON.stringify({ error: 'busy' }), { status: 500, headers: { 'Retry-After': '0' } }))
+      .mockResolvedValueOnce(jsonResponse({ message: { content: 'Hi!' } }));
+
+    const reply = await AIProviderService.generateResponse(
+      { ai_provider: 'custom', ai_model: preset.id, user_id: 'user-presets' }, messages, {}, {}, { maxRetries: 1 }
+    );
+
+    expect(reply).toBe('Hi!');
+    expect(fetch).toHaveBeenCalledTimes(2);
+    for (const n of [0, 1]) {
+      expect(sentRequest(n).body.messages[0].content).toBe('You are Ava.\n\nSpeak in rhyme.');
+    }
+    expect(messages).toEqual(original);
+  });
+});
+
+describe('circuit breaker', () => {
+  const refused = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  const ollama = { ai_provider: 'ollama', ai_model: 'llama3' };
+
+  test('one user\'s stopped Ollama server does not skip another user\'s', async () => {
+    fetch.mockImplementation(async (url) => {
+      if (url.startsWith('http://sam-laptop:11434')) throw refused();
+      return jsonResponse({ message: { content: 'Hi!' } });
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const samSettings = { baseUrl: 'http://sam-laptop:11434' };
+
+    for (let i = 0; i < 3; i++) {
+      await expect(AIProviderService.generateResponse(ollama, messages, {}, samSettings, { maxRetries: 0 })).rejects.toThrow();
+    }
+    const skipped = [];
+    await expect(AIProviderService.generateResponse(ollama, messages, {}, samSettings, {
+      maxRetries: 0,
+      onAttempt: (attempt) => skipped.push(attempt.outcome)
+    })).rejects.toThrow();
+    expect(skipped).toEqual(['skipped']);
+
+    const reply = await AIProviderService.generateResponse(ollama, messages, {}, { baseUrl: 'http://alex-desktop:11434' }, { maxRetries: 0 });
+    expect(reply).toBe('Hi!');
+  });
+});
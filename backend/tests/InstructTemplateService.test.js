@@ -0,0 +1,148 @@
+// ============================================================================
+// InstructTemplateService tests
+// Rendering chats into raw prompts for each built-in format, user templates
+// and stop sequences
+// backend/tests/InstructTemplateService.test.js
+// ============================================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const InstructTemplateService = require('../services/InstructTemplateService');
+const { getInstance } = require('../services/LocalDatabaseService');
+const { INSTRUCT_TEMPLATES } = require('../constants/defaults');
+
+const chat = [
+  { role: 'system', content: 'You are Ava.' },
+  { role: 'user', content: 'Hi' },
+  { role: 'assistant', content: 'Hello!' },
+  { role: 'user', content: 'How are you?' }
+];
+
+let tmpDir, localDb;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chait-templates-'));
+  localDb = getInstance(path.join(tmpDir, 'test.db'));
+});
+
+afterAll(() => {
+  localDb.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('render', () => {
+  const expected = {
+    chatml:
+      '<|im_start|>system\nYou are Ava.<|im_end|>\n' +
+      '<|im_start|>user\nHi<|im_end|>\n' +
+      '<|im_start|>assistant\nHello!<|im_end|>\n' +
+      '<|im_start|>user\nHow are you?<|im_end|>\n' +
+      '<|im_start|>assistant\n',
+    llama3:
+      '<|start_header_id|>system<|end_header_id|>\n\nYou are Ava.<|eot_id|>' +
+      '<|start_header_id|>user<|end_header_id|>\n\nHi<|eot_id|>' +
+      '<|start_header_id|>assistant<|end_header_id|>\n\nHello!<|eot_id|>' +
+      '<|start_header_id|>user<|end_header_id|>\n\nHow are you?<|eot_id|>' +
+      '<|start_header_id|>assistant<|end_header_id|>\n\n',
+    mistral:
+      '[INST] You are Ava.\n\nHi [/INST] Hello!</s>' +
+      '[INST] How are you? [/INST]',
+    alpaca:
+      'You are Ava.\n\n' +
+      '### Instruction:\nHi\n\n' +
+      '### Response:\nHello!\n\n' +
+      '### Instruction:\nHow are you?\n\n' +
+      '### Response:\n',
+    vicuna:
+      'You are Ava.\n\n' +
+      'USER: Hi\n' +
+      'ASSISTANT: Hello!</s>\n' +
+      'USER: How are you?\n' +
+      'ASSISTANT:',
+    gemma:
+      '<start_of_turn>user\nYou are Ava.\n\nHi<end_of_turn>\n' +
+      '<start_of_turn>model\nHello!<end_of_turn>\n' +
+      '<start_of_turn>user\nHow are you?<end_of_turn>\n' +
+      '<start_of_turn>model\n'
+  };
+
+  test('every built-in template has a rendering check', () => {
+    expect(Object.keys(expected).sort()).toEqual(Object.keys(INSTRUCT_TEMPLATES).sort());
+  });
+
+  test.each(Object.entries(expected))('%s', (id, prompt) => {
+    expect(InstructTemplateService.render(InstructTemplateService.resolve(id), chat)).toBe(prompt);
+  });
+
+  test('replies in any role other than system and user are assistant turns', () => {
+    const template = InstructTemplateService.resolve('chatml');
+
+    expect(InstructTemplateService.render(template, [{ role: 'character', content: 'Hey.' }]))
+      .toBe('<|im_start|>assistant\nHey.<|im_end|>\n<|im_start|>assistant\n');
+  });
+
+  test('merge_system joins every system message into the first user turn', () => {
+    const template = { user_prefix: '<u>', user_suffix: '</u>', assistant_prefix: '<a>', merge_system: true };
+
+    expect(InstructTemplateService.render(template, [
+      { role: 'system', content: 'Rules.' },
+      { role: 'user', content: 'Hi' },
+      { role: 'system', content: 'Scene: a cafe' }
+    ])).toBe('<u>Rules.\n\nScene: a cafe\n\nHi</u><a>');
+  });
+
+  test('merge_system turns a lone system prompt into a user turn', () => {
+    const template = { user_prefix: '<u>', user_suffix: '</u>', assistant_prefix: '<a>', merge_system: true };
+
+    expect(InstructTemplateService.render(template, [{ role: 'system', content: 'Rules.' }])).toBe('<u>Rules.</u><a>');
+  });
+
+  test('missing fields render as empty strings', () => {
+    expect(InstructTemplateService.render({ user_prefix: 'Q: ', assistant_prefix: 'A:' }, [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Why?' }
+    ])).toBe('Be brief.Q: Why?A:');
+  });
+});
+
+describe('stopSequences', () => {
+  test('adds the character\'s stops to the template\'s, without duplicates or blanks', () => {
+    const template = InstructTemplateService.resolve('chatml');
+
+    expect(InstructTemplateService.stopSequences(template, ['\nSam:', '<|im_end|>', '', 7]))
+      .toEqual(['<|im_end|>', '<|im_start|>', '\nSam:']);
+  });
+
+  test('works with either side missing', () => {
+    expect(InstructTemplateService.stopSequences(null, ['\nSam:'])).toEqual(['\nSam:']);
+    expect(InstructTemplateService.stopSequences({ stop_sequences: ['END'] }, 'not a list')).toEqual(['END']);
+  });
+});
+
+describe('resolve', () => {
+  test('finds built-ins by id', () => {
+    expect(InstructTemplateService.resolve('gemma')).toMatchObject({ id: 'gemma', name: 'Gemma', is_builtin: true });
+    expect(InstructTemplateService.resolve(null)).toBeNull();
+  });
+
+  test('finds the user\'s own templates, and nothing for a bad id or another user', () => {
+    const created = localDb.createInstructTemplate('user-a', {
+      name: 'Pygmalion',
+      user_prefix: 'You: ',
+      user_suffix: '\n',
+      assistant_prefix: 'Ava: ',
+      merge_system: true,
+      stop_sequences: ['You:']
+    });
+
+    const template = InstructTemplateService.resolve(created.id, 'user-a');
+    expect(template).toMatchObject({ name: 'Pygmalion', merge_system: true, stop_sequences: ['You:'], is_builtin: false });
+    expect(InstructTemplateService.render(template, chat.slice(0, 2))).toBe('You: You are Ava.\n\nHi\nAva:');
+
+    expect(InstructTemplateService.resolve(created.id, 'user-b')).toBeNull();
+    expect(InstructTemplateService.resolve('no-such-template', 'user-a')).toBeNull();
+  });
+});
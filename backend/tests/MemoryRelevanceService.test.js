@@ -0,0 +1,188 @@
+// ============================================================================
+// MemoryRelevanceService tests
+// How memories are scored against a message and picked for the prompt
+// backend/tests/MemoryRelevanceService.test.js
+// ============================================================================
+
+const MemoryRelevanceService = require('../services/MemoryRelevanceService');
+const EmbeddingService = require('../services/EmbeddingService');
+const { EMBEDDING_DEFAULTS } = require('../constants/defaults');
+const { memory } = require('./helpers/fixtures');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('extractKeywords', () => {
+  test('drops stop words, short words and numbers', () => {
+    expect(MemoryRelevanceService.extractKeywords('I would love to visit the Alps in 2025 with you'))
+      .toEqual(['love', 'visit', 'alps']);
+  });
+
+  test('handles missing text', () => {
+    expect(MemoryRelevanceService.extractKeywords(null)).toEqual([]);
+    expect(MemoryRelevanceService.extractKeywords(42)).toEqual([]);
+  });
+});
+
+describe('calculateRelevance', () => {
+  const score = (overrides, message, context, similarity) =>
+    MemoryRelevanceService.calculateRelevance(memory(overrides), message, context, similarity);
+
+  test('shared keywords score 0.15 each', () => {
+    expect(score({}, 'Want to go hiking in the mountains?')).toBeCloseTo(0.3);
+  });
+
+  test('keyword score is capped at 0.5', () => {
+    const content = 'hiking mountains trails summit forest river';
+    expect(score({ content }, content)).toBeCloseTo(0.5);
+  });
+
+  test('an unrelated message scores nothing', () => {
+    expect(score({}, 'Pass the salt please')).toBe(0);
+  });
+
+  test('recently accessed memories get a bonus that fades', () => {
+    const message = 'Pass the salt please';
+    expect(score({ last_accessed: daysAgo(0) }, message)).toBeCloseTo(0.3);
+    expect(score({ last_accessed: daysAgo(3) }, message)).toBeCloseTo(0.2);
+    expect(score({ last_accessed: daysAgo(14) }, message)).toBeCloseTo(0.1);
+    expect(score({ last_accessed: daysAgo(60) }, message)).toBe(0);
+  });
+
+  test('active topics in the memory add 0.1 each', () => {
+    const context = { active_topics: ['hiking', 'mountains', 'cooking'] };
+    expect(score({}, 'Pass the salt please', context)).toBeCloseTo(0.2);
+  });
+
+  test('preferences and facts are favoured', () => {
+    expect(score({ memory_type: 'preference' }, 'Pass the salt please')).toBeCloseTo(0.1);
+  });
+
+  test('emotional memories count in intense conversations', () => {
+    const overrides = { memory_type: 'emotional_event' };
+    expect(score(overrides, 'Pass the salt please', { emotional_intensity: 0.9 })).toBeCloseTo(0.2);
+    expect(score(overrides, 'Pass the salt please', { emotional_intensity: 0.3 })).toBe(0);
+  });
+
+  test('semantic similarity replaces keywords when it scores higher', () => {
+    expect(score({}, 'Pass the salt please', {}, 0.9)).toBeCloseTo(0.9 * EMBEDDING_DEFAULTS.SEMANTIC_WEIGHT);
+    // 0.1 * weight is below the 0.3 keyword score
+    expect(score({}, 'Want to go hiking in the mountains?', {}, 0.1)).toBeCloseTo(0.3);
+  });
+
+  test('the total is capped at 1', () => {
+    const content = 'hiking mountains trails summit forest river';
+    const context = { active_topics: ['hiking', 'mountains', 'trails', 'summit'] };
+    expect(score({ content, memory_type: 'preference', last_accessed: daysAgo(0) }, content, context)).toBe(1);
+  });
+});
+
+describe('areSimilar and consolidateMemories', () => {
+  test('memories sharing most keywords are similar', () => {
+    expect(MemoryRelevanceService.areSimilar('User loves hiking mountains', 'User loves hiking mountains often')).toBe(true);
+    expect(MemoryRelevanceService.areSimilar('User loves hiking mountains', 'User owns a black cat')).toBe(false);
+  });
+
+  test('five or fewer memories are left alone', () => {
+    const memories = Array.from({ length: 5 }, (_, i) => memory({ id: `m${i}` }));
+    expect(MemoryRelevanceService.consolidateMemories(memories)).toBe(memories);
+  });
+
+  test('similar memories merge, keeping the highest importance', () => {
+    const memories = [
+      memory({ id: 'a', content: 'User loves hiking mountains', importance_score: 0.4 }),
+      memory({ id: 'b', content: 'User loves hiking mountains often', importance_score: 0.9 }),
+      memory({ id: 'c', content: 'User owns a black cat' }),
+      memory({ id: 'd', content: 'User works night shifts' }),
+      memory({ id: 'e', content: 'User speaks fluent Portuguese' }),
+      memory({ id: 'f', content: 'User collects vinyl records' })
+    ];
+
+    const consolidated = MemoryRelevanceService.consolidateMemories(memories);
+
+    expect(consolidated.map(m => m.id)).toEqual(['a', 'c', 'd', 'e', 'f']);
+    expect(consolidated[0].importance_score).toBe(0.9);
+  });
+});
+
+describe('getRelevantMemories', () => {
+  function memoryServiceWith({ pinned = [], recent = [] }) {
+    return {
+      db: {
+        getPinnedMemories: jest.fn(async () => pinned),
+        getMemoriesAcrossSessions: jest.fn(async () => recent),
+        updateMemoryAccess: jest.fn()
+      }
+    };
+  }
+
+  beforeEach(() => {
+    // No embedder: keyword scoring only
+    jest.spyOn(EmbeddingService, 'rankMemories').mockResolvedValue(null);
+  });
+
+  test('orders by importance and relevance, within the limit', async () => {
+    const service = memoryServiceWith({
+      recent: [
+        memory({ id: 'salt', content: 'User dislikes salty food', importance_score: 0.9 }),
+        memory({ id: 'hike', content: 'User enjoys hiking in the mountains', importance_score: 0.6 }),
+        memory({ id: 'cat', content: 'User owns a black cat', importance_score: 0.2 })
+      ]
+    });
+
+    const result = await MemoryRelevanceService.getRelevantMemories(
+      service, 'char-ava', 'user-a', 'Shall we go hiking in the mountains?', {}, 2
+    );
+
+    // hike: 0.6 * 0.4 + 0.3 * 0.6 = 0.42; salt: 0.9 * 0.4 = 0.36
+    expect(result.map(m => m.id)).toEqual(['hike', 'salt']);
+    expect(result[0].relevance_score).toBeCloseTo(0.3);
+  });
+
+  test('pinned memories come first, on top of the limit', async () => {
+    const service = memoryServiceWith({
+      pinned: [memory({ id: 'pin', content: 'User is allergic to peanuts', is_pinned: 1 })],
+      recent: [
+        memory({ id: 'pin', content: 'User is allergic to peanuts', is_pinned: 1 }),
+        memory({ id: 'hike' })
+      ]
+    });
+
+    const result = await MemoryRelevanceService.getRelevantMemories(service, 'char-ava', 'user-a', 'hello', {}, 1);
+
+    expect(result.map(m => m.id)).toEqual(['pin', 'hike']);
+  });
+
+  test('records access unless asked not to', async () => {
+    const service = memoryServiceWith({ recent: [memory({ id: 'hike' })] });
+
+    await MemoryRelevanceService.getRelevantMemories(service, 'char-ava', 'user-a', 'hello', {});
+    expect(service.db.updateMemoryAccess).toHaveBeenCalledWith('hike', 'user-a');
+
+    service.db.updateMemoryAccess.mockClear();
+    await MemoryRelevanceService.getRelevantMemories(service, 'char-ava', 'user-a', 'hello', {}, null, { trackAccess: false });
+    expect(service.db.updateMemoryAccess).not.toHaveBeenCalled();
+  });
+
+  test('close semantic matches outside the recency window are considered', async () => {
+    EmbeddingService.rankMemories.mockResolvedValue([
+      { ...memory({ id: 'old', content: 'User grew up near the sea' }), similarity: 0.95 }
+    ]);
+    const service = memoryServiceWith({ recent: [memory({ id: 'cat', content: 'User owns a black cat' })] });
+
+    const result = await MemoryRelevanceService.getRelevantMemories(service, 'char-ava', 'user-a', 'Tell me about the ocean', {});
+
+    expect(result[0].id).toBe('old');
+    expect(result[0].relevance_score).toBeCloseTo(0.95 * EMBEDDING_DEFAULTS.SEMANTIC_WEIGHT);
+    expect(result[0]).not.toHaveProperty('similarity');
+  });
+
+  test('returns nothing when the character has no memories', async () => {
+    const service = memoryServiceWith({});
+    expect(await MemoryRelevanceService.getRelevantMemories(service, 'char-ava', 'user-a', 'hello', {})).toEqual([]);
+  });
+});
@@ -0,0 +1,110 @@
+// ============================================================================
+// MemoryService tests
+// Pattern-based memory extraction and relationship updates
+// backend/tests/MemoryService.test.js
+// ============================================================================
+
+const MemoryService = require('../services/MemoryService');
+
+const memoryService = new MemoryService(null);
+
+const analyze = (userMessage, response = 'Okay.') =>
+  memoryService.analyzeConversationForMemories(userMessage, response, { name: 'Sam' }, 'user-a');
+
+const byType = (memories, type) => memories.filter(m => m.type === type);
+
+describe('analyzeConversationForMemories', () => {
+  test('names are remembered as identity', () => {
+    const [identity] = byType(analyze('Hi there, my name is Sam'), 'identity');
+
+    expect(identity).toEqual({
+      type: 'identity',
+      content: 'User identity: my name is Sam',
+      importance_score: 0.9,
+      target_entity: 'user-a'
+    });
+  });
+
+  test('nicknames are remembered as identity', () => {
+    const [identity] = byType(analyze('Everyone calls me Sammy, you can call me Sammy too'), 'identity');
+    expect(identity.content).toBe('User identity: call me Sammy');
+  });
+
+  test.each([
+    ["I'm 31 years old", 'demographic', 0.8],
+    ['I work as a nurse', 'profession', 0.8],
+    ['I live in Lisbon', 'location', 0.7],
+    ["I'm from Porto", 'origin', 0.7],
+    ['I feel worried about tomorrow', 'emotion', 0.7],
+    ['My goal is to run a marathon', 'goal', 0.8],
+    ['I hate loud music', 'preference', 0.6],
+    ['I am interested in astronomy.', 'interest', 0.7],
+    ["I'm learning Japanese.", 'activity', 0.6]
+  ])('"%s" is remembered as %s', (message, type, importance) => {
+    const memory = byType(analyze(message), type)[0];
+
+    expect(memory).toBeDefined();
+    expect(memory.importance_score).toBe(importance);
+    expect(memory.content.startsWith(`User ${type}: `)).toBe(true);
+  });
+
+  test('one message can produce several memories', () => {
+    const types = analyze('My name is Sam and I live in Lisbon').map(m => m.type);
+    expect(types).toEqual(expect.arrayContaining(['identity', 'location', 'personal_fact']));
+  });
+
+  test('short small talk is not remembered', () => {
+    expect(analyze('Nice weather today.')).toEqual([]);
+  });
+
+  test('long messages without facts are kept as a low-importance summary', () => {
+    const message = 'Well, the ferry was late again this morning and the whole harbor smelled of rain and diesel.';
+    const memories = analyze(message);
+
+    expect(memories).toEqual([{
+      type: 'conversation',
+      content: `Discussed: ${message.substring(0, 100)}`,
+      importance_score: 0.2,
+      target_entity: 'user-a'
+    }]);
+  });
+
+  test('an understanding reply makes memories more important', () => {
+    const [plain] = byType(analyze('I live in Lisbon'), 'location');
+    const [boosted] = byType(analyze('I live in Lisbon', 'That makes sense, it is lovely there.'), 'location');
+
+    expect(boosted.importance_score).toBeCloseTo(plain.importance_score + 0.1);
+  });
+
+  test('boosted importance never exceeds 1', () => {
+    const [identity] = byType(analyze('My name is Sam', 'I understand.'), 'identity');
+    expect(identity.importance_score).toBe(1);
+  });
+});
+
+describe('calculateRelationshipUpdate', () => {
+  const stranger = { trust_level: 0.5, familiarity_level: 0, emotional_bond: 0, interaction_count: 0 };
+
+  test('every exchange adds familiarity and counts the interaction', () => {
+    const update = memoryService.calculateRelationshipUpdate(stranger, 'Nice weather today.', 'Sure is.');
+
+    expect(update.familiarity_level).toBeCloseTo(0.05);
+    expect(update.interaction_count).toBe(1);
+    expect(update.relationship_type).toBe('stranger');
+  });
+
+  test('thanks and personal sharing build trust and warmth', () => {
+    const update = memoryService.calculateRelationshipUpdate(stranger, 'Thanks, I feel much better now', 'Glad to help.');
+
+    expect(update.emotional_bond).toBeCloseTo(0.15);
+    expect(update.trust_level).toBeCloseTo(0.68);
+    expect(update.familiarity_level).toBeCloseTo(0.13);
+  });
+
+  test('values stay within bounds', () => {
+    const close = { trust_level: 0.99, familiarity_level: 0.99, emotional_bond: 0.99, interaction_count: 41 };
+    const update = memoryService.calculateRelationshipUpdate(close, 'Thank you, I think you are amazing', 'Glad to help.');
+
+    expect(update).toMatchObject({ trust_level: 1, familiarity_level: 1, emotional_bond: 1, relationship_type: 'best_friend' });
+  });
+});
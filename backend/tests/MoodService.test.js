@@ -0,0 +1,48 @@
+// ============================================================================
+// MoodService tests
+// Reading a mood from a reply and carrying it through a session
+// backend/tests/MoodService.test.js
+// ============================================================================
+
+const MoodService = require('../services/MoodService');
+
+describe('detectMood', () => {
+  test('reads the mood from words and stage directions', () => {
+    expect(MoodService.detectMood('*smiles* That is wonderful news.')).toEqual({ mood: 'happy', intensity: 0.55 });
+    expect(MoodService.detectMood('*glares* How dare you.')).toMatchObject({ mood: 'angry' });
+    expect(MoodService.detectMood("I'm a little worried about tonight.")).toMatchObject({ mood: 'anxious' });
+  });
+
+  test('exclamations and shouting make it stronger', () => {
+    const calm = MoodService.detectMood('I am so excited.');
+    const loud = MoodService.detectMood('I am so EXCITED!!');
+
+    expect(calm.intensity).toBe(0.4);
+    expect(loud.intensity).toBe(0.7);
+  });
+
+  test('matches whole words only, and plain text shows no mood', () => {
+    expect(MoodService.detectMood('The shop sells greatcoats.')).toBeNull();
+    expect(MoodService.detectMood('The train leaves at nine.')).toBeNull();
+    expect(MoodService.detectMood('')).toBeNull();
+  });
+});
+
+describe('blend', () => {
+  test('a first reply sets the mood', () => {
+    expect(MoodService.blend(null, { mood: 'sad', intensity: 0.4 })).toEqual({ mood: 'sad', intensity: 0.4 });
+  });
+
+  test('a mood that holds builds up, and a new one takes over', () => {
+    const building = MoodService.blend({ mood: 'sad', intensity: 0.4 }, { mood: 'sad', intensity: 0.6 });
+    expect(building).toEqual({ mood: 'sad', intensity: 0.6 });
+
+    expect(MoodService.blend(building, { mood: 'happy', intensity: 0.5 })).toEqual({ mood: 'happy', intensity: 0.5 });
+  });
+
+  test('a reply with no mood lets it fade to neutral', () => {
+    expect(MoodService.blend({ mood: 'angry', intensity: 0.8 }, null)).toEqual({ mood: 'angry', intensity: 0.7 });
+    expect(MoodService.blend({ mood: 'angry', intensity: 0.35 }, null)).toEqual({ mood: 'neutral', intensity: 0.5 });
+    expect(MoodService.blend(null, null)).toEqual({ mood: 'neutral', intensity: 0.5 });
+  });
+});
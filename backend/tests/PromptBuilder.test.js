@@ -0,0 +1,254 @@
+// ============================================================================
+// PromptBuilder tests
+// Which layers make up a character's system prompt, and in what order
+// backend/tests/PromptBuilder.test.js
+// ============================================================================
+
+const PromptBuilder = require('../services/PromptBuilder');
+const { serviceCharacters, memory } = require('./helpers/fixtures');
+
+let builder, ava, bo;
+
+beforeEach(() => {
+  builder = new PromptBuilder();
+  [ava, bo] = serviceCharacters();
+});
+
+const layerNames = (config) => builder.buildLayers(config).map(layer => layer.name);
+const layerText = (config, name) => builder.buildLayers(config).find(layer => layer.name === name)?.text;
+
+describe('buildLayers', () => {
+  test('a bare character gets only the required layers', () => {
+    const layers = builder.buildLayers({ character: ava });
+
+    expect(layers.map(layer => layer.name)).toEqual(['base', 'character', 'instructions']);
+    expect(layers.every(layer => layer.required)).toBe(true);
+  });
+
+  test('every layer appears in prompt order', () => {
+    const names = layerNames({
+      character: ava,
+      userPersona: { name: 'Sam' },
+      userRelationship: { relationship_type: 'friend', trust_level: 0.6, familiarity_level: 0.5, emotional_bond: 0.4 },
+      memories: [memory()],
+      scene: { name: 'Harbor Cafe' },
+      lorebooks: [{ scan_depth: 4, entries: [{ id: 1, keys: ['harbor'], content: 'The harbor closes at midnight.', insertion_order: 0 }] }],
+      recentMessages: ['Meet me at the harbor'],
+      sessionContinuity: { days_since_last_chat: 1 },
+      sessionSummary: 'Sam and Ava planned a hike.',
+      currentMood: { mood: 'curious', intensity: 0.5 },
+      directorNotes: ['Keep it light']
+    });
+
+    expect(names).toEqual([
+      'base', 'character', 'relationship', 'memory', 'scene', 'lore', 'continuity', 'summary', 'mood', 'direction', 'instructions'
+    ]);
+  });
+
+  test('optional layers are marked so the budgeter can trim them', () => {
+    const layers = builder.buildLayers({ character: ava, scene: { name: 'Harbor Cafe' } });
+    expect(layers.find(layer => layer.name === 'scene').required).toBe(false);
+  });
+
+  test('buildSystemPrompt joins the layers', () => {
+    const config = { character: ava, scene: { name: 'Harbor Cafe' } };
+    const texts = builder.buildLayers(config).map(layer => layer.text);
+
+    expect(builder.buildSystemPrompt(config)).toBe(texts.join('\n\n'));
+  });
+});
+
+describe('base layer', () => {
+  test('names the character', () => {
+    expect(layerText({ character: ava }, 'base')).toBe('You are Ava.');
+  });
+
+  test('the admin prompt comes first without replacing the identity', () => {
+    expect(layerText({ character: ava, adminSystemPrompt: '  Keep it PG.  ' }, 'base'))
+      .toBe('Keep it PG.\n\nYou are Ava.');
+  });
+});
+
+describe('memory layer', () => {
+  test('lists memories about the persona, pinned first', () => {
+    const text = layerText({
+      character: ava,
+      userPersona: { name: 'Sam' },
+      memories: [
+        memory({ content: 'User enjoys hiking in the mountains' }),
+        memory({ content: 'User is allergic to peanuts', is_pinned: 1 })
+      ]
+    }, 'memory');
+
+    expect(text).toBe(
+      'WHAT YOU REMEMBER ABOUT SAM:\n' +
+      '- User is allergic to peanuts\n' +
+      '- User enjoys hiking in the mountains\n'
+    );
+  });
+
+  test('keeps at most eight memories', () => {
+    const memories = Array.from({ length: 12 }, (_, i) => memory({ content: `Fact ${i}` }));
+    const text = layerText({ character: ava, memories }, 'memory');
+
+    expect(text.match(/^- /gm)).toHaveLength(8);
+    expect(text).not.toContain('Fact 8');
+  });
+
+  test('includes what the character remembers about others in the scene', () => {
+    const text = layerText({
+      character: ava,
+      memories: [memory()],
+      otherCharacters: [bo],
+      characterMemories: { [bo.id]: [{ content: 'Bo cried at the end of Casablanca' }] }
+    }, 'memory');
+
+    expect(text).toContain('About Bo:\n- Bo cried at the end of Casablanca');
+  });
+});
+
+describe('scene layer', () => {
+  test('describes the location and its rules', () => {
+    const text = layerText({
+      character: ava,
+      scene: {
+        name: 'Harbor Cafe',
+        description: 'A quiet cafe overlooking the harbor',
+        atmosphere: 'calm',
+        context_rules: { formality_required: 0.9 },
+        character_modifiers: { [ava.id]: 'You own this place' }
+      }
+    }, 'scene');
+
+    expect(text).toBe(
+      'CURRENT SCENE:\n' +
+      'Location: Harbor Cafe\n' +
+      'A quiet cafe overlooking the harbor\n' +
+      'Atmosphere: calm\n' +
+      'Note: This is a formal setting - adjust your behavior accordingly\n' +
+      '\nNote for you: You own this place\n'
+    );
+  });
+
+  test('lists the newest recent events', () => {
+    const events = ['one', 'two', 'three', 'four', 'five', 'six'];
+    const text = layerText({ character: ava, scene: { name: 'Harbor Cafe', scene_state: { recent_events: events } } }, 'scene');
+
+    expect(text).toContain('Recent events:\n- two\n- three\n- four\n- five\n- six');
+    expect(text).not.toContain('- one');
+  });
+});
+
+describe('mood layer', () => {
+  test('describes the mood and how strong it is', () => {
+    expect(layerText({ character: ava, currentMood: { mood: 'angry', intensity: 0.8 } }, 'mood'))
+      .toContain('You are strongly angry right now.');
+    expect(layerText({ character: ava, currentMood: { mood: 'sad', intensity: 0.3 } }, 'mood'))
+      .toContain('You are slightly sad right now.');
+  });
+
+  test('a neutral mood is left out', () => {
+    expect(layerText({ character: ava, currentMood: { mood: 'neutral', intensity: 0.5 } }, 'mood')).toBeUndefined();
+  });
+});
+
+describe('direction layer', () => {
+  test('lists the user\'s out-of-character notes as required direction', () => {
+    const layer = builder.buildLayers({ character: ava, directorNotes: ['Keep it light', 'Bo is hiding something'] })
+      .find(l => l.name === 'direction');
+
+    expect(layer.required).toBe(true);
+    expect(layer.text).toContain('- Keep it light\n- Bo is hiding something');
+  });
+});
+
+describe('lore layer', () => {
+  const lorebooks = [{
+    scan_depth: 2,
+    entries: [
+      { id: 2, keys: ['lighthouse'], content: 'The lighthouse keeper is\nnamed Ines.', insertion_order: 1 },
+      { id: 1, keys: ['harbor'], content: 'The harbor closes at midnight.', insertion_order: 0 },
+      { id: 3, keys: ['smugglers'], content: 'Smugglers use the north pier.', insertion_order: 2 }
+    ]
+  }];
+
+  test('includes entries whose keys appear in the recent messages, in insertion order', () => {
+    const text = layerText({
+      character: ava,
+      lorebooks,
+      recentMessages: ['Is the lighthouse open?', 'Only until the harbor closes.']
+    }, 'lore');
+
+    expect(text).toBe(
+      'WORLD INFO:\n' +
+      '- The harbor closes at midnight.\n' +
+      '- The lighthouse keeper is named Ines.\n'
+    );
+  });
+
+  test('only scans the last scan_depth messages', () => {
+    const names = layerNames({
+      character: ava,
+      lorebooks,
+      recentMessages: ['Tell me about the smugglers', 'Later.', 'Nice weather.']
+    });
+
+    expect(names).not.toContain('lore');
+  });
+});
+
+describe('summary and continuity layers', () => {
+  test('the summary is trimmed and labelled', () => {
+    expect(layerText({ character: ava, sessionSummary: '  Sam and Ava planned a hike.\n' }, 'summary'))
+      .toBe('EARLIER IN THIS CONVERSATION:\nSam and Ava planned a hike.');
+  });
+
+  test('a blank summary is dropped', () => {
+    expect(layerNames({ character: ava, sessionSummary: '   ' })).not.toContain('summary');
+  });
+
+  test('continuity mentions time since the last chat and open topics', () => {
+    const text = layerText({
+      character: ava,
+      sessionContinuity: { days_since_last_chat: 3, unresolved_topics: ['the hike'] }
+    }, 'continuity');
+
+    expect(text).toContain('- You last talked 3 days ago');
+    expect(text).toContain('- Unfinished topics from before: the hike');
+  });
+});
+
+describe('buildConversationMessages', () => {
+  const history = [
+    { type: 'user', content: 'Hi' },
+    { type: 'character', content: 'Hello!' },
+    { role: 'user', content: 'How are you?' }
+  ];
+
+  test('system prompt, history, then the new message', () => {
+    expect(builder.buildConversationMessages('SYSTEM', history, 'Want to walk?')).toEqual([
+      { role: 'system', content: 'SYSTEM' },
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'user', content: 'How are you?' },
+      { role: 'user', content: 'Want to walk?' }
+    ]);
+  });
+
+  test('keeps only the most recent history', () => {
+    const messages = builder.buildConversationMessages('SYSTEM', history, null, 1);
+    expect(messages).toEqual([
+      { role: 'system', content: 'SYSTEM' },
+      { role: 'user', content: 'How are you?' }
+    ]);
+  });
+
+  test('a zero history length sends no history', () => {
+    expect(builder.buildConversationMessages('SYSTEM', history, 'Hi', 0)).toHaveLength(2);
+  });
+
+  test('narration is sent as a marked user turn, not as the character\'s line', () => {
+    const messages = builder.buildConversationMessages('SYSTEM', [{ type: 'narrator', content: 'Rain falls.' }], null);
+    expect(messages[1]).toEqual({ role: 'user', content: '[Narration] Rain falls.' });
+  });
+});
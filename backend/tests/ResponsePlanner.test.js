@@ -0,0 +1,355 @@
+// ============================================================================
+// ResponsePlanner tests
+// Who answers a group message, in which role, and how long
+// backend/tests/ResponsePlanner.test.js
+// ============================================================================
+
+const ResponsePlanner = require('../services/ResponsePlanner');
+const ConversationStateTracker = require('../services/ConversationStateTracker');
+const { serviceCharacters } = require('./helpers/fixtures');
+
+let characters, ava, bo, cy, tracker;
+
+beforeEach(() => {
+  characters = serviceCharacters();
+  [ava, bo, cy] = characters;
+  tracker = new ConversationStateTracker();
+});
+
+describe('planGroupResponse with mentions', () => {
+  test('a mentioned character answers the question', () => {
+    const plan = ResponsePlanner.planGroupResponse('Bo, what are you reading?', characters, [], tracker);
+
+    expect(plan.responders.map(c => c.id)).toEqual([bo.id]);
+    expect(plan.roles[bo.id]).toBe('address_question');
+    expect(plan.target_lengths[bo.id]).toBe('medium');
+  });
+
+  test('mentions match case-insensitively', () => {
+    const plan = ResponsePlanner.planGroupResponse('hey AVA', characters, [], tracker);
+    expect(plan.responders.map(c => c.id)).toEqual([ava.id]);
+  });
+
+  test('every mentioned character answers, the first as primary', () => {
+    const plan = ResponsePlanner.planGroupResponse('Cy and Ava, settle this', characters, [], tracker);
+
+    // Order follows the cast, not the message
+    expect(plan.responders.map(c => c.id)).toEqual([ava.id, cy.id]);
+    expect(plan.roles[ava.id]).toBe('address_question');
+    expect(plan.roles[cy.id]).toBe('add_perspective');
+    expect(plan.target_lengths[cy.id]).toBe('brief');
+  });
+
+  test('mentioned characters answer even if they spoke recently', () => {
+    tracker.updateSpeakingTurns(bo);
+    const plan = ResponsePlanner.planGroupResponse('Bo?', characters, [], tracker);
+    expect(plan.responders.map(c => c.id)).toEqual([bo.id]);
+  });
+});
+
+describe('planGroupResponse without mentions', () => {
+  const SEEDS = Array.from({ length: 20 }, (_, i) => i + 1);
+  const plan = (message, options = {}, history = []) =>
+    ResponsePlanner.planGroupResponse(message, characters, history, tracker, { seed: 7, ...options });
+
+  test('characters who spoke recently are held back', () => {
+    tracker.updateSpeakingTurns(ava);
+    tracker.updateSpeakingTurns(bo);
+
+    expect(plan('What a view.').responders[0]).toBe(cy);
+  });
+
+  test('an unaddressed question goes to the last speaker', () => {
+    const history = [
+      { type: 'user', content: 'Tell me about the trip.' },
+      { type: 'character', character: bo.id, content: 'We got lost twice.' }
+    ];
+
+    const result = plan('Really? Where?', {}, history);
+
+    expect(result.responders[0]).toBe(bo);
+    expect(result.roles[bo.id]).toBe('address_question');
+    expect(result.scores[bo.id].question).toBe(1.5);
+  });
+
+  test('interest in the topic draws a character in', () => {
+    const result = plan('Anyone up for chess tonight.', {
+      topicEngagement: { [cy.id]: [{ topic: 'chess', interest_level: 0.9 }, { topic: 'poetry', interest_level: 1 }] }
+    });
+
+    expect(result.responders[0]).toBe(cy);
+    expect(result.scores[cy.id].topic).toBe(0.9);
+  });
+
+  test('a strong relationship with the last speaker draws a character in', () => {
+    const history = [{ type: 'character', character: ava.id, content: 'I finished the mural.' }];
+
+    const result = plan('Nice.', {
+      relationships: {
+        [bo.id]: [{ target_type: 'character', target_id: ava.id, familiarity_level: 1, emotional_bond: -0.8 }],
+        [cy.id]: [{ target_type: 'character', target_id: bo.id, familiarity_level: 1, emotional_bond: 1 }]
+      }
+    }, history);
+
+    expect(result.responders[0]).toBe(bo);
+    expect(result.scores[bo.id].relationship).toBe(0.9);
+    expect(result.scores[cy.id].relationship).toBe(0);
+  });
+
+  test('talkative characters speak up, quiet ones hang back', () => {
+    ava.voice_traits = { verbosity: 0 };
+    bo.voice_traits = { verbosity: 0.1 };
+    cy.voice_traits = { verbosity: 1 };
+
+    const result = plan('What a view.');
+
+    expect(result.responders[0]).toBe(cy);
+    expect(result.scores[cy.id].talkativeness).toBe(0.5);
+    expect(result.scores[ava.id].talkativeness).toBe(-0.5);
+  });
+
+  test('every score and signal is reported', () => {
+    const result = plan('What a view.');
+
+    expect(Object.keys(result.scores)).toEqual([ava.id, bo.id, cy.id]);
+    expect(result.scores[ava.id]).toEqual({
+      total: expect.any(Number),
+      mention: 0,
+      question: 0,
+      topic: 0,
+      relationship: 0,
+      talkativeness: 0,
+      recency: 0,
+      jitter: expect.any(Number),
+      selected: result.responders.includes(ava)
+    });
+    expect(result.seed).toBe(7);
+  });
+
+  test('the same seed gives the same plan', () => {
+    const first = plan('What a view.', { seed: 123 });
+    const second = plan('What a view.', { seed: 123 });
+
+    expect(second.responders).toEqual(first.responders);
+    expect(second.scores).toEqual(first.scores);
+  });
+
+  test('across seeds, evenly matched characters take turns leading', () => {
+    const leaders = new Set(SEEDS.map(seed => plan('What a view.', { seed }).responders[0].id));
+    expect(leaders.size).toBeGreaterThan(1);
+  });
+
+  test('the runner-up sometimes joins to add perspective', () => {
+    const plans = SEEDS.map(seed => plan('What a view.', { seed }));
+    const pairs = plans.filter(p => p.responders.length === 2);
+
+    expect(pairs.length).toBeGreaterThan(0);
+    expect(pairs.length).toBeLessThan(plans.length);
+
+    const [first, second] = pairs[0].responders;
+    expect(pairs[0].roles[first.id]).toBe('address_question');
+    expect(pairs[0].roles[second.id]).toBe('add_perspective');
+    expect(pairs[0].target_lengths[second.id]).toBe('brief');
+  });
+
+  test('without a seed one is chosen and reported', () => {
+    const result = ResponsePlanner.planGroupResponse('What a view.', characters, [], tracker);
+    expect(Number.isInteger(result.seed)).toBe(true);
+  });
+});
+
+describe('planGroupResponse modes', () => {
+  const plan = (message, mode, history = [], extra = {}) =>
+    ResponsePlanner.planGroupResponse(message, characters, history, tracker, { mode, seed: 1, ...extra });
+  const ids = (result) => result.responders.map(c => c.id);
+
+  test('everyone responds, best score first', () => {
+    const result = plan('Cy, what do you think?', 'everyone');
+
+    expect(ids(result)[0]).toBe(cy.id);
+    expect(ids(result).sort()).toEqual([ava.id, bo.id, cy.id].sort());
+    expect(result.mode).toBe('everyone');
+  });
+
+  test('round robin goes to the character after the last speaker, ignoring mentions', () => {
+    expect(ids(plan('Ava?', 'round_robin', [{ type: 'character', character_id: ava.id, content: 'Hi' }]))).toEqual([bo.id]);
+    expect(ids(plan('Ava?', 'round_robin', [{ type: 'character', character_id: cy.id, content: 'Hi' }]))).toEqual([ava.id]);
+    expect(ids(plan('Hello all', 'round_robin'))).toEqual([ava.id]);
+  });
+
+  test('only mentioned characters respond, even with others close behind', () => {
+    expect(ids(plan('Bo and Cy, settle this', 'mentioned'))).toEqual([bo.id, cy.id]);
+    expect(ids(plan('Bo, settle this', 'mentioned'))).toEqual([bo.id]);
+  });
+
+  test('a message naming nobody still gets one answer in mentioned mode', () => {
+    expect(plan('What a view.', 'mentioned').responders).toHaveLength(1);
+  });
+
+  test('the responder cap applies in every mode', () => {
+    expect(plan('Hello', 'everyone', [], { maxResponders: 2 }).responders).toHaveLength(2);
+    expect(plan('Ava, Bo and Cy!', 'natural', [], { maxResponders: 1 }).responders).toHaveLength(1);
+  });
+
+  test('unknown modes fall back to natural', () => {
+    expect(plan('Bo?', 'chaos').mode).toBe('natural');
+  });
+});
+
+describe('findMentionedCharacters', () => {
+  test('names match as whole words only', () => {
+    const al = { id: 'char-al', name: 'Al' };
+
+    expect(ResponsePlanner.findMentionedCharacters('I also like tea, Bo', [al, ...characters])).toEqual([bo]);
+    expect(ResponsePlanner.findMentionedCharacters("Al's turn", [al])).toEqual([al]);
+  });
+
+  test('aliases and the first name of a longer name count', () => {
+    const mara = { id: 'char-mara', name: 'Mara Voss', aliases: ['Cap'] };
+
+    expect(ResponsePlanner.findMentionedCharacters('Cap, thoughts?', [mara])).toEqual([mara]);
+    expect(ResponsePlanner.findMentionedCharacters('mara?', [mara])).toEqual([mara]);
+    expect(ResponsePlanner.findMentionedCharacters('Ask the captain', [mara])).toEqual([]);
+  });
+
+  test('titles are not taken for first names', () => {
+    const doctor = { id: 'char-doc', name: 'Dr. Okafor' };
+    expect(ResponsePlanner.getCallNames(doctor)).toEqual(['Dr. Okafor']);
+  });
+});
+
+describe('planAutonomousTurn', () => {
+  const bond = (targetId, familiarity, emotion) => ({
+    target_type: 'character',
+    target_id: targetId,
+    familiarity_level: familiarity,
+    emotional_bond: emotion
+  });
+
+  test('the previous speaker never answers themselves', () => {
+    const plan = ResponsePlanner.planAutonomousTurn(characters, ava, 'Lovely weather.', tracker);
+
+    expect(plan.responders).toHaveLength(1);
+    expect(plan.responders[0].id).not.toBe(ava.id);
+    expect(plan.addressee).toBe(ava);
+    expect(plan.scores).not.toHaveProperty(ava.id);
+  });
+
+  test('a character named in the last line answers', () => {
+    const plan = ResponsePlanner.planAutonomousTurn(characters, ava, 'What do you think, Cy?', tracker);
+
+    expect(plan.responders).toEqual([cy]);
+    expect(plan.roles[cy.id]).toBe('address_question');
+    expect(plan.target_lengths[cy.id]).toBe('brief');
+  });
+
+  test('a strong bond with the previous speaker wins, whether fond or hostile', () => {
+    const plan = ResponsePlanner.planAutonomousTurn(characters, ava, 'Lovely weather.', tracker, {
+      [bo.id]: [bond(ava.id, 0.2, 0.1)],
+      [cy.id]: [bond(ava.id, 0.3, -0.8)]
+    });
+
+    expect(plan.responders).toEqual([cy]);
+    expect(plan.roles[cy.id]).toBe('add_perspective');
+    expect(plan.scores[cy.id]).toBe(1.1);
+  });
+
+  test('relationships with other characters do not count', () => {
+    const plan = ResponsePlanner.planAutonomousTurn(characters, ava, 'Lovely weather.', tracker, {
+      [cy.id]: [bond(bo.id, 1, 1)]
+    });
+
+    expect(plan.scores[cy.id]).toBe(0);
+  });
+
+  test('characters who spoke recently are held back', () => {
+    [cy, ava].forEach(c => tracker.updateSpeakingTurns(c));
+
+    const plan = ResponsePlanner.planAutonomousTurn(characters, ava, 'Lovely weather.', tracker);
+
+    expect(plan.responders).toEqual([bo]);
+    expect(plan.scores[cy.id]).toBe(-1);
+  });
+
+  test('ties go to whoever has been quiet longest', () => {
+    [bo, cy, ava, ava, ava].forEach(c => tracker.updateSpeakingTurns(c));
+
+    const plan = ResponsePlanner.planAutonomousTurn(characters, ava, 'Lovely weather.', tracker);
+    expect(plan.responders).toEqual([bo]);
+  });
+
+  test('with nobody to answer, anyone may open', () => {
+    const plan = ResponsePlanner.planAutonomousTurn(characters, null, '', tracker);
+
+    expect(plan.responders).toEqual([ava]);
+    expect(plan.addressee).toBeNull();
+  });
+});
+
+describe('interpersonal dynamics', () => {
+  test('pairs of responders get a dynamic from the conversation mood', () => {
+    tracker.state.mood = 'playful';
+    const plan = ResponsePlanner.planGroupResponse('Ava, Bo, tell me a joke', characters, [], tracker);
+    expect(plan.interpersonal_dynamics[`${ava.id}_${bo.id}`]).toBe('playful_banter');
+  });
+
+  test('unknown moods are cooperative', () => {
+    tracker.state.mood = 'confused';
+    expect(ResponsePlanner.determineDynamic(ava, bo, tracker)).toBe('cooperative');
+  });
+});
+
+describe('validatePlan', () => {
+  test('an empty plan gets the first character as primary', () => {
+    const plan = ResponsePlanner.validatePlan(
+      { responders: [], roles: {}, target_lengths: {}, interpersonal_dynamics: {} },
+      characters
+    );
+
+    expect(plan.responders).toEqual([ava]);
+    expect(plan.roles[ava.id]).toBe('address_question');
+    expect(plan.target_lengths[ava.id]).toBe('medium');
+  });
+
+  test('responders without a role add perspective briefly', () => {
+    const plan = ResponsePlanner.validatePlan(
+      { responders: [bo], roles: {}, target_lengths: {}, interpersonal_dynamics: {} },
+      characters
+    );
+
+    expect(plan.roles[bo.id]).toBe('add_perspective');
+    expect(plan.target_lengths[bo.id]).toBe('brief');
+  });
+});
+
+describe('buildCharacterContext', () => {
+  test('carries the role, mood and scene rules', () => {
+    const plan = ResponsePlanner.planGroupResponse('Ava?', characters, [], tracker);
+    const scene = { context_rules: { formality_required: 0.8, noise_level: 0.2 } };
+
+    const context = ResponsePlanner.buildCharacterContext(ava, plan, tracker, scene);
+
+    expect(context).toMatchObject({
+      role: 'address_question',
+      target_length: 'medium',
+      conversation_mood: 'neutral',
+      is_primary: true,
+      group_size: 1,
+      scene_formality: 0.8,
+      noise_level: 0.2
+    });
+  });
+});
+
+describe('validateGroupCoherence', () => {
+  test('flags responses that contradict each other', () => {
+    expect(ResponsePlanner.validateGroupCoherence([
+      { characterName: 'Ava', response: 'Yes, that is true.' },
+      { characterName: 'Bo', response: 'No, it is false.' }
+    ])).toBe(false);
+  });
+
+  test('a single response is always coherent', () => {
+    expect(ResponsePlanner.validateGroupCoherence([{ characterName: 'Ava', response: 'Yes.' }])).toBe(true);
+  });
+});
@@ -0,0 +1,642 @@
+// ============================================================================
+// Group response flow
+// A user message through planning, generation with the mock provider,
+// storage, memory extraction and usage accounting, over HTTP
+// backend/tests/group-response.test.js
+// ============================================================================
+
+jest.mock('@supabase/supabase-js', () => require('./helpers/supabaseStub'));
+
+const MockProviderService = require('../services/MockProviderService');
+const { startTestServer, parseEvents } = require('./helpers/testServer');
+const fixtures = require('./helpers/fixtures');
+
+const USER = 'user-group';
+
+let server, ava, bo, scenario;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  // Provider failures below are injected on purpose
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  server = await startTestServer();
+
+  ava = (await server.request('POST', '/api/characters', USER, fixtures.characters.ava)).body;
+  bo = (await server.request('POST', '/api/characters', USER, fixtures.characters.bo)).body;
+  scenario = (await server.request('POST', '/api/scenarios', USER, fixtures.scenario)).body;
+});
+
+afterAll(async () => {
+  await server.close();
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  MockProviderService.reset();
+});
+
+const groupBody = (userMessage, overrides = {}) => ({
+  userMessage,
+  activeCharacters: [ava.id, bo.id],
+  conversationHistory: [],
+  currentScene: scenario.id,
+  userPersona: { name: 'Sam' },
+  ...overrides
+});
+
+const messagesIn = (sessionId) =>
+  server.localDb.all('SELECT * FROM messages WHERE session_id = ? ORDER BY id', [sessionId]);
+
+describe('POST /api/chat/group-response', () => {
+  test('the mentioned character answers and the turn is stored', async () => {
+    const { status, body } = await server.request('POST', '/api/chat/group-response', USER, groupBody('Ava, my name is Sam.'));
+
+    expect(status).toBe(200);
+    expect(body.responses).toHaveLength(1);
+    expect(body.responses[0]).toMatchObject({
+      character: ava.id,
+      characterName: 'Ava',
+      response: 'Ava heard you say: Ava, my name is Sam.',
+      isPrimary: true,
+      answeredBy: { provider: 'mock', model: 'template', fallback: false }
+    });
+
+    const messages = messagesIn(body.sessionId);
+    expect(messages.map(m => m.type)).toEqual(['user', 'character']);
+    expect(messages[0].id).toBe(body.userMessageId);
+    expect(messages[1].id).toBe(body.responses[0].messageId);
+
+    const metadata = JSON.parse(messages[1].response_metadata);
+    expect(metadata).toMatchObject({ provider: 'mock', model: 'template', fallback_used: false });
+
+    // The session belongs to the scene and remembers the cast
+    const { body: session } = await server.request('GET', `/api/chat/sessions/${body.sessionId}`, USER);
+    expect(session.scenario_id).toBe(scenario.id);
+    expect(session.active_characters).toEqual([ava.id, bo.id]);
+  });
+
+  test('the prompt carries the character, scene and persona', async () => {
+    await server.request('POST', '/api/chat/group-response', USER, groupBody('Ava, how is the studio?'));
+
+    const [call] = MockProviderService.getCalls();
+    const system = call.messages[0];
+
+    expect(call.model).toBe('template');
+    expect(system.role).toBe('system');
+    expect(system.content).toContain('You are Ava.');
+    expect(system.content).toContain('Location: Harbor Cafe');
+    expect(call.messages[call.messages.length - 1]).toEqual({ role: 'user', content: 'Ava, how is the studio?' });
+  });
+
+  test('facts from the message become memories for the responder', async () => {
+    const { body } = await server.request('POST', '/api/chat/group-response', USER, groupBody('Bo, I live in Lisbon.'));
+
+    const memories = server.localDb.all(
+      'SELECT * FROM character_memories WHERE character_id = ? AND user_id = ?',
+      [bo.id, USER]
+    );
+    const location = memories.find(m => m.content === 'User location: I live in Lisbon');
+
+    expect(location).toBeDefined();
+    expect(location.source_message_id).toBe(body.responses[0].messageId);
+  });
+
+  test('token usage is recorded per reply', async () => {
+    const { body } = await server.request('POST', '/api/chat/group-response', USER, groupBody('Ava, Bo, hello both!'));
+
+    const usage = server.localDb.all('SELECT * FROM token_usage WHERE session_id = ? ORDER BY id', [body.sessionId]);
+
+    expect(usage.map(row => row.character_id)).toEqual([ava.id, bo.id]);
+    expect(usage.map(row => row.message_id)).toEqual(body.responses.map(r => r.messageId));
+    for (const row of usage) {
+      expect(row).toMatchObject({ user_id: USER, provider: 'mock' });
+      expect(row.prompt_tokens).toBeGreaterThan(0);
+      expect(row.completion_tokens).toBeGreaterThan(0);
+    }
+  });
+
+  test('a second turn continues the same session', async () => {
+    const first = await server.request('POST', '/api/chat/group-response', USER, groupBody('Bo, seen any films lately?'));
+    const second = await server.request('POST', '/api/chat/group-response', USER, groupBody('Bo, which one?', {
+      sessionId: first.body.sessionId,
+      conversationHistory: [
+        { type: 'user', content: 'Bo, seen any films lately?' },
+        { type: 'character', content: first.body.responses[0].response, character: bo.id }
+      ]
+    }));
+
+    expect(second.body.sessionId).toBe(first.body.sessionId);
+    expect(messagesIn(first.body.sessionId)).toHaveLength(4);
+  });
+
+  test('the response explains who was chosen, and a seed repeats the random part', async () => {
+    const body = groupBody('Lovely evening.', { selectionSeed: 99 });
+
+    const first = await server.request('POST', '/api/chat/group-response', USER, body);
+    const second = await server.request('POST', '/api/chat/group-response', USER, body);
+
+    expect(first.body.selection.seed).toBe(99);
+    expect(first.body.selection.scores.map(s => s.characterName)).toEqual(['Ava', 'Bo']);
+    expect(first.body.selection.scores.filter(s => s.selected).map(s => s.character))
+      .toEqual(first.body.responses.map(r => r.character));
+    // Who spoke last has changed, but the seeded spread has not
+    expect(second.body.selection.scores.map(s => s.jitter)).toEqual(first.body.selection.scores.map(s => s.jitter));
+  });
+
+  test('the fallback chain answers when the primary model fails', async () => {
+    await server.request('PUT', `/api/characters/${ava.id}`, USER, {
+      fallback_chain: [{ provider: 'mock', model: 'echo' }]
+    });
+    MockProviderService.configure({ failNext: 1, failureStatus: 401 });
+
+    const { status, body } = await server.request('POST', '/api/chat/group-response', USER, groupBody('Ava, are you there?'));
+
+    expect(status).toBe(200);
+    expect(body.responses[0].answeredBy).toEqual({ provider: 'mock', model: 'echo', fallback: true });
+
+    const [, reply] = messagesIn(body.sessionId);
+    const metadata = JSON.parse(reply.response_metadata);
+    expect(metadata.fallback_used).toBe(true);
+    expect(metadata.attempts.map(a => [a.model, a.outcome])).toEqual([['template', 'error'], ['echo', 'success']]);
+
+    await server.request('PUT', `/api/characters/${ava.id}`, USER, { fallback_chain: [] });
+  });
+
+  test('rejects requests without a message or characters', async () => {
+    const { status, body } = await server.request('POST', '/api/chat/group-response', USER, groupBody('', { activeCharacters: [] }));
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('Missing required fields');
+  });
+
+  test('another user cannot post into the session', async () => {
+    const { body } = await server.request('POST', '/api/chat/group-response', USER, groupBody('Ava, hi'));
+
+    const { status } = await server.request('POST', '/api/chat/group-response', 'user-intruder', groupBody('Ava, hi', {
+      sessionId: body.sessionId
+    }));
+
+    expect(status).toBe(404);
+    expect(messagesIn(body.sessionId)).toHaveLength(2);
+  });
+});
+
+describe('POST /api/chat/group-response/stream', () => {
+  test('streams the session, each reply token by token, then the result', async () => {
+    const { status, headers, text } = await server.requestText(
+      'POST', '/api/chat/group-response/stream', USER, groupBody('Ava, how was the studio today?')
+    );
+
+    expect(status).toBe(200);
+    expect(headers.get('content-type')).toMatch(/^text\/event-stream/);
+
+    const events = parseEvents(text);
+    const names = events.map(e => e.event);
+
+    expect(names[0]).toBe('session');
+    expect(names[1]).toBe('character_start');
+    expect(names.slice(-2)).toEqual(['character_done', 'done']);
+
+    const tokens = events.filter(e => e.event === 'token');
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.every(e => e.data.character === ava.id)).toBe(true);
+
+    const done = events[events.length - 1].data;
+    expect(tokens.map(e => e.data.token).join('')).toBe(done.responses[0].response);
+    expect(done.sessionId).toBe(events[0].data.sessionId);
+    expect(messagesIn(done.sessionId)).toHaveLength(2);
+  });
+
+  test('a failed primary reply still completes the stream', async () => {
+    MockProviderService.configure({ failNext: 1, failureStatus: 400 });
+
+    const { text } = await server.requestText(
+      'POST', '/api/chat/group-response/stream', USER, groupBody('Bo, are you awake?')
+    );
+
+    const events = parseEvents(text);
+    expect(events.map(e => e.event)).toEqual(['session', 'character_start', 'character_done', 'done']);
+    expect(events[2].data).toMatchObject({ character: bo.id, error: true });
+  });
+});
+
+describe('group dynamics', () => {
+  // A user of its own, so these requests stay clear of the AI rate limit above
+  const MODES_USER = 'user-dynamics';
+  let cast;
+
+  beforeAll(async () => {
+    cast = [];
+    for (const character of [fixtures.characters.ava, fixtures.characters.bo, { ...fixtures.characters.bo, name: 'Cy' }]) {
+      cast.push((await server.request('POST', '/api/characters', MODES_USER, character)).body);
+    }
+  });
+
+  const castIds = () => cast.map(c => c.id);
+
+  async function startSession(settings = {}) {
+    const { body } = await server.request('POST', '/api/chat/sessions', MODES_USER, {
+      activeCharacters: castIds(),
+      ...settings
+    });
+    return body;
+  }
+
+  const sendTo = (session, userMessage) => server.request('POST', '/api/chat/group-response', MODES_USER, {
+    userMessage,
+    activeCharacters: castIds(),
+    conversationHistory: [],
+    sessionId: session.id
+  });
+
+  test('the session mode, cap and muted characters decide who responds', async () => {
+    const [castAva, castBo, castCy] = cast;
+    const session = await startSession({ group_mode: 'everyone', muted_characters: [castBo.id] });
+
+    const { body } = await sendTo(session, 'Morning, everyone!');
+
+    expect(body.responses.map(r => r.character).sort()).toEqual([castAva.id, castCy.id].sort());
+    expect(body.selection).toMatchObject({ mode: 'everyone', maxResponders: 3 });
+    expect(body.selection.scores.find(s => s.character === castBo.id)).toMatchObject({ muted: true, selected: false });
+
+    await server.request('PUT', `/api/chat/sessions/${session.id}`, MODES_USER, { max_responders: 1 });
+    const { body: capped } = await sendTo(session, 'Morning again!');
+    expect(capped.responses).toHaveLength(1);
+  });
+
+  test('only mentioned characters respond in mentioned mode', async () => {
+    const session = await startSession({ group_mode: 'mentioned' });
+
+    const { body } = await sendTo(session, 'Bo and Cy, what are you two up to?');
+
+    expect(body.responses.map(r => r.characterName)).toEqual(['Bo', 'Cy']);
+  });
+
+  test('new sessions start in the user\'s default mode', async () => {
+    await server.request('PUT', '/api/user/settings', MODES_USER, { groupDynamicsMode: 'round_robin' });
+
+    const session = await startSession();
+
+    expect(session).toMatchObject({ group_mode: 'round_robin', max_responders: 3, muted_characters: [] });
+    await server.request('PUT', '/api/user/settings', MODES_USER, { groupDynamicsMode: 'natural' });
+  });
+
+  test('rejects unknown modes, bad caps, and a fully muted cast', async () => {
+    const session = await startSession();
+    const update = (body) => server.request('PUT', `/api/chat/sessions/${session.id}`, MODES_USER, body);
+
+    expect((await update({ group_mode: 'chaos' })).status).toBe(400);
+    expect((await update({ max_responders: 0 })).status).toBe(400);
+    expect((await update({ muted_characters: 'all' })).status).toBe(400);
+    expect((await server.request('PUT', '/api/user/settings', MODES_USER, { groupDynamicsMode: 'chaos' })).status).toBe(400);
+
+    await update({ muted_characters: castIds() });
+    const { status, body } = await sendTo(session, 'Hello?');
+    expect(status).toBe(400);
+    expect(body.error).toBe('Every character in this chat is muted');
+  });
+});
+
+describe('slash commands', () => {
+  // A user of its own, so these requests stay clear of the AI rate limit above
+  const COMMANDS_USER = 'user-commands';
+  let castAva, castBo, ownScene;
+
+  beforeAll(async () => {
+    castAva = (await server.request('POST', '/api/characters', COMMANDS_USER, fixtures.characters.ava)).body;
+    castBo = (await server.request('POST', '/api/characters', COMMANDS_USER, fixtures.characters.bo)).body;
+    ownScene = (await server.request('POST', '/api/scenarios', COMMANDS_USER, fixtures.scenario)).body;
+  });
+
+  async function startSession(settings = {}) {
+    const { body } = await server.request('POST', '/api/chat/sessions', COMMANDS_USER, {
+      activeCharacters: [castAva.id, castBo.id],
+      scenario_id: ownScene.id,
+      ...settings
+    });
+    return body;
+  }
+
+  const sendTo = (session, userMessage) => server.request('POST', '/api/chat/group-response', COMMANDS_USER, {
+    userMessage,
+    activeCharacters: [castAva.id, castBo.id],
+    conversationHistory: [],
+    currentScene: ownScene.id,
+    sessionId: session.id
+  });
+
+  test('/as makes the named character the only responder, even when muted', async () => {
+    const session = await startSession({ muted_characters: [castBo.id] });
+
+    const { body } = await sendTo(session, '/as Bo Ava says you bake on Sundays.');
+
+    expect(body.responses.map(r => r.character)).toEqual([castBo.id]);
+    expect(body.command).toMatchObject({ name: 'as', speaker: { id: castBo.id, name: 'Bo' }, message: { type: 'user' } });
+    const [saved] = messagesIn(session.id);
+    expect(saved).toMatchObject({ type: 'user', content: 'Ava says you bake on Sundays.' });
+  });
+
+  test('/skip and a bare /as move the scene on without saving a user message', async () => {
+    const session = await startSession();
+
+    const { body: skipped } = await sendTo(session, '/skip');
+    expect(skipped.userMessageId).toBeNull();
+    expect(skipped.responses.length).toBeGreaterThan(0);
+
+    MockProviderService.reset();
+    const { body: cued } = await sendTo(session, '/as Ava');
+    expect(cued.responses.map(r => r.character)).toEqual([castAva.id]);
+    const [call] = MockProviderService.getCalls();
+    expect(call.messages[call.messages.length - 1]).toEqual({ role: 'user', content: '(Ava speaks next.)' });
+
+    expect(messagesIn(session.id).filter(m => m.type === 'user')).toHaveLength(0);
+  });
+
+  test('/narrate, /ooc and /scene are saved without replies and shape the next prompt', async () => {
+    const session = await startSession();
+
+    const { body: narrated } = await sendTo(session, '/narrate Rain starts to fall.');
+    expect(narrated.responses).toEqual([]);
+    expect(narrated.command).toMatchObject({ name: 'narrate', message: { type: 'narrator', content: 'Rain starts to fall.' } });
+
+    const { body: ooc } = await sendTo(session, '/ooc Keep replies short');
+    expect(ooc.command.notes).toEqual(['Keep replies short']);
+
+    const { body: scene } = await sendTo(session, '/scene The lights go out');
+    expect(scene.command.recentEvents).toEqual(['The lights go out']);
+    expect(messagesIn(session.id).map(m => m.type)).toEqual(['narrator', 'ooc', 'system']);
+
+    MockProviderService.reset();
+    await sendTo(session, 'Ava, can you see anything?');
+    const system = MockProviderService.getCalls()[0].messages[0].content;
+    expect(system).toContain("DIRECTOR'S NOTES");
+    expect(system).toContain('- Keep replies short');
+    expect(system).toContain('- The lights go out');
+
+    const { body: cleared } = await sendTo(session, '/ooc');
+    expect(cleared.command.notes).toEqual([]);
+  });
+
+  test('a message that only starts with a slash is sent as an ordinary message', async () => {
+    const session = await startSession();
+
+    const { body } = await sendTo(session, '/usr/bin is where Ava keeps her tools');
+
+    expect(body.command).toBeUndefined();
+    expect(body.responses.length).toBeGreaterThan(0);
+    const [saved] = messagesIn(session.id);
+    expect(saved).toMatchObject({ type: 'user', content: '/usr/bin is where Ava keeps her tools' });
+  });
+
+  test('a fork keeps its summary boundary when /ooc notes come before it', async () => {
+    const session = await startSession();
+    const save = (type, content) => server.localDb.createMessage(COMMANDS_USER, { session_id: session.id, type, content });
+    save('user', 'Hello');
+    save('ooc', 'Keep it light');
+    const lastCovered = save('character', 'Hi there');
+    const forkPoint = save('user', 'How are you?');
+    server.localDb.updateChatSession(session.id, COMMANDS_USER, {
+      metadata: { summary: { text: 'They said hello.', covered_count: 2, covered_message_id: lastCovered.id } }
+    });
+
+    const { body: branch } = await server.request('POST', `/api/chat/sessions/${session.id}/fork`, COMMANDS_USER, {
+      messageId: forkPoint.id
+    });
+
+    const branchCopy = messagesIn(branch.id).find(m => m.content === 'Hi there');
+    expect(branch.metadata.summary.covered_message_id).toBe(branchCopy.id);
+  });
+
+  test('/summary reports the summary, and bad commands are rejected', async () => {
+    const session = await startSession();
+
+    const { body } = await sendTo(session, '/summary');
+    expect(body.command).toEqual({ name: 'summary', summary: null });
+    expect(messagesIn(session.id)).toHaveLength(0);
+
+    const unknown = await sendTo(session, '/dance');
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toMatch(/^Unknown command \/dance/);
+    expect((await sendTo(session, '/as Nobody hello')).status).toBe(400);
+
+    const inspect = await server.request('POST', '/api/chat/group-response/inspect', COMMANDS_USER, {
+      userMessage: '/narrate Thunder rolls.',
+      activeCharacters: [castAva.id, castBo.id],
+      conversationHistory: [],
+      sessionId: session.id
+    });
+    expect(inspect.status).toBe(400);
+  });
+});
+
+describe('character moods', () => {
+  // A user of its own, so these requests stay clear of the AI rate limit above
+  const MOODS_USER = 'user-moods';
+  let moodyAva, moodScene;
+
+  beforeAll(async () => {
+    moodyAva = (await server.request('POST', '/api/characters', MOODS_USER, fixtures.characters.ava)).body;
+    moodScene = (await server.request('POST', '/api/scenarios', MOODS_USER, fixtures.scenario)).body;
+  });
+
+  const sendTo = (sessionId, userMessage) => server.request('POST', '/api/chat/group-response', MOODS_USER, {
+    userMessage,
+    activeCharacters: [moodyAva.id],
+    conversationHistory: [],
+    currentScene: moodScene.id,
+    sessionId
+  });
+
+  test('each reply updates the character\'s mood, which the next prompt carries', async () => {
+    MockProviderService.configure({ script: ['*smiles* What wonderful news!'] });
+    const { body } = await sendTo(null, 'Ava, I got the job!');
+
+    expect(body.responses[0].mood).toEqual({ mood: 'happy', intensity: 0.65 });
+    expect(messagesIn(body.sessionId).find(m => m.type === 'character'))
+      .toMatchObject({ mood_at_time: 'happy', mood_intensity: 0.65 });
+    const { body: session } = await server.request('GET', `/api/chat/sessions/${body.sessionId}`, MOODS_USER);
+    expect(session.character_moods).toEqual({ [moodyAva.id]: { mood: 'happy', intensity: 0.65 } });
+
+    MockProviderService.reset();
+    await sendTo(body.sessionId, 'Want to celebrate?');
+    const system = MockProviderService.getCalls()[0].messages[0].content;
+    expect(system).toContain('CURRENT MOOD:\nYou are moderately happy right now.');
+  });
+
+  test('with AI tracking the character\'s model names the mood', async () => {
+    expect((await server.request('PUT', '/api/user/settings', MOODS_USER, { moodTracking: 'psychic' })).status).toBe(400);
+    await server.request('PUT', '/api/user/settings', MOODS_USER, { moodTracking: 'ai' });
+    MockProviderService.configure({ script: ['The studio is quiet today.'], json: { mood: 'sad', intensity: 0.9 } });
+
+    const { body } = await sendTo(null, 'Ava, how is the studio?');
+
+    expect(body.responses[0].mood).toEqual({ mood: 'sad', intensity: 0.9 });
+    expect(MockProviderService.getCalls()[1].messages[1].content).toContain('The studio is quiet today.');
+    await server.request('PUT', '/api/user/settings', MOODS_USER, { moodTracking: 'heuristic' });
+  });
+
+  test('regenerating or switching versions moves the mood to the selected text', async () => {
+    MockProviderService.configure({ script: ['*glares* How dare you.'] });
+    const { body } = await sendTo(null, 'Ava, I sold your sketches.');
+    const { messageId } = body.responses[0];
+    const moodNow = async () => (await server.request('GET', `/api/chat/sessions/${body.sessionId}`, MOODS_USER)).body.character_moods[moodyAva.id];
+    expect(body.responses[0].mood).toEqual({ mood: 'angry', intensity: 0.55 });
+
+    MockProviderService.configure({ script: ['*smiles* What wonderful news!'] });
+    const regenerated = await server.request('POST', `/api/chat/messages/${messageId}/regenerate`, MOODS_USER, {});
+    expect(regenerated.body.message).toMatchObject({ mood_at_time: 'happy', mood_intensity: 0.65 });
+    expect(await moodNow()).toEqual({ mood: 'happy', intensity: 0.65 });
+
+    const swapped = await server.request('PUT', `/api/chat/messages/${messageId}/alternative`, MOODS_USER, { index: 0 });
+    expect(swapped.body.message).toMatchObject({ content: '*glares* How dare you.', mood_at_time: 'angry', mood_intensity: 0.55 });
+    expect(await moodNow()).toEqual({ mood: 'angry', intensity: 0.55 });
+  });
+});
+
+describe('POST /api/chat/autonomous', () => {
+  // A user of its own, so these requests stay clear of the AI rate limit above
+  const CAST_USER = 'user-autonomous';
+  let castAva, castBo;
+
+  beforeAll(async () => {
+    castAva = (await server.request('POST', '/api/characters', CAST_USER, fixtures.characters.ava)).body;
+    castBo = (await server.request('POST', '/api/characters', CAST_USER, fixtures.characters.bo)).body;
+  });
+
+  /**
+   * A fresh session where Ava has just answered the user
+   */
+  async function startScene() {
+    const { body: session } = await server.request('POST', '/api/chat/sessions', CAST_USER, {
+      activeCharacters: [castAva.id, castBo.id]
+    });
+    return {
+      sessionId: session.id,
+      activeCharacters: [castAva.id, castBo.id],
+      userPersona: { name: 'Sam' },
+      conversationHistory: [
+        { type: 'user', content: 'Ava, what are you painting?' },
+        { type: 'character', character: castAva.id, content: 'The harbor at dawn.' }
+      ]
+    };
+  }
+
+  test('the characters take turns for the requested rounds', async () => {
+    const scene = await startScene();
+    MockProviderService.configure({ script: ['Bo here, nice work.', 'Thanks, Bo.', 'You are welcome.'] });
+
+    const { status, body } = await server.request('POST', '/api/chat/autonomous', CAST_USER, { ...scene, rounds: 3 });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ sessionId: scene.sessionId, rounds: 3, stopReason: 'rounds_complete' });
+    expect(body.responses.map(r => [r.character, r.addressee])).toEqual([
+      [castBo.id, castAva.id],
+      [castAva.id, castBo.id],
+      [castBo.id, castAva.id]
+    ]);
+
+    // Only the replies are stored; no user message is added
+    const messages = messagesIn(scene.sessionId);
+    expect(messages.map(m => m.type)).toEqual(['character', 'character', 'character']);
+    expect(JSON.parse(messages[0].response_metadata).autonomous).toMatchObject({ round: 1, addressee: castAva.id });
+  });
+
+  test('the speaker is cued to answer the cast, with earlier rounds in the history', async () => {
+    const scene = await startScene();
+    MockProviderService.configure({ script: ['Bo here, nice work.', 'Thanks, Bo.'] });
+
+    await server.request('POST', '/api/chat/autonomous', CAST_USER, { ...scene, rounds: 2 });
+
+    const [, second] = MockProviderService.getCalls();
+    const last = second.messages[second.messages.length - 1];
+    expect(last.role).toBe('user');
+    expect(last.content).toBe('(Ava, respond to Bo. Sam is only listening, so keep talking among yourselves.)');
+    expect(second.messages).toContainEqual({ role: 'assistant', content: '[Bo]: Bo here, nice work.' });
+  });
+
+  test('stops once a character turns to the user', async () => {
+    const scene = await startScene();
+    MockProviderService.configure({ script: ['What do you think, Sam?', 'Never mind him.'] });
+
+    const { body } = await server.request('POST', '/api/chat/autonomous', CAST_USER, { ...scene, rounds: 2 });
+    expect(body).toMatchObject({ rounds: 1, stopReason: 'addressed_user' });
+
+    MockProviderService.configure({ script: ['What do you think, Sam?', 'Never mind him.'] });
+    const { body: keepGoing } = await server.request('POST', '/api/chat/autonomous', CAST_USER, {
+      ...scene, rounds: 2, stopWhenAddressed: false
+    });
+    expect(keepGoing).toMatchObject({ rounds: 2, stopReason: 'rounds_complete' });
+  });
+
+  test('stops when the banter repeats itself', async () => {
+    const scene = await startScene();
+    MockProviderService.configure({ script: ['Indeed.', 'Indeed!', 'Something new.'] });
+
+    const { body } = await server.request('POST', '/api/chat/autonomous', CAST_USER, { ...scene, rounds: 3 });
+    expect(body).toMatchObject({ rounds: 2, stopReason: 'repetition' });
+  });
+
+  test('a failed reply ends the rounds', async () => {
+    const scene = await startScene();
+    MockProviderService.configure({ failNext: 1, failureStatus: 400 });
+
+    const { status, body } = await server.request('POST', '/api/chat/autonomous', CAST_USER, { ...scene, rounds: 3 });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ responses: [], rounds: 0, stopReason: 'error' });
+    expect(messagesIn(scene.sessionId)).toHaveLength(0);
+  });
+
+  test('streams each round, then the result', async () => {
+    const scene = await startScene();
+    MockProviderService.configure({ script: ['Bo here, nice work.', 'Thanks, Bo.'] });
+
+    const { text } = await server.requestText('POST', '/api/chat/autonomous/stream', CAST_USER, { ...scene, rounds: 2 });
+
+    const events = parseEvents(text).filter(e => e.event !== 'token');
+    expect(events.map(e => e.event)).toEqual(['character_start', 'character_done', 'character_start', 'character_done', 'done']);
+    expect(events[4].data).toMatchObject({ rounds: 2, stopReason: 'rounds_complete' });
+  });
+
+  test('needs an existing session and at least two characters', async () => {
+    const scene = await startScene();
+
+    const solo = await server.request('POST', '/api/chat/autonomous', CAST_USER, { ...scene, activeCharacters: [castAva.id] });
+    expect(solo.status).toBe(400);
+
+    const tooMany = await server.request('POST', '/api/chat/autonomous', CAST_USER, { ...scene, rounds: 50 });
+    expect(tooMany.status).toBe(400);
+
+    const intruder = await server.request('POST', '/api/chat/autonomous', 'user-intruder', scene);
+    expect(intruder.status).toBe(404);
+  });
+});
+
+describe('POST /api/chat/messages/:messageId/regenerate', () => {
+  const REGENERATE_USER = 'user-regenerate';
+
+  test('the retake sees as much history as a new turn would, without /ooc notes', async () => {
+    const regenAva = (await server.request('POST', '/api/characters', REGENERATE_USER, fixtures.characters.ava)).body;
+    const regenScene = (await server.request('POST', '/api/scenarios', REGENERATE_USER, fixtures.scenario)).body;
+    const session = server.localDb.createChatSession(REGENERATE_USER, {
+      scenario_id: regenScene.id,
+      active_characters: [regenAva.id],
+      title: 'Long chat'
+    });
+    const save = (fields) => server.localDb.createMessage(REGENERATE_USER, { session_id: session.id, ...fields });
+
+    for (let i = 0; i < 30; i++) {
+      save({ type: 'user', content: `Question ${i}` });
+      save({ type: 'character', character_id: regenAva.id, content: `Answer ${i}` });
+    }
+    save({ type: 'ooc', content: 'Keep it light' });
+    save({ type: 'user', content: 'One more?' });
+    const reply = save({ type: 'character', character_id: regenAva.id, content: 'Sure.' });
+
+    const { status, body } = await server.request('POST', `/api/chat/messages/${reply.id}/regenerate`, REGENERATE_USER, {});
+
+    expect(status).toBe(200);
+    expect(body.message.response_metadata.prompt_budget.history_messages.available).toBe(61);
+  });
+});
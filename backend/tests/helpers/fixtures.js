@@ -0,0 +1,75 @@
+// ============================================================================
+// Test fixtures
+// Request bodies and service inputs shared by the test files. Characters use
+// the offline mock provider so nothing leaves the machine.
+// backend/tests/helpers/fixtures.js
+// ============================================================================
+
+const characters = {
+  ava: {
+    name: 'Ava',
+    age: 27,
+    personality: 'Curious and kind, always asks follow-up questions',
+    appearance: 'Short dark hair, paint on her sleeves',
+    background: 'Runs a small art studio by the harbor',
+    ai_provider: 'mock',
+    ai_model: 'template',
+    temperature: 0.7,
+    max_tokens: 150,
+    memory_enabled: true,
+    tags: ['artist']
+  },
+  bo: {
+    name: 'Bo',
+    age: 34,
+    personality: 'Dry humor, loyal, secretly sentimental about old films',
+    ai_provider: 'mock',
+    ai_model: 'echo',
+    temperature: 0.8,
+    max_tokens: 150,
+    memory_enabled: true,
+    tags: ['friend']
+  }
+};
+
+const scenario = {
+  name: 'Harbor Cafe',
+  description: 'A quiet cafe overlooking the harbor at dusk',
+  initial_message: 'The espresso machine hisses as you sit down.',
+  atmosphere: 'calm'
+};
+
+const persona = {
+  name: 'Sam',
+  personality: 'Calm and patient, likes long walks',
+  interests: ['hiking', 'film'],
+  communication_style: 'casual'
+};
+
+/**
+ * Characters as the services see them, with ids
+ */
+function serviceCharacters() {
+  return [
+    { id: 'char-ava', ...characters.ava },
+    { id: 'char-bo', ...characters.bo },
+    { id: 'char-cy', name: 'Cy', personality: 'Quiet observer who notices everything', ai_provider: 'mock', ai_model: 'echo' }
+  ];
+}
+
+/**
+ * A memory row as LocalDatabaseService returns it
+ */
+function memory(overrides = {}) {
+  return {
+    id: overrides.id || `mem-${Math.random().toString(36).slice(2, 8)}`,
+    memory_type: 'semantic',
+    content: 'User enjoys hiking in the mountains',
+    importance_score: 0.5,
+    last_accessed: null,
+    is_pinned: 0,
+    ...overrides
+  };
+}
+
+module.exports = { characters, scenario, persona, serviceCharacters, memory };
@@ -0,0 +1,59 @@
+// ============================================================================
+// Supabase stub
+// Stands in for @supabase/supabase-js so the app boots with community
+// features "configured" but never touches the network. Every query resolves
+// to no rows; the calls are recorded for tests that want to check them.
+// backend/tests/helpers/supabaseStub.js
+// ============================================================================
+
+const calls = [];
+
+const EMPTY = { data: [], error: null, count: 0 };
+const NO_ROW = { data: null, error: null };
+
+/**
+ * A chainable query: from('x').select().eq()... and any other builder
+ * method returns the same query, which resolves like a real one when awaited
+ */
+function createQuery(table) {
+  const query = new Proxy({}, {
+    get(target, method) {
+      if (method === 'then') {
+        return (resolve, reject) => Promise.resolve(EMPTY).then(resolve, reject);
+      }
+      if (method === 'single' || method === 'maybeSingle') {
+        return () => Promise.resolve(NO_ROW);
+      }
+      return (...args) => {
+        calls.push({ table, method, args });
+        return query;
+      };
+    }
+  });
+  return query;
+}
+
+function createClient() {
+  return {
+    from: (table) => createQuery(table),
+    rpc: async (fn, args) => {
+      calls.push({ table: null, method: 'rpc', args: [fn, args] });
+      return NO_ROW;
+    },
+    auth: {
+      getUser: async () => ({ data: { user: null }, error: new Error('Supabase auth is stubbed') }),
+      admin: {
+        getUserById: async () => ({ data: { user: null }, error: null })
+      }
+    },
+    storage: {
+      from: () => ({
+        upload: async () => NO_ROW,
+        remove: async () => NO_ROW,
+        getPublicUrl: () => ({ data: { publicUrl: '' } })
+      })
+    }
+  };
+}
+
+module.exports = { createClient, calls };
@@ -0,0 +1,106 @@
+// ============================================================================
+// Test server
+// Boots the Express app from server-supabase.js against a temporary SQLite
+// file, with bearer tokens signed for any test user. Test files must stub
+// Supabase first:
+//   jest.mock('@supabase/supabase-js', () => require('./helpers/supabaseStub'));
+// backend/tests/helpers/testServer.js
+// ============================================================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const JWT_SECRET = 'chait-test-secret';
+
+/**
+ * An HS256 token the auth middleware accepts as userId
+ */
+function signToken(userId) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const payload = encode({
+    sub: userId,
+    aud: 'authenticated',
+    exp: Math.floor(Date.now() / 1000) + 3600
+  });
+  const signature = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Start the app on a random port
+ * @returns {Promise<Object>} { app, localDb, baseUrl, request, requestText, close }
+ */
+async function startTestServer() {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chait-test-'));
+
+  Object.assign(process.env, {
+    LOCAL_DB_PATH: path.join(tmpDir, 'test.db'),
+    AUTH_MODE: 'token',
+    AUTH_JWT_SECRET: JWT_SECRET,
+    SUPABASE_URL: 'http://supabase.test',
+    SUPABASE_SERVICE_ROLE_KEY: 'test-service-role-key',
+    API_KEY_MASTER_KEY: crypto.randomBytes(32).toString('base64'),
+    // Keyword-only memory retrieval; no embedding model to download
+    EMBEDDING_PROVIDER: 'none'
+  });
+
+  const app = require('../../server-supabase');
+  const localDb = require('../../services/LocalDatabaseService').getInstance();
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const send = (method, url, userId, body) => fetch(baseUrl + url, {
+    method,
+    headers: {
+      ...(userId && { Authorization: `Bearer ${signToken(userId)}` }),
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  /**
+   * JSON request as userId (null sends no token)
+   * @returns {Promise<Object>} { status, body }
+   */
+  async function request(method, url, userId, body) {
+    const response = await send(method, url, userId, body);
+    return { status: response.status, body: await response.json().catch(() => null) };
+  }
+
+  /**
+   * Request whose response is not JSON, such as an event stream
+   * @returns {Promise<Object>} { status, headers, text }
+   */
+  async function requestText(method, url, userId, body) {
+    const response = await send(method, url, userId, body);
+    return { status: response.status, headers: response.headers, text: await response.text() };
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    localDb.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  return { app, localDb, baseUrl, request, requestText, close };
+}
+
+/**
+ * Parse a text/event-stream body into [{ event, data }]
+ */
+function parseEvents(text) {
+  return text.split('\n\n')
+    .filter(block => block.trim())
+    .map(block => {
+      const event = block.match(/^event: (.*)$/m)?.[1];
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      return { event, data: data ? JSON.parse(data) : null };
+    });
+}
+
+module.exports = { startTestServer, signToken, parseEvents };
@@ -0,0 +1,157 @@
+// ============================================================================
+// Cross-user ownership tests
+// Every user-owned row must be invisible to other users: reads come back
+// empty and writes change nothing, both in the data layer and over HTTP
+// through the full app, with bearer-token auth.
+// backend/tests/ownership.test.js
+// ============================================================================
+
+jest.mock('@supabase/supabase-js', () => require('./helpers/supabaseStub'));
+
+const { startTestServer } = require('./helpers/testServer');
+
+const OWNER = 'user-a';
+const OTHER = 'user-b';
+
+let server, localDb;
+let character, scenario, session, message, memory, model, persona;
+
+// Requests go through the real app and its auth middleware, signed as userId
+const request = (...args) => server.request(...args);
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  server = await startTestServer();
+  localDb = server.localDb;
+});
+
+afterAll(async () => {
+  await server.close();
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  character = localDb.createCharacter(OWNER, { name: 'Ava', personality: 'Curious and kind, always asks questions' });
+  scenario = localDb.createScenario(OWNER, { name: 'Cafe', description: 'A quiet cafe', initial_message: 'Hi' });
+  session = localDb.createChatSession(OWNER, { scenario_id: scenario.id, active_characters: [character.id], title: 'Private' });
+  message = localDb.createMessage(OWNER, { session_id: session.id, type: 'user', content: 'secret' });
+  memory = localDb.createMemory(character.id, OWNER, { memory_type: 'semantic', content: 'User lives in Oslo', importance_score: 0.7 });
+  model = localDb.createCustomModel(OWNER, { name: 'mine', provider: 'ollama', model_id: 'llama3' });
+  const result = localDb.run(
+    'INSERT INTO user_personas (user_id, name, personality) VALUES (?, ?, ?)',
+    [OWNER, 'Sam', 'Calm and patient, likes long walks']
+  );
+  persona = localDb.get('SELECT * FROM user_personas WHERE rowid = ?', [result.lastInsertRowid]);
+});
+
+describe('LocalDatabaseService', () => {
+  test('characters are scoped to their owner', () => {
+    expect(localDb.getCharacter(character.id, OWNER)).not.toBeNull();
+    expect(localDb.getCharacter(character.id, OTHER)).toBeFalsy();
+    expect(localDb.updateCharacter(character.id, OTHER, { name: 'Stolen' })).toBeNull();
+    expect(localDb.deleteCharacter(character.id, OTHER).changes).toBe(0);
+    expect(localDb.clearPersonalityGrowth(character.id, OTHER).changes).toBe(0);
+    expect(localDb.savePersonalityGrowth(character.id, OTHER, 'Grew').changes).toBe(0);
+    expect(localDb.getCharacter(character.id, OWNER).name).toBe('Ava');
+  });
+
+  test('scenarios are scoped to their owner', () => {
+    expect(localDb.getScenario(scenario.id, OTHER)).toBeFalsy();
+    expect(localDb.updateScenario(scenario.id, OTHER, { name: 'Stolen' })).toBeNull();
+    expect(localDb.deleteScenario(scenario.id, OTHER).changes).toBe(0);
+    expect(localDb.getScenario(scenario.id, OWNER).name).toBe('Cafe');
+  });
+
+  test('sessions and their messages are scoped to their owner', () => {
+    expect(localDb.getChatSession(session.id, OTHER)).toBeFalsy();
+    expect(localDb.updateChatSession(session.id, OTHER, { title: 'Stolen' })).toBeFalsy();
+    expect(localDb.forkChatSession(session.id, OTHER, message.id)).toBeFalsy();
+    expect(localDb.getMessagesBySession(session.id, OTHER)).toEqual([]);
+    expect(localDb.getMessage(message.id, OTHER)).toBeFalsy();
+    expect(localDb.getMessagesBefore(session.id, OTHER, message.id + 1)).toEqual([]);
+    expect(localDb.createMessage(OTHER, { session_id: session.id, type: 'user', content: 'injected' })).toBeNull();
+    expect(localDb.deleteChatSession(session.id, OTHER).changes).toBe(0);
+
+    expect(localDb.getChatSession(session.id, OWNER).title).toBe('Private');
+    expect(localDb.getMessagesBySession(session.id, OWNER).map(m => m.content)).toEqual(['secret']);
+  });
+
+  test('memories are scoped to their owner', () => {
+    expect(localDb.getMemory(memory.id, OTHER)).toBeFalsy();
+    expect(localDb.updateMemory(memory.id, OTHER, { content: 'Stolen' })).toBeFalsy();
+    expect(localDb.deleteMemory(memory.id, OTHER).changes).toBe(0);
+    expect(localDb.getMemory(memory.id, OWNER).content).toBe('User lives in Oslo');
+  });
+
+  test('custom models are scoped to their owner', () => {
+    expect(localDb.getCustomModel(model.id, OTHER)).toBeNull();
+    expect(localDb.updateCustomModel(model.id, OTHER, { name: 'stolen' })).toBeNull();
+    expect(localDb.deleteCustomModel(model.id, OTHER).changes).toBe(0);
+    expect(localDb.getCustomModel(model.id, OWNER).name).toBe('mine');
+  });
+});
+
+describe('HTTP routes', () => {
+  test('the user comes from the signed token, never from a header', async () => {
+    const response = await fetch(`${server.baseUrl}/api/characters`, { headers: { 'user-id': OWNER } });
+    expect(response.status).toBe(401);
+  });
+
+  test('another user cannot read, edit or delete a character', async () => {
+    expect((await request('PUT', `/api/characters/${character.id}`, OTHER, { name: 'Stolen' })).status).toBe(404);
+    expect((await request('DELETE', `/api/characters/${character.id}`, OTHER)).status).toBe(404);
+    expect((await request('GET', `/api/characters/${character.id}/export`, OTHER)).status).toBe(404);
+    expect((await request('POST', `/api/characters/${character.id}/clear-growth`, OTHER)).status).toBe(404);
+
+    const { body } = await request('GET', '/api/characters', OTHER);
+    expect(body.characters.map(c => c.id)).not.toContain(character.id);
+  });
+
+  test('another user cannot edit or delete a scenario', async () => {
+    expect((await request('PUT', `/api/scenarios/${scenario.id}`, OTHER, { name: 'Stolen', description: 'Mine now', initial_message: 'Hi' })).status).toBe(404);
+    expect((await request('DELETE', `/api/scenarios/${scenario.id}`, OTHER)).status).toBe(404);
+  });
+
+  test('another user cannot reach a chat session', async () => {
+    expect((await request('GET', `/api/chat/sessions/${session.id}`, OTHER)).status).toBe(404);
+    expect((await request('PUT', `/api/chat/sessions/${session.id}`, OTHER, { title: 'Stolen' })).status).toBe(404);
+    expect((await request('POST', `/api/chat/sessions/${session.id}/fork`, OTHER, { messageId: message.id })).status).toBe(404);
+    expect((await request('GET', `/api/chat/sessions/${session.id}/summary`, OTHER)).status).toBe(404);
+    expect((await request('DELETE', `/api/chat/sessions/${session.id}`, OTHER)).status).toBe(404);
+
+    const owned = await request('GET', `/api/chat/sessions/${session.id}`, OWNER);
+    expect(owned.status).toBe(200);
+  });
+
+  test('another user cannot start a session in a private scenario', async () => {
+    const { status } = await request('POST', '/api/chat/sessions/create-with-initial-message', OTHER, {
+      scenario_id: scenario.id,
+      active_characters: [],
+      initial_message: 'Hi'
+    });
+    expect(status).toBe(404);
+  });
+
+  test('another user cannot edit or delete a memory', async () => {
+    const url = `/api/character/${character.id}/memories/${memory.id}`;
+    expect((await request('PUT', url, OTHER, { content: 'Stolen' })).status).toBe(404);
+    expect((await request('DELETE', url, OTHER)).status).toBe(404);
+    expect((await request('POST', `/api/character/${character.id}/memories`, OTHER, { content: 'Injected' })).status).toBe(404);
+  });
+
+  test('another user cannot read, edit or delete a custom model', async () => {
+    expect((await request('GET', `/api/custom-models/${model.id}`, OTHER)).status).toBe(404);
+    expect((await request('PUT', `/api/custom-models/${model.id}`, OTHER, { name: 'stolen' })).status).toBe(404);
+    expect((await request('DELETE', `/api/custom-models/${model.id}`, OTHER)).status).toBe(404);
+  });
+
+  test('another user cannot activate, edit or delete a persona', async () => {
+    expect((await request('POST', `/api/personas/${persona.id}/activate`, OTHER)).status).toBe(404);
+    expect((await request('PUT', `/api/personas/${persona.id}`, OTHER, { name: 'Stolen' })).status).toBe(404);
+    expect((await request('DELETE', `/api/personas/${persona.id}`, OTHER)).status).toBe(404);
+
+    const stored = localDb.get('SELECT name FROM user_personas WHERE id = ?', [persona.id]);
+    expect(stored.name).toBe('Sam');
+  });
+});
@@ -0,0 +1,316 @@
+// ============================================================================
+// CRUD route tests
+// Characters, scenarios, chat sessions and personas through the full app,
+// with bearer-token auth, against a temporary database
+// backend/tests/routes.test.js
+// ============================================================================
+
+jest.mock('@supabase/supabase-js', () => require('./helpers/supabaseStub'));
+
+const MockProviderService = require('../services/MockProviderService');
+const { startTestServer } = require('./helpers/testServer');
+const fixtures = require('./helpers/fixtures');
+
+let server;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  server = await startTestServer();
+});
+
+afterAll(async () => {
+  await server.close();
+  jest.restoreAllMocks();
+});
+
+// Each describe block acts as its own user, which keeps their lists
+// separate and their requests under the per-user rate limit
+const request = (...args) => server.request(...args);
+
+describe('app', () => {
+  test('GET /health needs no token', async () => {
+    const { status, body } = await request('GET', '/health');
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ status: 'OK', auth: { mode: 'token' } });
+  });
+
+  test('API routes reject requests without a token', async () => {
+    const { status, body } = await request('GET', '/api/characters');
+
+    expect(status).toBe(401);
+    expect(body.error).toBe('Authentication required');
+  });
+
+  test('unknown routes are 404s', async () => {
+    const { status } = await request('GET', '/api/nothing-here', 'user-app');
+    expect(status).toBe(404);
+  });
+});
+
+describe('/api/characters', () => {
+  const USER = 'user-characters';
+
+  test('create, list, update and delete', async () => {
+    const created = await request('POST', '/api/characters', USER, fixtures.characters.ava);
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ name: 'Ava', age: 27, ai_provider: 'mock', memory_enabled: true });
+
+    const id = created.body.id;
+
+    const list = await request('GET', '/api/characters', USER);
+    expect(list.body.characters.map(c => c.id)).toContain(id);
+
+    const updated = await request('PUT', `/api/characters/${id}`, USER, {
+      personality: 'Grumpy before coffee, warm after it',
+      tags: ['artist', 'barista']
+    });
+    expect(updated.status).toBe(200);
+    expect(updated.body).toMatchObject({ personality: 'Grumpy before coffee, warm after it', tags: ['artist', 'barista'] });
+
+    const removed = await request('DELETE', `/api/characters/${id}`, USER);
+    expect(removed.status).toBe(200);
+
+    const after = await request('GET', '/api/characters', USER);
+    expect(after.body.characters.map(c => c.id)).not.toContain(id);
+  });
+
+  test('characters must be adults', async () => {
+    const created = await request('POST', '/api/characters', USER, { ...fixtures.characters.bo, age: 17 });
+    expect(created.status).toBe(400);
+    expect(created.body.error).toBe('Character must be 18 or older');
+
+    const { body: bo } = await request('POST', '/api/characters', USER, fixtures.characters.bo);
+    const updated = await request('PUT', `/api/characters/${bo.id}`, USER, { age: 16 });
+    expect(updated.status).toBe(400);
+  });
+
+  test('updating a missing character is a 404', async () => {
+    const { status } = await request('PUT', '/api/characters/missing', USER, { personality: 'Grumpy before coffee, warm after it' });
+    expect(status).toBe(404);
+  });
+
+  test('other users cannot see or change the character', async () => {
+    const { body: ava } = await request('POST', '/api/characters', USER, fixtures.characters.ava);
+
+    const list = await request('GET', '/api/characters', 'user-stranger');
+    expect(list.body.characters.map(c => c.id)).not.toContain(ava.id);
+
+    const updated = await request('PUT', `/api/characters/${ava.id}`, 'user-stranger', { name: 'Mine' });
+    expect(updated.status).toBe(404);
+  });
+});
+
+describe('/api/scenarios', () => {
+  const USER = 'user-scenarios';
+
+  test('create, list, update and delete', async () => {
+    const created = await request('POST', '/api/scenarios', USER, fixtures.scenario);
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ name: 'Harbor Cafe', atmosphere: 'calm' });
+
+    const id = created.body.id;
+
+    const list = await request('GET', '/api/scenarios', USER);
+    expect(list.body.scenarios.map(s => s.id)).toContain(id);
+
+    const updated = await request('PUT', `/api/scenarios/${id}`, USER, { ...fixtures.scenario, atmosphere: 'tense' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.atmosphere).toBe('tense');
+
+    const removed = await request('DELETE', `/api/scenarios/${id}`, USER);
+    expect(removed.status).toBe(200);
+
+    const after = await request('GET', '/api/scenarios', USER);
+    expect(after.body.scenarios.map(s => s.id)).not.toContain(id);
+  });
+
+  test('name, description and opening message are required', async () => {
+    const { status, body } = await request('POST', '/api/scenarios', USER, { name: 'Empty room' });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('Name, description, and initial message are required fields');
+  });
+
+  test('the narrator speaks when its trigger fires', async () => {
+    MockProviderService.reset();
+    const { body: scene } = await request('POST', '/api/scenarios', USER, {
+      ...fixtures.scenario,
+      narrator_enabled: true,
+      narrator_trigger_mode: 'action_based',
+      narrator_ai_provider: 'mock',
+      narrator_ai_model: 'echo'
+    });
+
+    const quiet = await request('POST', `/api/scenarios/${scene.id}/narrator`, USER, {
+      messages: [], messageCount: 1, lastAction: 'Hello'
+    });
+    expect(quiet.body).toEqual({ triggered: false });
+
+    const spoken = await request('POST', `/api/scenarios/${scene.id}/narrator`, USER, {
+      messages: [], messageCount: 2, lastAction: '*knocks over a cup*'
+    });
+    expect(spoken.status).toBe(200);
+    expect(spoken.body.triggered).toBe(true);
+    expect(MockProviderService.getCalls()).toHaveLength(1);
+  });
+});
+
+describe('/api/chat/sessions', () => {
+  const USER = 'user-sessions';
+  let scenario, character;
+
+  beforeAll(async () => {
+    scenario = (await request('POST', '/api/scenarios', USER, fixtures.scenario)).body;
+    character = (await request('POST', '/api/characters', USER, fixtures.characters.ava)).body;
+  });
+
+  test('create, read, rename and delete', async () => {
+    const created = await request('POST', '/api/chat/sessions', USER, {
+      scenario: scenario.id,
+      activeCharacters: [character.id],
+      title: 'Evening at the cafe'
+    });
+    expect(created.status).toBe(201);
+
+    const id = created.body.id;
+
+    const fetched = await request('GET', `/api/chat/sessions/${id}`, USER);
+    expect(fetched.body).toMatchObject({
+      title: 'Evening at the cafe',
+      scenario_id: scenario.id,
+      active_characters: [character.id]
+    });
+
+    const list = await request('GET', '/api/chat/sessions', USER);
+    expect(list.body.sessions.map(s => s.id)).toContain(id);
+
+    const renamed = await request('PUT', `/api/chat/sessions/${id}`, USER, { title: 'Late night' });
+    expect(renamed.status).toBe(200);
+    expect(renamed.body.title).toBe('Late night');
+
+    const removed = await request('DELETE', `/api/chat/sessions/${id}`, USER);
+    expect(removed.status).toBe(200);
+
+    const gone = await request('GET', `/api/chat/sessions/${id}`, USER);
+    expect(gone.status).toBe(404);
+  });
+
+  test('sessions are titled after their scenario by default', async () => {
+    const { body } = await request('POST', '/api/chat/sessions', USER, { scenario: scenario.id, activeCharacters: [] });
+    expect(body.title.startsWith('Harbor Cafe - ')).toBe(true);
+  });
+
+  test('an unknown scenario is a 404', async () => {
+    const { status } = await request('POST', '/api/chat/sessions', USER, { scenario: 'missing', activeCharacters: [] });
+    expect(status).toBe(404);
+  });
+
+  test('create-with-initial-message stores the opening line', async () => {
+    const created = await request('POST', '/api/chat/sessions/create-with-initial-message', USER, {
+      scenario_id: scenario.id,
+      active_characters: [character.id],
+      initial_message: scenario.initial_message
+    });
+    expect(created.status).toBe(201);
+
+    const messages = server.localDb.all('SELECT * FROM messages WHERE session_id = ?', [created.body.sessionId]);
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({ type: 'system', content: scenario.initial_message });
+
+    const missing = await request('POST', '/api/chat/sessions/create-with-initial-message', USER, { scenario_id: scenario.id });
+    expect(missing.status).toBe(400);
+  });
+
+  test('other users cannot read the session', async () => {
+    const { body } = await request('POST', '/api/chat/sessions', USER, { scenario: scenario.id, activeCharacters: [] });
+
+    const { status } = await request('GET', `/api/chat/sessions/${body.id}`, 'user-stranger');
+    expect(status).toBe(404);
+  });
+});
+
+describe('/api/personas', () => {
+  const USER = 'user-personas';
+
+  test('the first persona is active until another is activated', async () => {
+    const none = await request('GET', '/api/personas/active', USER);
+    expect(none.status).toBe(404);
+
+    const sam = await request('POST', '/api/personas', USER, fixtures.persona);
+    expect(sam.status).toBe(200);
+    expect(sam.body.persona).toMatchObject({ name: 'Sam', interests: ['hiking', 'film'], is_active: 1 });
+
+    const alex = await request('POST', '/api/personas', USER, { ...fixtures.persona, name: 'Alex' });
+    expect(alex.body.persona.is_active).toBe(0);
+
+    const active = await request('GET', '/api/personas/active', USER);
+    expect(active.body.persona.id).toBe(sam.body.persona.id);
+
+    const activated = await request('POST', `/api/personas/${alex.body.persona.id}/activate`, USER);
+    expect(activated.body.success).toBe(true);
+
+    const nowActive = await request('GET', '/api/personas/active', USER);
+    expect(nowActive.body.persona.id).toBe(alex.body.persona.id);
+
+    const list = await request('GET', '/api/personas', USER);
+    expect(list.body.personas.map(p => p.name).sort()).toEqual(['Alex', 'Sam']);
+  });
+
+  test('update and delete', async () => {
+    const { body } = await request('POST', '/api/personas', USER, { ...fixtures.persona, name: 'Robin' });
+    const id = body.persona.id;
+
+    const updated = await request('PUT', `/api/personas/${id}`, USER, {
+      name: 'Robin',
+      personality: 'Loud and cheerful, loves karaoke'
+    });
+    expect(updated.status).toBe(200);
+    expect(updated.body.persona.personality).toBe('Loud and cheerful, loves karaoke');
+
+    const removed = await request('DELETE', `/api/personas/${id}`, USER);
+    expect(removed.body.success).toBe(true);
+
+    const list = await request('GET', '/api/personas', USER);
+    expect(list.body.personas.map(p => p.id)).not.toContain(id);
+  });
+
+  test('name and personality are required', async () => {
+    const { status, body } = await request('POST', '/api/personas', USER, { name: 'Nobody' });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('Name and personality are required');
+  });
+
+  test('the only persona cannot be deleted', async () => {
+    const { body } = await request('POST', '/api/personas', 'user-one-persona', fixtures.persona);
+
+    const { status } = await request('DELETE', `/api/personas/${body.persona.id}`, 'user-one-persona');
+    expect(status).toBe(400);
+  });
+});
+
+describe('/api/user/settings', () => {
+  const USER = 'user-settings';
+
+  test('api keys are stored sealed and only ever returned masked', async () => {
+    const saved = await request('PUT', '/api/user/settings', USER, { apiKeys: { openai: 'sk-test-1234' } });
+    expect(saved.status).toBe(200);
+    expect(saved.body.settings.apiKeys).toEqual({ openai: '••••••••1234' });
+
+    const stored = server.localDb.getUserSettings(USER).apiKeys.openai;
+    expect(stored).toMatchObject({ v: 1, last4: '1234' });
+    expect(JSON.stringify(stored)).not.toContain('sk-test');
+  });
+
+  test('a client cannot submit its own envelope', async () => {
+    const envelope = { v: 1, kid: 'abc', dek: 'ZGVr', data: 'ZGF0YQ==', last4: '0000' };
+
+    const { status, body } = await request('PUT', '/api/user/settings', USER, { apiKeys: { anthropic: envelope } });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('API key for anthropic must be a string');
+    expect(server.localDb.getUserSettings(USER).apiKeys.anthropic).toBeUndefined();
+  });
+});
@@ -0,0 +1,41 @@
+// ============================================================================
+// Seeded Random
+// Small deterministic PRNG and string hash, for behaviour that should vary
+// in use but be reproducible in tests
+// backend/utils/seededRandom.js
+// ============================================================================
+
+/**
+ * mulberry32: a small seeded PRNG returning floats in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * FNV-1a hash of a string, to derive a seed from text
+ */
+function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * A fresh 32-bit seed, for callers that were not given one
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+module.exports = { seededRandom, hashString, randomSeed };
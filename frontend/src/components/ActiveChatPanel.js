@@ -1,16 +1,51 @@
 /**
  * Active Chat Panel Component
- * Right sidebar showing current scene and active characters
+ * Right sidebar showing current scene, group dynamics and active characters,
+ * each with their current mood in the session
  */
 
 import React from 'react';
-import { MapPin, Users, X, ChevronRight } from 'lucide-react';
+import { MapPin, Users, X, ChevronRight, Volume2, VolumeX, Shuffle } from 'lucide-react';
+import GroupDynamicsControls from './GroupDynamicsControls';
+
+// Badge look for each mood the backend tracks (MOOD_TRACKING.MOODS)
+const MOOD_BADGES = {
+  happy: { emoji: '😊', className: 'bg-yellow-500/20 text-yellow-300' },
+  excited: { emoji: '🤩', className: 'bg-orange-500/20 text-orange-300' },
+  affectionate: { emoji: '🥰', className: 'bg-pink-500/20 text-pink-300' },
+  playful: { emoji: '😏', className: 'bg-purple-500/20 text-purple-300' },
+  curious: { emoji: '🤔', className: 'bg-cyan-500/20 text-cyan-300' },
+  calm: { emoji: '😌', className: 'bg-teal-500/20 text-teal-300' },
+  sad: { emoji: '😢', className: 'bg-blue-500/20 text-blue-300' },
+  anxious: { emoji: '😰', className: 'bg-indigo-500/20 text-indigo-300' },
+  annoyed: { emoji: '😒', className: 'bg-amber-500/20 text-amber-300' },
+  angry: { emoji: '😠', className: 'bg-red-500/20 text-red-300' }
+};
+
+const MoodBadge = ({ mood }) => {
+  const badge = MOOD_BADGES[mood?.mood];
+  if (!badge) return null;
+
+  const percent = Math.round((mood.intensity ?? 0.5) * 100);
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-xs ${badge.className}`}
+      style={{ opacity: 0.5 + (mood.intensity ?? 0.5) / 2 }}
+      title={`Feeling ${mood.mood} (${percent}% intensity), read from their replies in this chat`}
+    >
+      {badge.emoji} {mood.mood}
+    </span>
+  );
+};
 
 const ActiveChatPanel = ({
   currentScene,
   activeCharacters,
   onRemoveCharacter,
   onChangeScene,
+  groupSettings,
+  onUpdateGroupSettings,
+  characterMoods = {},
   isCollapsed,
   onToggleCollapse
 }) => {
@@ -31,6 +66,18 @@ const ActiveChatPanel = ({
   // Show empty state if no scene or characters
   const isEmpty = !currentScene && activeCharacters.length === 0;
 
+  // Group dynamics belong to a saved session, so they appear once it exists
+  const canConfigureGroup = Boolean(groupSettings && onUpdateGroupSettings);
+  const muted = groupSettings?.muted_characters || [];
+
+  const toggleMute = (character) => {
+    onUpdateGroupSettings({
+      muted_characters: muted.includes(character.id)
+        ? muted.filter(id => id !== character.id)
+        : [...muted, character.id]
+    });
+  };
+
   return (
     <div className="w-80 bg-gray-800 border-l border-white/10 flex flex-col overflow-hidden">
       {/* Header */}
@@ -94,6 +141,21 @@ const ActiveChatPanel = ({
           </div>
         )}
 
+        {/* Group Dynamics */}
+        {canConfigureGroup && activeCharacters.length > 1 && (
+          <div className="p-4 border-b border-white/10">
+            <h3 className="text-sm font-medium text-gray-300 flex items-center gap-2 mb-2">
+              <Shuffle size={16} />
+              Who Replies
+            </h3>
+            <GroupDynamicsControls
+              mode={groupSettings.group_mode}
+              maxResponders={groupSettings.max_responders}
+              onChange={onUpdateGroupSettings}
+            />
+          </div>
+        )}
+
         {/* Active Characters */}
         <div className="p-4">
           <div className="flex items-center justify-between mb-3">
@@ -111,53 +173,79 @@ const ActiveChatPanel = ({
             </div>
           ) : (
             <div className="space-y-2">
-              {activeCharacters.map((character) => (
-                <div
-                  key={character.id}
-                  className="bg-white/5 border border-white/10 rounded-lg p-3 hover:bg-white/10 transition-colors"
-                >
-                  <div className="flex items-start gap-3">
-                    {/* Avatar */}
-                    <div
-                      className={`flex-shrink-0 w-10 h-10 rounded-full ${
-                        character.color || 'bg-gray-700'
-                      } flex items-center justify-center text-lg`}
-                    >
-                      {character.uses_custom_image && character.avatar_image_url ? (
-                        <img
-                          src={character.avatar_image_url}
-                          alt={character.name}
-                          className="w-full h-full object-cover rounded-full"
-                        />
-                      ) : (
-                        <span>{character.avatar || '🤖'}</span>
-                      )}
-                    </div>
+              {activeCharacters.map((character) => {
+                const isMuted = muted.includes(character.id);
+                return (
+                  <div
+                    key={character.id}
+                    className={`bg-white/5 border border-white/10 rounded-lg p-3 hover:bg-white/10 transition-colors ${
+                      isMuted ? 'opacity-60' : ''
+                    }`}
+                  >
+                    <div className="flex items-start gap-3">
+                      {/* Avatar */}
+                      <div
+                        className={`flex-shrink-0 w-10 h-10 rounded-full ${
+                          character.color || 'bg-gray-700'
+                        } flex items-center justify-center text-lg`}
+                      >
+                        {character.uses_custom_image && character.avatar_image_url ? (
+                          <img
+                            src={character.avatar_image_url}
+                            alt={character.name}
+                            className="w-full h-full object-cover rounded-full"
+                          />
+                        ) : (
+                          <span>{character.avatar || '🤖'}</span>
+                        )}
+                      </div>
 
-                    {/* Info */}
-                    <div className="flex-1 min-w-0">
-                      <div className="flex items-center justify-between gap-2">
-                        <p className="font-medium text-white truncate">{character.name}</p>
-                        {onRemoveCharacter && (
-                          <button
-                            onClick={() => onRemoveCharacter(character)}
-                            className="text-gray-400 hover:text-orange-400 transition-colors"
-                            title="Remove from chat"
-                          >
-                            <X size={14} />
-                          </button>
+                      {/* Info */}
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center justify-between gap-2">
+                          <p className="font-medium text-white truncate">{character.name}</p>
+                          <div className="flex items-center gap-2">
+                            {canConfigureGroup && (
+                              <button
+                                onClick={() => toggleMute(character)}
+                                className={`transition-colors ${
+                                  isMuted ? 'text-orange-400 hover:text-orange-300' : 'text-gray-400 hover:text-orange-400'
+                                }`}
+                                title={isMuted ? 'Let them reply again' : 'Mute: stays in the scene but never replies'}
+                              >
+                                {isMuted ? <VolumeX size={14} /> : <Volume2 size={14} />}
+                              </button>
+                            )}
+                            {onRemoveCharacter && (
+                              <button
+                                onClick={() => onRemoveCharacter(character)}
+                                className="text-gray-400 hover:text-orange-400 transition-colors"
+                                title="Remove from chat"
+                              >
+                                <X size={14} />
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                        {characterMoods[character.id] && (
+                          <div className="mt-1">
+                            <MoodBadge mood={characterMoods[character.id]} />
+                          </div>
+                        )}
+                        {isMuted && (
+                          <p className="text-xs text-orange-300">Muted in this chat</p>
                         )}
+                        {character.age && (
+                          <p className="text-xs text-gray-500">{character.age} years old</p>
+                        )}
+                        <p className="text-xs text-gray-400 mt-1 line-clamp-2">
+                          {character.personality?.substring(0, 60)}...
+                        </p>
                       </div>
-                      {character.age && (
-                        <p className="text-xs text-gray-500">{character.age} years old</p>
-                      )}
-                      <p className="text-xs text-gray-400 mt-1 line-clamp-2">
-                        {character.personality?.substring(0, 60)}...
-                      </p>
                     </div>
                   </div>
-                </div>
-              ))}
+                );
+              })}
             </div>
           )}
         </div>
@@ -32,6 +32,9 @@ const AppShell = ({
   activeCharacters,
   onRemoveCharacter,
   onChangeScene,
+  groupSettings,
+  onUpdateGroupSettings,
+  characterMoods,
   rightPanelCollapsed,
   onToggleRightPanel,
 
@@ -66,6 +69,9 @@ const AppShell = ({
         activeCharacters={activeCharacters}
         onRemoveCharacter={onRemoveCharacter}
         onChangeScene={onChangeScene}
+        groupSettings={groupSettings}
+        onUpdateGroupSettings={onUpdateGroupSettings}
+        characterMoods={characterMoods}
         isCollapsed={rightPanelCollapsed}
         onToggleCollapse={onToggleRightPanel}
       />
@@ -3,21 +3,38 @@
 // Includes per-character AI provider and model selection
 // ============================================================================
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   X, Save, User, MessageCircle, Sparkles, Sliders,
-  Brain, Zap, Tag, Globe, RefreshCw, AlertCircle, Users, Heart, ChevronDown, ChevronUp
+  Brain, Zap, Tag, Globe, RefreshCw, AlertCircle, Users, Heart, ChevronDown, ChevronUp, BookOpen,
+  Upload, Download, Plus, Trash2
 } from 'lucide-react';
 import ImageUpload from './ImageUpload';
+import LorebookPanel from './LorebookPanel';
+import InstructTemplatePicker from './InstructTemplatePicker';
+import { getAuthHeaders } from '../utils/apiClient';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
+// The backend tries the main model plus at most three fallbacks
+const MAX_FALLBACKS = 3;
+const FALLBACK_PROVIDERS = [
+  { value: 'openai', label: 'OpenAI' },
+  { value: 'anthropic', label: 'Anthropic' },
+  { value: 'openrouter', label: 'OpenRouter' },
+  { value: 'google', label: 'Google' },
+  { value: 'ollama', label: 'Ollama' },
+  { value: 'lmstudio', label: 'LM Studio' }
+];
+
 const CharacterEditorV15 = ({
   character,
   onSave,
   onClose,
+  onImport,
   user,
-  userSettings
+  userSettings,
+  apiRequest
 }) => {
   
   // ============================================================================
@@ -26,6 +43,7 @@ const CharacterEditorV15 = ({
   
   const [formData, setFormData] = useState({
     name: '',
+    aliases: '',  // Comma-separated while editing; saved as a list
     age: 18,
     sex: '',
     personality: '',
@@ -42,6 +60,8 @@ const CharacterEditorV15 = ({
     presence_penalty: null,
     repetition_penalty: null,
     stop_sequences: null,
+    instruct_template: null,
+    fallback_chain: [],
     chat_examples: [],
     relationships: [],
 
@@ -75,6 +95,15 @@ const CharacterEditorV15 = ({
   const [loadingCharacters, setLoadingCharacters] = useState(false);
   const [characterRelationships, setCharacterRelationships] = useState([]);
   const [showAddRelationship, setShowAddRelationship] = useState(false);
+
+  // Lorebooks link to a saved character, so the tab only exists when editing
+  const [activeTab, setActiveTab] = useState('character');
+
+  // Character Card V2 import/export
+  const cardInputRef = useRef(null);
+  const [cardBusy, setCardBusy] = useState(false);
+  const [cardMessage, setCardMessage] = useState(null);
+  const [exportFormat, setExportFormat] = useState('png');
   
   // ============================================================================
   // INITIALIZE
@@ -85,6 +114,7 @@ const CharacterEditorV15 = ({
       // Edit mode - populate existing character
       setFormData({
         name: character.name || '',
+        aliases: (character.aliases || []).join(', '),
         age: character.age || 18,
         sex: character.sex || '',
         personality: character.personality || '',
@@ -101,6 +131,8 @@ const CharacterEditorV15 = ({
         presence_penalty: character.presence_penalty ?? null,
         repetition_penalty: character.repetition_penalty ?? null,
         stop_sequences: character.stop_sequences ?? null,
+        instruct_template: character.instruct_template ?? null,
+        fallback_chain: character.fallback_chain || [],
         chat_examples: character.chat_examples || [],
         relationships: character.relationships || [],
         avatar_image_url: character.avatar_image_url || null,
@@ -147,7 +179,7 @@ const CharacterEditorV15 = ({
       // Handle custom model presets - fetch from custom-models endpoint
       if (provider === 'custom') {
         const response = await fetch(`${API_BASE_URL}/api/custom-models`, {
-          headers: { 'user-id': user.id }
+          headers: await getAuthHeaders()
         });
         const data = await response.json();
         const presets = data.models || [];
@@ -199,7 +231,7 @@ const CharacterEditorV15 = ({
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'user-id': user.id
+          ...(await getAuthHeaders())
         },
         body: JSON.stringify({
           provider: actualProvider,
@@ -254,6 +286,12 @@ const CharacterEditorV15 = ({
     setFormData(prev => ({ ...prev, [field]: value }));
     setError(null);
   };
+
+  const updateFallbackLink = (index, changes) => {
+    handleInputChange('fallback_chain', formData.fallback_chain.map((link, i) => (
+      i === index ? { ...link, ...changes } : link
+    )));
+  };
   
   const handleAddTag = () => {
     if (tagInput.trim() && !formData.tags.includes(tagInput.trim())) {
@@ -339,7 +377,7 @@ const CharacterEditorV15 = ({
         `${API_BASE_URL}/api/characters/${character.id}/relationships/available`,
         {
           headers: {
-            'user-id': user.id
+            ...(await getAuthHeaders())
           }
         }
       );
@@ -358,7 +396,7 @@ const CharacterEditorV15 = ({
     } finally {
       setLoadingCharacters(false);
     }
-  }, [character?.id, user.id]);
+  }, [character?.id]);
 
   const loadCharacterRelationships = useCallback(async () => {
     if (!character?.id) return;
@@ -368,7 +406,7 @@ const CharacterEditorV15 = ({
         `${API_BASE_URL}/api/characters/${character.id}/relationships`,
         {
           headers: {
-            'user-id': user.id
+            ...(await getAuthHeaders())
           }
         }
       );
@@ -380,7 +418,7 @@ const CharacterEditorV15 = ({
     } catch (error) {
       console.error('Error loading relationships:', error);
     }
-  }, [character?.id, user.id]);
+  }, [character?.id]);
 
   const handleAddRelationship = async (targetId, targetType, relationshipData) => {
     try {
@@ -401,7 +439,7 @@ const CharacterEditorV15 = ({
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
-            'user-id': user.id
+            ...(await getAuthHeaders())
           },
           body: JSON.stringify(payload)
         }
@@ -427,7 +465,7 @@ const CharacterEditorV15 = ({
         {
           method: 'DELETE',
           headers: {
-            'user-id': user.id
+            ...(await getAuthHeaders())
           }
         }
       );
@@ -461,7 +499,7 @@ const CharacterEditorV15 = ({
     try {
       const response = await fetch(`${API_BASE_URL}/api/characters/${character.id}/compile`, {
         method: 'POST',
-        headers: { 'user-id': user.id, 'Content-Type': 'application/json' }
+        headers: { ...(await getAuthHeaders()), 'Content-Type': 'application/json' }
       });
       const data = await response.json();
       if (response.ok) {
@@ -484,7 +522,7 @@ const CharacterEditorV15 = ({
     try {
       const response = await fetch(`${API_BASE_URL}/api/characters/${character.id}/clear-growth`, {
         method: 'POST',
-        headers: { 'user-id': user.id, 'Content-Type': 'application/json' }
+        headers: { ...(await getAuthHeaders()), 'Content-Type': 'application/json' }
       });
       if (response.ok) {
         setFormData(prev => ({ ...prev, personality_growth: '' }));
@@ -495,6 +533,75 @@ const CharacterEditorV15 = ({
     }
   };
 
+  // ============================================================================
+  // CHARACTER CARD HANDLERS
+  // ============================================================================
+
+  const handleImportCard = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setCardBusy(true);
+    setCardMessage(null);
+    try {
+      const body = new FormData();
+      body.append('card', file);
+
+      const response = await fetch(`${API_BASE_URL}/api/characters/import`, {
+        method: 'POST',
+        headers: await getAuthHeaders(),
+        body
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setCardMessage({ type: 'error', text: data.error || 'Import failed' });
+        return;
+      }
+
+      setCardMessage({
+        type: 'success',
+        text: data.warnings.length > 0
+          ? `Imported "${data.character.name}". ${data.warnings.join('. ')}.`
+          : `Imported "${data.character.name}"`
+      });
+      onImport?.(data.character);
+    } catch (err) {
+      setCardMessage({ type: 'error', text: 'Network error during import' });
+    } finally {
+      setCardBusy(false);
+    }
+  };
+
+  const handleExportCard = async () => {
+    if (!character?.id) return;
+
+    setCardBusy(true);
+    setCardMessage(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/characters/${character.id}/export?format=${exportFormat}`, {
+        headers: await getAuthHeaders()
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        setCardMessage({ type: 'error', text: data.error || 'Export failed' });
+        return;
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${character.name}.${exportFormat}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setCardMessage({ type: 'error', text: 'Network error during export' });
+    } finally {
+      setCardBusy(false);
+    }
+  };
+
   const handleSave = async () => {
     if (!validateForm()) return;
     
@@ -510,6 +617,8 @@ const CharacterEditorV15 = ({
       const characterData = {
         ...formData,
         ai_provider: actualProvider,
+        fallback_chain: formData.fallback_chain.filter(link => link.provider && link.model.trim()),
+        aliases: formData.aliases.split(',').map(alias => alias.trim()).filter(Boolean),
         tags: formData.tags.length > 0 ? formData.tags : ['custom']
       };
       
@@ -588,13 +697,69 @@ const CharacterEditorV15 = ({
               {character ? 'Edit Character' : 'Create Character'}
             </h2>
           </div>
-          <button
-            onClick={onClose}
-            className="text-gray-400 hover:text-white transition-colors"
-          >
-            <X size={20} />
-          </button>
+          <div className="flex items-center gap-2">
+            {character?.id ? (
+              <>
+                <select
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  className="bg-white/5 border border-white/10 rounded-lg px-2 py-1 text-sm text-white focus:outline-none focus:border-orange-500"
+                >
+                  <option value="png">PNG</option>
+                  <option value="json">JSON</option>
+                </select>
+                <button
+                  onClick={handleExportCard}
+                  disabled={cardBusy}
+                  className="px-3 py-1 bg-white/5 hover:bg-white/10 border border-white/10 text-white rounded-lg text-sm transition-colors disabled:opacity-50 flex items-center gap-2"
+                  title="Download as a Character Card V2"
+                >
+                  <Download size={14} />
+                  Export card
+                </button>
+              </>
+            ) : (
+              <>
+                <input
+                  ref={cardInputRef}
+                  type="file"
+                  accept=".png,.json"
+                  onChange={handleImportCard}
+                  className="hidden"
+                />
+                <button
+                  onClick={() => cardInputRef.current?.click()}
+                  disabled={cardBusy}
+                  className="px-3 py-1 bg-white/5 hover:bg-white/10 border border-white/10 text-white rounded-lg text-sm transition-colors disabled:opacity-50 flex items-center gap-2"
+                  title="Import a Character Card V2 (PNG or JSON)"
+                >
+                  <Upload size={14} />
+                  {cardBusy ? 'Importing...' : 'Import card'}
+                </button>
+              </>
+            )}
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-white transition-colors ml-2"
+            >
+              <X size={20} />
+            </button>
+          </div>
         </div>
+
+        {/* Card import/export result */}
+        {cardMessage && (
+          <div className={`mx-6 mt-4 p-3 rounded-lg text-sm flex items-center justify-between gap-2 ${
+            cardMessage.type === 'error'
+              ? 'bg-orange-600/20 border border-red-500/30 text-orange-400'
+              : 'bg-green-600/20 border border-green-500/30 text-green-400'
+          }`}>
+            <span>{cardMessage.text}</span>
+            <button onClick={() => setCardMessage(null)} className="hover:text-white">
+              <X size={14} />
+            </button>
+          </div>
+        )}
         
         {/* Error Message - Only show if there's an error and no models loaded */}
         {error && availableModels.length === 0 && (
@@ -604,8 +769,36 @@ const CharacterEditorV15 = ({
           </div>
         )}
         
-        {/* Content */}
-        <div className="p-6 space-y-6">
+        {/* Tabs */}
+        {character?.id && (
+          <div className="flex gap-2 px-6 pt-4">
+            {[
+              { id: 'character', label: 'Character', icon: User },
+              { id: 'lorebook', label: 'Lorebook', icon: BookOpen }
+            ].map(({ id, label, icon: Icon }) => (
+              <button
+                key={id}
+                type="button"
+                onClick={() => setActiveTab(id)}
+                className={`px-4 py-2 rounded-lg text-sm flex items-center gap-2 transition-colors ${
+                  activeTab === id ? 'bg-orange-600 text-white' : 'bg-white/5 text-gray-400 hover:text-white'
+                }`}
+              >
+                <Icon size={14} />
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {activeTab === 'lorebook' && character?.id && (
+          <div className="p-6">
+            <LorebookPanel apiRequest={apiRequest} targetType="character" targetId={character.id} />
+          </div>
+        )}
+
+        {/* Content - kept mounted while the lorebook tab is open so edits survive */}
+        <div className={`p-6 space-y-6 ${activeTab === 'character' ? '' : 'hidden'}`}>
           
           {/* Basic Info */}
           <div className="space-y-4">
@@ -634,6 +827,23 @@ const CharacterEditorV15 = ({
               />
             </div>
 
+            {/* Aliases */}
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">
+                Also Answers To
+              </label>
+              <p className="text-xs text-gray-500 mb-2">
+                Comma-separated nicknames or titles. In group chats, a message using one of these counts as addressing this character.
+              </p>
+              <input
+                type="text"
+                value={formData.aliases}
+                onChange={(e) => handleInputChange('aliases', e.target.value)}
+                placeholder="e.g., Cap, the Captain"
+                className="w-full bg-white/5 border border-white/10 rounded-lg p-3 text-white placeholder-gray-500 focus:outline-none focus:border-red-400"
+              />
+            </div>
+
             {/* Age and Sex */}
             <div className="grid grid-cols-2 gap-4">
               <div>
@@ -1440,6 +1650,72 @@ const CharacterEditorV15 = ({
                       className="w-full bg-gray-700 border border-white/10 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-orange-500"
                     />
                   </div>
+
+                  {/* Instruct Template */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">
+                      Instruct Template
+                    </label>
+                    <p className="text-xs text-gray-500 mb-2">
+                      Ollama and LM Studio only. Renders the prompt in this format and sends it as a raw completion instead of using the model's chat template.
+                    </p>
+                    <InstructTemplatePicker
+                      apiRequest={apiRequest}
+                      value={formData.instruct_template}
+                      onChange={(value) => handleInputChange('instruct_template', value)}
+                      stopSequences={formData.stop_sequences}
+                    />
+                  </div>
+
+                  {/* Fallback Models */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">
+                      Fallback Models
+                    </label>
+                    <p className="text-xs text-gray-500 mb-2">
+                      Tried in order when the main model times out, is rate limited or keeps failing.
+                    </p>
+                    <div className="space-y-2">
+                      {formData.fallback_chain.map((link, index) => (
+                        <div key={index} className="flex gap-2">
+                          <select
+                            value={link.provider}
+                            onChange={(e) => updateFallbackLink(index, { provider: e.target.value })}
+                            className="bg-gray-700 border border-white/10 rounded-lg px-2 py-2 text-sm text-white focus:outline-none focus:border-orange-500"
+                          >
+                            {FALLBACK_PROVIDERS.map(provider => (
+                              <option key={provider.value} value={provider.value} className="bg-gray-800">{provider.label}</option>
+                            ))}
+                          </select>
+                          <input
+                            type="text"
+                            placeholder="Model, e.g. gpt-4o-mini"
+                            value={link.model}
+                            onChange={(e) => updateFallbackLink(index, { model: e.target.value })}
+                            className="flex-1 bg-gray-700 border border-white/10 rounded-lg px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-orange-500"
+                          />
+                          <button
+                            type="button"
+                            onClick={() => handleInputChange('fallback_chain', formData.fallback_chain.filter((_, i) => i !== index))}
+                            className="px-2 text-gray-400 hover:text-red-400"
+                            title="Remove fallback"
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                    {formData.fallback_chain.length < MAX_FALLBACKS && (
+                      <button
+                        type="button"
+                        onClick={() => handleInputChange('fallback_chain', [...formData.fallback_chain, { provider: 'openai', model: '' }])}
+                        className="mt-2 text-xs text-orange-300 hover:text-orange-200 flex items-center gap-1"
+                      >
+                        <Plus size={12} />
+                        Add fallback
+                      </button>
+                    )}
+                  </div>
                 </div>
               )}
             </div>
@@ -5,8 +5,12 @@
  * Useful for debugging and understanding how characters remember interactions
  */
 
-import React, { useState, useEffect } from 'react';
-import { X, Brain, Heart, Trash2, RefreshCw, Eye, EyeOff } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Brain, Heart, Trash2, RefreshCw, Eye, EyeOff, Pin, VolumeX, Edit2, Check, Plus } from 'lucide-react';
+
+const MEMORY_TYPES = ['episodic', 'semantic', 'emotional', 'relational'];
+const TARGET_TYPES = ['user', 'character', 'general'];
+const EMPTY_DRAFT = { content: '', memory_type: 'semantic', importance_score: 0.5 };
 
 const CharacterMemoryViewer = ({ character, onClose, apiRequest }) => {
   // ============================================================================
@@ -18,18 +22,26 @@ const CharacterMemoryViewer = ({ character, onClose, apiRequest }) => {
   const [loading, setLoading] = useState(true);
   const [showMemories, setShowMemories] = useState(true);
   const [error, setError] = useState(null);
+  const [filters, setFilters] = useState({ memory_type: '', target_type: '' });
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [newMemory, setNewMemory] = useState(EMPTY_DRAFT);
 
   // ============================================================================
   // DATA LOADING
   // ============================================================================
   
-  const loadCharacterData = async () => {
+  const loadCharacterData = useCallback(async () => {
     setLoading(true);
     setError(null);
     
     try {
       // Load memories
-      const memoriesResponse = await apiRequest(`/api/character/${character.id}/memories`);
+      const query = new URLSearchParams({ limit: '100' });
+      if (filters.memory_type) query.set('memory_type', filters.memory_type);
+      if (filters.target_type) query.set('target_type', filters.target_type);
+      const memoriesResponse = await apiRequest(`/api/character/${character.id}/memories?${query}`);
       setMemories(memoriesResponse.memories || []);
       
       // Load relationship
@@ -42,7 +54,7 @@ const CharacterMemoryViewer = ({ character, onClose, apiRequest }) => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [apiRequest, character, filters]);
 
   const clearMemories = async () => {
     if (!window.confirm(`Clear all memories for ${character.name}? This cannot be undone.`)) {
@@ -63,11 +75,80 @@ const CharacterMemoryViewer = ({ character, onClose, apiRequest }) => {
     }
   };
 
+  // Replace one memory in the list with the server's copy
+  const applyMemory = (updated) => {
+    setMemories(prev => prev.map(m => (m.id === updated.id ? updated : m)));
+  };
+
+  const updateMemory = async (memory, updates) => {
+    try {
+      const response = await apiRequest(`/api/character/${character.id}/memories/${memory.id}`, {
+        method: 'PUT',
+        body: JSON.stringify(updates)
+      });
+      applyMemory(response.memory);
+      return true;
+    } catch (err) {
+      console.error('Failed to update memory:', err);
+      setError('Failed to update memory: ' + err.message);
+      return false;
+    }
+  };
+
+  const startEdit = (memory) => {
+    setEditingId(memory.id);
+    setDraft({
+      content: memory.content,
+      memory_type: memory.memory_type,
+      importance_score: memory.importance_score
+    });
+  };
+
+  const saveEdit = async (memory) => {
+    if (!draft.content.trim()) return;
+    if (await updateMemory(memory, draft)) {
+      setEditingId(null);
+    }
+  };
+
+  const deleteMemory = async (memory) => {
+    if (!window.confirm('Delete this memory?')) {
+      return;
+    }
+
+    try {
+      await apiRequest(`/api/character/${character.id}/memories/${memory.id}`, {
+        method: 'DELETE'
+      });
+      setMemories(prev => prev.filter(m => m.id !== memory.id));
+    } catch (err) {
+      console.error('Failed to delete memory:', err);
+      setError('Failed to delete memory: ' + err.message);
+    }
+  };
+
+  const addMemory = async () => {
+    if (!newMemory.content.trim()) return;
+
+    try {
+      const response = await apiRequest(`/api/character/${character.id}/memories`, {
+        method: 'POST',
+        body: JSON.stringify(newMemory)
+      });
+      setMemories(prev => [response.memory, ...prev]);
+      setNewMemory(EMPTY_DRAFT);
+      setShowAddForm(false);
+    } catch (err) {
+      console.error('Failed to add memory:', err);
+      setError('Failed to add memory: ' + err.message);
+    }
+  };
+
   useEffect(() => {
     if (character) {
       loadCharacterData();
     }
-  }, [character]);
+  }, [character, loadCharacterData]);
 
   // ============================================================================
   // HELPER FUNCTIONS
@@ -85,14 +166,48 @@ const CharacterMemoryViewer = ({ character, onClose, apiRequest }) => {
 
   const getMemoryTypeColor = (type) => {
     switch (type) {
-      case 'relationship': return 'text-pink-400 bg-pink-400/20';
-      case 'event': return 'text-orange-400 bg-purple-400/20';
-      case 'preference': return 'text-green-400 bg-green-400/20';
-      case 'fact': return 'text-orange-400 bg-blue-400/20';
+      case 'relational': return 'text-pink-400 bg-pink-400/20';
+      case 'episodic': return 'text-orange-400 bg-purple-400/20';
+      case 'emotional': return 'text-green-400 bg-green-400/20';
+      case 'semantic': return 'text-orange-400 bg-blue-400/20';
       default: return 'text-gray-400 bg-gray-400/20';
     }
   };
 
+  // Shared fields for the add and edit forms
+  const renderMemoryFields = (value, onChange) => (
+    <>
+      <textarea
+        value={value.content}
+        onChange={(e) => onChange({ ...value, content: e.target.value })}
+        rows={2}
+        maxLength={1000}
+        className="w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-orange-400"
+      />
+      <div className="flex items-center gap-3 mt-2 text-xs text-gray-400">
+        <select
+          value={value.memory_type}
+          onChange={(e) => onChange({ ...value, memory_type: e.target.value })}
+          className="bg-slate-700 border border-white/10 rounded px-2 py-1 text-white"
+        >
+          {MEMORY_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <label className="flex items-center gap-2">
+          Importance
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={value.importance_score}
+            onChange={(e) => onChange({ ...value, importance_score: parseFloat(e.target.value) })}
+          />
+          {Math.round(value.importance_score * 100)}%
+        </label>
+      </div>
+    </>
+  );
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       month: 'short',
@@ -218,6 +333,14 @@ const CharacterMemoryViewer = ({ character, onClose, apiRequest }) => {
                       {showMemories ? 'Hide' : 'Show'}
                     </button>
                     
+                    <button
+                      onClick={() => setShowAddForm(!showAddForm)}
+                      className="p-1 text-gray-400 hover:text-white transition-colors"
+                      title="Add a memory"
+                    >
+                      <Plus size={16} />
+                    </button>
+
                     <button
                       onClick={loadCharacterData}
                       className="p-1 text-gray-400 hover:text-white transition-colors"
@@ -236,6 +359,45 @@ const CharacterMemoryViewer = ({ character, onClose, apiRequest }) => {
                   </div>
                 </div>
 
+                {showMemories && (
+                  <div className="flex items-center gap-2 mb-3 text-xs">
+                    <select
+                      value={filters.memory_type}
+                      onChange={(e) => setFilters({ ...filters, memory_type: e.target.value })}
+                      className="bg-slate-700 border border-white/10 rounded px-2 py-1 text-white"
+                    >
+                      <option value="">All types</option>
+                      {MEMORY_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                    </select>
+                    <select
+                      value={filters.target_type}
+                      onChange={(e) => setFilters({ ...filters, target_type: e.target.value })}
+                      className="bg-slate-700 border border-white/10 rounded px-2 py-1 text-white"
+                    >
+                      <option value="">All subjects</option>
+                      {TARGET_TYPES.map(type => <option key={type} value={type}>About {type}</option>)}
+                    </select>
+                  </div>
+                )}
+
+                {showMemories && showAddForm && (
+                  <div className="bg-white/5 border border-orange-500/30 rounded-lg p-3 mb-3">
+                    {renderMemoryFields(newMemory, setNewMemory)}
+                    <div className="flex justify-end gap-2 mt-2 text-xs">
+                      <button onClick={() => setShowAddForm(false)} className="px-3 py-1 text-gray-400 hover:text-white">
+                        Cancel
+                      </button>
+                      <button
+                        onClick={addMemory}
+                        disabled={!newMemory.content.trim()}
+                        className="px-3 py-1 bg-orange-600 hover:bg-orange-700 text-white rounded disabled:opacity-50"
+                      >
+                        Add memory
+                      </button>
+                    </div>
+                  </div>
+                )}
+
                 {showMemories && (
                   <div className="space-y-3 max-h-96 overflow-y-auto">
                     {memories.length === 0 ? (
@@ -245,7 +407,10 @@ const CharacterMemoryViewer = ({ character, onClose, apiRequest }) => {
                       </div>
                     ) : (
                       memories.map((memory, index) => (
-                        <div key={memory.id || index} className="bg-white/5 border border-white/10 rounded-lg p-3">
+                        <div
+                          key={memory.id || index}
+                          className={`bg-white/5 border rounded-lg p-3 ${memory.is_pinned ? 'border-orange-500/40' : 'border-white/10'} ${memory.is_muted ? 'opacity-50' : ''}`}
+                        >
                           <div className="flex items-start justify-between mb-2">
                             <div className="flex items-center gap-2">
                               <span className={`px-2 py-1 rounded text-xs font-medium ${getMemoryTypeColor(memory.memory_type)}`}>
@@ -254,13 +419,68 @@ const CharacterMemoryViewer = ({ character, onClose, apiRequest }) => {
                               <span className="text-xs text-gray-400">
                                 Importance: {Math.round(memory.importance_score * 100)}%
                               </span>
+                              {memory.target_type && memory.target_type !== 'user' && (
+                                <span className="text-xs text-gray-500">About {memory.target_type}</span>
+                              )}
+                              {memory.is_pinned ? <span className="text-xs text-orange-400">Pinned</span> : null}
+                              {memory.is_muted ? <span className="text-xs text-gray-400">Muted</span> : null}
+                            </div>
+                            <div className="flex items-center gap-1">
+                              <span className="text-xs text-gray-500 mr-2">
+                                {formatDate(memory.created_at)}
+                              </span>
+                              <button
+                                onClick={() => updateMemory(memory, { is_pinned: !memory.is_pinned })}
+                                className={`p-1 transition-colors ${memory.is_pinned ? 'text-orange-400' : 'text-gray-400 hover:text-white'}`}
+                                title={memory.is_pinned ? 'Unpin' : 'Pin: always include in prompts'}
+                              >
+                                <Pin size={14} />
+                              </button>
+                              <button
+                                onClick={() => updateMemory(memory, { is_muted: !memory.is_muted })}
+                                className={`p-1 transition-colors ${memory.is_muted ? 'text-orange-400' : 'text-gray-400 hover:text-white'}`}
+                                title={memory.is_muted ? 'Unmute' : 'Mute: never include in prompts'}
+                              >
+                                <VolumeX size={14} />
+                              </button>
+                              <button
+                                onClick={() => startEdit(memory)}
+                                className="p-1 text-gray-400 hover:text-white transition-colors"
+                                title="Edit"
+                              >
+                                <Edit2 size={14} />
+                              </button>
+                              <button
+                                onClick={() => deleteMemory(memory)}
+                                className="p-1 text-gray-400 hover:text-orange-400 transition-colors"
+                                title="Delete"
+                              >
+                                <Trash2 size={14} />
+                              </button>
                             </div>
-                            <span className="text-xs text-gray-500">
-                              {formatDate(memory.created_at)}
-                            </span>
                           </div>
                           
-                          <p className="text-sm text-white mb-2">{memory.content}</p>
+                          {editingId === memory.id ? (
+                            <div className="mb-2">
+                              {renderMemoryFields(draft, setDraft)}
+                              <div className="flex justify-end gap-2 mt-2 text-xs">
+                                <button onClick={() => setEditingId(null)} className="flex items-center gap-1 px-3 py-1 text-gray-400 hover:text-white">
+                                  <X size={12} />
+                                  Cancel
+                                </button>
+                                <button
+                                  onClick={() => saveEdit(memory)}
+                                  disabled={!draft.content.trim()}
+                                  className="flex items-center gap-1 px-3 py-1 bg-orange-600 hover:bg-orange-700 text-white rounded disabled:opacity-50"
+                                >
+                                  <Check size={12} />
+                                  Save
+                                </button>
+                              </div>
+                            </div>
+                          ) : (
+                            <p className="text-sm text-white mb-2">{memory.content}</p>
+                          )}
                           
                           <div className="flex items-center justify-between text-xs text-gray-500">
                             <span>Accessed {memory.access_count || 1} times</span>
@@ -278,6 +498,7 @@ const CharacterMemoryViewer = ({ character, onClose, apiRequest }) => {
                 <h4 className="text-sm font-medium text-orange-300 mb-2">💡 How Character Memory Works</h4>
                 <ul className="text-xs text-blue-200 space-y-1">
                   <li>• <strong>Memories:</strong> Important facts and events from your conversations</li>
+                  <li>• <strong>Pinned / Muted:</strong> Pinned memories are always used; muted ones are never used but kept here</li>
                   <li>• <strong>Relationships:</strong> How well the character knows and trusts you</li>
                   <li>• <strong>Familiarity:</strong> Increases with more interactions and personal sharing</li>
                   <li>• <strong>Trust:</strong> Grows when you share personal information or have positive interactions</li>
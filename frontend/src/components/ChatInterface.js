@@ -2,7 +2,18 @@
 // Chat UI component - messages display and input
 
 import React, { useState } from 'react';
-import { Send, AlertCircle, Sparkles, Edit2, Check, X } from 'lucide-react';
+import { Send, AlertCircle, Sparkles, Edit2, Check, X, RefreshCw, ChevronLeft, ChevronRight, GitBranch, Bug, MessagesSquare } from 'lucide-react';
+import PromptInspector from './PromptInspector';
+
+// Slash commands the group-response route understands
+const CHAT_COMMANDS = [
+  { usage: '/as <character> [message]', description: 'Only this character replies' },
+  { usage: '/narrate <text>', description: 'Add narration to the scene' },
+  { usage: '/ooc [note]', description: 'Out-of-character direction; empty clears it' },
+  { usage: '/skip', description: 'Stay quiet and let the cast carry on' },
+  { usage: '/scene <event>', description: 'Something happens in the scene' },
+  { usage: '/summary', description: 'Show the story so far' }
+];
 
 const ChatInterface = ({
   messages,
@@ -19,10 +30,30 @@ const ChatInterface = ({
   onKeyPress,
   onGeneratePersonaResponse,
   onEditMessage,
+  onRegenerateMessage,
+  onSelectAlternative,
+  onForkMessage,
+  onInspectMessage,
+  promptPreview,
+  onPreviewPrompt,
+  onClosePromptPreview,
+  canLetThemTalk,
+  onLetThemTalk,
   onStartEdit,
   onCancelEdit
 }) => {
   const [editContent, setEditContent] = useState('');
+  const [inspectingIds, setInspectingIds] = useState({});
+  const [talkRounds, setTalkRounds] = useState(3);
+
+  const toggleInspection = (message) => {
+    const open = !inspectingIds[message.id];
+    setInspectingIds(prev => ({ ...prev, [message.id]: open }));
+    if (open && !message.inspection) {
+      onInspectMessage(message);
+    }
+  };
+
   return (
     <div className="flex-1 flex flex-col bg-gray-900 min-h-0">
       {/* Messages Area */}
@@ -47,6 +78,18 @@ const ChatInterface = ({
               );
             }
 
+            // Out-of-character direction (/ooc), seen by the characters but never said to them
+            if (message.type === 'ooc') {
+              return (
+                <div key={message.id} className="flex justify-center my-2">
+                  <p className="text-xs text-gray-500 italic">
+                    <span className="font-semibold not-italic mr-2">OOC</span>
+                    {message.content}
+                  </p>
+                </div>
+              );
+            }
+
             // Handle narrator messages
             if (message.type === 'narrator') {
               return (
@@ -171,22 +214,105 @@ const ChatInterface = ({
                           isUser
                             ? 'bg-orange-700 text-white'
                             : 'bg-white/5 text-gray-100'
-                        }`}
+                        } ${message.isRegenerating ? 'animate-pulse' : ''}`}
                       >
-                        <p className="whitespace-pre-wrap break-words">{message.content}</p>
+                        <p className="whitespace-pre-wrap break-words">
+                          {message.content}
+                          {message.isStreaming && (
+                            <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-gray-400 animate-pulse" />
+                          )}
+                        </p>
                       </div>
                       {isUser && (
-                        <button
-                          onClick={() => {
-                            onStartEdit(message.id);
-                            setEditContent(message.content);
-                          }}
-                          disabled={isGenerating}
-                          className="mt-1 text-xs text-gray-400 hover:text-white flex items-center gap-1 disabled:opacity-50"
-                        >
-                          <Edit2 size={12} />
-                          Edit
-                        </button>
+                        <div className="mt-1 flex items-center justify-end gap-3 text-xs text-gray-400">
+                          {message.messageId && (
+                            <button
+                              onClick={() => onForkMessage(message)}
+                              disabled={isGenerating}
+                              className="hover:text-white flex items-center gap-1 disabled:opacity-50"
+                              title="Branch the conversation from here"
+                            >
+                              <GitBranch size={12} />
+                              Branch
+                            </button>
+                          )}
+                          <button
+                            onClick={() => {
+                              onStartEdit(message.id);
+                              setEditContent(message.content);
+                            }}
+                            disabled={isGenerating}
+                            className="hover:text-white flex items-center gap-1 disabled:opacity-50"
+                          >
+                            <Edit2 size={12} />
+                            Edit
+                          </button>
+                        </div>
+                      )}
+                      {!isUser && message.answeredBy?.fallback && !message.isStreaming && (
+                        <p className="mt-1 text-xs text-gray-500" title="The character's own model failed, so a fallback answered">
+                          Answered by fallback {message.answeredBy.provider}/{message.answeredBy.model}
+                        </p>
+                      )}
+                      {!isUser && message.messageId && !message.isStreaming && (
+                        <div className="mt-1 flex items-center gap-2 text-xs text-gray-400">
+                          {message.alternatives?.length > 1 && (
+                            <div className="flex items-center gap-1">
+                              <button
+                                onClick={() => onSelectAlternative(message, (message.selected_alternative || 0) - 1)}
+                                disabled={isGenerating || (message.selected_alternative || 0) === 0}
+                                className="hover:text-white disabled:opacity-30"
+                                title="Previous version"
+                              >
+                                <ChevronLeft size={14} />
+                              </button>
+                              <span>{(message.selected_alternative || 0) + 1}/{message.alternatives.length}</span>
+                              <button
+                                onClick={() => onSelectAlternative(message, (message.selected_alternative || 0) + 1)}
+                                disabled={isGenerating || (message.selected_alternative || 0) >= message.alternatives.length - 1}
+                                className="hover:text-white disabled:opacity-30"
+                                title="Next version"
+                              >
+                                <ChevronRight size={14} />
+                              </button>
+                            </div>
+                          )}
+                          <button
+                            onClick={() => onRegenerateMessage(message)}
+                            disabled={isGenerating}
+                            className="hover:text-white flex items-center gap-1 disabled:opacity-50"
+                            title="Generate another version"
+                          >
+                            <RefreshCw size={12} className={message.isRegenerating ? 'animate-spin' : ''} />
+                            Regenerate
+                          </button>
+                          <button
+                            onClick={() => onForkMessage(message)}
+                            disabled={isGenerating}
+                            className="hover:text-white flex items-center gap-1 disabled:opacity-50"
+                            title="Branch the conversation from here"
+                          >
+                            <GitBranch size={12} />
+                            Branch
+                          </button>
+                          <button
+                            onClick={() => toggleInspection(message)}
+                            className={`hover:text-white flex items-center gap-1 ${inspectingIds[message.id] ? 'text-white' : ''}`}
+                            title="Show the prompt sent for this reply"
+                          >
+                            <Bug size={12} />
+                            Debug
+                          </button>
+                        </div>
+                      )}
+                      {!isUser && inspectingIds[message.id] && (
+                        message.inspection ? (
+                          <PromptInspector inspection={message.inspection} />
+                        ) : (
+                          <p className="mt-2 text-xs text-gray-500">
+                            {message.inspectionError || 'Loading inspection...'}
+                          </p>
+                        )
                       )}
                     </div>
                   )}
@@ -208,8 +334,57 @@ const ChatInterface = ({
         </div>
       )}
 
+      {/* Prompt Preview (dry run) */}
+      {promptPreview && (
+        <div className="border-t border-white/10 px-6 py-3 max-h-80 overflow-y-auto">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm font-semibold text-gray-300">Prompt preview</span>
+            <button onClick={onClosePromptPreview} className="text-gray-400 hover:text-white" title="Close preview">
+              <X size={16} />
+            </button>
+          </div>
+          {promptPreview.loading && <p className="text-xs text-gray-500">Building prompts...</p>}
+          {promptPreview.error && <p className="text-xs text-orange-400">{promptPreview.error}</p>}
+          {promptPreview.selection && (
+            <div className="flex flex-wrap gap-2 mb-3 text-xs">
+              <span className="text-gray-500">Responder scores:</span>
+              {promptPreview.selection.scores.map(score => (
+                <span
+                  key={score.character}
+                  className={score.selected ? 'text-orange-300' : 'text-gray-500'}
+                  title={['mention', 'question', 'topic', 'relationship', 'talkativeness', 'recency', 'jitter']
+                    .map(signal => `${signal}: ${score[signal]}`)
+                    .join('\n')}
+                >
+                  {score.characterName} {score.total}
+                </span>
+              ))}
+            </div>
+          )}
+          {promptPreview.responders?.map(responder => (
+            <div key={responder.character} className="mb-3">
+              <span className="text-xs font-semibold text-gray-300">
+                {responder.characterName}
+                {responder.role && <span className="ml-2 font-normal text-gray-500">{responder.role}</span>}
+              </span>
+              <PromptInspector inspection={responder} />
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Input Area */}
       <div className="border-t border-white/10 p-6">
+        {userInput.startsWith('/') && (
+          <div className="mb-3 grid grid-cols-2 gap-x-6 gap-y-1 text-xs">
+            {CHAT_COMMANDS.filter(c => c.usage.startsWith(userInput.split(' ')[0])).map(c => (
+              <div key={c.usage}>
+                <span className="font-mono text-orange-300">{c.usage}</span>
+                <span className="ml-2 text-gray-500">{c.description}</span>
+              </div>
+            ))}
+          </div>
+        )}
         <div className="flex gap-3">
           <input
             type="text"
@@ -235,6 +410,39 @@ const ChatInterface = ({
               {generatingPersonaResponse ? 'Generating...' : 'Auto'}
             </button>
           )}
+          <div className="flex items-stretch">
+            <button
+              onClick={() => onLetThemTalk(talkRounds)}
+              disabled={isGenerating || !canLetThemTalk}
+              className="px-4 py-3 bg-white/5 hover:bg-white/10 border border-white/10 text-gray-300 rounded-l-xl transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+              title={canLetThemTalk
+                ? 'Let the characters talk among themselves while you watch'
+                : 'Needs a started chat with at least two characters'}
+            >
+              <MessagesSquare size={18} />
+              Let them talk
+            </button>
+            <select
+              value={talkRounds}
+              onChange={(e) => setTalkRounds(Number(e.target.value))}
+              disabled={isGenerating || !canLetThemTalk}
+              className="bg-white/5 border border-l-0 border-white/10 text-gray-300 rounded-r-xl px-2 text-sm focus:outline-none disabled:opacity-50"
+              title="Replies before the conversation hands back to you"
+            >
+              {[1, 2, 3, 5, 8, 10].map(n => (
+                <option key={n} value={n} className="bg-gray-800">{n}×</option>
+              ))}
+            </select>
+          </div>
+          <button
+            onClick={onPreviewPrompt}
+            disabled={isGenerating || !userInput.trim()}
+            className="px-4 py-3 bg-white/5 hover:bg-white/10 border border-white/10 text-gray-300 rounded-xl transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+            title="Preview the prompts this message would produce, without sending it"
+          >
+            <Bug size={18} />
+            Inspect
+          </button>
           <button
             onClick={onSendMessage}
             disabled={isGenerating || !userInput.trim()}
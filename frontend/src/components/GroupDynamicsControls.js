@@ -0,0 +1,54 @@
+// ============================================================================
+// CHAIT World — GroupDynamicsControls
+// Choose how a group chat picks who replies to each message, and how many
+// characters may reply at most. Used when starting a chat and in the
+// active chat panel.
+// ============================================================================
+
+import React from 'react';
+import { input } from '../styles/ui';
+
+export const GROUP_MODES = [
+  { value: 'natural', label: 'Natural', description: 'Whoever has the most reason to speak replies; mentioned characters always do' },
+  { value: 'round_robin', label: 'Round robin', description: 'Characters take turns in cast order, one reply per message' },
+  { value: 'mentioned', label: 'Directed', description: 'Only the characters you name reply' },
+  { value: 'everyone', label: 'Free-for-all', description: 'Every character replies to every message' }
+];
+
+export const MAX_RESPONDERS_LIMIT = 8;
+
+const GroupDynamicsControls = ({ mode = 'natural', maxResponders = 3, onChange, disabled = false }) => {
+  const current = GROUP_MODES.find(m => m.value === mode) || GROUP_MODES[0];
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <select
+          value={current.value}
+          onChange={e => onChange({ group_mode: e.target.value })}
+          disabled={disabled}
+          className={`flex-1 ${input.sm} bg-gray-800`}
+          title="How characters take turns"
+        >
+          {GROUP_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+        </select>
+        <div className="w-28">
+          <select
+            value={maxResponders}
+            onChange={e => onChange({ max_responders: Number(e.target.value) })}
+            disabled={disabled || current.value === 'round_robin'}
+            className={`${input.sm} bg-gray-800`}
+            title="Most characters that reply to one message"
+          >
+            {Array.from({ length: MAX_RESPONDERS_LIMIT }, (_, i) => i + 1).map(n => (
+              <option key={n} value={n}>Up to {n}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">{current.description}</p>
+    </div>
+  );
+};
+
+export default GroupDynamicsControls;
@@ -7,6 +7,7 @@
 import React, { useState, useRef } from 'react';
 import { Upload, X, Image as ImageIcon, Trash2 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { getAuthHeaders } from '../utils/apiClient';
 
 const ImageUpload = ({
   currentImage,
@@ -71,7 +72,7 @@ const ImageUpload = ({
       const response = await fetch(`${process.env.REACT_APP_API_URL || 'http://localhost:3001'}/api/images/upload`, {
         method: 'POST',
         headers: {
-          'user-id': user.id
+          ...(await getAuthHeaders())
         },
         body: formData
       });
@@ -119,7 +120,7 @@ const ImageUpload = ({
             await fetch(`${process.env.REACT_APP_API_URL || 'http://localhost:3001'}/api/images/${type}/${fileName}`, {
               method: 'DELETE',
               headers: {
-                'user-id': user.id
+                ...(await getAuthHeaders())
               }
             });
           }
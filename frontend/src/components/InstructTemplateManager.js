@@ -0,0 +1,414 @@
+// ============================================================================
+// CHAIT World — InstructTemplateManager
+// Browse the built-in instruct templates and create, edit, and delete your
+// own. Used inside SettingsModal under the "Prompt Formats" tab.
+// ============================================================================
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Plus, Pencil, Trash2, Eye, EyeOff, Loader, AlertCircle, CheckCircle, X, Save, FileText
+} from 'lucide-react';
+import { btn, card, input, text, badge } from '../styles/ui';
+
+const TURN_FIELDS = [
+  { role: 'system',    label: 'System' },
+  { role: 'user',      label: 'User' },
+  { role: 'assistant', label: 'Assistant' },
+];
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  system_prefix: '',
+  system_suffix: '',
+  user_prefix: '',
+  user_suffix: '',
+  assistant_prefix: '',
+  assistant_suffix: '',
+  merge_system: false,
+  stop_sequences: [],
+};
+
+const AFFIX_FIELDS = TURN_FIELDS.flatMap(({ role }) => [`${role}_prefix`, `${role}_suffix`]);
+
+// Prefixes and suffixes are edited with visible escapes so newlines survive a text input
+const escapeField = (value) => (value || '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+const unescapeField = (value) => value.replace(/\\(\\|n|t)/g, (_, c) => (c === 'n' ? '\n' : c === 't' ? '\t' : '\\'));
+
+const toForm = (template) => ({
+  ...Object.fromEntries(Object.keys(EMPTY_FORM).map(key => [key, template[key] ?? EMPTY_FORM[key]])),
+  ...Object.fromEntries(AFFIX_FIELDS.map(key => [key, escapeField(template[key])])),
+});
+const toTemplate = (form) => ({
+  ...form,
+  ...Object.fromEntries(AFFIX_FIELDS.map(key => [key, unescapeField(form[key])])),
+});
+
+const RenderedPrompt = ({ preview }) => (
+  <>
+    <pre className="bg-black/30 border border-white/10 rounded-lg p-3 text-xs text-gray-300 whitespace-pre-wrap break-words max-h-64 overflow-y-auto font-mono">
+      {preview.prompt}
+    </pre>
+    <p className="text-xs text-gray-500 mt-1">
+      Stops at: {preview.stop_sequences.length ? preview.stop_sequences.map(s => JSON.stringify(s)).join(', ') : 'nothing'}
+    </p>
+  </>
+);
+
+// ============================================================================
+
+const InstructTemplateManager = ({ apiRequest }) => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const [editingId, setEditingId] = useState(null); // null = list, 'new' = create form, id = edit form
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [deleteConfirm, setDeleteConfirm] = useState(null);
+
+  const [previewId, setPreviewId] = useState(null); // template previewed in the list
+  const [preview, setPreview] = useState(null);
+
+  // ── data fetching ───────────────────────────────────────────────────────────
+
+  const loadTemplates = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await apiRequest('/api/instruct-templates');
+      setTemplates(data.templates || []);
+    } catch (err) {
+      setError('Failed to load instruct templates.');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiRequest]);
+
+  useEffect(() => { loadTemplates(); }, [loadTemplates]);
+
+  const renderPreview = useCallback(async (body) => {
+    try {
+      setPreview(await apiRequest('/api/instruct-templates/preview', {
+        method: 'POST',
+        body: JSON.stringify(body),
+      }));
+    } catch (err) {
+      setPreview(null);
+    }
+  }, [apiRequest]);
+
+  // The form previews its unsaved fields as you type
+  useEffect(() => {
+    if (editingId === null) return;
+    const timer = setTimeout(() => renderPreview({ template: toTemplate(form) }), 300);
+    return () => clearTimeout(timer);
+  }, [editingId, form, renderPreview]);
+
+  useEffect(() => {
+    if (editingId !== null) return;
+    if (previewId) renderPreview({ template_id: previewId });
+    else setPreview(null);
+  }, [editingId, previewId, renderPreview]);
+
+  // ── form helpers ────────────────────────────────────────────────────────────
+
+  const showSuccess = (msg) => {
+    setSuccess(msg);
+    setTimeout(() => setSuccess(null), 3000);
+  };
+
+  const openForm = (template = null, copy = false) => {
+    setForm(template
+      ? { ...toForm(template), name: copy ? `${template.name} (copy)` : template.name }
+      : { ...EMPTY_FORM });
+    setEditingId(template && !copy ? template.id : 'new');
+    setPreviewId(null);
+    setError(null);
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setError(null);
+  };
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  // ── save / delete ───────────────────────────────────────────────────────────
+
+  const handleSave = async () => {
+    if (!form.name.trim()) { setError('Name is required.'); return; }
+
+    setSaving(true);
+    setError(null);
+    try {
+      if (editingId === 'new') {
+        await apiRequest('/api/instruct-templates', { method: 'POST', body: JSON.stringify(toTemplate(form)) });
+        showSuccess('Template created.');
+      } else {
+        await apiRequest(`/api/instruct-templates/${editingId}`, { method: 'PUT', body: JSON.stringify(toTemplate(form)) });
+        showSuccess('Template updated.');
+      }
+      cancelEdit();
+      await loadTemplates();
+    } catch (err) {
+      setError(err.message || 'Failed to save template.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await apiRequest(`/api/instruct-templates/${id}`, { method: 'DELETE' });
+      setDeleteConfirm(null);
+      showSuccess('Template deleted. Characters and presets using it are back on the chat endpoint.');
+      await loadTemplates();
+    } catch (err) {
+      setError('Failed to delete template.');
+    }
+  };
+
+  // ── render list ─────────────────────────────────────────────────────────────
+
+  const renderList = () => (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-400">
+          Prompt formats for raw completion on Ollama and LM Studio. Pick one per character or model preset.
+        </p>
+        <button
+          onClick={() => openForm()}
+          className={`flex items-center gap-2 text-sm shrink-0 ml-4 ${btn.primary}`}
+        >
+          <Plus size={16} />
+          New Template
+        </button>
+      </div>
+
+      {loading && (
+        <div className="flex items-center gap-2 text-gray-400 py-6 justify-center">
+          <Loader size={18} className="animate-spin" />
+          <span className="text-sm">Loading templates…</span>
+        </div>
+      )}
+
+      {!loading && (
+        <div className="space-y-3">
+          {templates.map((t) => (
+            <div key={t.id} className={card.hover}>
+              <div className="flex items-start gap-4">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <span className="font-semibold text-white text-sm">{t.name}</span>
+                    <span className={t.is_builtin ? badge.base : badge.accent}>
+                      {t.is_builtin ? 'Built-in' : 'Custom'}
+                    </span>
+                  </div>
+                  {t.description && (
+                    <p className="text-xs text-gray-500 mt-0.5 truncate">{t.description}</p>
+                  )}
+                </div>
+
+                <div className="flex gap-2 shrink-0">
+                  <button
+                    onClick={() => setPreviewId(previewId === t.id ? null : t.id)}
+                    className={btn.icon}
+                    title="Preview"
+                  >
+                    {previewId === t.id ? <EyeOff size={15} /> : <Eye size={15} />}
+                  </button>
+                  <button
+                    onClick={() => openForm(t, t.is_builtin)}
+                    className={btn.icon}
+                    title={t.is_builtin ? 'Copy to a new template' : 'Edit'}
+                  >
+                    {t.is_builtin ? <Plus size={15} /> : <Pencil size={15} />}
+                  </button>
+                  {!t.is_builtin && (deleteConfirm === t.id ? (
+                    <div className="flex gap-1">
+                      <button
+                        onClick={() => handleDelete(t.id)}
+                        className="px-3 py-2 text-xs rounded-lg bg-red-600/80 hover:bg-red-600 text-white transition-colors"
+                      >
+                        Confirm
+                      </button>
+                      <button
+                        onClick={() => setDeleteConfirm(null)}
+                        className="px-3 py-2 rounded-lg bg-white/5 hover:bg-white/10 text-gray-400 text-xs transition-colors"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={() => setDeleteConfirm(t.id)}
+                      className={btn.iconDanger}
+                      title="Delete"
+                    >
+                      <Trash2 size={15} />
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {previewId === t.id && preview && (
+                <div className="mt-3">
+                  <RenderedPrompt preview={preview} />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  // ── render form ─────────────────────────────────────────────────────────────
+
+  const renderForm = () => (
+    <div className="space-y-5">
+      <div className="flex items-center gap-3">
+        <button
+          onClick={cancelEdit}
+          className="p-1.5 rounded-lg bg-white/5 hover:bg-white/10 text-gray-400 hover:text-white transition-colors"
+          title="Back to list"
+        >
+          <X size={16} />
+        </button>
+        <h4 className="text-base font-semibold text-white">
+          {editingId === 'new' ? 'New Instruct Template' : 'Edit Instruct Template'}
+        </h4>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">
+          Name <span className="text-red-400">*</span>
+        </label>
+        <input
+          type="text"
+          value={form.name}
+          onChange={e => setField('name', e.target.value)}
+          placeholder="e.g. Command R"
+          className={input.base}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Description</label>
+        <input
+          type="text"
+          value={form.description || ''}
+          onChange={e => setField('description', e.target.value)}
+          placeholder="Which models use this format"
+          className={input.base}
+        />
+      </div>
+
+      <div>
+        <p className="text-xs text-gray-500 mb-2">
+          Each message is written as prefix + content + suffix. Type \n for a newline. The reply starts after the assistant prefix.
+        </p>
+        <div className="space-y-2">
+          {TURN_FIELDS.map(({ role, label }) => (
+            <div key={role} className="grid grid-cols-[5rem_1fr_1fr] gap-2 items-center">
+              <span className="text-sm text-gray-300">{label}</span>
+              <input
+                type="text"
+                value={form[`${role}_prefix`]}
+                onChange={e => setField(`${role}_prefix`, e.target.value)}
+                placeholder="prefix"
+                className={`${input.sm} font-mono`}
+              />
+              <input
+                type="text"
+                value={form[`${role}_suffix`]}
+                onChange={e => setField(`${role}_suffix`, e.target.value)}
+                placeholder="suffix"
+                className={`${input.sm} font-mono`}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-300">
+        <input
+          type="checkbox"
+          checked={form.merge_system}
+          onChange={e => setField('merge_system', e.target.checked)}
+          className="accent-red-500"
+        />
+        No system role — put the system prompt at the start of the first user message
+      </label>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Stop Sequences</label>
+        <input
+          type="text"
+          value={form.stop_sequences.join(', ')}
+          onChange={e => setField('stop_sequences', e.target.value.split(',').map(s => s.trim()).filter(Boolean))}
+          placeholder="e.g. <|im_end|>, USER:"
+          className={`${input.base} font-mono text-sm`}
+        />
+        <p className="text-xs text-gray-600 mt-1">Comma-separated. Added to each character's own stop sequences.</p>
+      </div>
+
+      {preview && (
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Preview</label>
+          <RenderedPrompt preview={preview} />
+        </div>
+      )}
+
+      <div className="flex items-center justify-end gap-3 pt-4 border-t border-white/10">
+        <button
+          onClick={cancelEdit}
+          className="px-4 py-2 text-gray-400 hover:text-white transition-colors text-sm"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className={`flex items-center gap-2 text-sm ${btn.primary}`}
+        >
+          {saving ? <Loader size={15} className="animate-spin" /> : <Save size={15} />}
+          {saving ? 'Saving…' : 'Save Template'}
+        </button>
+      </div>
+    </div>
+  );
+
+  // ── main render ─────────────────────────────────────────────────────────────
+
+  return (
+    <div>
+      {success && (
+        <div className={`mb-4 ${card.success} flex items-center gap-2 text-sm`}>
+          <CheckCircle size={15} className={text.success} />
+          <span className={text.success}>{success}</span>
+        </div>
+      )}
+      {error && (
+        <div className={`mb-4 ${card.error} flex items-center gap-2 text-sm`}>
+          <AlertCircle size={15} className={text.warn} />
+          <span className={text.warn}>{error}</span>
+        </div>
+      )}
+
+      {editingId !== null ? renderForm() : renderList()}
+
+      {!loading && editingId === null && templates.every(t => t.is_builtin) && (
+        <div className="mt-4 flex items-center gap-2 text-xs text-gray-600">
+          <FileText size={14} />
+          Copy a built-in template to start your own.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InstructTemplateManager;
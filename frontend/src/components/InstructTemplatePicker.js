@@ -0,0 +1,106 @@
+// ============================================================================
+// CHAIT World — InstructTemplatePicker
+// Select the prompt format a character or model preset uses on Ollama and
+// LM Studio, with a preview of the rendered prompt. No template keeps the
+// backend's chat endpoint and the model's own chat template.
+// ============================================================================
+
+import React, { useState, useEffect } from 'react';
+import { Eye, EyeOff, Loader } from 'lucide-react';
+import { btn, input } from '../styles/ui';
+
+const InstructTemplatePicker = ({ apiRequest, value, onChange, stopSequences = null }) => {
+  const [templates, setTemplates] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [showPreview, setShowPreview] = useState(false);
+  const [loadingPreview, setLoadingPreview] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiRequest('/api/instruct-templates')
+      .then(data => setTemplates(data.templates || []))
+      .catch(() => setTemplates([]));
+  }, [apiRequest]);
+
+  // Re-render the preview whenever the selection or extra stop sequences change
+  useEffect(() => {
+    if (!showPreview || !value) {
+      setPreview(null);
+      return;
+    }
+    setLoadingPreview(true);
+    setError(null);
+    apiRequest('/api/instruct-templates/preview', {
+      method: 'POST',
+      body: JSON.stringify({ template_id: value, stop_sequences: stopSequences })
+    })
+      .then(setPreview)
+      .catch(err => setError(err.message || 'Failed to render preview'))
+      .finally(() => setLoadingPreview(false));
+  }, [apiRequest, showPreview, value, stopSequences]);
+
+  const builtIn = templates.filter(t => t.is_builtin);
+  const custom = templates.filter(t => !t.is_builtin);
+  // A template deleted elsewhere still shows until the user picks another
+  const missing = value && templates.length > 0 && !templates.some(t => t.id === value);
+
+  return (
+    <div>
+      <div className="flex items-center gap-2">
+        <select
+          value={value || ''}
+          onChange={e => onChange(e.target.value || null)}
+          className={`flex-1 ${input.sm} bg-gray-800`}
+        >
+          <option value="">Chat endpoint (model's own template)</option>
+          {builtIn.length > 0 && (
+            <optgroup label="Built-in">
+              {builtIn.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+            </optgroup>
+          )}
+          {custom.length > 0 && (
+            <optgroup label="Your templates">
+              {custom.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+            </optgroup>
+          )}
+          {missing && <option value={value}>Unknown template</option>}
+        </select>
+        <button
+          type="button"
+          onClick={() => setShowPreview(v => !v)}
+          disabled={!value}
+          className={`flex items-center gap-1.5 text-sm ${btn.secondary} px-3`}
+          title="Preview the rendered prompt"
+        >
+          {showPreview ? <EyeOff size={14} /> : <Eye size={14} />}
+          Preview
+        </button>
+      </div>
+
+      {showPreview && value && (
+        <div className="mt-2">
+          {loadingPreview && (
+            <div className="flex items-center gap-2 text-xs text-gray-400">
+              <Loader size={12} className="animate-spin" /> Rendering…
+            </div>
+          )}
+          {error && <p className="text-xs text-red-400">{error}</p>}
+          {preview && !loadingPreview && (
+            <>
+              <pre className="bg-black/30 border border-white/10 rounded-lg p-3 text-xs text-gray-300 whitespace-pre-wrap break-words max-h-64 overflow-y-auto font-mono">
+                {preview.prompt}
+              </pre>
+              <p className="text-xs text-gray-500 mt-1">
+                Stops at: {preview.stop_sequences.length
+                  ? preview.stop_sequences.map(s => JSON.stringify(s)).join(', ')
+                  : 'nothing'}
+              </p>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InstructTemplatePicker;
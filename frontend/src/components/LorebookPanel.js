@@ -0,0 +1,447 @@
+/**
+ * Lorebook Panel Component
+ *
+ * Editor tab for the lorebooks linked to a character, scene or session.
+ * Entries are injected into the prompt when one of their keywords shows up
+ * in the recent conversation.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { BookOpen, Plus, Trash2, ChevronDown, ChevronUp, X } from 'lucide-react';
+
+const EMPTY_ENTRY = {
+  keys: '',
+  content: '',
+  insertion_order: 100,
+  recursion_depth: 0,
+  token_cap: 200,
+  is_enabled: true
+};
+
+const LorebookPanel = ({ apiRequest, targetType, targetId }) => {
+  // ============================================================================
+  // STATE MANAGEMENT
+  // ============================================================================
+
+  const [lorebooks, setLorebooks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newBookName, setNewBookName] = useState('');
+  const [expandedBookId, setExpandedBookId] = useState(null);
+
+  const isLinked = (book) => book.links.some(link => link.target_type === targetType && link.target_id === String(targetId));
+  const linkedBooks = lorebooks.filter(isLinked);
+  const unlinkedBooks = lorebooks.filter(book => !isLinked(book));
+
+  // ============================================================================
+  // DATA LOADING
+  // ============================================================================
+
+  const loadLorebooks = useCallback(async () => {
+    try {
+      const data = await apiRequest('/api/lorebooks');
+      setLorebooks(data.lorebooks || []);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load lorebooks: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiRequest]);
+
+  useEffect(() => {
+    loadLorebooks();
+  }, [loadLorebooks]);
+
+  // ============================================================================
+  // LOREBOOK ACTIONS
+  // ============================================================================
+
+  const runAction = async (action) => {
+    try {
+      await action();
+      await loadLorebooks();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreateBook = () => runAction(async () => {
+    const book = await apiRequest('/api/lorebooks', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: newBookName.trim(),
+        link: { target_type: targetType, target_id: targetId }
+      })
+    });
+    setNewBookName('');
+    setExpandedBookId(book.id);
+  });
+
+  const handleLink = (bookId) => runAction(() => apiRequest(`/api/lorebooks/${bookId}/links`, {
+    method: 'POST',
+    body: JSON.stringify({ target_type: targetType, target_id: targetId })
+  }));
+
+  const handleUnlink = (bookId) => runAction(() => apiRequest(
+    `/api/lorebooks/${bookId}/links/${targetType}/${targetId}`,
+    { method: 'DELETE' }
+  ));
+
+  const handleDeleteBook = (book) => {
+    if (!window.confirm(`Delete the lorebook "${book.name}" everywhere it is used? This cannot be undone.`)) {
+      return;
+    }
+    runAction(() => apiRequest(`/api/lorebooks/${book.id}`, { method: 'DELETE' }));
+  };
+
+  // ============================================================================
+  // RENDER
+  // ============================================================================
+
+  if (loading) {
+    return <div className="text-center py-8 text-gray-400 text-sm">Loading lorebooks...</div>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-xs text-gray-400">
+        Lorebook entries are added to the prompt only when one of their keywords appears in the recent messages,
+        so you can keep far more world detail than fits in a description.
+      </p>
+
+      {error && (
+        <div className="p-3 bg-orange-600/20 border border-red-500/30 rounded-lg text-orange-400 text-sm flex items-center justify-between">
+          <span>{error}</span>
+          <button type="button" onClick={() => setError(null)} className="hover:text-orange-300">
+            <X size={14} />
+          </button>
+        </div>
+      )}
+
+      {/* Linked lorebooks */}
+      {linkedBooks.length > 0 ? (
+        <div className="space-y-2">
+          {linkedBooks.map(book => (
+            <LorebookCard
+              key={book.id}
+              book={book}
+              apiRequest={apiRequest}
+              expanded={expandedBookId === book.id}
+              onToggle={() => setExpandedBookId(expandedBookId === book.id ? null : book.id)}
+              onUnlink={() => handleUnlink(book.id)}
+              onDelete={() => handleDeleteBook(book)}
+              onChanged={loadLorebooks}
+              onError={setError}
+            />
+          ))}
+        </div>
+      ) : (
+        <div className="text-center py-4 text-gray-400 text-sm bg-white/5 rounded-lg border border-white/10">
+          No lorebooks linked yet
+        </div>
+      )}
+
+      {/* Link an existing lorebook */}
+      {unlinkedBooks.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && handleLink(e.target.value)}
+          className="w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:border-orange-400"
+        >
+          <option value="">Link an existing lorebook...</option>
+          {unlinkedBooks.map(book => (
+            <option key={book.id} value={book.id}>
+              {book.name} ({book.entry_count} entries)
+            </option>
+          ))}
+        </select>
+      )}
+
+      {/* Create a new lorebook */}
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={newBookName}
+          onChange={(e) => setNewBookName(e.target.value)}
+          placeholder="New lorebook name"
+          maxLength={100}
+          className="flex-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-white text-sm placeholder-gray-500 focus:outline-none focus:border-orange-400"
+        />
+        <button
+          type="button"
+          onClick={handleCreateBook}
+          disabled={!newBookName.trim()}
+          className="px-4 py-2 bg-orange-600 hover:bg-orange-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg text-sm transition-colors flex items-center gap-2"
+        >
+          <Plus size={14} />
+          Create
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * One linked lorebook: settings and its entries
+ */
+const LorebookCard = ({ book, apiRequest, expanded, onToggle, onUnlink, onDelete, onChanged, onError }) => {
+  const [details, setDetails] = useState(null);
+  const [editingEntryId, setEditingEntryId] = useState(null);
+
+  const loadDetails = useCallback(async () => {
+    try {
+      setDetails(await apiRequest(`/api/lorebooks/${book.id}`));
+    } catch (err) {
+      onError(err.message);
+    }
+  }, [apiRequest, book.id, onError]);
+
+  useEffect(() => {
+    if (expanded) loadDetails();
+  }, [expanded, loadDetails]);
+
+  const refresh = async () => {
+    await loadDetails();
+    onChanged();
+  };
+
+  const handleScanDepthChange = async (value) => {
+    try {
+      await apiRequest(`/api/lorebooks/${book.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ scan_depth: value })
+      });
+      await refresh();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleSaveEntry = async (entry) => {
+    const body = JSON.stringify({
+      keys: entry.keys.split(',').map(key => key.trim()).filter(Boolean),
+      content: entry.content,
+      insertion_order: entry.insertion_order,
+      recursion_depth: entry.recursion_depth,
+      token_cap: entry.token_cap,
+      is_enabled: entry.is_enabled
+    });
+
+    try {
+      if (entry.id) {
+        await apiRequest(`/api/lorebooks/${book.id}/entries/${entry.id}`, { method: 'PUT', body });
+      } else {
+        await apiRequest(`/api/lorebooks/${book.id}/entries`, { method: 'POST', body });
+      }
+      setEditingEntryId(null);
+      await refresh();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleDeleteEntry = async (entryId) => {
+    try {
+      await apiRequest(`/api/lorebooks/${book.id}/entries/${entryId}`, { method: 'DELETE' });
+      await refresh();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white/5 border border-white/10 rounded-lg">
+      <div className="flex items-center justify-between p-3">
+        <button type="button" onClick={onToggle} className="flex items-center gap-2 text-left flex-1">
+          <BookOpen size={16} className="text-orange-400" />
+          <span className="text-sm font-medium text-white">{book.name}</span>
+          <span className="text-xs text-gray-400">{book.entry_count} entries</span>
+          {expanded ? <ChevronUp size={14} className="text-gray-400" /> : <ChevronDown size={14} className="text-gray-400" />}
+        </button>
+        <div className="flex items-center gap-2">
+          <button type="button" onClick={onUnlink} className="text-xs text-gray-400 hover:text-white px-2 py-1">
+            Unlink
+          </button>
+          <button type="button" onClick={onDelete} className="text-orange-400 hover:text-orange-300 p-1" title="Delete Lorebook">
+            <Trash2 size={14} />
+          </button>
+        </div>
+      </div>
+
+      {expanded && details && (
+        <div className="border-t border-white/10 p-3 space-y-3">
+          <div className="flex items-center gap-2 text-xs text-gray-400">
+            <label htmlFor={`scan-depth-${book.id}`}>Scan the last</label>
+            <input
+              id={`scan-depth-${book.id}`}
+              type="number"
+              min="1"
+              max="50"
+              defaultValue={details.scan_depth}
+              onBlur={(e) => {
+                const value = parseInt(e.target.value);
+                if (value !== details.scan_depth && value >= 1 && value <= 50) handleScanDepthChange(value);
+              }}
+              className="w-16 bg-white/5 border border-white/10 rounded px-2 py-1 text-white focus:outline-none focus:border-orange-400"
+            />
+            <span>messages for keywords</span>
+          </div>
+
+          {details.entries.map(entry => (
+            editingEntryId === entry.id ? (
+              <EntryForm
+                key={entry.id}
+                initialEntry={{ ...entry, keys: entry.keys.join(', ') }}
+                onSave={handleSaveEntry}
+                onCancel={() => setEditingEntryId(null)}
+              />
+            ) : (
+              <div key={entry.id} className={`bg-black/20 rounded-lg p-3 ${entry.is_enabled ? '' : 'opacity-50'}`}>
+                <div className="flex items-start justify-between gap-2">
+                  <button type="button" onClick={() => setEditingEntryId(entry.id)} className="text-left flex-1 min-w-0">
+                    <div className="flex flex-wrap gap-1 mb-1">
+                      {entry.keys.map(key => (
+                        <span key={key} className="text-xs bg-orange-600/20 text-orange-300 px-2 py-0.5 rounded-full">{key}</span>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-300 line-clamp-2">{entry.content}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Order {entry.insertion_order} · Recursion {entry.recursion_depth} · Cap {entry.token_cap} tokens
+                    </p>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDeleteEntry(entry.id)}
+                    className="text-orange-400 hover:text-orange-300 p-1"
+                    title="Delete Entry"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              </div>
+            )
+          ))}
+
+          {editingEntryId === 'new' ? (
+            <EntryForm
+              initialEntry={EMPTY_ENTRY}
+              onSave={handleSaveEntry}
+              onCancel={() => setEditingEntryId(null)}
+            />
+          ) : (
+            <button
+              type="button"
+              onClick={() => setEditingEntryId('new')}
+              className="w-full px-4 py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-white text-sm transition-colors flex items-center justify-center gap-2"
+            >
+              <Plus size={14} />
+              Add Entry
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Create/edit form for a single entry
+ */
+const EntryForm = ({ initialEntry, onSave, onCancel }) => {
+  const [entry, setEntry] = useState(initialEntry);
+  const update = (field, value) => setEntry(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <div className="bg-black/20 rounded-lg p-3 space-y-3">
+      <div>
+        <label className="block text-xs font-medium text-gray-400 mb-1">Keywords (comma-separated)</label>
+        <input
+          type="text"
+          value={entry.keys}
+          onChange={(e) => update('keys', e.target.value)}
+          placeholder="e.g., Eldoria, the capital"
+          className="w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-white text-sm placeholder-gray-500 focus:outline-none focus:border-orange-400"
+        />
+      </div>
+
+      <div>
+        <label className="block text-xs font-medium text-gray-400 mb-1">Content</label>
+        <textarea
+          value={entry.content}
+          onChange={(e) => update('content', e.target.value)}
+          rows={4}
+          maxLength={4000}
+          placeholder="What the characters should know when this comes up"
+          className="w-full bg-white/5 border border-white/10 rounded-lg p-2 text-white text-sm placeholder-gray-500 focus:outline-none focus:border-orange-400 resize-none"
+        />
+        <p className="text-xs text-gray-500 mt-1">{entry.content.length}/4000 characters</p>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-400 mb-1" title="Lower values are inserted first">
+            Insertion Order
+          </label>
+          <input
+            type="number"
+            value={entry.insertion_order}
+            onChange={(e) => update('insertion_order', parseInt(e.target.value) || 0)}
+            className="w-full bg-white/5 border border-white/10 rounded-lg px-2 py-1 text-white text-sm focus:outline-none focus:border-orange-400"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-400 mb-1" title="How many entry-to-entry hops can still trigger this entry">
+            Recursion Depth
+          </label>
+          <select
+            value={entry.recursion_depth}
+            onChange={(e) => update('recursion_depth', parseInt(e.target.value))}
+            className="w-full bg-white/5 border border-white/10 rounded-lg px-2 py-1 text-white text-sm focus:outline-none focus:border-orange-400"
+          >
+            {[0, 1, 2, 3].map(depth => (
+              <option key={depth} value={depth}>{depth === 0 ? 'Chat only' : depth}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-400 mb-1">Token Cap</label>
+          <input
+            type="number"
+            min="10"
+            max="1000"
+            value={entry.token_cap}
+            onChange={(e) => update('token_cap', parseInt(e.target.value) || 10)}
+            className="w-full bg-white/5 border border-white/10 rounded-lg px-2 py-1 text-white text-sm focus:outline-none focus:border-orange-400"
+          />
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <label className="flex items-center gap-2 text-xs text-gray-300">
+          <input
+            type="checkbox"
+            checked={entry.is_enabled}
+            onChange={(e) => update('is_enabled', e.target.checked)}
+          />
+          Enabled
+        </label>
+        <div className="flex gap-2">
+          <button type="button" onClick={onCancel} className="px-3 py-1 text-gray-400 hover:text-white text-sm transition-colors">
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => onSave(entry)}
+            disabled={!entry.keys.trim() || !entry.content.trim()}
+            className="px-4 py-1 bg-orange-600 hover:bg-orange-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg text-sm transition-colors"
+          >
+            Save Entry
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LorebookPanel;
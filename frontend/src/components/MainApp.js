@@ -9,7 +9,7 @@ import { useChat } from '../hooks/useChat';
 import { useCharacters } from '../hooks/useCharacters';
 import { useSettings } from '../hooks/useSettings';
 import { usePersonas } from '../hooks/usePersonas';
-import { createApiClient } from '../utils/apiClient';
+import { createApiClient, createStreamClient } from '../utils/apiClient';
 
 // Shell components
 import AppShell from './AppShell';
@@ -23,13 +23,15 @@ const MainApp = () => {
   // API CLIENT
   // ============================================================================
 
-  const apiRequest = useMemo(() => createApiClient(user.id), [user.id]);
+  // Clients read the session token per request; MainApp remounts on sign-in
+  const apiRequest = useMemo(() => createApiClient(), []);
+  const streamRequest = useMemo(() => createStreamClient(), []);
 
   // ============================================================================
   // CUSTOM HOOKS
   // ============================================================================
 
-  const chat = useChat(apiRequest);
+  const chat = useChat(apiRequest, streamRequest);
   const charactersState = useCharacters(apiRequest);
   const settings = useSettings(apiRequest);
   const personasState = usePersonas(apiRequest);
@@ -96,7 +98,7 @@ const MainApp = () => {
   // HANDLERS
   // ============================================================================
 
-  const handleStartNewChat = async (scene, characters, customTitle = '') => {
+  const handleStartNewChat = async (scene, characters, customTitle = '', groupSettings = {}) => {
     // Set scene and characters
     charactersState.setCurrentScenario(scene.id);
     charactersState.setActiveCharacters(characters);
@@ -113,7 +115,8 @@ const MainApp = () => {
           scenario_id: scene.id,
           active_characters: characters.map(c => c.id),
           initial_message: scene.initial_message,
-          title: customTitle.trim() || defaultTitle
+          title: customTitle.trim() || defaultTitle,
+          ...groupSettings
         })
       });
 
@@ -297,6 +300,22 @@ const MainApp = () => {
     }
   };
 
+  const handleForkSession = async (message) => {
+    if (!chat.currentSessionId || !message.messageId) return;
+
+    try {
+      const branch = await apiRequest(`/api/chat/sessions/${chat.currentSessionId}/fork`, {
+        method: 'POST',
+        body: JSON.stringify({ messageId: message.messageId })
+      });
+      await handleSessionSelect(branch);
+      setSessionRefreshTrigger(prev => prev + 1);
+    } catch (error) {
+      console.error('Failed to fork session:', error);
+      chat.setError('Failed to create a branch from this message');
+    }
+  };
+
   const handleDeleteSession = async (sessionId) => {
     try {
       await apiRequest(`/api/chat/sessions/${sessionId}`, { method: 'DELETE' });
@@ -365,6 +384,31 @@ const MainApp = () => {
         () => setSessionRefreshTrigger(p => p + 1)
       );
     },
+    onRegenerateMessage: (message) => chat.regenerateMessage(
+      message,
+      personasState.activePersona ? { hasPersona: true, persona: personasState.activePersona } : null
+    ),
+    onSelectAlternative: (message, index) => chat.selectAlternative(
+      message,
+      index,
+      personasState.activePersona ? { hasPersona: true, persona: personasState.activePersona } : null
+    ),
+    onForkMessage: handleForkSession,
+    onInspectMessage: chat.inspectMessage,
+    promptPreview: chat.promptPreview,
+    onPreviewPrompt: () => chat.previewPrompt(
+      charactersState.activeCharacters,
+      charactersState.currentScenario,
+      personasState.activePersona ? { hasPersona: true, persona: personasState.activePersona } : null
+    ),
+    onClosePromptPreview: chat.clearPromptPreview,
+    canLetThemTalk: Boolean(chat.currentSessionId) && charactersState.activeCharacters.length >= 2,
+    onLetThemTalk: (rounds) => chat.letThemTalk(
+      charactersState.activeCharacters,
+      charactersState.currentScenario,
+      personasState.activePersona ? { hasPersona: true, persona: personasState.activePersona } : null,
+      rounds
+    ),
     onStartEdit: chat.setEditingMessageId,
     onCancelEdit: () => chat.setEditingMessageId(null),
     onGeneratePersonaResponse: () => chat.generatePersonaResponse(
@@ -460,6 +504,11 @@ const MainApp = () => {
     onCloseNewChat: () => setShowNewChatModal(false),
     onSaveCharacter: handleSaveCharacter,
     onCloseCharacterEditor: () => { setShowCharacterEditor(false); setEditingCharacter(null); },
+    onImportCharacter: (character) => {
+      // Imported cards are saved straight away, so keep editing the new character
+      charactersState.setCharacters(prev => [...prev, character]);
+      setEditingCharacter(character);
+    },
     onSaveScene: async (sceneData) => {
       try {
         if (sceneData.id) {
@@ -534,6 +583,9 @@ const MainApp = () => {
         currentScene={charactersState.findScenarioById(charactersState.currentScenario)}
         activeCharacters={charactersState.activeCharacters}
         onRemoveCharacter={(char) => charactersState.setActiveCharacters(prev => prev.filter(c => c.id !== char.id))}
+        groupSettings={chat.sessionSettings}
+        onUpdateGroupSettings={chat.updateSessionSettings}
+        characterMoods={chat.characterMoods}
         onChangeScene={() => setShowNewChatModal(true)}
         rightPanelCollapsed={rightPanelCollapsed}
         onToggleRightPanel={() => setRightPanelCollapsed(r => !r)}
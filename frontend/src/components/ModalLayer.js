@@ -40,6 +40,7 @@ const ModalLayer = ({ modals, handlers, shared }) => {
     onCloseNewChat,
     onSaveCharacter,
     onCloseCharacterEditor,
+    onImportCharacter,
     onSaveScene,
     onDeleteScene,
     onPublishScene,
@@ -68,6 +69,7 @@ const ModalLayer = ({ modals, handlers, shared }) => {
         <NewChatModal
           scenes={scenes}
           characters={characters}
+          defaultGroupMode={userSettings?.groupDynamicsMode}
           onStart={onStartNewChat}
           onClose={onCloseNewChat}
         />
@@ -81,6 +83,8 @@ const ModalLayer = ({ modals, handlers, shared }) => {
           userSettings={userSettings}
           onSave={onSaveCharacter}
           onClose={onCloseCharacterEditor}
+          onImport={onImportCharacter}
+          apiRequest={apiRequest}
         />
       )}
 
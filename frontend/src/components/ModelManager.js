@@ -10,6 +10,7 @@ import {
   Loader, AlertCircle, CheckCircle, X, Save, Cpu
 } from 'lucide-react';
 import { btn, card, input, text, badge } from '../styles/ui';
+import InstructTemplatePicker from './InstructTemplatePicker';
 
 const PROVIDERS = [
   { value: 'openai',    label: 'OpenAI' },
@@ -20,6 +21,9 @@ const PROVIDERS = [
   { value: 'lmstudio',  label: 'LM Studio (local)' },
 ];
 
+// Providers that can take a raw prompt rendered with an instruct template
+const LOCAL_PROVIDERS = ['ollama', 'lmstudio'];
+
 const EMPTY_FORM = {
   name: '',
   display_name: '',
@@ -34,6 +38,7 @@ const EMPTY_FORM = {
   presence_penalty: null,
   repetition_penalty: null,
   stop_sequences: null,
+  instruct_template: null,
   tags: [],
 };
 
@@ -160,6 +165,7 @@ const ModelManager = ({ apiRequest }) => {
       presence_penalty:    model.presence_penalty  ?? null,
       repetition_penalty:  model.repetition_penalty ?? null,
       stop_sequences:      model.stop_sequences  ?? null,
+      instruct_template:   model.instruct_template ?? null,
       tags:                model.tags            ?? [],
     });
     setShowAdvanced(false);
@@ -196,6 +202,7 @@ const ModelManager = ({ apiRequest }) => {
     const payload = {
       ...form,
       name: form.name || slugify(form.display_name),
+      instruct_template: LOCAL_PROVIDERS.includes(form.provider) ? form.instruct_template : null,
       tags: Array.isArray(form.tags) ? form.tags : [],
     };
 
@@ -640,6 +647,22 @@ const ModelManager = ({ apiRequest }) => {
                 className={input.base}
               />
             </div>
+
+            {/* Instruct Template */}
+            {LOCAL_PROVIDERS.includes(form.provider) && (
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Instruct Template</label>
+                <p className="text-xs text-gray-500 mb-2">
+                  Render the prompt in this format and send it as a raw completion. Its stop sequences are added to the ones above.
+                </p>
+                <InstructTemplatePicker
+                  apiRequest={apiRequest}
+                  value={form.instruct_template}
+                  onChange={value => setField('instruct_template', value)}
+                  stopSequences={form.stop_sequences}
+                />
+              </div>
+            )}
           </div>
         )}
       </div>
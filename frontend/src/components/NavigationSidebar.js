@@ -14,7 +14,9 @@ import {
   ChevronRight,
   Shield,
   Trash2,
-  Menu
+  Menu,
+  GitBranch,
+  BarChart3
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { Capacitor } from '@capacitor/core';
@@ -31,7 +33,7 @@ const NavigationSidebar = ({
   refreshTrigger,
   onSessionsLoad
 }) => {
-  const { user, signOut } = useAuth();
+  const { user, signOut, localOnly } = useAuth();
   const [sessions, setSessions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showChatHistory, setShowChatHistory] = useState(true);
@@ -92,6 +94,12 @@ const NavigationSidebar = ({
       icon: Globe,
       requiresAuth: false
     },
+    {
+      id: 'usage',
+      label: 'Usage',
+      icon: BarChart3,
+      requiresAuth: false
+    },
     {
       id: 'settings',
       label: 'Settings',
@@ -110,6 +118,61 @@ const NavigationSidebar = ({
     });
   }
 
+  // Arrange sessions into branch trees: forks nest under the session they came from.
+  // A branch whose parent isn't in the list (deleted or paged out) shows at the top level.
+  const sessionIds = new Set(sessions.map(s => s.id));
+  const branchesByParent = {};
+  const topLevelSessions = [];
+  sessions.forEach(session => {
+    if (session.parent_session_id && sessionIds.has(session.parent_session_id)) {
+      (branchesByParent[session.parent_session_id] = branchesByParent[session.parent_session_id] || []).push(session);
+    } else {
+      topLevelSessions.push(session);
+    }
+  });
+
+  const renderSession = (session, depth = 0) => (
+    <React.Fragment key={session.id}>
+      <div
+        className={`group relative flex items-center px-3 py-2 rounded-lg transition-colors ${
+          currentSessionId === session.id
+            ? 'bg-orange-700 text-white'
+            : 'text-gray-300 hover:bg-white/5'
+        }`}
+        style={depth > 0 ? { marginLeft: `${depth * 12}px` } : undefined}
+      >
+        <button
+          onClick={() => onSessionSelect(session)}
+          className="flex-1 text-left min-w-0"
+        >
+          <div className="text-sm font-medium truncate flex items-center gap-1">
+            {depth > 0 && <GitBranch size={12} className="flex-shrink-0 text-gray-400" />}
+            <span className="truncate">{session.title || 'Untitled Chat'}</span>
+          </div>
+          <div className="text-xs text-gray-400 truncate">
+            {new Date(session.created_at).toLocaleDateString()}
+          </div>
+        </button>
+        <button
+          onClick={async (e) => {
+            e.stopPropagation();
+            if (window.confirm('Delete this chat?')) {
+              // Immediately remove from UI for instant feedback
+              setSessions(prev => prev.filter(s => s.id !== session.id));
+              // Then call the delete handler
+              await onDeleteSession(session.id);
+            }
+          }}
+          className="opacity-0 group-hover:opacity-100 p-1 hover:bg-orange-600/20 rounded transition-opacity"
+          title="Delete chat"
+        >
+          <Trash2 size={14} className="text-orange-400" />
+        </button>
+      </div>
+      {(branchesByParent[session.id] || []).map(branch => renderSession(branch, depth + 1))}
+    </React.Fragment>
+  );
+
   const handleMenuClick = (item) => {
     if (item.requiresAuth && !user) {
       // Show login modal
@@ -204,43 +267,7 @@ const NavigationSidebar = ({
               </div>
             ) : (
               <div className="space-y-1">
-                {sessions.map(session => (
-                  <div
-                    key={session.id}
-                    className={`group relative flex items-center px-3 py-2 rounded-lg transition-colors ${
-                      currentSessionId === session.id
-                        ? 'bg-orange-700 text-white'
-                        : 'text-gray-300 hover:bg-white/5'
-                    }`}
-                  >
-                    <button
-                      onClick={() => onSessionSelect(session)}
-                      className="flex-1 text-left"
-                    >
-                      <div className="text-sm font-medium truncate">
-                        {session.title || 'Untitled Chat'}
-                      </div>
-                      <div className="text-xs text-gray-400 truncate">
-                        {new Date(session.created_at).toLocaleDateString()}
-                      </div>
-                    </button>
-                    <button
-                      onClick={async (e) => {
-                        e.stopPropagation();
-                        if (window.confirm('Delete this chat?')) {
-                          // Immediately remove from UI for instant feedback
-                          setSessions(prev => prev.filter(s => s.id !== session.id));
-                          // Then call the delete handler
-                          await onDeleteSession(session.id);
-                        }
-                      }}
-                      className="opacity-0 group-hover:opacity-100 p-1 hover:bg-orange-600/20 rounded transition-opacity"
-                      title="Delete chat"
-                    >
-                      <Trash2 size={14} className="text-orange-400" />
-                    </button>
-                  </div>
-                ))}
+                {topLevelSessions.map(session => renderSession(session))}
               </div>
             )}
           </div>
@@ -282,18 +309,20 @@ const NavigationSidebar = ({
             </div>
             <div className="flex-1 min-w-0">
               <div className="text-sm font-medium text-white truncate">
-                {user?.email || 'User'}
+                {user?.email || (localOnly ? 'Local User' : 'User')}
               </div>
-              <div className="text-xs text-gray-400">Signed In</div>
+              <div className="text-xs text-gray-400">{localOnly ? 'Local Mode' : 'Signed In'}</div>
             </div>
           </div>
-          <button
-            onClick={signOut}
-            className="w-full flex items-center justify-center gap-2 px-3 py-2 text-sm text-gray-400 hover:text-white hover:bg-white/5 rounded-lg transition-colors"
-          >
-            <LogOut size={16} />
-            Sign Out
-          </button>
+          {!localOnly && (
+            <button
+              onClick={signOut}
+              className="w-full flex items-center justify-center gap-2 px-3 py-2 text-sm text-gray-400 hover:text-white hover:bg-white/5 rounded-lg transition-colors"
+            >
+              <LogOut size={16} />
+              Sign Out
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -5,10 +5,12 @@
 
 import React, { useState } from 'react';
 import { X, MapPin, Users, Check, ArrowRight, Sparkles } from 'lucide-react';
+import GroupDynamicsControls from './GroupDynamicsControls';
 
 const NewChatModal = ({
   scenes,
   characters,
+  defaultGroupMode = 'natural',
   onStart,
   onClose
 }) => {
@@ -16,6 +18,7 @@ const NewChatModal = ({
   const [selectedScene, setSelectedScene] = useState(null);
   const [selectedCharacters, setSelectedCharacters] = useState([]);
   const [customTitle, setCustomTitle] = useState('');
+  const [groupSettings, setGroupSettings] = useState({ group_mode: defaultGroupMode, max_responders: 3 });
 
   const handleSceneSelect = (scene) => {
     setSelectedScene(scene);
@@ -35,7 +38,7 @@ const NewChatModal = ({
 
   const handleStart = () => {
     if (selectedScene && selectedCharacters.length > 0) {
-      onStart(selectedScene, selectedCharacters, customTitle);
+      onStart(selectedScene, selectedCharacters, customTitle, groupSettings);
       onClose();
     }
   };
@@ -149,6 +152,19 @@ const NewChatModal = ({
                 </p>
               </div>
 
+              {selectedCharacters.length > 1 && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Group Dynamics
+                  </label>
+                  <GroupDynamicsControls
+                    mode={groupSettings.group_mode}
+                    maxResponders={groupSettings.max_responders}
+                    onChange={updates => setGroupSettings(prev => ({ ...prev, ...updates }))}
+                  />
+                </div>
+              )}
+
               <div className="mb-4">
                 <div className="flex items-center justify-between mb-3">
                   <h3 className="text-sm font-medium text-gray-300">
@@ -0,0 +1,129 @@
+// components/PromptInspector.js
+// Debug view of the prompt a character was (or would be) sent
+
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+
+const STATUS_STYLES = {
+  kept: 'text-green-400',
+  shortened: 'text-amber-400',
+  dropped: 'text-gray-500 line-through'
+};
+
+const ATTEMPT_STYLES = {
+  success: 'text-green-400',
+  error: 'text-orange-400',
+  skipped: 'text-gray-500'
+};
+
+/**
+ * Collapsible section with a one-line summary
+ */
+const Section = ({ title, summary, children, defaultOpen = false }) => {
+  const [open, setOpen] = useState(defaultOpen);
+
+  return (
+    <div className="border-t border-white/10 first:border-t-0">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center gap-2 py-2 text-left text-gray-300 hover:text-white"
+      >
+        {open ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+        <span className="font-semibold">{title}</span>
+        {summary && <span className="text-gray-500">{summary}</span>}
+      </button>
+      {open && <div className="pb-2 pl-5 space-y-2">{children}</div>}
+    </div>
+  );
+};
+
+/**
+ * @param {object} inspection — { layers, memories, temperature, token_budget, messages, prompt_budget, provider, model, usage, attempts }
+ */
+const PromptInspector = ({ inspection }) => {
+  const { layers = [], memories = [], messages = [], attempts = [], prompt_budget: budget } = inspection;
+  const [openLayer, setOpenLayer] = useState(null);
+
+  return (
+    <div className="mt-2 bg-black/30 border border-white/10 rounded-lg px-3 py-1 text-xs text-gray-400 max-w-2xl">
+      <div className="flex flex-wrap gap-x-4 gap-y-1 py-2">
+        {inspection.provider && (
+          <span className={inspection.fallback_used ? 'text-amber-400' : ''}>
+            {inspection.provider} / {inspection.model}{inspection.fallback_used && ' (fallback)'}
+          </span>
+        )}
+        <span>Temperature {Number(inspection.temperature).toFixed(2)}</span>
+        <span>Reply budget {inspection.token_budget} tokens</span>
+        {inspection.usage && (
+          <span>Used {inspection.usage.prompt_tokens} in / {inspection.usage.completion_tokens} out tokens</span>
+        )}
+        {budget && (
+          <span className={budget.over_budget ? 'text-orange-400' : ''}>
+            Prompt ~{budget.estimated_prompt_tokens}/{budget.context_window} tokens
+          </span>
+        )}
+      </div>
+
+      <Section title="Layers" summary={`${layers.filter(l => l.status !== 'dropped').length}/${layers.length} sent`} defaultOpen>
+        {layers.map(layer => (
+          <div key={layer.name}>
+            <button
+              onClick={() => setOpenLayer(openLayer === layer.name ? null : layer.name)}
+              className="flex items-center gap-2 hover:text-white"
+            >
+              <span className={STATUS_STYLES[layer.status]}>{layer.name}</span>
+              <span className="text-gray-500">
+                {layer.status}{layer.status !== 'dropped' && ` · ~${layer.tokens} tokens`}{layer.required && ' · required'}
+              </span>
+            </button>
+            {openLayer === layer.name && layer.text && (
+              <pre className="mt-1 p-2 bg-black/40 rounded whitespace-pre-wrap break-words text-gray-300 font-mono">{layer.text}</pre>
+            )}
+          </div>
+        ))}
+      </Section>
+
+      <Section title="Memories" summary={`${memories.length} selected`}>
+        {memories.length === 0 ? (
+          <p className="text-gray-500">No memories selected</p>
+        ) : (
+          memories.map(memory => (
+            <div key={memory.id} className="flex gap-3">
+              <span className="shrink-0 font-mono text-gray-500" title="Relevance / importance">
+                {memory.relevance_score?.toFixed(2) ?? '–'} / {memory.importance_score?.toFixed(2) ?? '–'}
+              </span>
+              <span className="text-gray-300">{memory.content}</span>
+            </div>
+          ))
+        )}
+      </Section>
+
+      {attempts.length > 1 && (
+        <Section title="Attempts" summary={`${attempts.length} provider calls`}>
+          {attempts.map((attempt, index) => (
+            <div key={index} className="flex gap-3">
+              <span className={`shrink-0 ${ATTEMPT_STYLES[attempt.outcome]}`}>{attempt.outcome}</span>
+              <span className="text-gray-300">
+                {attempt.provider} / {attempt.model}
+                {attempt.attempt > 1 && ` · try ${attempt.attempt}`}
+                {attempt.duration_ms != null && ` · ${attempt.duration_ms} ms`}
+              </span>
+              {attempt.error && <span className="text-gray-500">{attempt.error}</span>}
+            </div>
+          ))}
+        </Section>
+      )}
+
+      <Section title="Messages" summary={`${messages.length} sent to the provider`}>
+        {messages.map((msg, index) => (
+          <div key={index}>
+            <span className="font-semibold text-gray-400 uppercase">{msg.role}</span>
+            <pre className="mt-1 p-2 bg-black/40 rounded whitespace-pre-wrap break-words text-gray-300 font-mono">{msg.content}</pre>
+          </div>
+        ))}
+      </Section>
+    </div>
+  );
+};
+
+export default PromptInspector;
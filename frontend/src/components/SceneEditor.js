@@ -6,8 +6,9 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { X, MapPin, Plus, Edit, Trash2, Image, Upload, Eye } from 'lucide-react';
+import { X, MapPin, Plus, Edit, Trash2, Image, Upload, Eye, BookOpen } from 'lucide-react';
 import ImageUpload from './ImageUpload';
+import LorebookPanel from './LorebookPanel';
 
 const SceneEditor = ({ scenarios, onSave, onDelete, onPublish, onUnpublish, onClose, initialEditingScene = null, apiRequest, user }) => {
   // ============================================================================
@@ -16,6 +17,7 @@ const SceneEditor = ({ scenarios, onSave, onDelete, onPublish, onUnpublish, onCl
 
   const [showCreateForm, setShowCreateForm] = useState(initialEditingScene !== null);
   const [editingScene, setEditingScene] = useState(initialEditingScene);
+  const [activeTab, setActiveTab] = useState('details');
  
   const [formData, setFormData] = useState({
     name: '',
@@ -241,6 +243,7 @@ const SceneEditor = ({ scenarios, onSave, onDelete, onPublish, onUnpublish, onCl
 
   const startEdit = (scene) => {
     setEditingScene(scene);
+    setActiveTab('details');
     
     // Convert legacy 'local' provider to 'ollama'
     let narratorProvider = scene.narrator_ai_provider || 'openai';
@@ -307,6 +310,7 @@ const SceneEditor = ({ scenarios, onSave, onDelete, onPublish, onUnpublish, onCl
                 <button
                   onClick={() => {
                     resetForm();
+                    setActiveTab('details');
                     setShowCreateForm(true);
                   }}
                   className="flex items-center gap-2 bg-orange-600 hover:bg-orange-700 text-white px-4 py-2 rounded-lg transition-colors"
@@ -430,6 +434,32 @@ const SceneEditor = ({ scenarios, onSave, onDelete, onPublish, onUnpublish, onCl
                 </div>
               )}
 
+              {/* Tabs - lorebooks link to a saved scene, so the tab only exists when editing */}
+              {editingScene?.id && (
+                <div className="flex gap-2">
+                  {[
+                    { id: 'details', label: 'Details', icon: MapPin },
+                    { id: 'lorebook', label: 'Lorebook', icon: BookOpen }
+                  ].map(({ id, label, icon: Icon }) => (
+                    <button
+                      key={id}
+                      onClick={() => setActiveTab(id)}
+                      className={`px-4 py-2 rounded-lg text-sm flex items-center gap-2 transition-colors ${
+                        activeTab === id ? 'bg-orange-600 text-white' : 'bg-white/5 text-gray-400 hover:text-white'
+                      }`}
+                    >
+                      <Icon size={14} />
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {activeTab === 'lorebook' && editingScene?.id && (
+                <LorebookPanel apiRequest={apiRequest} targetType="scenario" targetId={editingScene.id} />
+              )}
+
+              <div className={activeTab === 'details' ? 'space-y-6' : 'hidden'}>
               {/* Scene Preview with Background */}
               <div className="bg-white/5 border border-white/10 rounded-lg overflow-hidden">
                 <h4 className="text-sm font-medium text-orange-300 mb-2 p-4 pb-0">Preview</h4>
@@ -758,6 +788,7 @@ const SceneEditor = ({ scenarios, onSave, onDelete, onPublish, onUnpublish, onCl
                   </div>
                 )}
               </div>
+              </div>
 
               {/* Form Actions */}
               <div className="flex justify-end gap-3">
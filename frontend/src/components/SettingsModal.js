@@ -4,15 +4,19 @@
 // ============================================================================
 
 import React, { useState, useEffect } from 'react';
-import { X, Settings, Key, Zap, CheckCircle, AlertCircle, Eye, EyeOff, Loader, Cpu } from 'lucide-react';
+import { X, Settings, Key, Zap, CheckCircle, AlertCircle, Eye, EyeOff, Loader, Cpu, FileText } from 'lucide-react';
 import ModelManager from './ModelManager';
+import InstructTemplateManager from './InstructTemplateManager';
+import { GROUP_MODES } from './GroupDynamicsControls';
+import { getAuthHeaders } from '../utils/apiClient';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
 const TABS = [
-  { id: 'api-keys',      label: 'API Keys',      icon: Key },
-  { id: 'model-manager', label: 'Model Manager', icon: Cpu },
-  { id: 'group-chat',    label: 'Group Chat',    icon: Zap },
+  { id: 'api-keys',       label: 'API Keys',       icon: Key },
+  { id: 'model-manager',  label: 'Model Manager',  icon: Cpu },
+  { id: 'prompt-formats', label: 'Prompt Formats', icon: FileText },
+  { id: 'group-chat',     label: 'Group Chat',     icon: Zap },
 ];
 
 const SettingsModalV15 = ({ user, settings, onSave, onClose, fullScreen = false, apiRequest }) => {
@@ -31,6 +35,8 @@ const SettingsModalV15 = ({ user, settings, onSave, onClose, fullScreen = false,
     // Ollama settings
     ollamaUrl: 'http://localhost:11434',
     ollamaTestModel: 'llama2',
+    ollamaKeepAlive: '',
+    ollamaSeed: '',
 
     // LM Studio settings
     lmStudioUrl: 'http://127.0.0.1:1234',
@@ -38,6 +44,7 @@ const SettingsModalV15 = ({ user, settings, onSave, onClose, fullScreen = false,
 
     // Group dynamics
     groupDynamicsMode: 'natural',
+    moodTracking: 'heuristic',
 
     // Display preferences
     messageDelay: 1200,
@@ -94,9 +101,12 @@ const SettingsModalV15 = ({ user, settings, onSave, onClose, fullScreen = false,
         googleKey: settings.apiKeys?.google || '',
         ollamaUrl: settings.ollamaSettings?.baseUrl || 'http://localhost:11434',
         ollamaTestModel: settings.ollamaSettings?.testModel || 'llama2',
+        ollamaKeepAlive: settings.ollamaSettings?.keepAlive || '',
+        ollamaSeed: settings.ollamaSettings?.seed ?? '',
         lmStudioUrl: settings.lmStudioSettings?.baseUrl || 'http://127.0.0.1:1234',
         lmStudioTestModel: settings.lmStudioSettings?.testModel || 'local-model',
         groupDynamicsMode: settings.groupDynamicsMode || 'natural',
+        moodTracking: settings.moodTracking || 'heuristic',
         messageDelay: settings.messageDelay || 1200,
         defaultModel: settings.defaultModel || '',
         defaultProvider: savedProvider,
@@ -146,7 +156,7 @@ const SettingsModalV15 = ({ user, settings, onSave, onClose, fullScreen = false,
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'user-id': user.id
+          ...(await getAuthHeaders())
         },
         body: JSON.stringify({
           provider,
@@ -249,7 +259,7 @@ const SettingsModalV15 = ({ user, settings, onSave, onClose, fullScreen = false,
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'user-id': user.id
+          ...(await getAuthHeaders())
         },
         body: JSON.stringify(requestBody)
       });
@@ -294,12 +304,15 @@ const SettingsModalV15 = ({ user, settings, onSave, onClose, fullScreen = false,
           google: formData.googleKey
         },
         ollamaSettings: {
-          baseUrl: formData.ollamaUrl
+          baseUrl: formData.ollamaUrl,
+          ...(formData.ollamaKeepAlive.trim() && { keepAlive: formData.ollamaKeepAlive.trim() }),
+          ...(formData.ollamaSeed !== '' && { seed: parseInt(formData.ollamaSeed, 10) })
         },
         lmStudioSettings: {
           baseUrl: formData.lmStudioUrl
         },
         groupDynamicsMode: formData.groupDynamicsMode,
+        moodTracking: formData.moodTracking,
         messageDelay: formData.messageDelay,
         defaultModel: formData.defaultModel,
         defaultProvider: selectedProvider,
@@ -331,6 +344,8 @@ const SettingsModalV15 = ({ user, settings, onSave, onClose, fullScreen = false,
     const keyField = `${provider}Key`;
     const status = keyStatus[provider];
     const isTesting = testingKey === provider;
+    // The server only sends the masked form of a saved key
+    const isSavedKey = Boolean(formData[keyField]) && formData[keyField] === settings?.apiKeys?.[provider];
     
     return (
       <div className="mb-4">
@@ -353,6 +368,7 @@ const SettingsModalV15 = ({ user, settings, onSave, onClose, fullScreen = false,
               type={showKeys[provider] ? 'text' : 'password'}
               value={formData[keyField]}
               onChange={(e) => handleInputChange(keyField, e.target.value)}
+              onFocus={(e) => isSavedKey && e.target.select()}
               placeholder={placeholder}
               className="w-full bg-white/5 border border-white/10 rounded-lg p-3 pr-10 text-white placeholder-gray-500 focus:outline-none focus:border-red-400"
             />
@@ -380,6 +396,10 @@ const SettingsModalV15 = ({ user, settings, onSave, onClose, fullScreen = false,
           </button>
         </div>
         
+        {isSavedKey && !status && (
+          <p className="text-xs text-gray-500 mt-1">Saved and encrypted. Paste a new key to replace it, or clear the field to remove it.</p>
+        )}
+
         {status && !status.success && (
           <p className="text-xs text-orange-400 mt-1">{status.message}</p>
         )}
@@ -515,6 +535,31 @@ const SettingsModalV15 = ({ user, settings, onSave, onClose, fullScreen = false,
                     </div>
                   </div>
 
+                  <div className="flex gap-2">
+                    <div className="flex-1">
+                      <label className="text-xs text-gray-400 mb-1 block">Keep Alive</label>
+                      <input
+                        type="text"
+                        value={formData.ollamaKeepAlive}
+                        onChange={(e) => handleInputChange('ollamaKeepAlive', e.target.value)}
+                        placeholder="5m"
+                        className="w-full bg-white/5 border border-white/10 rounded-lg p-3 text-white placeholder-gray-500 focus:outline-none focus:border-red-400"
+                      />
+                    </div>
+
+                    <div className="flex-1">
+                      <label className="text-xs text-gray-400 mb-1 block">Seed</label>
+                      <input
+                        type="number"
+                        step="1"
+                        value={formData.ollamaSeed}
+                        onChange={(e) => handleInputChange('ollamaSeed', e.target.value)}
+                        placeholder="Random"
+                        className="w-full bg-white/5 border border-white/10 rounded-lg p-3 text-white placeholder-gray-500 focus:outline-none focus:border-red-400"
+                      />
+                    </div>
+                  </div>
+
                   <button
                     onClick={() => testApiKey('ollama')}
                     disabled={testingKey === 'ollama'}
@@ -532,7 +577,7 @@ const SettingsModalV15 = ({ user, settings, onSave, onClose, fullScreen = false,
                 </div>
 
                 <p className="text-xs text-gray-500 mt-2">
-                  Run models locally with Ollama. <a href="https://ollama.ai" target="_blank" rel="noopener noreferrer" className="text-orange-400 hover:underline">Learn more</a>
+                  Run models locally with Ollama. Keep Alive is how long a model stays loaded after a reply (e.g. 30m, or -1 for always); a fixed seed makes replies repeatable. <a href="https://ollama.ai" target="_blank" rel="noopener noreferrer" className="text-orange-400 hover:underline">Learn more</a>
                 </p>
               </div>
 
@@ -629,6 +674,23 @@ const SettingsModalV15 = ({ user, settings, onSave, onClose, fullScreen = false,
             </div>
           )}
 
+          {/* ── Prompt Formats tab ──────────────────────────────────────── */}
+          {activeTab === 'prompt-formats' && (
+            <div className="space-y-6">
+              <div>
+                <h3 className="text-lg font-semibold text-white mb-1 flex items-center gap-2">
+                  <FileText size={18} className="text-orange-500" />
+                  Prompt Formats
+                </h3>
+                <p className="text-sm text-gray-400">
+                  Instruct templates turn a conversation into one prompt for local models that need a specific format.
+                  Characters and presets without one use the backend's chat endpoint.
+                </p>
+              </div>
+              <InstructTemplateManager apiRequest={apiRequest} />
+            </div>
+          )}
+
           {/* ── Group Chat tab ───────────────────────────────────────────── */}
           {activeTab === 'group-chat' && (
             <div className="space-y-6">
@@ -682,6 +744,40 @@ const SettingsModalV15 = ({ user, settings, onSave, onClose, fullScreen = false,
                   )}
                 </div>
 
+                {/* Default Group Dynamics */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Default Group Dynamics</label>
+                  <select
+                    value={formData.groupDynamicsMode}
+                    onChange={(e) => handleInputChange('groupDynamicsMode', e.target.value)}
+                    className="w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:border-red-400"
+                  >
+                    {GROUP_MODES.map(mode => (
+                      <option key={mode.value} value={mode.value}>{mode.label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {GROUP_MODES.find(mode => mode.value === formData.groupDynamicsMode)?.description}.
+                    New chats start this way; each chat can change it from the side panel.
+                  </p>
+                </div>
+
+                {/* Mood Tracking */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Character Mood Tracking</label>
+                  <select
+                    value={formData.moodTracking}
+                    onChange={(e) => handleInputChange('moodTracking', e.target.value)}
+                    className="w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:border-red-400"
+                  >
+                    <option value="heuristic">From word choice (free)</option>
+                    <option value="ai">Ask the character's model</option>
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    How each character's mood is read from their replies. Asking the model is more accurate but makes one extra call per reply.
+                  </p>
+                </div>
+
                 {/* Message Delay */}
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">
@@ -0,0 +1,367 @@
+// ============================================================================
+// CHAIT World — UsageDashboard
+// Token usage and estimated spend by character, model, session and day,
+// plus the per-model price table the estimates are based on.
+// ============================================================================
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  BarChart3, Loader, AlertCircle, Pencil, RotateCcw, Save, X, Plus
+} from 'lucide-react';
+import { btn, card, input, text, badge } from '../styles/ui';
+
+const RANGES = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+];
+
+const BREAKDOWNS = [
+  { id: 'byCharacter', label: 'Characters', name: row => row.character_name || 'Deleted character' },
+  { id: 'byModel', label: 'Models', name: row => `${row.provider} / ${row.model}` },
+  { id: 'bySession', label: 'Chats', name: row => row.session_title || 'Deleted chat' },
+  { id: 'byDay', label: 'Days', name: row => row.day },
+];
+
+const PROVIDERS = ['openai', 'anthropic', 'google', 'openrouter', 'ollama', 'lmstudio'];
+
+const EMPTY_PRICE = { provider: 'openrouter', model: '', input_per_million: '', output_per_million: '' };
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+/** Days are UTC on the server, so the range is computed in UTC too */
+const startOfRange = (days) =>
+  new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const formatCost = (cost) =>
+  cost === 0 ? '$0.00' : cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+
+const formatTokens = (count) =>
+  count >= 1e6 ? `${(count / 1e6).toFixed(1)}M` : count >= 1e3 ? `${(count / 1e3).toFixed(1)}k` : String(count);
+
+// ============================================================================
+
+const UsageDashboard = ({ apiRequest }) => {
+  const [rangeDays, setRangeDays] = useState(30);
+  const [breakdown, setBreakdown] = useState('byCharacter');
+  const [summary, setSummary] = useState(null);
+  const [prices, setPrices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // price editing: null = none, 'new' = add form, 'provider/model' = that row
+  const [editingKey, setEditingKey] = useState(null);
+  const [priceForm, setPriceForm] = useState(EMPTY_PRICE);
+  const [saving, setSaving] = useState(false);
+
+  // ── data fetching ───────────────────────────────────────────────────────────
+
+  const loadData = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [usage, priceData] = await Promise.all([
+        apiRequest(`/api/usage?from=${startOfRange(rangeDays)}`),
+        apiRequest('/api/usage/prices'),
+      ]);
+      setSummary(usage);
+      setPrices(priceData.prices || []);
+    } catch (err) {
+      setError('Failed to load usage.');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiRequest, rangeDays]);
+
+  useEffect(() => { loadData(); }, [loadData]);
+
+  // ── price editing ───────────────────────────────────────────────────────────
+
+  const openPriceEdit = (price) => {
+    setPriceForm({ ...price });
+    setEditingKey(`${price.provider}/${price.model}`);
+    setError(null);
+  };
+
+  const openPriceNew = (preset = {}) => {
+    setPriceForm({ ...EMPTY_PRICE, ...preset });
+    setEditingKey('new');
+    setError(null);
+  };
+
+  const cancelPriceEdit = () => {
+    setEditingKey(null);
+    setPriceForm(EMPTY_PRICE);
+  };
+
+  const handleSavePrice = async () => {
+    const inputPrice = parseFloat(priceForm.input_per_million);
+    const outputPrice = parseFloat(priceForm.output_per_million);
+    if (!priceForm.model.trim()) { setError('Model is required.'); return; }
+    if (!(inputPrice >= 0) || !(outputPrice >= 0)) { setError('Prices must be zero or more.'); return; }
+
+    setSaving(true);
+    try {
+      await apiRequest('/api/usage/prices', {
+        method: 'PUT',
+        body: JSON.stringify({
+          provider: priceForm.provider,
+          model: priceForm.model.trim(),
+          input_per_million: inputPrice,
+          output_per_million: outputPrice,
+        }),
+      });
+      cancelPriceEdit();
+      await loadData();
+    } catch (err) {
+      setError(err.message || 'Failed to save price.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleResetPrice = async (price) => {
+    try {
+      const query = new URLSearchParams({ provider: price.provider, model: price.model });
+      await apiRequest(`/api/usage/prices?${query}`, { method: 'DELETE' });
+      await loadData();
+    } catch (err) {
+      setError('Failed to reset price.');
+    }
+  };
+
+  // ── render pieces ───────────────────────────────────────────────────────────
+
+  const renderTotals = () => {
+    const totals = summary?.totals;
+    if (!totals) return null;
+    const stats = [
+      { label: 'Estimated spend', value: formatCost(totals.cost) },
+      { label: 'Prompt tokens', value: formatTokens(totals.prompt_tokens) },
+      { label: 'Completion tokens', value: formatTokens(totals.completion_tokens) },
+      { label: 'Replies', value: totals.calls },
+    ];
+    return (
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {stats.map(stat => (
+          <div key={stat.label} className={card.base}>
+            <p className={`text-xs ${text.muted}`}>{stat.label}</p>
+            <p className="text-2xl font-bold text-white mt-1">{stat.value}</p>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderBreakdown = () => {
+    const config = BREAKDOWNS.find(b => b.id === breakdown);
+    const rows = summary?.[breakdown] || [];
+    // Bars follow spend; with no priced usage they follow tokens instead
+    const measure = summary?.totals?.cost > 0 ? 'cost' : 'total_tokens';
+    const max = Math.max(...rows.map(row => row[measure]), 0);
+
+    return (
+      <div className={card.base}>
+        <div className="flex gap-2 mb-4 overflow-x-auto">
+          {BREAKDOWNS.map(b => (
+            <button
+              key={b.id}
+              onClick={() => setBreakdown(b.id)}
+              className={`px-3 py-1.5 rounded-lg text-sm transition-colors ${
+                breakdown === b.id ? 'bg-orange-600 text-white' : 'bg-white/5 text-gray-400 hover:text-white'
+              }`}
+            >
+              {b.label}
+            </button>
+          ))}
+        </div>
+
+        {rows.length === 0 ? (
+          <p className={`text-sm ${text.subtle} text-center py-8`}>No usage recorded in this period</p>
+        ) : (
+          <div className="space-y-3">
+            {rows.map((row, index) => (
+              <div key={index}>
+                <div className="flex items-center justify-between gap-4 text-sm">
+                  <span className="text-gray-200 truncate">{config.name(row)}</span>
+                  <span className="shrink-0 text-gray-400">
+                    {formatTokens(row.prompt_tokens)} in · {formatTokens(row.completion_tokens)} out ·{' '}
+                    <span className="text-white font-medium">{formatCost(row.cost)}</span>
+                  </span>
+                </div>
+                <div className="h-1.5 bg-white/5 rounded-full mt-1">
+                  <div
+                    className="h-1.5 bg-orange-500 rounded-full"
+                    style={{ width: `${max > 0 ? (row[measure] / max) * 100 : 0}%` }}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderPriceForm = (isNew) => (
+    <div className="flex flex-wrap items-center gap-2 py-2">
+      {isNew ? (
+        <>
+          <select
+            value={priceForm.provider}
+            onChange={e => setPriceForm(prev => ({ ...prev, provider: e.target.value }))}
+            className={`${input.sm} w-32`}
+          >
+            {PROVIDERS.map(p => <option key={p} value={p}>{p}</option>)}
+          </select>
+          <input
+            value={priceForm.model}
+            onChange={e => setPriceForm(prev => ({ ...prev, model: e.target.value }))}
+            placeholder="Model ID"
+            className={`${input.sm} flex-1 min-w-[10rem]`}
+          />
+        </>
+      ) : (
+        <span className="flex-1 text-sm text-gray-200 truncate">{priceForm.provider} / {priceForm.model}</span>
+      )}
+      <input
+        type="number"
+        min="0"
+        step="0.01"
+        value={priceForm.input_per_million}
+        onChange={e => setPriceForm(prev => ({ ...prev, input_per_million: e.target.value }))}
+        placeholder="Input $/1M"
+        title="USD per million prompt tokens"
+        className={`${input.sm} w-28`}
+      />
+      <input
+        type="number"
+        min="0"
+        step="0.01"
+        value={priceForm.output_per_million}
+        onChange={e => setPriceForm(prev => ({ ...prev, output_per_million: e.target.value }))}
+        placeholder="Output $/1M"
+        title="USD per million completion tokens"
+        className={`${input.sm} w-28`}
+      />
+      <button onClick={handleSavePrice} disabled={saving} className={btn.icon} title="Save">
+        {saving ? <Loader size={15} className="animate-spin" /> : <Save size={15} />}
+      </button>
+      <button onClick={cancelPriceEdit} className={btn.icon} title="Cancel">
+        <X size={15} />
+      </button>
+    </div>
+  );
+
+  const renderPrices = () => (
+    <div className={card.base}>
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="text-white font-semibold">Model prices</h3>
+          <p className={`text-xs ${text.subtle}`}>
+            USD per million tokens. Defaults are estimates; edits re-price past usage too.
+            Local models (Ollama, LM Studio) are free unless priced.
+          </p>
+        </div>
+        <button onClick={() => openPriceNew()} className={`flex items-center gap-2 text-sm shrink-0 ml-4 ${btn.secondary}`}>
+          <Plus size={16} />
+          Add price
+        </button>
+      </div>
+
+      {summary?.unpriced?.length > 0 && (
+        <div className={`${card.warn} mb-3 text-sm text-orange-300`}>
+          <p className="mb-2">These models have usage but no price, so their spend is not counted:</p>
+          <div className="flex flex-wrap gap-2">
+            {summary.unpriced.map(m => (
+              <button
+                key={`${m.provider}/${m.model}`}
+                onClick={() => openPriceNew({ provider: m.provider, model: m.model })}
+                className={badge.accent}
+              >
+                {m.provider} / {m.model}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {editingKey === 'new' && renderPriceForm(true)}
+
+      <div className="divide-y divide-white/5">
+        {prices.map(price => {
+          const key = `${price.provider}/${price.model}`;
+          if (editingKey === key) {
+            return <div key={key}>{renderPriceForm(false)}</div>;
+          }
+          return (
+            <div key={key} className="flex items-center gap-3 py-2 text-sm">
+              <span className="flex-1 text-gray-200 truncate">{price.provider} / {price.model}</span>
+              {price.custom && <span className={badge.base}>custom</span>}
+              <span className="text-gray-400 shrink-0">
+                ${price.input_per_million} in · ${price.output_per_million} out
+              </span>
+              <button onClick={() => openPriceEdit(price)} className={btn.icon} title="Edit price">
+                <Pencil size={15} />
+              </button>
+              {price.custom && (
+                <button onClick={() => handleResetPrice(price)} className={btn.icon} title="Reset to default">
+                  <RotateCcw size={15} />
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+
+  // ── render ──────────────────────────────────────────────────────────────────
+
+  return (
+    <div className="flex-1 bg-gray-900 flex flex-col overflow-hidden">
+      <div className="bg-gray-800 border-b border-white/10 p-4">
+        <div className="flex items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <BarChart3 className="text-orange-400" size={24} />
+            <div>
+              <h2 className="text-xl font-bold text-white">Usage</h2>
+              <p className="text-sm text-gray-400">Tokens reported by your providers and what they cost</p>
+            </div>
+          </div>
+          <select
+            value={rangeDays}
+            onChange={e => setRangeDays(Number(e.target.value))}
+            className={`${input.sm} w-32`}
+          >
+            {RANGES.map(r => <option key={r.days} value={r.days}>Last {r.label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        {error && (
+          <div className={`${card.error} flex items-center gap-2 text-sm text-red-300`}>
+            <AlertCircle size={16} />
+            {error}
+          </div>
+        )}
+
+        {loading && !summary ? (
+          <div className="flex items-center gap-2 text-gray-400 py-12 justify-center">
+            <Loader size={18} className="animate-spin" />
+            <span className="text-sm">Loading usage…</span>
+          </div>
+        ) : (
+          <>
+            {renderTotals()}
+            {renderBreakdown()}
+            {renderPrices()}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UsageDashboard;
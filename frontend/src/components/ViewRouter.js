@@ -17,6 +17,7 @@ import CommunityHub from './CommunityHub';
 import SettingsModal from './SettingsModal';
 import PersonaManager from './PersonaManager';
 import ModerationPanel from './ModerationPanel';
+import UsageDashboard from './UsageDashboard';
 
 const ViewRouter = ({ activeView, isAdmin, viewProps }) => {
   const {
@@ -33,6 +34,15 @@ const ViewRouter = ({ activeView, isAdmin, viewProps }) => {
     onInputChange,
     onSendMessage,
     onEditMessage,
+    onRegenerateMessage,
+    onSelectAlternative,
+    onForkMessage,
+    onInspectMessage,
+    promptPreview,
+    onPreviewPrompt,
+    onClosePromptPreview,
+    canLetThemTalk,
+    onLetThemTalk,
     onStartEdit,
     onCancelEdit,
     onGeneratePersonaResponse,
@@ -86,6 +96,15 @@ const ViewRouter = ({ activeView, isAdmin, viewProps }) => {
           onInputChange={onInputChange}
           onSendMessage={onSendMessage}
           onEditMessage={onEditMessage}
+          onRegenerateMessage={onRegenerateMessage}
+          onSelectAlternative={onSelectAlternative}
+          onForkMessage={onForkMessage}
+          onInspectMessage={onInspectMessage}
+          promptPreview={promptPreview}
+          onPreviewPrompt={onPreviewPrompt}
+          onClosePromptPreview={onClosePromptPreview}
+          canLetThemTalk={canLetThemTalk}
+          onLetThemTalk={onLetThemTalk}
           onStartEdit={onStartEdit}
           onCancelEdit={onCancelEdit}
           onGeneratePersonaResponse={onGeneratePersonaResponse}
@@ -151,6 +170,9 @@ const ViewRouter = ({ activeView, isAdmin, viewProps }) => {
         </div>
       );
 
+    case 'usage':
+      return <UsageDashboard apiRequest={apiRequest} />;
+
     case 'persona':
       return (
         <div className="flex-1 overflow-hidden">
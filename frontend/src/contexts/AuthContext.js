@@ -4,7 +4,8 @@
 // ============================================================================
 
 import React, { createContext, useContext, useEffect, useState } from 'react';
-import { supabase } from '../lib/supabase';
+import { supabase, isLocalOnly } from '../lib/supabase';
+import { checkServerHealth } from '../utils/apiClient';
 
 const AuthContext = createContext();
 
@@ -22,6 +23,15 @@ export const AuthProvider = ({ children }) => {
   const [error, setError] = useState(null);
 
   useEffect(() => {
+    // Local-only mode: act as the server's single implicit user
+    if (isLocalOnly) {
+      checkServerHealth().then(health => {
+        setUser({ id: health.auth?.localUserId || 'local-user', email: null });
+        setLoading(false);
+      });
+      return undefined;
+    }
+
     // Get initial session
     const getInitialSession = async () => {
       try {
@@ -54,6 +64,8 @@ export const AuthProvider = ({ children }) => {
 
   // Sign in with Google
   const signInWithGoogle = async () => {
+    if (isLocalOnly) return;
+
     try {
       setError(null);
       
@@ -73,6 +85,8 @@ export const AuthProvider = ({ children }) => {
 
   // Sign out
   const signOut = async () => {
+    if (isLocalOnly) return;
+
     try {
       setError(null);
       const { error } = await supabase.auth.signOut();
@@ -88,6 +102,7 @@ export const AuthProvider = ({ children }) => {
     user,
     loading,
     error,
+    localOnly: isLocalOnly,
     signInWithGoogle,
     signOut
   };
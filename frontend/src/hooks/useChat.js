@@ -3,7 +3,11 @@
 
 import { useState, useRef, useEffect } from 'react';
 
-export const useChat = (apiRequest) => {
+// What the server reads as a slash command (ChatCommandService.parse): a slash
+// and letters, then whitespace or the end. "/usr/bin ..." is an ordinary message.
+const COMMAND_PATTERN = /^\/[a-z]+(?:\s|$)/i;
+
+export const useChat = (apiRequest, streamRequest) => {
   // State
   const [messages, setMessages] = useState([]);
   const [userInput, setUserInput] = useState('');
@@ -11,8 +15,12 @@ export const useChat = (apiRequest) => {
   const [generatingPersonaResponse, setGeneratingPersonaResponse] = useState(false);
   const [error, setError] = useState(null);
   const [currentSessionId, setCurrentSessionId] = useState(null);
-  const [responseTimeouts, setResponseTimeouts] = useState([]);
   const [editingMessageId, setEditingMessageId] = useState(null);
+  const [promptPreview, setPromptPreview] = useState(null);
+  // Group dynamics of the current session: group_mode, max_responders, muted_characters
+  const [sessionSettings, setSessionSettings] = useState(null);
+  // Each character's current mood in the session: { [characterId]: { mood, intensity } }
+  const [characterMoods, setCharacterMoods] = useState({});
   const messagesEndRef = useRef(null);
 
   // Scroll to bottom when messages change
@@ -24,9 +32,156 @@ export const useChat = (apiRequest) => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
-  const clearResponseTimeouts = () => {
-    responseTimeouts.forEach(timeout => clearTimeout(timeout));
-    setResponseTimeouts([]);
+  // Which model answered a saved reply; fallback is set when it wasn't the character's own
+  const answeredByFromMetadata = (metadata) => (
+    metadata?.provider
+      ? { provider: metadata.provider, model: metadata.model, fallback: Boolean(metadata.fallback_used) }
+      : undefined
+  );
+
+  const applySessionSettings = (session) => setSessionSettings({
+    group_mode: session.group_mode,
+    max_responders: session.max_responders,
+    muted_characters: session.muted_characters || []
+  });
+
+  // Show what a slash command did: the message it saved, or a note for /summary and a cleared /ooc
+  const showCommandResult = (command) => {
+    if (command.message) {
+      setMessages(prev => [...prev, { ...command.message, messageId: command.message.id, timestamp: new Date() }]);
+      return;
+    }
+    const notes = {
+      summary: command.summary ? `Story so far: ${command.summary}` : 'Nothing has been summarized yet.',
+      ooc: 'Out-of-character notes cleared.'
+    };
+    if (notes[command.name]) {
+      setMessages(prev => [...prev, { id: `command-${Date.now()}`, type: 'system', content: notes[command.name], timestamp: new Date() }]);
+    }
+  };
+
+  // Build a chat message for a character reply, pulling display data from the active cast
+  const buildCharacterMessage = (id, charResponse, activeCharacters, extra = {}) => {
+    const fullCharacter = activeCharacters.find(c => c.id === charResponse.character);
+
+    return {
+      id,
+      type: 'character',
+      character: charResponse.character,
+      characterName: charResponse.characterName,
+      characterAvatar: fullCharacter?.avatar,
+      characterColor: fullCharacter?.color,
+      characterImageUrl: fullCharacter?.avatar_image_url,
+      characterUsesCustomImage: fullCharacter?.uses_custom_image,
+      content: charResponse.response || '',
+      timestamp: new Date(),
+      ...extra
+    };
+  };
+
+  /**
+   * Stream a group response into the message list. Each responding character
+   * gets a placeholder message that fills in token by token.
+   * @param {Object} body - Group response request body
+   * @param {Array} activeCharacters - Full character objects for display data
+   * @param {number} userMessageLocalId - Local id of the user message, tagged with its stored id
+   * @param {string} endpoint - Streaming endpoint; autonomous rounds use the same events
+   * @returns {Promise<Object>} The final { sessionId, responses } payload
+   */
+  const streamGroupResponse = async (body, activeCharacters, userMessageLocalId, endpoint = '/api/chat/group-response/stream') => {
+    const streamingIds = {};
+    let result = null;
+    let streamError = null;
+
+    const updateStreamingMessage = (characterId, update) => {
+      const id = streamingIds[characterId];
+      if (!id) return;
+      setMessages(prev => prev.map(m => (m.id === id ? { ...m, ...update(m) } : m)));
+    };
+
+    await streamRequest(endpoint, body, (event, data) => {
+      switch (event) {
+        case 'session':
+          if (data.command) {
+            showCommandResult(data.command);
+            break;
+          }
+          setMessages(prev => prev.map(m => (
+            m.id === userMessageLocalId ? { ...m, messageId: data.userMessageId } : m
+          )));
+          break;
+        case 'character_start': {
+          const id = `stream-${data.character}-${Date.now()}`;
+          streamingIds[data.character] = id;
+          setMessages(prev => [...prev, buildCharacterMessage(id, data, activeCharacters, { isStreaming: true })]);
+          break;
+        }
+        case 'token':
+          updateStreamingMessage(data.character, m => ({ content: m.content + data.token }));
+          break;
+        case 'character_done':
+          if (data.mood) {
+            setCharacterMoods(prev => ({ ...prev, [data.character]: data.mood }));
+          }
+          updateStreamingMessage(data.character, () => ({
+            messageId: data.messageId,
+            content: data.response,
+            answeredBy: data.answeredBy,
+            isStreaming: false
+          }));
+          break;
+        case 'character_error': {
+          const id = streamingIds[data.character];
+          setMessages(prev => prev.filter(m => m.id !== id));
+          break;
+        }
+        case 'done':
+          result = data;
+          break;
+        case 'error':
+          streamError = new Error(data.error || 'Failed to generate group response');
+          break;
+        default:
+          break;
+      }
+    });
+
+    if (streamError) throw streamError;
+    if (!result) throw new Error('Response stream ended unexpectedly');
+    return result;
+  };
+
+  // Ask the scene narrator whether to interject after a user turn (optional, fails silently)
+  const requestNarration = async (currentScenario, allMessages) => {
+    try {
+      const messageCount = allMessages.length;
+      const lastMessage = allMessages[allMessages.length - 1];
+      const lastAction = lastMessage?.content || '';
+
+      const narratorResponse = await apiRequest(`/api/scenarios/${currentScenario}/narrator`, {
+        method: 'POST',
+        body: JSON.stringify({
+          messages: allMessages.slice(-10).map(m => ({
+            role: m.type === 'user' ? 'user' : 'assistant',
+            content: m.content
+          })),
+          messageCount,
+          lastAction
+        })
+      });
+
+      if (narratorResponse.triggered && narratorResponse.response) {
+        setMessages(prev => [...prev, {
+          id: Date.now() + 999,
+          type: 'narrator',
+          content: narratorResponse.response,
+          timestamp: new Date()
+        }]);
+      }
+    } catch (error) {
+      console.log('[Narrator] Not triggered or error:', error.message);
+      // Silent fail - narrator is optional
+    }
   };
 
   const sendMessage = async (activeCharacters, currentScenario, userPersona, onNewSession) => {
@@ -35,10 +190,11 @@ export const useChat = (apiRequest) => {
     }
 
     const userMessage = userInput.trim();
+    // Slash commands show whatever the server made of them instead of a user bubble
+    const isCommand = COMMAND_PATTERN.test(userMessage);
     setUserInput('');
     setIsGenerating(true);
     setError(null);
-    clearResponseTimeouts();
 
     // Add user message with persona data
     const newUserMessage = {
@@ -49,105 +205,72 @@ export const useChat = (apiRequest) => {
       userPersona: userPersona?.persona || null
     };
 
-    setMessages(prev => [...prev, newUserMessage]);
+    if (!isCommand) {
+      setMessages(prev => [...prev, newUserMessage]);
+    }
 
     const wasNewChat = !currentSessionId;
 
     try {
-      const response = await apiRequest('/api/chat/group-response', {
-        method: 'POST',
-        body: JSON.stringify({
-          userMessage: userMessage,
-          activeCharacters: activeCharacters.map(c => c.id),
-          currentScene: currentScenario,
-          conversationHistory: messages,
-          sessionId: currentSessionId,
-          userPersona: userPersona?.persona || null
-        })
-      });
+      const response = await streamGroupResponse({
+        userMessage: userMessage,
+        activeCharacters: activeCharacters.map(c => c.id),
+        currentScene: currentScenario,
+        conversationHistory: messages,
+        sessionId: currentSessionId,
+        userPersona: userPersona?.persona || null
+      }, activeCharacters, newUserMessage.id);
 
       if (response.sessionId && !currentSessionId) {
         setCurrentSessionId(response.sessionId);
+        // The server chose the new session's group dynamics
+        apiRequest(`/api/chat/sessions/${response.sessionId}`)
+          .then(applySessionSettings)
+          .catch(() => {});
         // Trigger callback for new session
         if (wasNewChat && onNewSession) {
           onNewSession(response.sessionId);
         }
       }
 
-      // Handle responses with delays
-      const newTimeouts = [];
-      let maxDelay = 0;
-      
-      response.responses.forEach((charResponse, index) => {
-        const delay = charResponse.delay || 0;
-        maxDelay = Math.max(maxDelay, delay);
-        
-        const timeout = setTimeout(() => {
-          // Find the full character data to include image info
-          const fullCharacter = activeCharacters.find(c => c.id === charResponse.character);
-
-          setMessages(prev => [...prev, {
-            id: Date.now() + index,
-            type: 'character',
-            character: charResponse.character,
-            characterName: charResponse.characterName,
-            characterAvatar: fullCharacter?.avatar,
-            characterColor: fullCharacter?.color,
-            characterImageUrl: fullCharacter?.avatar_image_url,
-            characterUsesCustomImage: fullCharacter?.uses_custom_image,
-            content: charResponse.response,
-            timestamp: new Date()
-          }]);
-        }, delay);
-
-        newTimeouts.push(timeout);
-      });
-
       // Check for narrator response after all character responses
-      if (currentScenario) {
-        const narratorDelay = maxDelay + 1500; // Wait for all character responses + 1.5s
-        const narratorTimeout = setTimeout(async () => {
-          try {
-            // Get all messages including the ones we just added
-            const allMessages = [...messages, newUserMessage];
-            const messageCount = allMessages.length;
-            const lastMessage = allMessages[allMessages.length - 1];
-            const lastAction = lastMessage?.content || '';
-
-            const narratorResponse = await apiRequest(`/api/scenarios/${currentScenario}/narrator`, {
-              method: 'POST',
-              body: JSON.stringify({
-                messages: allMessages.slice(-10).map(m => ({
-                  role: m.type === 'user' ? 'user' : 'assistant',
-                  content: m.content
-                })),
-                messageCount,
-                lastAction
-              })
-            });
-
-            if (narratorResponse.triggered && narratorResponse.response) {
-              setMessages(prev => [...prev, {
-                id: Date.now() + 999,
-                type: 'narrator',
-                content: narratorResponse.response,
-                timestamp: new Date()
-              }]);
-            }
-          } catch (error) {
-            console.log('[Narrator] Not triggered or error:', error.message);
-            // Silent fail - narrator is optional
-          }
-        }, narratorDelay);
-        
-        newTimeouts.push(narratorTimeout);
+      if (currentScenario && !isCommand) {
+        await requestNarration(currentScenario, [...messages, newUserMessage]);
       }
 
-      setResponseTimeouts(newTimeouts);
-
     } catch (error) {
       console.error('Error sending message:', error);
-      setError('Failed to send message. Please try again.');
+      setError(isCommand && error.message ? error.message : 'Failed to send message. Please try again.');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  // Let the characters talk among themselves for a few rounds while the user watches
+  const letThemTalk = async (activeCharacters, currentScenario, userPersona, rounds) => {
+    if (isGenerating || !currentSessionId || activeCharacters.length < 2) {
+      return;
+    }
+
+    setIsGenerating(true);
+    setError(null);
+
+    try {
+      const result = await streamGroupResponse({
+        sessionId: currentSessionId,
+        activeCharacters: activeCharacters.map(c => c.id),
+        currentScene: currentScenario,
+        conversationHistory: messages,
+        userPersona: userPersona?.persona || null,
+        rounds
+      }, activeCharacters, null, '/api/chat/autonomous/stream');
+
+      if (result.stopReason === 'error') {
+        setError('A character could not reply, so the conversation stopped early.');
+      }
+    } catch (error) {
+      console.error('Error running autonomous rounds:', error);
+      setError(error.message || 'Failed to continue the conversation. Please try again.');
     } finally {
       setIsGenerating(false);
     }
@@ -156,8 +279,10 @@ export const useChat = (apiRequest) => {
   const clearChat = () => {
     setMessages([]);
     setCurrentSessionId(null);
-    clearResponseTimeouts();
+    setSessionSettings(null);
+    setCharacterMoods({});
     setError(null);
+    setPromptPreview(null);
   };
 
   const addSystemMessage = (content) => {
@@ -181,6 +306,8 @@ export const useChat = (apiRequest) => {
           if (char) {
             return {
               ...msg,
+              messageId: msg.id,
+              answeredBy: answeredByFromMetadata(msg.response_metadata),
               character: char.id,
               characterName: char.name,
               characterAvatar: char.avatar,
@@ -190,11 +317,13 @@ export const useChat = (apiRequest) => {
             };
           }
         }
-        return msg;
+        return { ...msg, messageId: msg.id };
       });
       
       setMessages(enrichedMessages);
       setCurrentSessionId(sessionId);
+      applySessionSettings(session);
+      setCharacterMoods(session.character_moods || {});
 
       // Return the full session data so the parent can restore UI state
       return session;
@@ -257,7 +386,6 @@ export const useChat = (apiRequest) => {
 
     setIsGenerating(true);
     setError(null);
-    clearResponseTimeouts();
     setEditingMessageId(null);
 
     // Find the message index
@@ -285,49 +413,158 @@ export const useChat = (apiRequest) => {
 
     try {
       // Send the edited message to regenerate responses
-      const response = await apiRequest('/api/chat/group-response', {
+      await streamGroupResponse({
+        userMessage: newContent.trim(),
+        activeCharacters: activeCharacters.map(c => c.id),
+        currentScene: currentScenario,
+        conversationHistory: newMessages,
+        sessionId: currentSessionId,
+        userPersona: userPersona?.persona || null
+      }, activeCharacters, editedMessage.id);
+    } catch (error) {
+      console.error('Error editing message:', error);
+      setError(error.message || 'Failed to regenerate responses. Please try again.');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  // Swap in the server's copy of a message's versions (content mirrors the selected one)
+  const applyMessageVersions = (localId, updated) => {
+    setMessages(prev => prev.map(m => (m.id === localId ? {
+      ...m,
+      content: updated.content,
+      alternatives: updated.alternatives,
+      selected_alternative: updated.selected_alternative,
+      answeredBy: answeredByFromMetadata(updated.response_metadata),
+      // The saved inspection follows the selected version
+      inspection: undefined,
+      inspectionError: undefined
+    } : m)));
+    // The character's mood follows the selected version
+    if (updated.character_id && updated.mood_at_time) {
+      setCharacterMoods(prev => ({
+        ...prev,
+        [updated.character_id]: { mood: updated.mood_at_time, intensity: updated.mood_intensity }
+      }));
+    }
+  };
+
+  const regenerateMessage = async (message, userPersona) => {
+    if (!message.messageId || isGenerating) {
+      return;
+    }
+
+    setIsGenerating(true);
+    setError(null);
+    setMessages(prev => prev.map(m => (m.id === message.id ? { ...m, isRegenerating: true } : m)));
+
+    try {
+      const response = await apiRequest(`/api/chat/messages/${message.messageId}/regenerate`, {
+        method: 'POST',
+        body: JSON.stringify({
+          userPersona: userPersona?.persona || null
+        })
+      });
+      applyMessageVersions(message.id, response.message);
+    } catch (error) {
+      console.error('Error regenerating message:', error);
+      setError(error.message || 'Failed to regenerate message. Please try again.');
+    } finally {
+      setMessages(prev => prev.map(m => (m.id === message.id ? { ...m, isRegenerating: false } : m)));
+      setIsGenerating(false);
+    }
+  };
+
+  const selectAlternative = async (message, index, userPersona) => {
+    if (!message.messageId || isGenerating || !message.alternatives?.[index]) {
+      return;
+    }
+
+    // Show the chosen version immediately; the server response is authoritative
+    const previous = { content: message.content, alternatives: message.alternatives, selected_alternative: message.selected_alternative };
+    applyMessageVersions(message.id, {
+      content: message.alternatives[index].content,
+      alternatives: message.alternatives,
+      selected_alternative: index
+    });
+
+    try {
+      const response = await apiRequest(`/api/chat/messages/${message.messageId}/alternative`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          index,
+          userPersona: userPersona?.persona || null
+        })
+      });
+      applyMessageVersions(message.id, response.message);
+    } catch (error) {
+      console.error('Error selecting alternative:', error);
+      applyMessageVersions(message.id, previous);
+      setError(error.message || 'Failed to switch version');
+    }
+  };
+
+  // Load the prompt inspection saved with a character message
+  const inspectMessage = async (message) => {
+    if (!message.messageId) {
+      return;
+    }
+
+    try {
+      const inspection = await apiRequest(`/api/chat/messages/${message.messageId}/inspection`);
+      setMessages(prev => prev.map(m => (m.id === message.id ? { ...m, inspection, inspectionError: null } : m)));
+    } catch (error) {
+      setMessages(prev => prev.map(m => (m.id === message.id ? { ...m, inspectionError: error.message || 'Failed to load inspection' } : m)));
+    }
+  };
+
+  // Dry run: show the prompts the current input would produce without generating anything
+  const previewPrompt = async (activeCharacters, currentScenario, userPersona) => {
+    if (!userInput.trim() || activeCharacters.length === 0) {
+      return;
+    }
+
+    setPromptPreview({ loading: true });
+
+    try {
+      const response = await apiRequest('/api/chat/group-response/inspect', {
         method: 'POST',
         body: JSON.stringify({
-          userMessage: newContent.trim(),
+          userMessage: userInput.trim(),
           activeCharacters: activeCharacters.map(c => c.id),
           currentScene: currentScenario,
-          conversationHistory: newMessages,
+          conversationHistory: messages,
           sessionId: currentSessionId,
           userPersona: userPersona?.persona || null
         })
       });
+      setPromptPreview({ responders: response.responders, selection: response.selection });
+    } catch (error) {
+      console.error('Error inspecting prompt:', error);
+      setPromptPreview({ error: error.message || 'Failed to inspect prompt' });
+    }
+  };
 
-      // Handle responses with delays
-      const newTimeouts = [];
-      response.responses.forEach((charResponse, index) => {
-        const delay = charResponse.delay || 0;
-        
-        const timeout = setTimeout(() => {
-          const fullCharacter = activeCharacters.find(c => c.id === charResponse.character);
-
-          setMessages(prev => [...prev, {
-            id: Date.now() + index,
-            type: 'character',
-            character: charResponse.character,
-            characterName: charResponse.characterName,
-            characterAvatar: fullCharacter?.avatar,
-            characterColor: fullCharacter?.color,
-            characterImageUrl: fullCharacter?.avatar_image_url,
-            characterUsesCustomImage: fullCharacter?.uses_custom_image,
-            content: charResponse.response,
-            timestamp: new Date()
-          }]);
-        }, delay);
-
-        newTimeouts.push(timeout);
-      });
+  const clearPromptPreview = () => setPromptPreview(null);
 
-      setResponseTimeouts(newTimeouts);
+  // Change the current session's group dynamics; the panel updates straight away
+  const updateSessionSettings = async (updates) => {
+    if (!currentSessionId) return;
+
+    const previous = sessionSettings;
+    setSessionSettings(prev => ({ ...prev, ...updates }));
+
+    try {
+      const session = await apiRequest(`/api/chat/sessions/${currentSessionId}`, {
+        method: 'PUT',
+        body: JSON.stringify(updates)
+      });
+      applySessionSettings(session);
     } catch (error) {
-      console.error('Error editing message:', error);
-      setError(error.message || 'Failed to regenerate responses. Please try again.');
-    } finally {
-      setIsGenerating(false);
+      console.error('Error updating session settings:', error);
+      setSessionSettings(previous);
+      setError(error.message || 'Failed to update chat settings');
     }
   };
 
@@ -341,6 +578,9 @@ export const useChat = (apiRequest) => {
     currentSessionId,
     messagesEndRef,
     editingMessageId,
+    promptPreview,
+    sessionSettings,
+    characterMoods,
 
     // Actions
     setUserInput,
@@ -348,6 +588,13 @@ export const useChat = (apiRequest) => {
     setEditingMessageId,
     sendMessage,
     editMessage,
+    letThemTalk,
+    regenerateMessage,
+    selectAlternative,
+    inspectMessage,
+    previewPrompt,
+    clearPromptPreview,
+    updateSessionSettings,
     clearChat,
     addSystemMessage,
     loadChatSession,
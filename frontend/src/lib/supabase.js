@@ -8,11 +8,15 @@ import { createClient } from '@supabase/supabase-js'
 const supabaseUrl = process.env.REACT_APP_SUPABASE_URL
 const supabaseAnonKey = process.env.REACT_APP_SUPABASE_ANON_KEY
 
-if (!supabaseUrl || !supabaseAnonKey) {
+// Local-only mode pairs with AUTH_MODE=local on the backend: no sign-in,
+// every request belongs to the server's single local user
+export const isLocalOnly = process.env.REACT_APP_LOCAL_ONLY === 'true'
+
+if (!isLocalOnly && (!supabaseUrl || !supabaseAnonKey)) {
   throw new Error('Missing Supabase environment variables')
 }
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+export const supabase = isLocalOnly ? null : createClient(supabaseUrl, supabaseAnonKey, {
   auth: {
     autoRefreshToken: true,
     persistSession: true,
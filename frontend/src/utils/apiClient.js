@@ -1,3 +1,5 @@
+import { supabase } from '../lib/supabase';
+
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
 // Server health status cache
@@ -54,12 +56,24 @@ export const isCommunityAvailable = async () => {
   return health.features?.communityFeatures === true;
 };
 
+/**
+ * Get the Authorization header for the current session
+ * Supabase refreshes the access token when it is close to expiring. In
+ * local-only mode there is no session and the server needs no token.
+ * @returns {Promise<Object>} Headers to spread into a fetch request
+ */
+export const getAuthHeaders = async () => {
+  if (!supabase) return {};
+
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {};
+};
+
 /**
  * Creates an API client with consistent error handling and authentication
- * @param {string} userId - The authenticated user's ID
  * @returns {Function} API request function
  */
-export const createApiClient = (userId) => {
+export const createApiClient = () => {
   /**
    * Makes an authenticated API request
    * @param {string} endpoint - API endpoint (e.g., '/api/characters')
@@ -67,17 +81,16 @@ export const createApiClient = (userId) => {
    * @returns {Promise<any>} Response data
    */
   const apiRequest = async (endpoint, options = {}) => {
-    const config = {
-      headers: {
-        'Content-Type': 'application/json',
-        'user-id': userId,
-        'x-user-id': userId,
-        ...options.headers,
-      },
-      ...options,
-    };
-
     try {
+      const config = {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await getAuthHeaders()),
+          ...options.headers,
+        },
+      };
+
       const response = await fetch(`${API_BASE_URL}${endpoint}`, config);
 
       if (!response.ok) {
@@ -120,16 +133,15 @@ export const createApiClient = (userId) => {
 
 /**
  * Helper method for multipart/form-data requests (e.g., file uploads)
- * @param {string} userId - The authenticated user's ID
  * @returns {Function} Upload request function
  */
-export const createUploadClient = (userId) => {
+export const createUploadClient = () => {
   const uploadRequest = async (endpoint, formData) => {
     try {
       const response = await fetch(`${API_BASE_URL}${endpoint}`, {
         method: 'POST',
         headers: {
-          'user-id': userId,
+          ...(await getAuthHeaders()),
           // Don't set Content-Type for FormData - browser sets it with boundary
         },
         body: formData,
@@ -167,6 +179,89 @@ export const createUploadClient = (userId) => {
   return uploadRequest;
 };
 
+/**
+ * Creates a client for Server-Sent Event endpoints (e.g., streamed chat replies)
+ * @returns {Function} Stream request function
+ */
+export const createStreamClient = () => {
+  /**
+   * POSTs a JSON body and dispatches each SSE event as it arrives
+   * @param {string} endpoint - API endpoint (e.g., '/api/chat/group-response/stream')
+   * @param {Object} body - Request body
+   * @param {Function} onEvent - Called with (eventName, data) for each event
+   * @returns {Promise<void>} Resolves when the server closes the stream; rejects if onEvent throws
+   */
+  const streamRequest = async (endpoint, body, onEvent) => {
+    let response;
+    try {
+      response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream',
+          ...(await getAuthHeaders()),
+        },
+        body: JSON.stringify(body),
+      });
+    } catch (error) {
+      const networkError = new Error('Unable to connect to server');
+      networkError.offline = true;
+      networkError.code = 'NETWORK_ERROR';
+      console.error(`Network error: ${endpoint}`, error);
+      throw networkError;
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      error.statusCode = response.status;
+      error.details = errorData.details;
+      throw error;
+    }
+
+    const dispatch = (rawEvent) => {
+      let eventName = 'message';
+      const dataLines = [];
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) eventName = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      });
+      if (dataLines.length === 0) return;
+
+      let data;
+      try {
+        data = JSON.parse(dataLines.join('\n'));
+      } catch (error) {
+        console.error(`Malformed stream event from ${endpoint}`, error);
+        return;
+      }
+      // Outside the try so errors thrown by the handler reach the caller
+      onEvent(eventName, data);
+    };
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+        dispatch(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+      }
+    }
+
+    if (buffer.trim()) dispatch(buffer);
+  };
+
+  return streamRequest;
+};
+
 /**
  * Utility to check if an error is an offline error
  * @param {Error} error